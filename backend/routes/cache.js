@@ -0,0 +1,198 @@
+/**
+ * Cache Browsing API Routes
+ * Inspect and invalidate individual flight cache entries
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getCache } = require('../services/cache');
+const logger = require('../utils/logger');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const FRESHNESS_VALUES = ['all', 'fresh', 'expired'];
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+/**
+ * Read list/delete filters from the query string
+ * Returns { filters } or { error } if a filter is invalid
+ */
+function parseFilters(query) {
+  const { origin, destination, from, to, freshness = 'all', pattern } = query;
+
+  if (from && !DATE_PATTERN.test(from)) {
+    return { error: 'from must be a date (YYYY-MM-DD)' };
+  }
+  if (to && !DATE_PATTERN.test(to)) {
+    return { error: 'to must be a date (YYYY-MM-DD)' };
+  }
+  if (!FRESHNESS_VALUES.includes(freshness)) {
+    return { error: `freshness must be one of: ${FRESHNESS_VALUES.join(', ')}` };
+  }
+
+  return {
+    filters: {
+      origin: origin || undefined,
+      destination: destination || undefined,
+      dateFrom: from || undefined,
+      dateTo: to || undefined,
+      freshness,
+      pattern: pattern || undefined
+    }
+  };
+}
+
+/**
+ * GET /api/cache
+ * List cache entries (metadata only)
+ * Query: origin, destination, from, to (YYYY-MM-DD), freshness (all|fresh|expired),
+ *        pattern (key pattern, * wildcard), page (1-based), pageSize
+ */
+router.get('/', async (req, res) => {
+  const { filters, error } = parseFilters(req.query);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(req.query.pageSize) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+  try {
+    const entries = await getCache().list(filters);
+    const start = (page - 1) * pageSize;
+
+    res.json({
+      success: true,
+      entries: entries.slice(start, start + pageSize),
+      total: entries.length,
+      fresh: entries.filter(entry => entry.valid).length,
+      page,
+      pageSize,
+      totalPages: Math.max(Math.ceil(entries.length / pageSize), 1)
+    });
+  } catch (error) {
+    logger.error(`Failed to list cache entries: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list cache entries'
+    });
+  }
+});
+
+/**
+ * GET /api/cache/:origin/:destination/:date
+ * Get a single cache entry including its flight data
+ * Query: returnDate (YYYY-MM-DD) for a round-trip entry
+ */
+router.get('/:origin/:destination/:date', async (req, res) => {
+  const origin = req.params.origin.toUpperCase();
+  const destination = req.params.destination.toUpperCase();
+  const { date } = req.params;
+  const returnDate = req.query.returnDate || null;
+
+  if (returnDate && !DATE_PATTERN.test(returnDate)) {
+    return res.status(400).json({ success: false, error: 'returnDate must be a date (YYYY-MM-DD)' });
+  }
+
+  const key = getCache().getCacheKey(origin, destination, date, returnDate);
+
+  try {
+    const entry = await getCache().getEntry(origin, destination, date, returnDate);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: `No cache entry for ${key}`
+      });
+    }
+
+    res.json({ success: true, entry });
+  } catch (error) {
+    logger.error(`Failed to get cache entry: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get cache entry'
+    });
+  }
+});
+
+/**
+ * DELETE /api/cache/:origin/:destination/:date
+ * Delete a single cache entry
+ * Query: returnDate (YYYY-MM-DD) for a round-trip entry
+ */
+router.delete('/:origin/:destination/:date', async (req, res) => {
+  const origin = req.params.origin.toUpperCase();
+  const destination = req.params.destination.toUpperCase();
+  const { date } = req.params;
+  const returnDate = req.query.returnDate || null;
+
+  if (returnDate && !DATE_PATTERN.test(returnDate)) {
+    return res.status(400).json({ success: false, error: 'returnDate must be a date (YYYY-MM-DD)' });
+  }
+
+  const key = getCache().getCacheKey(origin, destination, date, returnDate);
+
+  try {
+    const deleted = await getCache().delete(origin, destination, date, returnDate);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: `No cache entry for ${key}`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Deleted ${key}`,
+      deleted: 1
+    });
+  } catch (error) {
+    logger.error(`Failed to delete cache entry: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete cache entry'
+    });
+  }
+});
+
+/**
+ * DELETE /api/cache
+ * Delete every entry matching the filters (same query as GET /api/cache)
+ * At least one filter is required - use POST /api/config/clear-cache to wipe everything
+ */
+router.delete('/', async (req, res) => {
+  const { filters, error } = parseFilters(req.query);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  const hasFilter = filters.origin || filters.destination || filters.dateFrom ||
+    filters.dateTo || filters.pattern || filters.freshness !== 'all';
+  if (!hasFilter) {
+    return res.status(400).json({
+      success: false,
+      error: 'At least one filter is required (origin, destination, from, to, freshness or pattern)'
+    });
+  }
+
+  try {
+    const keys = await getCache().deleteMatching(filters);
+
+    res.json({
+      success: true,
+      message: `Deleted ${keys.length} cache entries`,
+      deleted: keys.length,
+      keys
+    });
+  } catch (error) {
+    logger.error(`Failed to delete cache entries: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete cache entries'
+    });
+  }
+});
+
+module.exports = router;
@@ -4,6 +4,8 @@
 
 const express = require('express');
 const router = express.Router();
+const { getCache } = require('../services/cache');
+const { parseTtlPolicy } = require('../services/cacheTtlPolicy');
 const logger = require('../utils/logger');
 
 /**
@@ -32,7 +34,8 @@ router.get('/', (req, res) => {
     },
     cache: {
       enabled: process.env.CACHE_ENABLED === 'true',
-      ttlHours: parseInt(process.env.CACHE_TTL_HOURS) || 24
+      backend: getCache().backend.name, // The backend in use - CACHE_BACKEND changes need a restart
+      ttlPolicy: getCache().getTtlPolicy()
     },
     logging: {
       level: process.env.LOG_LEVEL || 'info'
@@ -78,17 +81,40 @@ router.post('/update', async (req, res) => {
       'DECODO_MAX_WORKERS',
       'LOG_LEVEL',
       'CACHE_ENABLED',
+      'CACHE_BACKEND',
+      'CACHE_TTL_POLICY',
       'BYPASS1_HEADLESS'
     ];
 
+    // Validate the cache settings before touching .env
+    if (updates.CACHE_BACKEND !== undefined && !['sqlite', 'json'].includes(updates.CACHE_BACKEND)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid CACHE_BACKEND (expected sqlite or json)'
+      });
+    }
+
+    if (updates.CACHE_TTL_POLICY !== undefined) {
+      try {
+        parseTtlPolicy(updates.CACHE_TTL_POLICY);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid CACHE_TTL_POLICY: ${error.message}`
+        });
+      }
+    }
+
     for (const [key, value] of Object.entries(updates)) {
       if (allowedSettings.includes(key)) {
-        // Find and replace the line
+        // Find and replace the line, or append it (.env files copied from an older example lack the newer settings)
         const regex = new RegExp(`^${key}=.*$`, 'm');
         if (regex.test(envContent)) {
           envContent = envContent.replace(regex, `${key}=${value}`);
-          logger.info(`Updated ${key} to ${value}`);
+        } else {
+          envContent = `${envContent.replace(/\n?$/, '\n')}${key}=${value}\n`;
         }
+        logger.info(`Updated ${key} to ${value}`);
       } else {
         logger.warn(`Attempted to update disallowed setting: ${key}`);
       }
@@ -97,10 +123,26 @@ router.post('/update', async (req, res) => {
     // Write back to .env file
     await fs.writeFile(ENV_FILE, envContent);
 
+    // The TTL policy is applied immediately, no restart needed
+    if (updates.CACHE_TTL_POLICY !== undefined) {
+      process.env.CACHE_TTL_POLICY = updates.CACHE_TTL_POLICY;
+      getCache().setTtlPolicy(updates.CACHE_TTL_POLICY);
+    }
+
+    const updatedSettings = Object.keys(updates).filter(k => allowedSettings.includes(k));
+    const appliedSettings = updatedSettings.filter(k => k === 'CACHE_TTL_POLICY');
+    const restartSettings = updatedSettings.filter(k => k !== 'CACHE_TTL_POLICY');
+
     res.json({
       success: true,
-      message: 'Configuration updated. Restart server for changes to take effect.',
-      updatedSettings: Object.keys(updates).filter(k => allowedSettings.includes(k))
+      message: [
+        'Configuration updated.',
+        appliedSettings.length > 0 && `${appliedSettings.join(', ')} applied immediately.`,
+        restartSettings.length > 0 && `Restart server for ${restartSettings.join(', ')} to take effect.`
+      ].filter(Boolean).join(' '),
+      updatedSettings,
+      appliedSettings,
+      restartSettings
     });
 
   } catch (error) {
@@ -118,7 +160,6 @@ router.post('/update', async (req, res) => {
  */
 router.post('/clear-cache', async (req, res) => {
   try {
-    const { getCache } = require('../services/cache');
     const cache = getCache();
     await cache.clear();
 
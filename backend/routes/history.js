@@ -0,0 +1,134 @@
+/**
+ * Flight History API Routes
+ * Price/availability timeline built from every recorded scrape
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getFlightHistory } = require('../services/flightHistory');
+const { CHANGE_TYPES } = require('../services/flightDiff');
+const logger = require('../utils/logger');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * GET /api/history/:origin/:destination
+ * How GoWild availability and fares changed over time for each departure date
+ * Query: from, to (departure date range, YYYY-MM-DD), since (ISO timestamp),
+ *        limit (most recent observations per departure date)
+ */
+router.get('/:origin/:destination', (req, res) => {
+  const origin = req.params.origin.toUpperCase();
+  const destination = req.params.destination.toUpperCase();
+  const { from, to, since } = req.query;
+  const limit = req.query.limit !== undefined ? parseInt(req.query.limit) : undefined;
+
+  if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+    return res.status(400).json({
+      success: false,
+      error: 'from and to must be dates (YYYY-MM-DD)'
+    });
+  }
+
+  if (since && isNaN(Date.parse(since))) {
+    return res.status(400).json({
+      success: false,
+      error: 'since must be an ISO timestamp'
+    });
+  }
+
+  if (limit !== undefined && (isNaN(limit) || limit < 1)) {
+    return res.status(400).json({
+      success: false,
+      error: 'limit must be a positive number'
+    });
+  }
+
+  try {
+    const dates = getFlightHistory().getTimeline(origin, destination, {
+      dateFrom: from,
+      dateTo: to,
+      since: since ? new Date(since).toISOString() : undefined,
+      limit
+    });
+
+    res.json({
+      success: true,
+      origin,
+      destination,
+      dates
+    });
+  } catch (error) {
+    logger.error(`Failed to get flight history: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve flight history'
+    });
+  }
+});
+
+/**
+ * GET /api/history/:origin/:destination/changes
+ * Flights that appeared/disappeared and fare moves between successive scrapes, newest first
+ * Query: from, to (departure date range), since (ISO timestamp),
+ *        type (appeared|disappeared|fare_increase|fare_decrease), limit (default 100)
+ */
+router.get('/:origin/:destination/changes', (req, res) => {
+  const origin = req.params.origin.toUpperCase();
+  const destination = req.params.destination.toUpperCase();
+  const { from, to, since, type } = req.query;
+  const limit = req.query.limit !== undefined ? parseInt(req.query.limit) : 100;
+
+  if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+    return res.status(400).json({
+      success: false,
+      error: 'from and to must be dates (YYYY-MM-DD)'
+    });
+  }
+
+  if (since && isNaN(Date.parse(since))) {
+    return res.status(400).json({
+      success: false,
+      error: 'since must be an ISO timestamp'
+    });
+  }
+
+  if (type && !CHANGE_TYPES.includes(type)) {
+    return res.status(400).json({
+      success: false,
+      error: `type must be one of: ${CHANGE_TYPES.join(', ')}`
+    });
+  }
+
+  if (isNaN(limit) || limit < 1) {
+    return res.status(400).json({
+      success: false,
+      error: 'limit must be a positive number'
+    });
+  }
+
+  try {
+    const changes = getFlightHistory().getChanges(origin, destination, {
+      dateFrom: from,
+      dateTo: to,
+      since: since ? new Date(since).toISOString() : undefined,
+      type,
+      limit
+    });
+
+    res.json({
+      success: true,
+      origin,
+      destination,
+      changes
+    });
+  } catch (error) {
+    logger.error(`Failed to get flight changes: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve flight changes'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,156 @@
+/**
+ * Jobs API Routes
+ * Status, progress and stored results of bulk scraping jobs
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getJobManager, JOB_STATUS, JOB_TYPES } = require('../services/jobManager');
+const { resumeBulkJob } = require('../services/bulkJobs');
+const logger = require('../utils/logger');
+
+const STATUS_VALUES = Object.values(JOB_STATUS);
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+/**
+ * GET /api/jobs
+ * List jobs, newest first
+ * Query: status (running|paused|completed|cancelled|failed|interrupted), type (bulk|bulk_by_origin|bulk_all)
+ */
+router.get('/', async (req, res) => {
+  const { status, type } = req.query;
+
+  if (status && !STATUS_VALUES.includes(status)) {
+    return res.status(400).json({ success: false, error: `status must be one of: ${STATUS_VALUES.join(', ')}` });
+  }
+  if (type && !JOB_TYPES.includes(type)) {
+    return res.status(400).json({ success: false, error: `type must be one of: ${JOB_TYPES.join(', ')}` });
+  }
+
+  try {
+    const jobs = await getJobManager().list({ status, type });
+
+    res.json({
+      success: true,
+      jobs,
+      total: jobs.length
+    });
+  } catch (error) {
+    logger.error(`Failed to list jobs: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list jobs'
+    });
+  }
+});
+
+/**
+ * GET /api/jobs/:id
+ */
+router.get('/:id', async (req, res) => {
+  const job = await getJobManager().get(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+
+  res.json({ success: true, job });
+});
+
+/**
+ * GET /api/jobs/:id/results
+ * A job's route results in completion order
+ * Query: success (true|false), page (1-based), pageSize
+ */
+router.get('/:id/results', async (req, res) => {
+  const { success } = req.query;
+
+  if (success !== undefined && success !== 'true' && success !== 'false') {
+    return res.status(400).json({ success: false, error: 'success must be true or false' });
+  }
+
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(req.query.pageSize) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+  try {
+    const jobManager = getJobManager();
+    const job = await jobManager.get(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+
+    const { results, total } = await jobManager.getResultsPage(job.id, {
+      success: success === undefined ? undefined : success === 'true',
+      offset: (page - 1) * pageSize,
+      limit: pageSize
+    });
+
+    res.json({
+      success: true,
+      jobId: job.id,
+      status: job.status,
+      results,
+      total,
+      page,
+      pageSize,
+      totalPages: Math.max(Math.ceil(total / pageSize), 1)
+    });
+  } catch (error) {
+    logger.error(`Failed to read job results: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to read job results'
+    });
+  }
+});
+
+/**
+ * Run a job control (pause/cancel on the job manager, resumeBulkJob) and answer
+ * with the updated job
+ */
+function controlJob(action, control = id => getJobManager()[action](id)) {
+  return async (req, res) => {
+    try {
+      const result = await control(req.params.id);
+
+      if (!result) {
+        return res.status(404).json({ success: false, error: 'Job not found' });
+      }
+      if (result.error) {
+        return res.status(409).json({ success: false, error: result.error });
+      }
+
+      res.json({ success: true, job: result.job });
+    } catch (error) {
+      logger.error(`Failed to ${action} job: ${error.message}`);
+      res.status(500).json({
+        success: false,
+        error: `Failed to ${action} job`
+      });
+    }
+  };
+}
+
+/**
+ * POST /api/jobs/:id/pause
+ * Stop starting new routes - routes in flight finish
+ */
+router.post('/:id/pause', controlJob('pause'));
+
+/**
+ * POST /api/jobs/:id/resume
+ * Resume a paused job, or restart an interrupted one from its checkpoint -
+ * only the routes without a result run again, with the original params
+ */
+router.post('/:id/resume', controlJob('resume', resumeBulkJob));
+
+/**
+ * POST /api/jobs/:id/cancel
+ * Start no more routes - the job becomes cancelled once routes in flight finish,
+ * keeping the results so far. Cancelling an interrupted job discards its resume offer
+ */
+router.post('/:id/cancel', controlJob('cancel'));
+
+module.exports = router;
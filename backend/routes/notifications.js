@@ -0,0 +1,148 @@
+/**
+ * Notification API Routes
+ * Manage outbound notification channels and inspect their deliveries
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getNotifier, NOTIFIABLE_EVENTS } = require('../services/notifier');
+const { CHANNEL_TYPES } = require('../services/notificationChannels');
+const logger = require('../utils/logger');
+
+/**
+ * GET /api/notifications/channels
+ * List channels (secrets masked) with their last delivery
+ */
+router.get('/channels', async (req, res) => {
+  try {
+    const channels = await getNotifier().list();
+
+    res.json({
+      success: true,
+      channels,
+      channelTypes: CHANNEL_TYPES,
+      events: NOTIFIABLE_EVENTS
+    });
+  } catch (error) {
+    logger.error(`Failed to list notification channels: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list notification channels'
+    });
+  }
+});
+
+/**
+ * POST /api/notifications/channels
+ * Create a channel
+ * Body: { type: webhook|email|slack|discord, name?, events?, maxRetries?, enabled?, config }
+ */
+router.post('/channels', async (req, res) => {
+  try {
+    const result = await getNotifier().create(req.body || {});
+
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+
+    res.status(201).json({ success: true, channel: result.channel });
+  } catch (error) {
+    logger.error(`Failed to create notification channel: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create notification channel'
+    });
+  }
+});
+
+/**
+ * PUT /api/notifications/channels/:id
+ * Update a channel (only the fields provided change)
+ */
+router.put('/channels/:id', async (req, res) => {
+  try {
+    const result = await getNotifier().update(req.params.id, req.body || {});
+
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'Channel not found' });
+    }
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+
+    res.json({ success: true, channel: result.channel });
+  } catch (error) {
+    logger.error(`Failed to update notification channel: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update notification channel'
+    });
+  }
+});
+
+/**
+ * DELETE /api/notifications/channels/:id
+ */
+router.delete('/channels/:id', async (req, res) => {
+  try {
+    const removed = await getNotifier().remove(req.params.id);
+
+    if (!removed) {
+      return res.status(404).json({ success: false, error: 'Channel not found' });
+    }
+
+    res.json({ success: true, message: 'Channel deleted' });
+  } catch (error) {
+    logger.error(`Failed to delete notification channel: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete notification channel'
+    });
+  }
+});
+
+/**
+ * GET /api/notifications/channels/:id/deliveries
+ * Most recent deliveries for a channel, newest first
+ */
+router.get('/channels/:id/deliveries', async (req, res) => {
+  const notifier = getNotifier();
+  const channel = await notifier.get(req.params.id);
+
+  if (!channel) {
+    return res.status(404).json({ success: false, error: 'Channel not found' });
+  }
+
+  res.json({
+    success: true,
+    deliveries: await notifier.getDeliveries(req.params.id)
+  });
+});
+
+/**
+ * POST /api/notifications/channels/:id/test
+ * Send a test notification and wait for the delivery result (including retries)
+ */
+router.post('/channels/:id/test', async (req, res) => {
+  try {
+    const delivery = await getNotifier().sendTest(req.params.id);
+
+    if (!delivery) {
+      return res.status(404).json({ success: false, error: 'Channel not found' });
+    }
+
+    res.status(delivery.status === 'delivered' ? 200 : 502).json({
+      success: delivery.status === 'delivered',
+      delivery,
+      error: delivery.error || undefined
+    });
+  } catch (error) {
+    logger.error(`Failed to send test notification: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send test notification'
+    });
+  }
+});
+
+module.exports = router;
@@ -5,18 +5,63 @@
 const express = require('express');
 const router = express.Router();
 const { scrapeFlights } = require('../services/scraper');
-const { scrapeRoutesByOrigin, scrapeAllRoutes } = require('../services/bulkScraper');
+const { scrapeDateRange, datesInRange, isCalendarDate, countDaysInRange } = require('../services/bulkScraper');
 const { getRouteStorage } = require('../services/routeStorage');
 const { getCache } = require('../services/cache');
+const { getRequestCoalescer } = require('../services/requestCoalescer');
+const { getScrapeScheduler } = require('../services/scrapeScheduler');
+const { getRequestBudget } = require('../services/requestBudget');
+const { getRetryPolicy } = require('../services/scrapeErrors');
+const { startBulkJob } = require('../services/bulkJobs');
+const { hasAdapter, listAdapters, getAdapterStats } = require('../services/scraperAdapters');
 const logger = require('../utils/logger');
 
+const MAX_RANGE_WINDOW = 7; // ± days around the center date
+const MAX_RANGE_DAYS = 31;
+
+/**
+ * Check a route against the loaded route list
+ * Returns an error message, or null if the route is valid (or the list is too small to validate against)
+ */
+function getRouteValidationError(origin, destination) {
+  // Only validate if routes have been explicitly loaded (not just default empty state)
+  const routeStorage = getRouteStorage();
+  const routes = routeStorage.getRoutes();
+
+  if (routes.length > 10) { // Only validate if we have a meaningful number of routes (more than default/test data)
+    const isValid = routeStorage.isValidRoute(origin, destination);
+    if (!isValid) {
+      logger.warn(`Route validation failed: ${origin}-${destination} not in route list`);
+      return `Route ${origin}-${destination} is not available. Please update routes or select a valid route.`;
+    }
+  } else if (routes.length > 0) {
+    logger.info(`Route validation skipped - only ${routes.length} routes loaded (likely test data)`);
+  }
+
+  return null;
+}
+
+/**
+ * Check a requested scraper method - returns an error message, or null if it's
+ * unset (use SCRAPER_METHOD) or registered
+ */
+function getMethodValidationError(method) {
+  if (method === undefined || method === null || method === '' || hasAdapter(method)) {
+    return null;
+  }
+  return `Unknown scraper method: ${method} (expected one of: ${listAdapters().join(', ')})`;
+}
+
 /**
  * POST /api/scraper/scrape
  * Scrape flights for a single route
+ * Body: { origin, destination, date, returnDate?, staleWhileRevalidate?, maxStaleMinutes?, method? }
+ * With returnDate the search is a round trip and the response adds returnFlights
+ * method picks the scraper adapter for this request (default SCRAPER_METHOD)
  */
 router.post('/scrape', async (req, res) => {
   try {
-    const { origin, destination, date } = req.body;
+    const { origin, destination, date, returnDate, staleWhileRevalidate = false, maxStaleMinutes, method } = req.body;
 
     if (!origin || !destination || !date) {
       return res.status(400).json({
@@ -38,26 +83,51 @@ router.post('/scrape', async (req, res) => {
       });
     }
 
-    // Validate route exists (if routes are loaded)
-    // Only validate if routes have been explicitly loaded (not just default empty state)
-    const routeStorage = getRouteStorage();
-    const routes = routeStorage.getRoutes();
-    
-    if (routes.length > 10) { // Only validate if we have a meaningful number of routes (more than default/test data)
-      const isValid = routeStorage.isValidRoute(origin.toUpperCase(), destination.toUpperCase());
-      if (!isValid) {
-        logger.warn(`Route validation failed: ${origin.toUpperCase()}-${destination.toUpperCase()} not in route list`);
+    if (returnDate !== undefined && returnDate !== null && returnDate !== '') {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(returnDate)) {
+        return res.status(400).json({
+          error: 'Invalid returnDate format (must be YYYY-MM-DD)'
+        });
+      }
+
+      if (returnDate < date) {
         return res.status(400).json({
-          error: `Route ${origin.toUpperCase()}-${destination.toUpperCase()} is not available. Please update routes or select a valid route.`
+          error: 'returnDate must be on or after date'
         });
       }
-    } else if (routes.length > 0) {
-      logger.info(`Route validation skipped - only ${routes.length} routes loaded (likely test data)`);
     }
 
-    logger.info(`Scraping ${origin}->${destination} on ${date}`);
+    if (maxStaleMinutes !== undefined && (!Number.isFinite(Number(maxStaleMinutes)) || Number(maxStaleMinutes) <= 0)) {
+      return res.status(400).json({
+        error: 'Invalid maxStaleMinutes (must be a positive number)'
+      });
+    }
 
-    const result = await scrapeFlights(origin.toUpperCase(), destination.toUpperCase(), date);
+    const methodError = getMethodValidationError(method);
+    if (methodError) {
+      return res.status(400).json({ error: methodError });
+    }
+
+    // Validate route exists (if routes are loaded)
+    const routeError = getRouteValidationError(origin.toUpperCase(), destination.toUpperCase());
+    if (routeError) {
+      return res.status(400).json({ error: routeError });
+    }
+
+    logger.info(`Scraping ${origin}->${destination} on ${date}${returnDate ? ` returning ${returnDate}` : ''}`);
+
+    const scrapeOptions = { staleWhileRevalidate: staleWhileRevalidate === true || staleWhileRevalidate === 'true' };
+    if (maxStaleMinutes !== undefined) {
+      scrapeOptions.maxStaleMinutes = Number(maxStaleMinutes);
+    }
+    if (returnDate) {
+      scrapeOptions.returnDate = returnDate;
+    }
+    if (method) {
+      scrapeOptions.method = method;
+    }
+
+    const result = await scrapeFlights(origin.toUpperCase(), destination.toUpperCase(), date, scrapeOptions);
 
     res.json(result);
 
@@ -67,13 +137,107 @@ router.post('/scrape', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/scraper/scrape-range
+ * Scrape one route across several departure dates and summarize each day
+ * Body: { origin, destination, date, window } (date ± window days)
+ *    or { origin, destination, startDate, endDate }
+ *    plus useCache (default true)
+ * Past dates are skipped
+ */
+router.post('/scrape-range', async (req, res) => {
+  try {
+    const { origin, destination, date, window, startDate, endDate, useCache = true } = req.body;
+
+    if (!origin || !destination) {
+      return res.status(400).json({
+        error: 'Missing required fields: origin, destination'
+      });
+    }
+
+    if (!/^[A-Z]{3}$/.test(origin) || !/^[A-Z]{3}$/.test(destination)) {
+      return res.status(400).json({
+        error: 'Invalid IATA codes (must be 3 uppercase letters)'
+      });
+    }
+
+    let rangeStart;
+    let rangeEnd;
+
+    if (date) {
+      const windowDays = window === undefined ? 3 : Number(window);
+
+      if (!isCalendarDate(date)) {
+        return res.status(400).json({ error: 'Invalid date (must be a YYYY-MM-DD calendar date)' });
+      }
+      if (!Number.isInteger(windowDays) || windowDays < 0 || windowDays > MAX_RANGE_WINDOW) {
+        return res.status(400).json({ error: `window must be a whole number of days between 0 and ${MAX_RANGE_WINDOW}` });
+      }
+
+      const center = new Date(`${date}T00:00:00Z`);
+      rangeStart = new Date(center.getTime() - windowDays * 86400000).toISOString().split('T')[0];
+      rangeEnd = new Date(center.getTime() + windowDays * 86400000).toISOString().split('T')[0];
+    } else if (startDate && endDate) {
+      if (!isCalendarDate(startDate) || !isCalendarDate(endDate)) {
+        return res.status(400).json({ error: 'Invalid startDate/endDate (must be YYYY-MM-DD calendar dates)' });
+      }
+      if (endDate < startDate) {
+        return res.status(400).json({ error: 'endDate must be on or after startDate' });
+      }
+
+      rangeStart = startDate;
+      rangeEnd = endDate;
+    } else {
+      return res.status(400).json({
+        error: 'Provide either date (with optional window) or startDate and endDate'
+      });
+    }
+
+    // Checked before the list is built, so a huge range costs nothing
+    if (countDaysInRange(rangeStart, rangeEnd) > MAX_RANGE_DAYS) {
+      return res.status(400).json({ error: `Date range cannot exceed ${MAX_RANGE_DAYS} days` });
+    }
+
+    const today = new Date().toISOString().split('T')[0];
+    const allDates = datesInRange(rangeStart, rangeEnd);
+
+    const dates = allDates.filter(day => day >= today);
+    if (dates.length === 0) {
+      return res.status(400).json({ error: 'All dates in the range are in the past' });
+    }
+
+    const routeError = getRouteValidationError(origin, destination);
+    if (routeError) {
+      return res.status(400).json({ error: routeError });
+    }
+
+    const startTime = Date.now();
+    const result = await scrapeDateRange(origin, destination, dates, useCache !== false && useCache !== 'false');
+
+    res.json({
+      ...result,
+      centerDate: date || undefined,
+      skippedPastDates: allDates.length - dates.length,
+      elapsed: Date.now() - startTime,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Scrape range endpoint error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * POST /api/scraper/bulk
  * Scrape multiple routes
+ * Body: { routes: [{ origin, destination, date, method? }], method? }
+ * A route's method overrides the request's, which overrides SCRAPER_METHOD
+ * Runs as a job - results are kept under /api/jobs/:jobId
  */
 router.post('/bulk', async (req, res) => {
   try {
-    const { routes } = req.body;
+    const { routes, method } = req.body;
 
     if (!routes || !Array.isArray(routes)) {
       return res.status(400).json({
@@ -87,79 +251,31 @@ router.post('/bulk', async (req, res) => {
       });
     }
 
-    const maxConcurrent = parseInt(process.env.SCRAPER_CONCURRENT_ROUTES) || 5;
-
     if (routes.length > 50) {
       return res.status(400).json({
         error: 'Maximum 50 routes per bulk request'
       });
     }
 
+    const methodError = [method, ...routes.map(route => route.method)]
+      .map(getMethodValidationError)
+      .find(Boolean);
+    if (methodError) {
+      return res.status(400).json({ error: methodError });
+    }
+
     logger.info(`Bulk scraping ${routes.length} routes`);
 
-    // Send immediate response to prevent timeout
+    // Process routes in batches as a job (async)
+    const job = await startBulkJob('bulk', { routes, method });
+
     res.json({
       status: 'started',
+      jobId: job.id,
       totalRoutes: routes.length,
-      message: 'Bulk scraping started. Monitor progress via WebSocket.'
+      message: 'Bulk scraping started. Monitor progress via WebSocket or /api/jobs.'
     });
 
-    // Process routes in batches (async)
-    (async () => {
-      const results = [];
-      const batches = [];
-
-      // Create batches
-      for (let i = 0; i < routes.length; i += maxConcurrent) {
-        batches.push(routes.slice(i, i + maxConcurrent));
-      }
-
-      // Process batches
-      for (let batchIndex = 0; batchIndex < batches.length; batchIndex++) {
-        const batch = batches[batchIndex];
-
-        logger.info(`Processing batch ${batchIndex + 1}/${batches.length}`);
-
-        if (global.broadcast) {
-          global.broadcast({
-            type: 'bulk_progress',
-            batchIndex: batchIndex + 1,
-            totalBatches: batches.length,
-            processed: results.length,
-            total: routes.length,
-            timestamp: new Date().toISOString()
-          });
-        }
-
-        const batchResults = await Promise.all(
-          batch.map(async (route) => {
-            try {
-              const result = await scrapeFlights(route.origin, route.destination, route.date);
-              return { route, ...result };
-            } catch (error) {
-              return { route, success: false, error: error.message };
-            }
-          })
-        );
-
-        results.push(...batchResults);
-      }
-
-      // Send completion notification
-      if (global.broadcast) {
-        global.broadcast({
-          type: 'bulk_complete',
-          totalRoutes: routes.length,
-          successful: results.filter(r => r.success).length,
-          failed: results.filter(r => !r.success).length,
-          results,
-          timestamp: new Date().toISOString()
-        });
-      }
-
-      logger.info(`Bulk scraping complete: ${results.filter(r => r.success).length}/${routes.length} successful`);
-    })();
-
   } catch (error) {
     logger.error('Bulk scrape endpoint error:', error);
     res.status(500).json({ error: error.message });
@@ -169,6 +285,7 @@ router.post('/bulk', async (req, res) => {
 /**
  * POST /api/scraper/bulk-by-origin
  * Scrape all routes from a specific origin
+ * Runs as a job - results are kept under /api/jobs/:jobId
  */
 router.post('/bulk-by-origin', async (req, res) => {
   try {
@@ -194,42 +311,17 @@ router.post('/bulk-by-origin', async (req, res) => {
 
     logger.info(`Bulk scraping all routes from ${origin} for date ${date}`);
 
-    // Send immediate response
+    // Process asynchronously as a job
+    const job = await startBulkJob('bulk_by_origin', { origin, date, useCache });
+
     res.json({
       status: 'started',
+      jobId: job.id,
       origin,
       date,
-      message: 'Bulk scraping started. Monitor progress via WebSocket.'
+      message: 'Bulk scraping started. Monitor progress via WebSocket or /api/jobs.'
     });
 
-    // Process asynchronously
-    (async () => {
-      try {
-        const result = await scrapeRoutesByOrigin(origin.toUpperCase(), date, useCache);
-        
-        if (global.broadcast) {
-          global.broadcast({
-            type: 'bulk_by_origin_complete',
-            origin,
-            date,
-            ...result,
-            timestamp: new Date().toISOString()
-          });
-        }
-      } catch (error) {
-        logger.error(`Bulk by origin failed: ${error.message}`);
-        if (global.broadcast) {
-          global.broadcast({
-            type: 'bulk_by_origin_error',
-            origin,
-            date,
-            error: error.message,
-            timestamp: new Date().toISOString()
-          });
-        }
-      }
-    })();
-
   } catch (error) {
     logger.error('Bulk by origin endpoint error:', error);
     res.status(500).json({ error: error.message });
@@ -239,6 +331,7 @@ router.post('/bulk-by-origin', async (req, res) => {
 /**
  * POST /api/scraper/bulk-all
  * Scrape all available routes
+ * Runs as a job - results are kept under /api/jobs/:jobId
  */
 router.post('/bulk-all', async (req, res) => {
   try {
@@ -267,40 +360,17 @@ router.post('/bulk-all', async (req, res) => {
 
     logger.info(`Bulk scraping all ${routeCount} routes for date ${date}`);
 
-    // Send immediate response
+    // Process asynchronously as a job
+    const job = await startBulkJob('bulk_all', { date, useCache });
+
     res.json({
       status: 'started',
+      jobId: job.id,
       date,
       totalRoutes: routeCount,
-      message: 'Bulk scraping started. This may take a while. Monitor progress via WebSocket.'
+      message: 'Bulk scraping started. This may take a while. Monitor progress via WebSocket or /api/jobs.'
     });
 
-    // Process asynchronously
-    (async () => {
-      try {
-        const result = await scrapeAllRoutes(date, useCache);
-        
-        if (global.broadcast) {
-          global.broadcast({
-            type: 'bulk_all_complete',
-            date,
-            ...result,
-            timestamp: new Date().toISOString()
-          });
-        }
-      } catch (error) {
-        logger.error(`Bulk all failed: ${error.message}`);
-        if (global.broadcast) {
-          global.broadcast({
-            type: 'bulk_all_error',
-            date,
-            error: error.message,
-            timestamp: new Date().toISOString()
-          });
-        }
-      }
-    })();
-
   } catch (error) {
     logger.error('Bulk all endpoint error:', error);
     res.status(500).json({ error: error.message });
@@ -319,6 +389,7 @@ router.get('/status', (req, res) => {
 
   res.json({
     scraperMethod: process.env.SCRAPER_METHOD || 'playwright',
+    scraperMethods: getAdapterStats(),
     timeoutSeconds: parseInt(process.env.SCRAPER_TIMEOUT_SECONDS) || 90,
     maxRetries: parseInt(process.env.SCRAPER_MAX_RETRIES) || 3,
     maxConcurrent: parseInt(process.env.SCRAPER_CONCURRENT_ROUTES) || 5,
@@ -327,7 +398,11 @@ router.get('/status', (req, res) => {
     wsConnections: global.wsClients ? global.wsClients.size : 0,
     routesAvailable: routeStorage.getRoutes().length,
     cacheEnabled: cache.shouldUseCache(),
-    cacheStats: cache.getStats()
+    cacheStats: cache.getStats(),
+    dedupStats: getRequestCoalescer().getStats(),
+    schedulerStats: getScrapeScheduler().getStats(),
+    requestBudget: getRequestBudget().getStats(),
+    retryPolicy: getRetryPolicy().getStats()
   });
 });
 
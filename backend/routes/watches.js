@@ -0,0 +1,144 @@
+/**
+ * Watchlist API Routes
+ * CRUD for scheduled route/origin watches
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getWatchlist } = require('../services/watchlist');
+const logger = require('../utils/logger');
+
+/**
+ * GET /api/watches
+ * List all watches with their last run and recent alerts
+ */
+router.get('/', async (req, res) => {
+  try {
+    const watchlist = getWatchlist();
+    const watches = await watchlist.list();
+
+    res.json({
+      success: true,
+      watches,
+      status: watchlist.getStatus()
+    });
+  } catch (error) {
+    logger.error(`Failed to list watches: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list watches'
+    });
+  }
+});
+
+/**
+ * GET /api/watches/:id
+ */
+router.get('/:id', async (req, res) => {
+  const watch = await getWatchlist().get(req.params.id);
+
+  if (!watch) {
+    return res.status(404).json({ success: false, error: 'Watch not found' });
+  }
+
+  res.json({ success: true, watch });
+});
+
+/**
+ * POST /api/watches
+ * Create a watch
+ * Body: { origin, destination?, date | dateFrom + dateTo, name?, intervalMinutes?,
+ *         filters?: { maxFare, nonstopOnly, departAfter, departBefore } }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const result = await getWatchlist().create(req.body || {});
+
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+
+    res.status(201).json({ success: true, watch: result.watch });
+  } catch (error) {
+    logger.error(`Failed to create watch: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create watch'
+    });
+  }
+});
+
+/**
+ * PUT /api/watches/:id
+ * Update a watch (only the fields provided change, e.g. { enabled: false })
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const result = await getWatchlist().update(req.params.id, req.body || {});
+
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'Watch not found' });
+    }
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+
+    res.json({ success: true, watch: result.watch });
+  } catch (error) {
+    logger.error(`Failed to update watch: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update watch'
+    });
+  }
+});
+
+/**
+ * DELETE /api/watches/:id
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const removed = await getWatchlist().remove(req.params.id);
+
+    if (!removed) {
+      return res.status(404).json({ success: false, error: 'Watch not found' });
+    }
+
+    res.json({ success: true, message: 'Watch deleted' });
+  } catch (error) {
+    logger.error(`Failed to delete watch: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete watch'
+    });
+  }
+});
+
+/**
+ * POST /api/watches/:id/run
+ * Run a watch now instead of waiting for its next scheduled run
+ * Runs in the background - results arrive via watch_alert / watch_run_complete WebSocket events
+ */
+router.post('/:id/run', async (req, res) => {
+  const watchlist = getWatchlist();
+  const watch = await watchlist.get(req.params.id);
+
+  if (!watch) {
+    return res.status(404).json({ success: false, error: 'Watch not found' });
+  }
+
+  if (watchlist.getStatus().running) {
+    return res.status(409).json({ success: false, error: 'Another watch is running, try again shortly' });
+  }
+
+  watchlist.runWatch(watch.id).catch(error => {
+    logger.error(`Watch run failed: ${error.message}`);
+  });
+
+  res.json({
+    success: true,
+    message: `Running ${watch.name}. Monitor progress via WebSocket.`
+  });
+});
+
+module.exports = router;
@@ -23,7 +23,17 @@ const scraperRoutes = require('./routes/scraper');
 const proxyRoutes = require('./routes/proxy');
 const configRoutes = require('./routes/config');
 const routeRoutes = require('./routes/routes');
+const cacheRoutes = require('./routes/cache');
+const historyRoutes = require('./routes/history');
+const watchRoutes = require('./routes/watches');
+const notificationRoutes = require('./routes/notifications');
+const jobRoutes = require('./routes/jobs');
 const { initializeProxyManager } = require('./services/decodoProxyManager');
+const { getWatchlist } = require('./services/watchlist');
+const { getJobManager } = require('./services/jobManager');
+const { getNotifier } = require('./services/notifier');
+const { getSchemaMonitor } = require('./services/schemaMonitor');
+const { cleanupAdapters } = require('./services/scraperAdapters');
 const logger = require('./utils/logger');
 
 // Initialize Express app
@@ -62,8 +72,10 @@ wss.on('connection', (ws) => {
   }));
 });
 
-// Broadcast function for WebSocket
+// Broadcast function for WebSocket (also forwarded to notification channels)
 global.broadcast = (data) => {
+  getNotifier().handleEvent(data);
+
   const message = JSON.stringify(data);
   global.wsClients.forEach((client) => {
     if (client.readyState === WebSocket.OPEN) {
@@ -97,16 +109,26 @@ app.use('/api/scraper', scraperRoutes);
 app.use('/api/proxy', proxyRoutes);
 app.use('/api/config', configRoutes);
 app.use('/api/routes', routeRoutes);
+app.use('/api/cache', cacheRoutes);
+app.use('/api/history', historyRoutes);
+app.use('/api/watches', watchRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/jobs', jobRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
+  const flightDataSchema = getSchemaMonitor().getHealth();
+
   res.json({
-    status: 'healthy',
+    status: flightDataSchema.status === 'drift' ? 'degraded' : 'healthy',
     uptime: process.uptime(),
     timestamp: new Date().toISOString(),
     version: require('../package.json').version,
     environment: process.env.NODE_ENV || 'development',
-    wsConnections: global.wsClients.size
+    wsConnections: global.wsClients.size,
+    checks: {
+      flightDataSchema
+    }
   });
 });
 
@@ -162,12 +184,27 @@ server.listen(PORT, HOST, () => {
   logger.info(`Scraper Method: ${process.env.SCRAPER_METHOD || 'playwright'}`);
   logger.info(`Decodo Proxies: ${process.env.DECODO_USERNAME ? 'Enabled ✓' : 'Disabled ✗'}`);
   logger.info('='.repeat(80));
+
+  // Load stored jobs (marks any cut off by the last shutdown as interrupted) and
+  // point out the ones that can be resumed from the UI or POST /api/jobs/:id/resume
+  getJobManager().list({ status: 'interrupted' })
+    .then(jobs => jobs.filter(job => job.checkpointed).forEach(job => {
+      logger.warn(`Job ${job.id} (${job.label}) was interrupted at ${job.progress.processed}/${job.progress.total} routes - it can be resumed`);
+    }))
+    .catch(error => logger.error(`Failed to load jobs: ${error.message}`));
+
+  // Start scheduled watch re-scraping
+  if (process.env.WATCH_SCHEDULER_ENABLED !== 'false') {
+    getWatchlist().start();
+  }
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully...');
-  server.close(() => {
+  getWatchlist().stop();
+  server.close(async () => {
+    await cleanupAdapters();
     logger.info('Server closed');
     process.exit(0);
   });
@@ -175,7 +212,9 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   logger.info('SIGINT received, shutting down gracefully...');
-  server.close(() => {
+  getWatchlist().stop();
+  server.close(async () => {
+    await cleanupAdapters();
     logger.info('Server closed');
     process.exit(0);
   });
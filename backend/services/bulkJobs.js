@@ -0,0 +1,309 @@
+/**
+ * Bulk Jobs
+ * The three bulk operations run as jobs (see jobManager.js): a route list (bulk),
+ * every route from one origin (bulk_by_origin) and every route (bulk_all)
+ *
+ * Live scrapes run at bulk priority in the scrape scheduler, one group per job, so
+ * searches go first and concurrent jobs share the bulk slots evenly. With BULK_HOURS
+ * set, jobs only start routes inside those hours (see requestBudget.js).
+ *
+ * Each job's route list is checkpointed when it starts, and a job is rebuilt from
+ * its type and params alone - so one interrupted by a crash or deploy resumes with
+ * its original date and useCache, running only the routes it hadn't finished.
+ */
+
+const { scrapeFlights } = require('./scraper');
+const { scrapeRoutesByOrigin, scrapeAllRoutes } = require('./bulkScraper');
+const { getRouteStorage } = require('./routeStorage');
+const { getJobManager, JOB_STATUS } = require('./jobManager');
+const { getRequestBudget } = require('./requestBudget');
+const { toErrorInfo } = require('./scrapeErrors');
+const logger = require('../utils/logger');
+
+/**
+ * Label and route list ({ origin, destination, date, method? }) for a new job
+ */
+function describeJob(type, params) {
+  const routeStorage = getRouteStorage();
+
+  switch (type) {
+    case 'bulk':
+      return {
+        label: `${params.routes.length} route${params.routes.length === 1 ? '' : 's'}`,
+        routes: params.routes.map(({ origin, destination, date, method }) => ({
+          origin,
+          destination,
+          date,
+          ...(method && { method })
+        }))
+      };
+    case 'bulk_by_origin':
+      return {
+        label: `${params.origin} to all destinations, ${params.date}`,
+        routes: routeStorage.getAllRoutesForOrigin(params.origin)
+          .map(({ origin, destination }) => ({ origin, destination, date: params.date }))
+      };
+    case 'bulk_all':
+      return {
+        label: `All routes, ${params.date}`,
+        routes: routeStorage.getAllRoutes()
+          .map(({ origin, destination }) => ({ origin, destination, date: params.date }))
+      };
+    default:
+      throw new Error(`Unknown bulk job type: ${type}`);
+  }
+}
+
+const BULK_HOURS_POLL_MS = 5000;
+
+/**
+ * The job's checkpoint() that first waits for BULK_HOURS to open - it polls, so a
+ * job cancelled while waiting stops within a few seconds
+ */
+function withinBulkHours(job, checkpoint) {
+  let waiting = false;
+
+  return async () => {
+    const budget = getRequestBudget();
+
+    while (!budget.isBulkWindowOpen()) {
+      if (job.cancelRequestedAt) {
+        return false;
+      }
+
+      if (!waiting) {
+        waiting = true;
+        const { bulkHours } = budget.getStats();
+        logger.info(`Job ${job.id} waiting for bulk hours (${bulkHours.window}, opens ${bulkHours.opensAt})`);
+
+        if (global.broadcast) {
+          global.broadcast({
+            type: 'bulk_waiting',
+            jobId: job.id,
+            label: job.label,
+            bulkHours: bulkHours.window,
+            opensAt: bulkHours.opensAt,
+            timestamp: new Date().toISOString()
+          });
+        }
+      }
+      await new Promise(resolve => setTimeout(resolve, BULK_HOURS_POLL_MS));
+    }
+
+    waiting = false;
+    return checkpoint();
+  };
+}
+
+/**
+ * bulk: the given routes in batches of SCRAPER_CONCURRENT_ROUTES
+ * A route's method overrides params.method, which overrides SCRAPER_METHOD
+ */
+async function runBulk(params, { job, routes, recordResult, checkpoint }) {
+  const canStart = withinBulkHours(job, checkpoint);
+  const maxConcurrent = parseInt(process.env.SCRAPER_CONCURRENT_ROUTES) || 5;
+  const results = [];
+  const batches = [];
+
+  // Create batches
+  for (let i = 0; i < routes.length; i += maxConcurrent) {
+    batches.push(routes.slice(i, i + maxConcurrent));
+  }
+
+  // Process batches
+  for (let batchIndex = 0; batchIndex < batches.length; batchIndex++) {
+    const batch = batches[batchIndex];
+
+    // Waits here while the job is paused or outside bulk hours; stops if it was cancelled
+    if (!(await canStart())) {
+      logger.info(`Bulk job ${job.id} cancelled after ${results.length}/${routes.length} routes`);
+      break;
+    }
+
+    logger.info(`Processing batch ${batchIndex + 1}/${batches.length}`);
+
+    if (global.broadcast) {
+      global.broadcast({
+        type: 'bulk_progress',
+        jobId: job.id,
+        batchIndex: batchIndex + 1,
+        totalBatches: batches.length,
+        processed: results.length,
+        total: routes.length,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const batchResults = await Promise.all(
+      batch.map(async (route) => {
+        let result;
+        try {
+          const routeMethod = route.method || params.method;
+          result = {
+            route,
+            ...await scrapeFlights(route.origin, route.destination, route.date, {
+              ...(routeMethod && { method: routeMethod }),
+              priority: 'bulk',
+              group: job.id
+            })
+          };
+        } catch (error) {
+          result = { route, success: false, error: error.message, errorInfo: toErrorInfo(error) };
+        }
+
+        recordResult({
+          origin: route.origin,
+          destination: route.destination,
+          date: route.date,
+          success: result.success,
+          cached: !!result.cached,
+          flights: result.flights,
+          error: result.error,
+          errorInfo: result.errorInfo
+        });
+        return result;
+      })
+    );
+
+    results.push(...batchResults);
+  }
+
+  const successful = results.filter(r => r.success).length;
+
+  // Send completion notification
+  if (global.broadcast) {
+    global.broadcast({
+      type: 'bulk_complete',
+      jobId: job.id,
+      totalRoutes: routes.length,
+      successful,
+      failed: results.length - successful,
+      results,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  logger.info(`Bulk scraping complete: ${successful}/${routes.length} successful`);
+  return { successful, failed: results.length - successful };
+}
+
+/**
+ * bulk_by_origin: scrapeRoutesByOrigin over the job's routes
+ */
+async function runBulkByOrigin(params, { job, routes, recordResult, checkpoint }) {
+  const { origin, date, useCache } = params;
+
+  try {
+    const result = await scrapeRoutesByOrigin(origin, date, useCache, {
+      routes,
+      onRouteResult: recordResult,
+      canStart: withinBulkHours(job, checkpoint),
+      scrapeOptions: { priority: 'bulk', group: job.id }
+    });
+    if (result.error) {
+      throw new Error(result.error);
+    }
+
+    if (global.broadcast) {
+      global.broadcast({
+        type: 'bulk_by_origin_complete',
+        jobId: job.id,
+        origin,
+        date,
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    return result.stats;
+  } catch (error) {
+    logger.error(`Bulk by origin failed: ${error.message}`);
+    if (global.broadcast) {
+      global.broadcast({
+        type: 'bulk_by_origin_error',
+        jobId: job.id,
+        origin,
+        date,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+    throw error;
+  }
+}
+
+/**
+ * bulk_all: scrapeAllRoutes over the job's routes
+ */
+async function runBulkAll(params, { job, routes, recordResult, checkpoint }) {
+  const { date, useCache } = params;
+
+  try {
+    const result = await scrapeAllRoutes(date, useCache, {
+      routes,
+      onRouteResult: recordResult,
+      canStart: withinBulkHours(job, checkpoint),
+      scrapeOptions: { priority: 'bulk', group: job.id }
+    });
+    if (result.error) {
+      throw new Error(result.error);
+    }
+
+    if (global.broadcast) {
+      global.broadcast({
+        type: 'bulk_all_complete',
+        jobId: job.id,
+        date,
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    return result.stats;
+  } catch (error) {
+    logger.error(`Bulk all failed: ${error.message}`);
+    if (global.broadcast) {
+      global.broadcast({
+        type: 'bulk_all_error',
+        jobId: job.id,
+        date,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+    throw error;
+  }
+}
+
+const RUNNERS = {
+  bulk: runBulk,
+  bulk_by_origin: runBulkByOrigin,
+  bulk_all: runBulkAll
+};
+
+/**
+ * Start a bulk job - returns the job record
+ * params: bulk { routes, method? }, bulk_by_origin { origin, date, useCache },
+ *         bulk_all { date, useCache }
+ */
+async function startBulkJob(type, params) {
+  const { label, routes } = describeJob(type, params);
+  return getJobManager().start(type, params, { label, routes }, handle => RUNNERS[type](params, handle));
+}
+
+/**
+ * Resume a paused job, or restart one interrupted by a restart from its checkpoint
+ * Returns null, { error } or { job } like jobManager.resume()
+ */
+async function resumeBulkJob(id) {
+  const jobManager = getJobManager();
+  const job = await jobManager.get(id);
+
+  if (job && job.status === JOB_STATUS.INTERRUPTED) {
+    return jobManager.restart(id, handle => RUNNERS[job.type](job.params, handle));
+  }
+
+  return jobManager.resume(id);
+}
+
+module.exports = { startBulkJob, resumeBulkJob };
@@ -4,26 +4,94 @@
  */
 
 const { scrapeFlights } = require('./scraper');
+const { isReplayMethod } = require('./scraperAdapters');
 const { getCache } = require('./cache');
 const { getRouteStorage } = require('./routeStorage');
+const { toErrorInfo } = require('./scrapeErrors');
 const logger = require('../utils/logger');
 
+/**
+ * All dates from dateFrom to dateTo (inclusive, YYYY-MM-DD)
+ */
+function datesInRange(dateFrom, dateTo) {
+  const dates = [];
+  const current = new Date(`${dateFrom}T00:00:00Z`);
+  const end = new Date(`${dateTo}T00:00:00Z`);
+
+  while (current <= end) {
+    dates.push(current.toISOString().split('T')[0]);
+    current.setUTCDate(current.getUTCDate() + 1);
+  }
+
+  return dates;
+}
+
+/**
+ * Whether value is a YYYY-MM-DD date that exists on the calendar (not e.g. 2025-02-31)
+ */
+function isCalendarDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+/**
+ * Number of dates datesInRange(dateFrom, dateTo) would return, without building the list
+ */
+function countDaysInRange(dateFrom, dateTo) {
+  const days = (Date.parse(`${dateTo}T00:00:00Z`) - Date.parse(`${dateFrom}T00:00:00Z`)) / 86400000;
+  return days >= 0 ? Math.floor(days) + 1 : 0;
+}
+
+/**
+ * Start delay for the index-th route of the initial batch: the first starts
+ * immediately, the others 1-5 seconds later
+ */
+function initialStartDelay(index) {
+  return index === 0 ? 0 : Math.floor(Math.random() * 4000) + 1000;
+}
+
 /**
  * Process routes concurrently with a limit
- * Initial batch starts with random delays to avoid detection
+ * Initial batch starts with random delays to avoid detection (startDelay, see initialStartDelay)
  * Subsequent routes start immediately when one finishes
+ * canStart() (optional, async) is asked before each delayed or subsequent route starts:
+ * it may wait (job paused) and resolves false to start no more routes (job cancelled) -
+ * routes already running always finish
  */
-async function processRoutesConcurrently(routes, processRoute, maxConcurrent) {
+async function processRoutesConcurrently(routes, processRoute, maxConcurrent, startDelay = initialStartDelay, canStart = null) {
   const inProgress = new Set();
+  // Initial-batch routes still waiting out their start delay (or on canStart) - they hold a
+  // slot, or a fast first route would free room for more than maxConcurrent routes and the
+  // loop below could finish before the delayed ones had even started
+  let scheduled = 0;
   let currentIndex = 0;
   let initialBatchScheduled = false;
   let initialBatchStarted = false;
+  let stopped = false;
+
+  const mayStart = async () => {
+    if (!stopped && canStart && !(await canStart())) {
+      logger.info(`Stopped starting routes after ${currentIndex}/${routes.length}`);
+      stopped = true;
+    }
+    return !stopped;
+  };
 
   // Helper to start a route with optional delay
   const startRoute = (route, routeIndex, total, delay = 0) => {
     if (delay > 0) {
       // Schedule route to start after delay
-      setTimeout(() => {
+      scheduled++;
+      setTimeout(async () => {
+        const go = await mayStart();
+        scheduled--;
+        if (!go) {
+          return;
+        }
+
         const promise = processRoute(route, routeIndex, total)
           .finally(() => {
             inProgress.delete(promise);
@@ -56,11 +124,8 @@ async function processRoutesConcurrently(routes, processRoute, maxConcurrent) {
       const route = routes[currentIndex++];
       const routeIndex = currentIndex;
       
-      // Random delay between 1-5 seconds for initial batch
       // First route starts immediately, others are staggered
-      const delay = i === 0 ? 0 : Math.floor(Math.random() * 4000) + 1000; // 1-5 seconds
-      
-      startRoute(route, routeIndex, routes.length, delay);
+      startRoute(route, routeIndex, routes.length, startDelay(i));
     }
     
     // If first route starts immediately, mark as started
@@ -82,14 +147,20 @@ async function processRoutesConcurrently(routes, processRoute, maxConcurrent) {
   }
 
   // Process remaining routes: when one finishes, start the next immediately
-  while (currentIndex < routes.length || inProgress.size > 0) {
-    // Wait for at least one route to complete
+  while ((currentIndex < routes.length && !stopped) || inProgress.size > 0 || scheduled > 0) {
+    // Wait for at least one route to complete (or a delayed one to start)
     if (inProgress.size > 0) {
       await Promise.race(Array.from(inProgress));
+    } else if (scheduled > 0) {
+      await new Promise(resolve => setTimeout(resolve, 100));
     }
 
     // Start new routes immediately when slots become available
-    while (inProgress.size < maxConcurrent && currentIndex < routes.length) {
+    while (inProgress.size + scheduled < maxConcurrent && currentIndex < routes.length) {
+      if (!(await mayStart())) {
+        break;
+      }
+
       const route = routes[currentIndex++];
       const routeIndex = currentIndex;
       
@@ -103,17 +174,43 @@ async function processRoutesConcurrently(routes, processRoute, maxConcurrent) {
     await Promise.all(Array.from(inProgress));
   }
   
-  logger.info(`All ${routes.length} routes processed`);
+  if (!stopped) {
+    logger.info(`All ${routes.length} routes processed`);
+  }
+}
+
+/**
+ * Wrap a processRoute so each outcome is also handed to onRouteResult,
+ * merged with describe(route) (date, flights...)
+ */
+function withRouteReporting(processRoute, onRouteResult, describe) {
+  if (!onRouteResult) {
+    return processRoute;
+  }
+
+  return async (route, current, total) => {
+    const outcome = await processRoute(route, current, total);
+    onRouteResult({ cached: false, ...outcome, ...describe(route) });
+    return outcome;
+  };
 }
 
 /**
  * Scrape all routes from a specific origin
  * Returns hierarchical results: { origin, destinations: { dest: flights[] } }
+ * options (used by bulk jobs and watches):
+ * - routes          scrape only these routes instead of every route in routeStorage (resuming a job)
+ * - onRouteResult   called with { origin, destination, date, success, cached, flights, error, errorInfo }
+ *                   as each route finishes
+ * - canStart        gates each new route, see processRoutesConcurrently (pause and cancel)
+ * - scrapeOptions   passed to scrapeFlights for live scrapes (default bulk scheduler priority)
  */
-async function scrapeRoutesByOrigin(origin, date, useCache = true) {
+async function scrapeRoutesByOrigin(origin, date, useCache = true, options = {}) {
+  const { onRouteResult = null, canStart = null, scrapeOptions = { priority: 'bulk' } } = options;
   const routeStorage = getRouteStorage();
   const cache = getCache();
-  const routes = routeStorage.getAllRoutesForOrigin(origin);
+  const cacheOptions = { replayed: isReplayMethod(scrapeOptions.method) };
+  const routes = options.routes || routeStorage.getAllRoutesForOrigin(origin);
 
   if (routes.length === 0) {
     return {
@@ -173,10 +270,10 @@ async function scrapeRoutesByOrigin(origin, date, useCache = true) {
       // Check cache if enabled
       let cachedData = null;
       if (useCache && cache.shouldUseCache()) {
-        cachedData = await cache.get(origin, destination, date);
+        cachedData = await cache.get(origin, destination, date, null, cacheOptions);
       } else if (useCache) {
         // Even if cache checking is disabled, check if data exists for stats
-        cachedData = await cache.getUnchecked(origin, destination, date);
+        cachedData = await cache.getUnchecked(origin, destination, date, null, cacheOptions);
       }
 
       if (cachedData) {
@@ -211,7 +308,7 @@ async function scrapeRoutesByOrigin(origin, date, useCache = true) {
       } else {
         // Scrape live
         logger.info(`[${origin}-${destination}] Starting live scrape (${current}/${total})`);
-        const result = await scrapeFlights(origin, destination, date);
+        const result = await scrapeFlights(origin, destination, date, scrapeOptions);
         
         if (result.success) {
           results.destinations[destination] = result.flights || [];
@@ -233,6 +330,7 @@ async function scrapeRoutesByOrigin(origin, date, useCache = true) {
             route: `${origin}-${destination}`,
             success: result.success,
             flightCount: result.flights?.length || 0,
+            ...(!result.success && { error: result.error, errorInfo: result.errorInfo }),
             current,
             total,
             stats: { 
@@ -246,7 +344,7 @@ async function scrapeRoutesByOrigin(origin, date, useCache = true) {
           });
         }
         
-        return { destination, success: result.success };
+        return { destination, success: result.success, error: result.error, errorInfo: result.errorInfo };
       }
     } catch (error) {
       logger.error(`Error scraping ${origin}-${destination}: ${error.message}`);
@@ -262,6 +360,7 @@ async function scrapeRoutesByOrigin(origin, date, useCache = true) {
           destination,
           route: `${origin}-${destination}`,
           error: error.message,
+          errorInfo: toErrorInfo(error),
           current,
           total,
           stats: { ...results.stats },
@@ -269,12 +368,16 @@ async function scrapeRoutesByOrigin(origin, date, useCache = true) {
         });
       }
       
-      return { destination, success: false, error: error.message };
+      return { destination, success: false, error: error.message, errorInfo: toErrorInfo(error) };
     }
   };
 
   // Process routes concurrently
-  await processRoutesConcurrently(routes, processRoute, maxConcurrent);
+  await processRoutesConcurrently(routes, withRouteReporting(processRoute, onRouteResult, route => ({
+    origin,
+    date,
+    flights: results.destinations[route.destination]
+  })), maxConcurrent, initialStartDelay, canStart);
 
   results.success = results.stats.failed < results.stats.total;
   return results;
@@ -283,12 +386,15 @@ async function scrapeRoutesByOrigin(origin, date, useCache = true) {
 /**
  * Scrape all available routes
  * Returns hierarchical results: { origins: { origin: { destinations: { dest: flights[] } } } }
+ * options (routes, onRouteResult, canStart, scrapeOptions) work as in scrapeRoutesByOrigin
  */
-async function scrapeAllRoutes(date, useCache = true) {
+async function scrapeAllRoutes(date, useCache = true, options = {}) {
+  const { onRouteResult = null, canStart = null, scrapeOptions = { priority: 'bulk' } } = options;
   const routeStorage = getRouteStorage();
   const cache = getCache();
-  const allRoutes = routeStorage.getAllRoutes();
-  const origins = routeStorage.getOrigins();
+  const cacheOptions = { replayed: isReplayMethod(scrapeOptions.method) };
+  const allRoutes = options.routes || routeStorage.getAllRoutes();
+  const origins = [...new Set(allRoutes.map(route => route.origin))].sort();
 
   if (allRoutes.length === 0) {
     return {
@@ -353,9 +459,9 @@ async function scrapeAllRoutes(date, useCache = true) {
       // Check cache if enabled
       let cachedData = null;
       if (useCache && cache.shouldUseCache()) {
-        cachedData = await cache.get(origin, destination, date);
+        cachedData = await cache.get(origin, destination, date, null, cacheOptions);
       } else if (useCache) {
-        cachedData = await cache.getUnchecked(origin, destination, date);
+        cachedData = await cache.getUnchecked(origin, destination, date, null, cacheOptions);
       }
 
       if (cachedData) {
@@ -390,7 +496,7 @@ async function scrapeAllRoutes(date, useCache = true) {
       } else {
         // Scrape live
         logger.info(`[${origin}-${destination}] Starting live scrape (${current}/${total})`);
-        const result = await scrapeFlights(origin, destination, date);
+        const result = await scrapeFlights(origin, destination, date, scrapeOptions);
         
         if (result.success) {
           results.origins[origin].destinations[destination] = result.flights || [];
@@ -412,6 +518,7 @@ async function scrapeAllRoutes(date, useCache = true) {
             route: `${origin}-${destination}`,
             success: result.success,
             flightCount: result.flights?.length || 0,
+            ...(!result.success && { error: result.error, errorInfo: result.errorInfo }),
             current,
             total,
             stats: { 
@@ -425,7 +532,7 @@ async function scrapeAllRoutes(date, useCache = true) {
           });
         }
         
-        return { origin, destination, success: result.success };
+        return { origin, destination, success: result.success, error: result.error, errorInfo: result.errorInfo };
       }
     } catch (error) {
       logger.error(`Error scraping ${origin}-${destination}: ${error.message}`);
@@ -441,6 +548,7 @@ async function scrapeAllRoutes(date, useCache = true) {
           destination,
           route: `${origin}-${destination}`,
           error: error.message,
+          errorInfo: toErrorInfo(error),
           current,
           total,
           stats: { ...results.stats },
@@ -448,19 +556,108 @@ async function scrapeAllRoutes(date, useCache = true) {
         });
       }
       
-      return { origin, destination, success: false, error: error.message };
+      return { origin, destination, success: false, error: error.message, errorInfo: toErrorInfo(error) };
     }
   };
 
   // Process routes concurrently
-  await processRoutesConcurrently(allRoutes, processRoute, maxConcurrent);
+  await processRoutesConcurrently(allRoutes, withRouteReporting(processRoute, onRouteResult, route => ({
+    date,
+    flights: results.origins[route.origin].destinations[route.destination]
+  })), maxConcurrent, initialStartDelay, canStart);
 
   results.success = results.stats.failed < results.stats.total;
   return results;
 }
 
+/**
+ * Scrape one route across a range of departure dates
+ * Returns a per-day summary: { date, success, cached, flightCount, cheapestFare, hasNonstop }
+ */
+async function scrapeDateRange(origin, destination, dates, useCache = true) {
+  const cache = getCache();
+  const cacheOptions = { replayed: isReplayMethod() };
+  const days = {};
+  const stats = {
+    total: dates.length,
+    cached: 0,
+    scraped: 0,
+    failed: 0
+  };
+
+  const maxConcurrent = parseInt(process.env.SCRAPER_CONCURRENT_ROUTES) || 5;
+  logger.info(`Scraping ${origin}-${destination} across ${dates.length} dates (${dates[0]} to ${dates[dates.length - 1]})`);
+
+  const summarize = (date, flights) => {
+    const fares = flights.map(flight => flight.rawFare).filter(fare => typeof fare === 'number');
+    return {
+      date,
+      success: true,
+      flightCount: flights.length,
+      cheapestFare: fares.length > 0 ? Math.min(...fares) : null,
+      hasNonstop: flights.some(flight => flight.stopCount === 0)
+    };
+  };
+
+  // Dates go through the concurrency limiter like routes do
+  const processDate = async ({ date }, current, total) => {
+    try {
+      let cachedData = null;
+      if (useCache && cache.shouldUseCache()) {
+        cachedData = await cache.get(origin, destination, date, null, cacheOptions);
+      } else if (useCache) {
+        cachedData = await cache.getUnchecked(origin, destination, date, null, cacheOptions);
+      }
+
+      if (cachedData) {
+        days[date] = { ...summarize(date, cachedData.flights || []), cached: true };
+        stats.cached++;
+      } else {
+        logger.info(`[${origin}-${destination}] Starting live scrape for ${date} (${current}/${total})`);
+        const result = await scrapeFlights(origin, destination, date);
+
+        if (result.success) {
+          days[date] = { ...summarize(date, result.flights || []), cached: false };
+          stats.scraped++;
+        } else {
+          days[date] = { date, success: false, cached: false, flightCount: 0, cheapestFare: null, hasNonstop: false, error: result.error, errorInfo: result.errorInfo };
+          stats.failed++;
+        }
+      }
+    } catch (error) {
+      logger.error(`Error scraping ${origin}-${destination} on ${date}: ${error.message}`);
+      days[date] = { date, success: false, cached: false, flightCount: 0, cheapestFare: null, hasNonstop: false, error: error.message, errorInfo: toErrorInfo(error) };
+      stats.failed++;
+    }
+  };
+
+  await processRoutesConcurrently(dates.map(date => ({ date })), processDate, maxConcurrent);
+
+  const summary = dates.map(date => days[date]);
+  const withFares = summary.filter(day => day.cheapestFare !== null);
+  const cheapest = withFares.length > 0
+    ? withFares.reduce((best, day) => (day.cheapestFare < best.cheapestFare ? day : best))
+    : null;
+
+  return {
+    success: stats.failed < stats.total,
+    origin,
+    destination,
+    startDate: dates[0],
+    endDate: dates[dates.length - 1],
+    days: summary,
+    cheapest: cheapest ? { date: cheapest.date, fare: cheapest.cheapestFare } : null,
+    stats
+  };
+}
+
 module.exports = {
+  processRoutesConcurrently,
   scrapeRoutesByOrigin,
-  scrapeAllRoutes
+  scrapeAllRoutes,
+  scrapeDateRange,
+  datesInRange,
+  isCalendarDate,
+  countDaysInRange
 };
 
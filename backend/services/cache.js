@@ -1,81 +1,137 @@
 const fs = require('fs').promises;
 const path = require('path');
+const { createCacheBackend } = require('./cacheBackends');
+const { DEFAULT_TTL_POLICY, parseTtlPolicy, formatTtlPolicy, getTtlMinutes } = require('./cacheTtlPolicy');
 const logger = require('../utils/logger');
 
 const CACHE_DIR = path.join(__dirname, '../../cache');
-const CACHE_FILE = path.join(CACHE_DIR, 'flights-cache.json');
-const CACHE_MAX_AGE_HOURS = 6;
+const CACHE_BACKEND = process.env.CACHE_BACKEND || 'sqlite';
+const ROUND_TRIP_SEPARATOR = '-RT-'; // DEN-LAS-2025-11-01-RT-2025-11-05
+const MAX_STALE_MINUTES = parseInt(process.env.CACHE_MAX_STALE_MINUTES) || 1440; // Older entries are pruned
+const STATS_MAX_ENTRIES = 50; // Entries getStats() describes - the status payload stays small
+
+/**
+ * Turn a key pattern such as "DEN-*-2025-11-*" into a RegExp ("*" matches anything)
+ */
+function patternToRegExp(pattern) {
+  const escaped = pattern
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${escaped}$`, 'i');
+}
 
 class FlightCache {
-  constructor() {
-    this.cache = {};
-    this.enabled = process.env.CACHE_ENABLED === 'true';
-    this.init();
+  /**
+   * options (default to the environment): { dir, backend, enabled, ttlPolicy, maxStaleMinutes }
+   */
+  constructor(options = {}) {
+    const {
+      dir = CACHE_DIR,
+      backend = CACHE_BACKEND,
+      enabled = process.env.CACHE_ENABLED === 'true',
+      ttlPolicy = process.env.CACHE_TTL_POLICY,
+      maxStaleMinutes = MAX_STALE_MINUTES
+    } = options;
+
+    this.dir = dir;
+    this.enabled = enabled;
+    this.maxStaleMinutes = maxStaleMinutes;
+    this.ttlPolicy = this.loadTtlPolicy(ttlPolicy);
+    try {
+      this.backend = createCacheBackend(backend, dir);
+    } catch (error) {
+      logger.error(`${error.message}, using json`);
+      this.backend = createCacheBackend('json', dir);
+    }
+    this.ready = this.init();
   }
 
   async init() {
     try {
       // Ensure cache directory exists
-      await fs.mkdir(CACHE_DIR, { recursive: true });
-
-      // Load existing cache
-      await this.load();
+      await fs.mkdir(this.dir, { recursive: true });
+
+      try {
+        await this.backend.init();
+      } catch (error) {
+        if (this.backend.name === 'json') {
+          throw error;
+        }
+        // Fall back to the JSON file if the embedded store can't be opened
+        logger.error(`Failed to open ${this.backend.name} cache backend (${error.message}), falling back to json`);
+        this.backend = createCacheBackend('json', this.dir);
+        await this.backend.init();
+      }
 
-      logger.info(`Flight cache initialized (${this.enabled ? 'enabled' : 'disabled'})`);
+      logger.info(`Flight cache initialized (${this.enabled ? 'enabled' : 'disabled'}, backend: ${this.backend.name})`);
+      await this.prune();
     } catch (error) {
       logger.error(`Failed to initialize cache: ${error.message}`);
     }
   }
 
-  async load() {
+  loadTtlPolicy(policy) {
     try {
-      const data = await fs.readFile(CACHE_FILE, 'utf8');
-      this.cache = JSON.parse(data);
-      logger.info(`Loaded ${Object.keys(this.cache).length} cached routes`);
+      return parseTtlPolicy(policy || DEFAULT_TTL_POLICY);
     } catch (error) {
-      if (error.code !== 'ENOENT') {
-        logger.error(`Failed to load cache: ${error.message}`);
-      }
-      this.cache = {};
+      logger.error(`Invalid CACHE_TTL_POLICY (${error.message}), using default ${DEFAULT_TTL_POLICY}`);
+      return parseTtlPolicy(DEFAULT_TTL_POLICY);
     }
   }
 
-  async save() {
-    try {
-      await fs.writeFile(CACHE_FILE, JSON.stringify(this.cache, null, 2));
-    } catch (error) {
-      logger.error(`Failed to save cache: ${error.message}`);
-    }
+  /**
+   * Replace the TTL policy at runtime (throws on an invalid policy string)
+   */
+  setTtlPolicy(policy) {
+    this.ttlPolicy = parseTtlPolicy(policy);
+    logger.info(`Cache TTL policy set to ${formatTtlPolicy(this.ttlPolicy)}`);
   }
 
-  getCacheKey(origin, destination, date) {
-    return `${origin}-${destination}-${date}`;
+  getTtlPolicy() {
+    return formatTtlPolicy(this.ttlPolicy);
   }
 
-  isValidCache(entry) {
-    if (!entry || !entry.timestamp) {
-      return false;
-    }
+  /**
+   * Round-trip searches get their own key so they never collide with the one-way entry
+   */
+  getCacheKey(origin, destination, date, returnDate = null) {
+    const key = `${origin}-${destination}-${date}`;
+    return returnDate ? `${key}${ROUND_TRIP_SEPARATOR}${returnDate}` : key;
+  }
 
-    const now = new Date();
-    const cacheTime = new Date(entry.timestamp);
+  /**
+   * Split a cache key back into origin, destination, date and return date (null for one-way)
+   */
+  parseCacheKey(key) {
+    const [origin, destination, ...dateParts] = key.split('-');
+    const [date, returnDate = null] = dateParts.join('-').split(ROUND_TRIP_SEPARATOR);
+    return { origin, destination, date, returnDate };
+  }
 
-    // Check if cache is from a previous day
-    const cacheDay = cacheTime.toISOString().split('T')[0];
-    const currentDay = now.toISOString().split('T')[0];
+  /**
+   * Effective TTL in minutes for a departure date
+   */
+  getTtlMinutes(date) {
+    return getTtlMinutes(this.ttlPolicy, date);
+  }
 
-    if (cacheDay !== currentDay) {
+  isValidCache(entry, date) {
+    if (!entry || !entry.timestamp) {
       return false;
     }
 
-    // Check if cache is older than 6 hours
-    const ageInHours = (now - cacheTime) / (1000 * 60 * 60);
+    const ageInMinutes = (Date.now() - new Date(entry.timestamp)) / (1000 * 60);
 
-    if (ageInHours > CACHE_MAX_AGE_HOURS) {
-      return false;
-    }
+    return ageInMinutes <= this.getTtlMinutes(date);
+  }
 
-    return true;
+  /**
+   * Entries a replay stored are only served when options.replayed is set (replay
+   * searches), so archived fares are never taken for live data
+   */
+  isServable(entry, options = {}) {
+    return !entry.data?.replayed || !!options.replayed;
   }
 
   /**
@@ -87,25 +143,27 @@ class FlightCache {
 
   /**
    * Get cached data (only if cache is enabled)
+   * options: { replayed } - also serve entries a replay stored
    */
-  async get(origin, destination, date) {
+  async get(origin, destination, date, returnDate = null, options = {}) {
     if (!this.enabled) {
-      logger.debug(`Cache disabled, skipping check for ${origin}-${destination}-${date}`);
+      logger.debug(`Cache disabled, skipping check for ${this.getCacheKey(origin, destination, date, returnDate)}`);
       return null;
     }
 
-    const key = this.getCacheKey(origin, destination, date);
-    const entry = this.cache[key];
+    await this.ready;
 
-    if (!entry) {
+    const key = this.getCacheKey(origin, destination, date, returnDate);
+    const entry = this.backend.get(key);
+
+    if (!entry || !this.isServable(entry, options)) {
       logger.debug(`No cache entry found for ${key}`);
       return null;
     }
 
-    if (!this.isValidCache(entry)) {
-      // Cache expired, remove it
-      delete this.cache[key];
-      await this.save();
+    if (!this.isValidCache(entry, date)) {
+      // Cache expired - the entry is kept so stale-while-revalidate callers can
+      // still serve it, until the next scrape overwrites it or prune() drops it
       const age = Math.round((Date.now() - new Date(entry.timestamp)) / (1000 * 60));
       logger.info(`Cache expired for ${key} (age: ${age} minutes)`);
       return null;
@@ -120,63 +178,236 @@ class FlightCache {
    * Always save to cache (regardless of enabled setting)
    * This ensures searches are cached for future use even if cache checking is disabled
    */
-  async set(origin, destination, date, data) {
-    const key = this.getCacheKey(origin, destination, date);
+  async set(origin, destination, date, data, returnDate = null) {
+    await this.ready;
+
+    const key = this.getCacheKey(origin, destination, date, returnDate);
 
-    this.cache[key] = {
+    await this.backend.set(key, {
       timestamp: new Date().toISOString(),
       data: data
-    };
+    }, { origin, destination, date });
 
-    await this.save();
     logger.info(`Cached ${data.flights?.length || 0} flights for ${key}${!this.enabled ? ' (cache checking disabled, but saved for future)' : ''}`);
+
+    await this.prune();
+  }
+
+  /**
+   * Delete entries too old to be served at all - past CACHE_MAX_STALE_MINUTES, and past
+   * the longest TTL in the policy if that is longer. Expired entries are kept until then
+   * for stale-while-revalidate; run on start and after each set()
+   */
+  async prune() {
+    const longestTtl = Math.max(...this.ttlPolicy.map(tier => tier.ttlMinutes));
+    const maxAgeMs = Math.max(this.maxStaleMinutes, longestTtl) * 60 * 1000;
+    const deleted = await this.backend.deleteOlderThan(new Date(Date.now() - maxAgeMs).toISOString());
+
+    if (deleted > 0) {
+      logger.info(`Pruned ${deleted} cache entries older than ${Math.round(maxAgeMs / 60000)} minutes`);
+    }
+    return deleted;
   }
 
   /**
    * Check if a route is cached (without respecting enabled setting)
-   * Used for cache-aware bulk operations
+   * Used for cache-aware bulk operations - options as for get()
    */
-  async hasCache(origin, destination, date) {
-    const key = this.getCacheKey(origin, destination, date);
-    const entry = this.cache[key];
-    
-    if (!entry) {
+  async hasCache(origin, destination, date, returnDate = null, options = {}) {
+    await this.ready;
+
+    const key = this.getCacheKey(origin, destination, date, returnDate);
+    const entry = this.backend.get(key);
+
+    if (!entry || !this.isServable(entry, options)) {
       return false;
     }
-    
-    return this.isValidCache(entry);
+
+    return this.isValidCache(entry, date);
   }
 
   /**
    * Get cached data without checking enabled setting
-   * Used for cache-aware bulk operations
+   * Used for cache-aware bulk operations - options as for get()
    */
-  async getUnchecked(origin, destination, date) {
-    const key = this.getCacheKey(origin, destination, date);
-    const entry = this.cache[key];
+  async getUnchecked(origin, destination, date, returnDate = null, options = {}) {
+    await this.ready;
 
-    if (!entry || !this.isValidCache(entry)) {
+    const key = this.getCacheKey(origin, destination, date, returnDate);
+    const entry = this.backend.get(key);
+
+    if (!entry || !this.isServable(entry, options) || !this.isValidCache(entry, date)) {
       return null;
     }
 
     return entry.data;
   }
 
+  /**
+   * Get a cached entry regardless of freshness (only if cache is enabled)
+   * Used by stale-while-revalidate - returns { data, timestamp, ageMs, fresh }
+   * or null if there is no entry or it is older than maxStaleMs - options as for get()
+   */
+  async getStale(origin, destination, date, maxStaleMs, returnDate = null, options = {}) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    await this.ready;
+
+    const key = this.getCacheKey(origin, destination, date, returnDate);
+    const entry = this.backend.get(key);
+
+    if (!entry || !entry.timestamp || !this.isServable(entry, options)) {
+      return null;
+    }
+
+    const ageMs = Date.now() - new Date(entry.timestamp).getTime();
+    if (maxStaleMs !== undefined && ageMs > maxStaleMs) {
+      logger.debug(`Stale entry for ${key} too old (${Math.round(ageMs / 60000)} minutes)`);
+      return null;
+    }
+
+    return {
+      data: entry.data,
+      timestamp: entry.timestamp,
+      ageMs,
+      fresh: this.isValidCache(entry, date)
+    };
+  }
+
   async clear() {
-    this.cache = {};
-    await this.save();
+    await this.ready;
+    await this.backend.clear();
     logger.info('Cache cleared');
   }
 
-  getStats() {
-    const entries = Object.keys(this.cache).length;
-    const validEntries = Object.values(this.cache).filter(entry => this.isValidCache(entry)).length;
+  /**
+   * Describe a cache entry for browsing from its metadata
+   * ({ key, timestamp, flightCount, returnFlightCount } as backend.list() returns it)
+   */
+  describeEntry({ key, timestamp, flightCount, returnFlightCount }, now = Date.now()) {
+    const { origin, destination, date, returnDate } = this.parseCacheKey(key);
+    const ttlMinutes = this.getTtlMinutes(date);
+    const cachedAt = new Date(timestamp).getTime();
+
+    return {
+      key,
+      origin,
+      destination,
+      date,
+      returnDate,
+      cachedAt: timestamp,
+      ageMinutes: Math.round((now - cachedAt) / (1000 * 60)),
+      ttlMinutes,
+      expiresAt: new Date(cachedAt + ttlMinutes * 60 * 1000).toISOString(),
+      valid: this.isValidCache({ timestamp }, date),
+      flightCount: flightCount || 0,
+      returnFlightCount: returnDate ? returnFlightCount || 0 : undefined
+    };
+  }
+
+  /**
+   * List entries matching the given filters, sorted by date then key
+   * filters: { origin, destination, dateFrom, dateTo, freshness ('fresh'|'expired'), pattern }
+   * Route and date filters are applied by the backend (indexed columns in SQLite);
+   * freshness depends on the TTL policy and pattern on the key, so those are checked here
+   */
+  async list(filters = {}) {
+    await this.ready;
+
+    const now = Date.now();
+    const pattern = filters.pattern ? patternToRegExp(filters.pattern) : null;
+    const rows = this.backend.list({
+      origin: filters.origin && filters.origin.toUpperCase(),
+      destination: filters.destination && filters.destination.toUpperCase(),
+      dateFrom: filters.dateFrom,
+      dateTo: filters.dateTo
+    });
+
+    return rows
+      .filter(row => !pattern || pattern.test(row.key))
+      .map(row => this.describeEntry(row, now))
+      .filter(entry => {
+        if (filters.freshness === 'fresh' && !entry.valid) return false;
+        if (filters.freshness === 'expired' && entry.valid) return false;
+        return true;
+      });
+  }
+
+  /**
+   * Get a single entry with its metadata and flight data, regardless of freshness
+   */
+  async getEntry(origin, destination, date, returnDate = null) {
+    await this.ready;
+
+    const key = this.getCacheKey(origin, destination, date, returnDate);
+    const entry = this.backend.get(key);
+
+    if (!entry) {
+      return null;
+    }
+
+    const metadata = {
+      key,
+      timestamp: entry.timestamp,
+      flightCount: entry.data?.flights?.length || 0,
+      returnFlightCount: entry.data?.returnFlights?.length || 0
+    };
+    return { ...this.describeEntry(metadata), data: entry.data };
+  }
+
+  /**
+   * Delete a single entry - returns false if there was nothing to delete
+   */
+  async delete(origin, destination, date, returnDate = null) {
+    await this.ready;
+
+    const key = this.getCacheKey(origin, destination, date, returnDate);
+    if (!this.backend.get(key)) {
+      return false;
+    }
+
+    await this.backend.delete(key);
+    logger.info(`Cache entry deleted: ${key}`);
+    return true;
+  }
+
+  /**
+   * Delete every entry matching the filters (same filters as list) - returns the deleted keys
+   */
+  async deleteMatching(filters) {
+    const keys = (await this.list(filters)).map(entry => entry.key);
+
+    if (keys.length > 0) {
+      await this.backend.deleteMany(keys);
+    }
+
+    logger.info(`Deleted ${keys.length} cache entries`);
+    return keys;
+  }
+
+  /**
+   * Entry counts plus the effective TTL of the first maxEntries entries (soonest
+   * departures first) - browse all of them with list() (GET /api/cache)
+   */
+  getStats(maxEntries = STATS_MAX_ENTRIES) {
+    const now = Date.now();
+    const rows = this.backend.list();
+    const validEntries = rows.filter(row => this.isValidCache(row, this.parseCacheKey(row.key).date)).length;
 
     return {
       enabled: this.enabled,
-      totalEntries: entries,
+      backend: this.backend.name,
+      ttlPolicy: this.getTtlPolicy(),
+      totalEntries: rows.length,
       validEntries: validEntries,
-      expiredEntries: entries - validEntries
+      expiredEntries: rows.length - validEntries,
+      entries: rows.slice(0, maxEntries).map(row => {
+        const { key, date, ttlMinutes, expiresAt, valid } = this.describeEntry(row, now);
+        return { key, date, ttlMinutes, expiresAt, valid };
+      }),
+      entriesTruncated: rows.length > maxEntries
     };
   }
 }
@@ -191,4 +422,4 @@ function getCache() {
   return cacheInstance;
 }
 
-module.exports = { getCache };
+module.exports = { FlightCache, getCache };
@@ -0,0 +1,41 @@
+/**
+ * Cache Backend Registry
+ * Selects the storage backend used by FlightCache (CACHE_BACKEND=sqlite|json)
+ *
+ * Backend contract:
+ * - init()                      async, open/load storage
+ * - get(key)                    sync, returns { timestamp, data } or null
+ * - set(key, entry, fields)     async, upsert one entry ({ origin, destination, date } in fields)
+ * - delete(key)                 async
+ * - deleteMany(keys)            async, delete several keys in one write
+ * - deleteOlderThan(timestamp)  async, delete entries cached before an ISO timestamp,
+ *                               resolves the number deleted
+ * - clear()                     async
+ * - list(filters)               sync, metadata of the entries matching { origin, destination,
+ *                               dateFrom, dateTo }, sorted by date then key - no flight data:
+ *                               [{ key, timestamp, flightCount, returnFlightCount }]
+ * - count()                     sync
+ * - close()
+ */
+
+const { JsonCacheBackend } = require('./jsonBackend');
+const { SqliteCacheBackend } = require('./sqliteBackend');
+
+const backends = {
+  json: JsonCacheBackend,
+  sqlite: SqliteCacheBackend
+};
+
+function createCacheBackend(name, cacheDir) {
+  const Backend = backends[name];
+  if (!Backend) {
+    throw new Error(`Unknown cache backend: ${name} (expected one of: ${Object.keys(backends).join(', ')})`);
+  }
+  return new Backend(cacheDir);
+}
+
+module.exports = {
+  createCacheBackend,
+  JsonCacheBackend,
+  SqliteCacheBackend
+};
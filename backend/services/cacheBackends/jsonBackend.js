@@ -0,0 +1,112 @@
+/**
+ * JSON Cache Backend
+ * Legacy single-file backend - keeps every entry in memory and rewrites
+ * flights-cache.json on each change
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../../utils/logger');
+
+class JsonCacheBackend {
+  constructor(cacheDir) {
+    this.name = 'json';
+    this.file = path.join(cacheDir, 'flights-cache.json');
+    this.cache = {};
+  }
+
+  async init() {
+    try {
+      const data = await fs.readFile(this.file, 'utf8');
+      this.cache = JSON.parse(data);
+      logger.info(`Loaded ${Object.keys(this.cache).length} cached routes`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`Failed to load cache: ${error.message}`);
+      }
+      this.cache = {};
+    }
+  }
+
+  async save() {
+    try {
+      await fs.writeFile(this.file, JSON.stringify(this.cache, null, 2));
+    } catch (error) {
+      logger.error(`Failed to save cache: ${error.message}`);
+    }
+  }
+
+  get(key) {
+    return this.cache[key] || null;
+  }
+
+  async set(key, entry) {
+    this.cache[key] = entry;
+    await this.save();
+  }
+
+  async delete(key) {
+    delete this.cache[key];
+    await this.save();
+  }
+
+  /**
+   * Delete several keys with a single file write
+   */
+  async deleteMany(keys) {
+    keys.forEach(key => delete this.cache[key]);
+    await this.save();
+  }
+
+  /**
+   * Delete entries cached before the given ISO timestamp - returns how many went
+   * (the file is only rewritten when something was deleted)
+   */
+  async deleteOlderThan(timestamp) {
+    const keys = Object.keys(this.cache).filter(key => !(this.cache[key].timestamp >= timestamp));
+
+    if (keys.length > 0) {
+      await this.deleteMany(keys);
+    }
+    return keys.length;
+  }
+
+  async clear() {
+    this.cache = {};
+    await this.save();
+  }
+
+  /**
+   * Metadata of the entries matching the filters, sorted by date then key
+   * (everything is in memory already, so this just filters on the key)
+   */
+  list(filters = {}) {
+    return Object.entries(this.cache)
+      .map(([key, entry]) => {
+        const [origin, destination, ...dateParts] = key.split('-');
+        return { key, origin, destination, date: dateParts.slice(0, 3).join('-'), entry };
+      })
+      .filter(({ origin, destination, date }) => {
+        if (filters.origin && origin !== filters.origin) return false;
+        if (filters.destination && destination !== filters.destination) return false;
+        if (filters.dateFrom && date < filters.dateFrom) return false;
+        if (filters.dateTo && date > filters.dateTo) return false;
+        return true;
+      })
+      .sort((a, b) => a.date.localeCompare(b.date) || a.key.localeCompare(b.key))
+      .map(({ key, entry }) => ({
+        key,
+        timestamp: entry.timestamp,
+        flightCount: entry.data?.flights?.length || 0,
+        returnFlightCount: Array.isArray(entry.data?.returnFlights) ? entry.data.returnFlights.length : null
+      }));
+  }
+
+  count() {
+    return Object.keys(this.cache).length;
+  }
+
+  close() {}
+}
+
+module.exports = { JsonCacheBackend };
@@ -0,0 +1,239 @@
+/**
+ * SQLite Cache Backend
+ * Embedded flight store - one indexed row per cache entry, upserted individually
+ * so a write never has to rewrite the whole cache. Flight counts are kept in their own
+ * columns, so listing entries never parses the flight data.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../utils/logger');
+
+const DB_FILENAME = 'flights-cache.db';
+const LEGACY_JSON_FILENAME = 'flights-cache.json';
+
+class SqliteCacheBackend {
+  constructor(cacheDir) {
+    this.name = 'sqlite';
+    this.cacheDir = cacheDir;
+    this.file = path.join(cacheDir, DB_FILENAME);
+    this.db = null;
+    this.statements = null;
+  }
+
+  async init() {
+    // Required lazily so the JSON backend still works if the native module is missing
+    const Database = require('better-sqlite3');
+
+    fs.mkdirSync(this.cacheDir, { recursive: true });
+
+    this.db = new Database(this.file);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('synchronous = NORMAL');
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS flight_cache (
+        key TEXT PRIMARY KEY,
+        origin TEXT,
+        destination TEXT,
+        date TEXT,
+        timestamp TEXT NOT NULL,
+        data TEXT NOT NULL,
+        flight_count INTEGER NOT NULL DEFAULT 0,
+        return_flight_count INTEGER
+      );
+      CREATE INDEX IF NOT EXISTS idx_flight_cache_route ON flight_cache (origin, destination, date);
+      CREATE INDEX IF NOT EXISTS idx_flight_cache_date ON flight_cache (date);
+      CREATE INDEX IF NOT EXISTS idx_flight_cache_timestamp ON flight_cache (timestamp);
+    `);
+    this.addCountColumns();
+
+    this.statements = {
+      get: this.db.prepare('SELECT timestamp, data FROM flight_cache WHERE key = ?'),
+      upsert: this.db.prepare(`
+        INSERT INTO flight_cache (key, origin, destination, date, timestamp, data, flight_count, return_flight_count)
+        VALUES (@key, @origin, @destination, @date, @timestamp, @data, @flightCount, @returnFlightCount)
+        ON CONFLICT(key) DO UPDATE SET
+          origin = excluded.origin,
+          destination = excluded.destination,
+          date = excluded.date,
+          timestamp = excluded.timestamp,
+          data = excluded.data,
+          flight_count = excluded.flight_count,
+          return_flight_count = excluded.return_flight_count
+      `),
+      delete: this.db.prepare('DELETE FROM flight_cache WHERE key = ?'),
+      deleteOlderThan: this.db.prepare('DELETE FROM flight_cache WHERE timestamp < ?'),
+      clear: this.db.prepare('DELETE FROM flight_cache'),
+      count: this.db.prepare('SELECT COUNT(*) AS count FROM flight_cache')
+    };
+
+    this.migrateFromJson();
+
+    logger.info(`SQLite flight store opened (${this.count()} entries)`);
+  }
+
+  /**
+   * Add the flight count columns to a store created before they existed, filled in
+   * once from the stored data
+   */
+  addCountColumns() {
+    const columns = this.db.prepare('PRAGMA table_info(flight_cache)').all().map(column => column.name);
+    if (columns.includes('flight_count')) {
+      return;
+    }
+
+    this.db.exec(`
+      ALTER TABLE flight_cache ADD COLUMN flight_count INTEGER NOT NULL DEFAULT 0;
+      ALTER TABLE flight_cache ADD COLUMN return_flight_count INTEGER;
+      UPDATE flight_cache SET
+        flight_count = COALESCE(json_array_length(data, '$.flights'), 0),
+        return_flight_count = json_array_length(data, '$.returnFlights');
+    `);
+    logger.info('Added flight count columns to the SQLite flight store');
+  }
+
+  /**
+   * Import a legacy flights-cache.json the first time the SQLite store starts.
+   * The JSON file is renamed afterwards so the import only happens once.
+   */
+  migrateFromJson() {
+    const legacyFile = path.join(this.cacheDir, LEGACY_JSON_FILENAME);
+
+    if (!fs.existsSync(legacyFile)) {
+      return;
+    }
+
+    try {
+      const legacy = JSON.parse(fs.readFileSync(legacyFile, 'utf8'));
+      const entries = Object.entries(legacy).filter(([, entry]) => entry && entry.timestamp);
+
+      const importAll = this.db.transaction((rows) => {
+        for (const [key, entry] of rows) {
+          const [origin, destination, ...dateParts] = key.split('-');
+          this.upsert(key, entry, {
+            origin: origin || null,
+            destination: destination || null,
+            date: dateParts.slice(0, 3).join('-') || null
+          });
+        }
+      });
+
+      importAll(entries);
+      fs.renameSync(legacyFile, `${legacyFile}.migrated`);
+
+      logger.info(`Migrated ${entries.length} entries from ${LEGACY_JSON_FILENAME} to SQLite`);
+    } catch (error) {
+      logger.error(`Failed to migrate ${LEGACY_JSON_FILENAME}: ${error.message}`);
+    }
+  }
+
+  toEntry(row) {
+    return {
+      timestamp: row.timestamp,
+      data: JSON.parse(row.data)
+    };
+  }
+
+  get(key) {
+    if (!this.db) {
+      return null;
+    }
+    const row = this.statements.get.get(key);
+    return row ? this.toEntry(row) : null;
+  }
+
+  /**
+   * Upsert a single entry. `fields` carries the indexed route columns.
+   */
+  async set(key, entry, fields = {}) {
+    this.upsert(key, entry, fields);
+  }
+
+  upsert(key, entry, fields) {
+    const data = entry.data || {};
+    this.statements.upsert.run({
+      key,
+      origin: fields.origin || null,
+      destination: fields.destination || null,
+      date: fields.date || null,
+      timestamp: entry.timestamp,
+      data: JSON.stringify(entry.data),
+      flightCount: Array.isArray(data.flights) ? data.flights.length : 0,
+      returnFlightCount: Array.isArray(data.returnFlights) ? data.returnFlights.length : null
+    });
+  }
+
+  async delete(key) {
+    this.statements.delete.run(key);
+  }
+
+  async deleteMany(keys) {
+    const deleteAll = this.db.transaction((rows) => {
+      for (const key of rows) {
+        this.statements.delete.run(key);
+      }
+    });
+    deleteAll(keys);
+  }
+
+  /**
+   * Delete entries cached before the given ISO timestamp - returns how many went
+   */
+  async deleteOlderThan(timestamp) {
+    return this.statements.deleteOlderThan.run(timestamp).changes;
+  }
+
+  async clear() {
+    this.statements.clear.run();
+  }
+
+  /**
+   * Metadata of the entries matching the filters, filtered and sorted by the indexed
+   * columns - the data column is never read
+   */
+  list(filters = {}) {
+    if (!this.db) {
+      return [];
+    }
+
+    const conditions = [];
+    const params = {};
+    const clauses = {
+      origin: 'origin = @origin',
+      destination: 'destination = @destination',
+      dateFrom: 'date >= @dateFrom',
+      dateTo: 'date <= @dateTo'
+    };
+
+    Object.entries(clauses).forEach(([name, clause]) => {
+      if (filters[name]) {
+        conditions.push(clause);
+        params[name] = filters[name];
+      }
+    });
+
+    return this.db.prepare(`
+      SELECT key, timestamp, flight_count AS flightCount, return_flight_count AS returnFlightCount
+      FROM flight_cache
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY date, key
+    `).all(params);
+  }
+
+  count() {
+    if (!this.db) {
+      return 0;
+    }
+    return this.statements.count.get().count;
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+module.exports = { SqliteCacheBackend };
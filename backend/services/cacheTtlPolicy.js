@@ -0,0 +1,103 @@
+/**
+ * Cache TTL Policy
+ * Departure-proximity-aware cache lifetimes - GoWild inventory close to departure
+ * changes minute by minute, while availability weeks out barely moves
+ *
+ * Policy string format (CACHE_TTL_POLICY): comma-separated "<within>:<ttl>" tiers,
+ * checked in order, with "*" as the catch-all tier. Durations use m, h or d.
+ *   48h:20m,7d:2h,14d:6h,*:12h
+ * = departures within 48 hours cache for 20 minutes, within 7 days for 2 hours,
+ *   within 14 days for 6 hours, anything further out for 12 hours
+ */
+
+const DEFAULT_TTL_POLICY = '48h:20m,7d:2h,14d:6h,*:12h';
+
+const UNIT_MINUTES = {
+  m: 1,
+  h: 60,
+  d: 24 * 60
+};
+
+/**
+ * Parse a duration such as "20m", "6h" or "14d" into minutes
+ */
+function parseDuration(value) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([mhd])$/i);
+  if (!match) {
+    throw new Error(`Invalid duration "${value}" (expected e.g. 20m, 6h, 14d)`);
+  }
+  return parseFloat(match[1]) * UNIT_MINUTES[match[2].toLowerCase()];
+}
+
+/**
+ * Parse a policy string into tiers: [{ within, ttl, withinMinutes, ttlMinutes }]
+ * The catch-all tier has withinMinutes = Infinity. Throws on invalid input.
+ */
+function parseTtlPolicy(policy) {
+  const parts = String(policy || '').split(',').map(p => p.trim()).filter(Boolean);
+
+  if (parts.length === 0) {
+    throw new Error('TTL policy is empty');
+  }
+
+  const tiers = parts.map(part => {
+    const [within, ttl] = part.split(':').map(p => p && p.trim());
+    if (!within || !ttl) {
+      throw new Error(`Invalid TTL tier "${part}" (expected <within>:<ttl>)`);
+    }
+    return {
+      within,
+      ttl,
+      withinMinutes: within === '*' ? Infinity : parseDuration(within),
+      ttlMinutes: parseDuration(ttl)
+    };
+  });
+
+  tiers.sort((a, b) => a.withinMinutes - b.withinMinutes);
+
+  if (tiers[tiers.length - 1].withinMinutes !== Infinity) {
+    throw new Error('TTL policy needs a catch-all tier ("*:<ttl>")');
+  }
+
+  return tiers;
+}
+
+function formatTtlPolicy(tiers) {
+  return tiers
+    .map(tier => `${tier.within}:${tier.ttl}`)
+    .join(',');
+}
+
+/**
+ * Minutes from now until the start of the departure day (YYYY-MM-DD, UTC)
+ */
+function minutesUntilDeparture(date, now = Date.now()) {
+  const departure = Date.parse(`${date}T00:00:00Z`);
+  if (isNaN(departure)) {
+    return NaN;
+  }
+  return (departure - now) / (1000 * 60);
+}
+
+/**
+ * Get the TTL in minutes for a departure date under the given policy
+ * Unknown dates get the shortest (first) tier
+ */
+function getTtlMinutes(tiers, date, now = Date.now()) {
+  const untilDeparture = minutesUntilDeparture(date, now);
+
+  if (isNaN(untilDeparture)) {
+    return tiers[0].ttlMinutes;
+  }
+
+  const tier = tiers.find(t => untilDeparture <= t.withinMinutes);
+  return tier.ttlMinutes;
+}
+
+module.exports = {
+  DEFAULT_TTL_POLICY,
+  parseTtlPolicy,
+  formatTtlPolicy,
+  getTtlMinutes,
+  minutesUntilDeparture
+};
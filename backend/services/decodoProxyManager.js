@@ -11,8 +11,12 @@ const STATE_FILE = path.join(__dirname, '../../cache/proxy-state.json');
 const PROXY_LIST_FILE = path.join(__dirname, '../../cache/proxy-list.json');
 
 class ProxyUsage {
-  constructor(proxyId, host, port, username = null, password = null) {
+  /**
+   * clock: returns the current time in ms (Date.now) - injectable for tests
+   */
+  constructor(proxyId, host, port, username = null, password = null, clock = Date.now) {
     this.proxyId = proxyId;
+    this.now = clock;
     this.host = host;
     this.port = port;
     this.username = username; // Per-proxy username (optional, falls back to manager default)
@@ -55,7 +59,7 @@ class ProxyUsage {
     }
 
     // Check if in cooldown
-    const now = Date.now();
+    const now = this.now();
     if (this.cooldownUntil && now < this.cooldownUntil) {
       return false;
     }
@@ -70,7 +74,7 @@ class ProxyUsage {
    * Record a PerimeterX block and apply cooldown logic
    */
   recordPerimeterXBlock() {
-    const now = Date.now();
+    const now = this.now();
     const twentyMinutesAgo = now - (20 * 60 * 1000);
 
     // Add this block to the history
@@ -116,7 +120,7 @@ class ProxyUsage {
    * Record a successful request (resets PerimeterX counter)
    */
   recordSuccess() {
-    const now = Date.now();
+    const now = this.now();
 
     // If we got a successful request, reset the PerimeterX counter
     // This allows the proxy to start fresh after proving it works
@@ -137,7 +141,7 @@ class ProxyUsage {
    * Get cooldown status information
    */
   getCooldownStatus() {
-    const now = Date.now();
+    const now = this.now();
     
     if (this.blacklisted) {
       return {
@@ -183,7 +187,7 @@ class ProxyUsage {
   }
 
   markUsed() {
-    const now = Date.now();
+    const now = this.now();
     this.lastUsed = now;
     this.recentUses.push(now);
     this.useCount++;
@@ -429,8 +433,20 @@ class DecodoProxyManager {
 
     if (perimeterXBlock) {
       // Record PerimeterX block and apply cooldown
+      const wasBlacklisted = proxy.blacklisted;
       proxy.recordPerimeterXBlock();
       proxy.markFailed();
+
+      if (proxy.blacklisted && !wasBlacklisted && global.broadcast) {
+        global.broadcast({
+          type: 'proxy_blacklisted',
+          proxyId: proxy.proxyId,
+          host: `${proxy.host}:${proxy.port}`,
+          perimeterXBlocks: proxy.perimeterXBlocks.length,
+          remainingProxies: this.proxies.filter(p => !p.disabled && !p.blacklisted).length,
+          timestamp: new Date().toISOString()
+        });
+      }
     } else if (success) {
       // Record success - this may reset cooldown if expired
       proxy.recordSuccess();
@@ -801,6 +817,7 @@ function initializeProxyManager(username, password, maxUsesPerMinute = 2, maxWor
 }
 
 module.exports = {
+  ProxyUsage,
   DecodoProxyManager,
   getProxyManager,
   initializeProxyManager
@@ -0,0 +1,56 @@
+/**
+ * Fare Products
+ * FlightData carries one "<product>Fare" field per fare product on each flight
+ * (goWildFare, standardFare, discountDenFare, ...). These helpers collect them
+ * into a fares map keyed by product and work out what the GoWild pass saves
+ * compared with the cheapest fare you'd otherwise pay.
+ */
+
+const GOWILD_PRODUCT = 'goWild';
+const FARE_SUFFIX = 'Fare';
+
+/**
+ * Collect every "<product>Fare" field into { product: amount }
+ * Products without a price on this flight (missing, zero, non-numeric) are left out
+ */
+function extractFares(flight) {
+  const fares = {};
+
+  Object.entries(flight || {}).forEach(([field, value]) => {
+    if (!field.endsWith(FARE_SUFFIX) || field === FARE_SUFFIX) {
+      return;
+    }
+
+    const amount = typeof value === 'string' ? parseFloat(value) : value;
+    if (typeof amount === 'number' && isFinite(amount) && amount > 0) {
+      fares[field.slice(0, -FARE_SUFFIX.length)] = amount;
+    }
+  });
+
+  return fares;
+}
+
+/**
+ * { fares, cheapestPaidFare, goWildSavings } for a flight
+ * goWildSavings is the cheapest paid fare minus the GoWild fare (null if either is missing)
+ */
+function summarizeFares(flight) {
+  const fares = extractFares(flight);
+  const paid = Object.entries(fares)
+    .filter(([product]) => product !== GOWILD_PRODUCT)
+    .map(([, amount]) => amount);
+
+  const cheapestPaidFare = paid.length > 0 ? Math.min(...paid) : null;
+  const goWildFare = fares[GOWILD_PRODUCT];
+  const goWildSavings = cheapestPaidFare !== null && goWildFare !== undefined
+    ? Math.round((cheapestPaidFare - goWildFare) * 100) / 100
+    : null;
+
+  return { fares, cheapestPaidFare, goWildSavings };
+}
+
+module.exports = {
+  GOWILD_PRODUCT,
+  extractFares,
+  summarizeFares
+};
@@ -0,0 +1,300 @@
+/**
+ * FlightData Parser
+ * Pure functions shared by every scraper method - no browser, no I/O
+ *
+ * Frontier's select page embeds its results as an HTML-escaped JSON string:
+ *   FlightData = '{&quot;journeys&quot;:[...]}'
+ * journeys[0] is the outbound journey; a round-trip page has the return journey second.
+ * Each journey has flights, each flight has legs and one "<product>Fare" field per
+ * fare product (goWildFare, standardFare, ...).
+ *
+ * analyzeFlightData also checks the payload against the shape we expect (FLIGHT_DATA_SCHEMA)
+ * so a Frontier-side change shows up as a schema_mismatch instead of an "empty" day.
+ */
+
+const { buildItinerary } = require('./itinerary');
+const { summarizeFares } = require('./fareProducts');
+
+const FLIGHT_DATA_PATTERN = /FlightData\s*=\s*'([^']+)'/g;
+const MIN_GOWILD_FARE = 3; // Anything cheaper is a placeholder, not a bookable fare
+
+const PARSE_OUTCOMES = {
+  EMPTY: 'empty', // Valid payload, no bookable GoWild flights that day
+  PARSED: 'parsed', // Valid payload with flights
+  SCHEMA_MISMATCH: 'schema_mismatch' // Payload present but not in the shape we parse
+};
+
+// Fields each level must have, and every other field we know about (anything else is
+// recorded as unknown). "<product>Fare" fields are always known on a flight.
+const FLIGHT_DATA_SCHEMA = {
+  journey: {
+    required: ['flights'],
+    known: ['origin', 'destination']
+  },
+  flight: {
+    required: ['legs', 'goWildFare'],
+    known: ['duration', 'durationFormatted', 'stopsText', 'isSoldOut']
+  },
+  leg: {
+    required: ['flightNumber', 'departureDate', 'arrivalDate'],
+    known: ['departureStation', 'arrivalStation', 'equipmentType']
+  }
+};
+
+function decodeHtmlEntities(text) {
+  return text
+    .replace(/&quot;/g, '"')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&#39;/g, "'");
+}
+
+/**
+ * Decode a raw FlightData string (still HTML-escaped, as embedded in the page)
+ * Returns the parsed object, or null if it isn't valid JSON
+ */
+function decodeFlightData(raw) {
+  try {
+    return JSON.parse(decodeHtmlEntities(raw));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * The raw FlightData string from page HTML, exactly as embedded
+ * Prefers the first assignment that decodes; falls back to the first one found
+ */
+function findRawFlightData(html) {
+  if (typeof html !== 'string') {
+    return null;
+  }
+
+  const matches = Array.from(html.matchAll(FLIGHT_DATA_PATTERN), match => match[1]);
+  return matches.find(raw => decodeFlightData(raw) !== null) || matches[0] || null;
+}
+
+/**
+ * Find and decode the FlightData JSON in page HTML
+ * Returns the first assignment that parses, or null if there is none
+ */
+function extractFlightData(html) {
+  const raw = findRawFlightData(html);
+  return raw ? decodeFlightData(raw) : null;
+}
+
+/**
+ * Check one object against a FLIGHT_DATA_SCHEMA level, adding "path.field" entries
+ * to the missing/unknown sets
+ */
+function checkFields(object, level, path, missing, unknown) {
+  const { required, known } = FLIGHT_DATA_SCHEMA[level];
+
+  required.forEach(field => {
+    if (!(field in object)) {
+      missing.add(`${path}.${field}`);
+    }
+  });
+
+  Object.keys(object).forEach(field => {
+    const isFare = level === 'flight' && field.endsWith('Fare');
+    if (!isFare && !required.includes(field) && !known.includes(field)) {
+      unknown.add(`${path}.${field}`);
+    }
+  });
+}
+
+/**
+ * Validate decoded FlightData for one journey against FLIGHT_DATA_SCHEMA
+ * Returns { missingFields, unknownFields } as sorted paths such as "journeys[].flights[].legs"
+ */
+function validateFlightData(flightData, journeyIndex = 0) {
+  const missing = new Set();
+  const unknown = new Set();
+
+  if (!flightData || typeof flightData !== 'object' || !Array.isArray(flightData.journeys)) {
+    missing.add('journeys');
+  } else if (!flightData.journeys[journeyIndex] || typeof flightData.journeys[journeyIndex] !== 'object') {
+    missing.add(`journeys[${journeyIndex}]`);
+  } else {
+    const journey = flightData.journeys[journeyIndex];
+    checkFields(journey, 'journey', 'journeys[]', missing, unknown);
+
+    if ('flights' in journey && !Array.isArray(journey.flights)) {
+      missing.add('journeys[].flights (not a list)');
+    }
+
+    (Array.isArray(journey.flights) ? journey.flights : []).forEach(flight => {
+      if (!flight || typeof flight !== 'object') {
+        return;
+      }
+      checkFields(flight, 'flight', 'journeys[].flights[]', missing, unknown);
+
+      (Array.isArray(flight.legs) ? flight.legs : []).forEach(leg => {
+        if (leg && typeof leg === 'object') {
+          checkFields(leg, 'leg', 'journeys[].flights[].legs[]', missing, unknown);
+        }
+      });
+    });
+  }
+
+  return {
+    missingFields: [...missing].sort(),
+    unknownFields: [...unknown].sort()
+  };
+}
+
+/**
+ * Map one FlightData flight to the normalized flight object
+ */
+function normalizeFlight(flight, origin, destination) {
+  const firstLeg = flight.legs[0];
+  const lastLeg = flight.legs[flight.legs.length - 1];
+  const stopCount = flight.legs.length - 1;
+  const duration = flight.duration || flight.durationFormatted || 'N/A';
+
+  return {
+    origin: firstLeg.departureStation || origin,
+    destination: lastLeg.arrivalStation || destination,
+    departureDate: firstLeg.departureDate,
+    arrivalDate: lastLeg.arrivalDate,
+    flightNumber: flight.legs.map(leg => `F9 ${leg.flightNumber}`).join(', '),
+    duration,
+    stops: flight.stopsText || (stopCount === 0 ? 'Nonstop' : `${stopCount} stop(s)`),
+    stopCount,
+    price: `$${flight.goWildFare}`,
+    rawFare: flight.goWildFare,
+    ...summarizeFares(flight),
+    ...buildItinerary(flight.legs, duration)
+  };
+}
+
+/**
+ * Parse the flights of one journey
+ *
+ * input: page HTML (string) or the decoded FlightData object
+ * options: { origin, destination, journeyIndex (0 = outbound, 1 = return) }
+ *
+ * Throws NO_FLIGHT_DATA if there is no usable FlightData or the journey is missing.
+ * Duplicate itineraries and flights without a bookable GoWild fare are dropped.
+ */
+function parseFlights(input, { origin = null, destination = null, journeyIndex = 0 } = {}) {
+  const flightData = typeof input === 'string' ? extractFlightData(input) : input;
+
+  if (!flightData || !Array.isArray(flightData.journeys) || !flightData.journeys[journeyIndex]) {
+    throw new Error('NO_FLIGHT_DATA');
+  }
+
+  const journey = flightData.journeys[journeyIndex];
+  const flights = new Map();
+
+  (Array.isArray(journey.flights) ? journey.flights : []).forEach(flight => {
+    if (!flight || !Array.isArray(flight.legs) || flight.legs.length === 0) {
+      return;
+    }
+
+    const normalized = normalizeFlight(flight, origin, destination);
+    const key = `${normalized.departureDate}_${normalized.arrivalDate}_${normalized.flightNumber}`;
+
+    if (!flights.has(key)) {
+      flights.set(key, normalized);
+    }
+  });
+
+  return [...flights.values()].filter(flight => flight.rawFare >= MIN_GOWILD_FARE);
+}
+
+/**
+ * Parse one journey and classify the outcome
+ *
+ * input/options as parseFlights. Returns { outcome, flights, missingFields, unknownFields }:
+ * - schema_mismatch: FlightData is there but won't decode or is missing required fields
+ * - empty: valid payload without bookable GoWild flights
+ * - parsed: valid payload with flights
+ *
+ * Throws NO_FLIGHT_DATA only when the page has no FlightData at all (block page,
+ * error page) - that says nothing about the payload shape.
+ */
+function analyzeFlightData(input, options = {}) {
+  const { journeyIndex = 0 } = options;
+  let flightData = input;
+
+  if (typeof input === 'string') {
+    flightData = extractFlightData(input);
+
+    if (!flightData) {
+      if (!input.match(FLIGHT_DATA_PATTERN)) {
+        throw new Error('NO_FLIGHT_DATA');
+      }
+      return {
+        outcome: PARSE_OUTCOMES.SCHEMA_MISMATCH,
+        flights: [],
+        missingFields: ['FlightData (invalid JSON)'],
+        unknownFields: []
+      };
+    }
+  }
+
+  const { missingFields, unknownFields } = validateFlightData(flightData, journeyIndex);
+
+  if (missingFields.length > 0) {
+    return { outcome: PARSE_OUTCOMES.SCHEMA_MISMATCH, flights: [], missingFields, unknownFields };
+  }
+
+  const flights = parseFlights(flightData, options);
+
+  return {
+    outcome: flights.length > 0 ? PARSE_OUTCOMES.PARSED : PARSE_OUTCOMES.EMPTY,
+    flights,
+    missingFields,
+    unknownFields
+  };
+}
+
+/**
+ * analyzeFlightData for a whole search - the outbound journey, plus the return
+ * journey when roundTrip is set
+ *
+ * Returns { outcome, flights, returnFlights?, missingFields, unknownFields } where
+ * outcome is schema_mismatch if either journey mismatches, parsed if either has flights
+ */
+function analyzeTrip(input, { origin = null, destination = null, roundTrip = false } = {}) {
+  const flightData = typeof input === 'string' ? extractFlightData(input) || input : input;
+  const outbound = analyzeFlightData(flightData, { origin, destination });
+
+  if (!roundTrip) {
+    return outbound;
+  }
+
+  const inbound = analyzeFlightData(flightData, { origin: destination, destination: origin, journeyIndex: 1 });
+  const outcomes = [outbound.outcome, inbound.outcome];
+  let outcome = PARSE_OUTCOMES.EMPTY;
+
+  if (outcomes.includes(PARSE_OUTCOMES.SCHEMA_MISMATCH)) {
+    outcome = PARSE_OUTCOMES.SCHEMA_MISMATCH;
+  } else if (outcomes.includes(PARSE_OUTCOMES.PARSED)) {
+    outcome = PARSE_OUTCOMES.PARSED;
+  }
+
+  return {
+    outcome,
+    flights: outbound.flights,
+    returnFlights: inbound.flights,
+    missingFields: [...new Set([...outbound.missingFields, ...inbound.missingFields])].sort(),
+    unknownFields: [...new Set([...outbound.unknownFields, ...inbound.unknownFields])].sort()
+  };
+}
+
+module.exports = {
+  PARSE_OUTCOMES,
+  FLIGHT_DATA_SCHEMA,
+  decodeHtmlEntities,
+  decodeFlightData,
+  findRawFlightData,
+  extractFlightData,
+  validateFlightData,
+  parseFlights,
+  analyzeFlightData,
+  analyzeTrip
+};
@@ -0,0 +1,75 @@
+/**
+ * Flight Diff
+ * Compares two flight lists for the same route and date - used to spot GoWild
+ * seats opening or closing and fares moving between successive scrapes
+ *
+ * Flights are matched on flight number + departure time. Each change is one of:
+ * - appeared        flight is new in the current list
+ * - disappeared     flight was in the previous list but is gone now
+ * - fare_increase   rawFare went up
+ * - fare_decrease   rawFare went down
+ */
+
+const CHANGE_TYPES = ['appeared', 'disappeared', 'fare_increase', 'fare_decrease'];
+
+function flightKey(flight) {
+  const flightNumber = Array.isArray(flight.flightNumber) ? flight.flightNumber.join(', ') : flight.flightNumber;
+  return `${flightNumber}|${flight.departureDate || ''}`;
+}
+
+function describeFlight(flight) {
+  return {
+    flightNumber: Array.isArray(flight.flightNumber) ? flight.flightNumber.join(', ') : flight.flightNumber,
+    departureDate: flight.departureDate || null
+  };
+}
+
+/**
+ * Diff previous vs current flights
+ * Returns [{ type, flightNumber, departureDate, previousFare, currentFare }]
+ */
+function diffFlights(previous = [], current = []) {
+  const previousByKey = new Map(previous.map(flight => [flightKey(flight), flight]));
+  const currentByKey = new Map(current.map(flight => [flightKey(flight), flight]));
+  const changes = [];
+
+  for (const [key, flight] of currentByKey) {
+    const before = previousByKey.get(key);
+
+    if (!before) {
+      changes.push({ type: 'appeared', ...describeFlight(flight), previousFare: null, currentFare: flight.rawFare ?? null });
+    } else if (typeof before.rawFare === 'number' && typeof flight.rawFare === 'number' && before.rawFare !== flight.rawFare) {
+      changes.push({
+        type: flight.rawFare > before.rawFare ? 'fare_increase' : 'fare_decrease',
+        ...describeFlight(flight),
+        previousFare: before.rawFare,
+        currentFare: flight.rawFare
+      });
+    }
+  }
+
+  for (const [key, flight] of previousByKey) {
+    if (!currentByKey.has(key)) {
+      changes.push({ type: 'disappeared', ...describeFlight(flight), previousFare: flight.rawFare ?? null, currentFare: null });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Count changes by type: { appeared, disappeared, fare_increase, fare_decrease }
+ */
+function summarizeChanges(changes) {
+  const summary = Object.fromEntries(CHANGE_TYPES.map(type => [type, 0]));
+  changes.forEach(change => {
+    summary[change.type]++;
+  });
+  return summary;
+}
+
+module.exports = {
+  CHANGE_TYPES,
+  diffFlights,
+  summarizeChanges
+};
@@ -0,0 +1,372 @@
+/**
+ * Flight History Service
+ * Append-only record of every successful scrape - the cache only keeps the latest
+ * result per route/date, this keeps every observation so availability and fares
+ * can be followed over time
+ *
+ * One row per scrape (flight_scrapes) plus one row per flight seen in that scrape
+ * (flight_observations). A scrape with no flights is still recorded so a route
+ * selling out shows up in the timeline.
+ *
+ * Each new scrape is diffed against the previous one for the same route/date and
+ * the changes are kept in flight_changes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { diffFlights } = require('./flightDiff');
+const logger = require('../utils/logger');
+
+const HISTORY_DIR = path.join(__dirname, '../../cache');
+const DB_FILENAME = 'flight-history.db';
+
+class FlightHistory {
+  constructor(dir = HISTORY_DIR) {
+    this.dir = dir;
+    this.file = path.join(dir, DB_FILENAME);
+    this.db = null;
+    this.statements = null;
+    this.unavailable = false;
+  }
+
+  /**
+   * Open the history database on first use
+   * Returns false if the store can't be opened - history is best-effort and
+   * must never fail a scrape
+   */
+  open() {
+    if (this.db) {
+      return true;
+    }
+    if (this.unavailable) {
+      return false;
+    }
+
+    try {
+      const Database = require('better-sqlite3');
+
+      fs.mkdirSync(this.dir, { recursive: true });
+
+      this.db = new Database(this.file);
+      this.db.pragma('journal_mode = WAL');
+      this.db.pragma('synchronous = NORMAL');
+
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS flight_scrapes (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          origin TEXT NOT NULL,
+          destination TEXT NOT NULL,
+          date TEXT NOT NULL,
+          observed_at TEXT NOT NULL,
+          flight_count INTEGER NOT NULL,
+          min_fare REAL
+        );
+        CREATE INDEX IF NOT EXISTS idx_flight_scrapes_route ON flight_scrapes (origin, destination, date, observed_at);
+
+        CREATE TABLE IF NOT EXISTS flight_observations (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          scrape_id INTEGER NOT NULL REFERENCES flight_scrapes (id),
+          origin TEXT NOT NULL,
+          destination TEXT NOT NULL,
+          date TEXT NOT NULL,
+          flight_number TEXT NOT NULL,
+          departure TEXT,
+          arrival TEXT,
+          stops TEXT,
+          raw_fare REAL,
+          observed_at TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_flight_observations_scrape ON flight_observations (scrape_id);
+        CREATE INDEX IF NOT EXISTS idx_flight_observations_route ON flight_observations (origin, destination, date);
+
+        CREATE TABLE IF NOT EXISTS flight_changes (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          scrape_id INTEGER NOT NULL REFERENCES flight_scrapes (id),
+          origin TEXT NOT NULL,
+          destination TEXT NOT NULL,
+          date TEXT NOT NULL,
+          change_type TEXT NOT NULL,
+          flight_number TEXT NOT NULL,
+          departure TEXT,
+          previous_fare REAL,
+          current_fare REAL,
+          previous_observed_at TEXT,
+          detected_at TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_flight_changes_route ON flight_changes (origin, destination, date, detected_at);
+      `);
+
+      this.statements = {
+        insertScrape: this.db.prepare(`
+          INSERT INTO flight_scrapes (origin, destination, date, observed_at, flight_count, min_fare)
+          VALUES (@origin, @destination, @date, @observedAt, @flightCount, @minFare)
+        `),
+        insertObservation: this.db.prepare(`
+          INSERT INTO flight_observations
+            (scrape_id, origin, destination, date, flight_number, departure, arrival, stops, raw_fare, observed_at)
+          VALUES
+            (@scrapeId, @origin, @destination, @date, @flightNumber, @departure, @arrival, @stops, @rawFare, @observedAt)
+        `),
+        latestScrape: this.db.prepare(`
+          SELECT id, observed_at FROM flight_scrapes
+          WHERE origin = ? AND destination = ? AND date = ?
+          ORDER BY observed_at DESC, id DESC
+          LIMIT 1
+        `),
+        observationsForScrape: this.db.prepare(`
+          SELECT flight_number, departure, raw_fare FROM flight_observations WHERE scrape_id = ?
+        `),
+        insertChange: this.db.prepare(`
+          INSERT INTO flight_changes
+            (scrape_id, origin, destination, date, change_type, flight_number, departure,
+             previous_fare, current_fare, previous_observed_at, detected_at)
+          VALUES
+            (@scrapeId, @origin, @destination, @date, @type, @flightNumber, @departureDate,
+             @previousFare, @currentFare, @previousObservedAt, @detectedAt)
+        `),
+        observationsForScrapes: this.db.prepare(`
+          SELECT scrape_id, flight_number, departure, arrival, stops, raw_fare
+          FROM flight_observations
+          WHERE scrape_id IN (SELECT value FROM json_each(?))
+          ORDER BY departure, flight_number
+        `)
+      };
+
+      logger.info(`Flight history store opened (${this.file})`);
+      return true;
+    } catch (error) {
+      logger.error(`Flight history unavailable: ${error.message}`);
+      this.db = null;
+      this.unavailable = true;
+      return false;
+    }
+  }
+
+  /**
+   * Flight number as a string - bypass1 and playwright both join legs with ", "
+   */
+  normalizeFlightNumber(flightNumber) {
+    return Array.isArray(flightNumber) ? flightNumber.join(', ') : String(flightNumber || 'unknown');
+  }
+
+  /**
+   * Record one scrape and its flights, diffed against the previous scrape of the
+   * same route/date
+   * Returns { scrapeId, previousObservedAt, changes } - changes is empty for the
+   * first observation - or null if history is unavailable
+   */
+  record(origin, destination, date, flights = [], observedAt = new Date().toISOString()) {
+    if (!this.open()) {
+      return null;
+    }
+
+    const fares = flights.map(flight => flight.rawFare).filter(fare => typeof fare === 'number');
+
+    try {
+      const insertAll = this.db.transaction(() => {
+        const previous = this.statements.latestScrape.get(origin, destination, date);
+
+        const { lastInsertRowid } = this.statements.insertScrape.run({
+          origin,
+          destination,
+          date,
+          observedAt,
+          flightCount: flights.length,
+          minFare: fares.length > 0 ? Math.min(...fares) : null
+        });
+
+        for (const flight of flights) {
+          this.statements.insertObservation.run({
+            scrapeId: lastInsertRowid,
+            origin,
+            destination,
+            date,
+            flightNumber: this.normalizeFlightNumber(flight.flightNumber),
+            departure: flight.departureDate || null,
+            arrival: flight.arrivalDate || null,
+            stops: flight.stops || null,
+            rawFare: typeof flight.rawFare === 'number' ? flight.rawFare : null,
+            observedAt
+          });
+        }
+
+        if (!previous) {
+          return { scrapeId: Number(lastInsertRowid), previousObservedAt: null, changes: [] };
+        }
+
+        const previousFlights = this.statements.observationsForScrape.all(previous.id).map(row => ({
+          flightNumber: row.flight_number,
+          departureDate: row.departure,
+          rawFare: row.raw_fare
+        }));
+        const changes = diffFlights(previousFlights, flights.map(flight => ({
+          ...flight,
+          flightNumber: this.normalizeFlightNumber(flight.flightNumber)
+        })));
+
+        for (const change of changes) {
+          this.statements.insertChange.run({
+            scrapeId: lastInsertRowid,
+            origin,
+            destination,
+            date,
+            ...change,
+            previousObservedAt: previous.observed_at,
+            detectedAt: observedAt
+          });
+        }
+
+        return { scrapeId: Number(lastInsertRowid), previousObservedAt: previous.observed_at, changes };
+      });
+
+      const recorded = insertAll();
+      logger.debug(`Recorded ${flights.length} flight observations for ${origin}-${destination}-${date} (${recorded.changes.length} changes)`);
+      return recorded;
+    } catch (error) {
+      logger.error(`Failed to record flight history for ${origin}-${destination}-${date}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Availability and fare timeline for a route, grouped by departure date
+   * options: { dateFrom, dateTo, since (ISO timestamp), limit (max scrapes per date) }
+   * Returns [{ date, observations: [{ observedAt, flightCount, minFare, flights: [...] }] }]
+   */
+  getTimeline(origin, destination, options = {}) {
+    if (!this.open()) {
+      return [];
+    }
+
+    const { dateFrom, dateTo, since, limit } = options;
+    const conditions = ['origin = ?', 'destination = ?'];
+    const params = [origin, destination];
+
+    if (dateFrom) {
+      conditions.push('date >= ?');
+      params.push(dateFrom);
+    }
+    if (dateTo) {
+      conditions.push('date <= ?');
+      params.push(dateTo);
+    }
+    if (since) {
+      conditions.push('observed_at >= ?');
+      params.push(since);
+    }
+
+    const scrapes = this.db.prepare(`
+      SELECT id, date, observed_at, flight_count, min_fare
+      FROM flight_scrapes
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY date, observed_at
+    `).all(...params);
+
+    // Keep only the most recent `limit` scrapes for each departure date
+    const byDate = new Map();
+    for (const scrape of scrapes) {
+      if (!byDate.has(scrape.date)) {
+        byDate.set(scrape.date, []);
+      }
+      byDate.get(scrape.date).push(scrape);
+    }
+    if (limit) {
+      for (const [date, dateScrapes] of byDate) {
+        byDate.set(date, dateScrapes.slice(-limit));
+      }
+    }
+
+    const scrapeIds = Array.from(byDate.values()).flat().map(scrape => scrape.id);
+    const flightsByScrape = new Map();
+    for (const row of this.statements.observationsForScrapes.all(JSON.stringify(scrapeIds))) {
+      if (!flightsByScrape.has(row.scrape_id)) {
+        flightsByScrape.set(row.scrape_id, []);
+      }
+      flightsByScrape.get(row.scrape_id).push({
+        flightNumber: row.flight_number,
+        departureDate: row.departure,
+        arrivalDate: row.arrival,
+        stops: row.stops,
+        rawFare: row.raw_fare
+      });
+    }
+
+    return Array.from(byDate.entries()).map(([date, dateScrapes]) => ({
+      date,
+      observations: dateScrapes.map(scrape => ({
+        observedAt: scrape.observed_at,
+        flightCount: scrape.flight_count,
+        minFare: scrape.min_fare,
+        flights: flightsByScrape.get(scrape.id) || []
+      }))
+    }));
+  }
+
+  /**
+   * Stored changes for a route, newest first
+   * options: { dateFrom, dateTo, since (ISO timestamp), type, limit }
+   */
+  getChanges(origin, destination, options = {}) {
+    if (!this.open()) {
+      return [];
+    }
+
+    const { dateFrom, dateTo, since, type, limit = 100 } = options;
+    const conditions = ['origin = ?', 'destination = ?'];
+    const params = [origin, destination];
+
+    if (dateFrom) {
+      conditions.push('date >= ?');
+      params.push(dateFrom);
+    }
+    if (dateTo) {
+      conditions.push('date <= ?');
+      params.push(dateTo);
+    }
+    if (since) {
+      conditions.push('detected_at >= ?');
+      params.push(since);
+    }
+    if (type) {
+      conditions.push('change_type = ?');
+      params.push(type);
+    }
+
+    return this.db.prepare(`
+      SELECT date, change_type, flight_number, departure, previous_fare, current_fare,
+             previous_observed_at, detected_at
+      FROM flight_changes
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY detected_at DESC, id DESC
+      LIMIT ?
+    `).all(...params, limit).map(row => ({
+      date: row.date,
+      type: row.change_type,
+      flightNumber: row.flight_number,
+      departureDate: row.departure,
+      previousFare: row.previous_fare,
+      currentFare: row.current_fare,
+      previousObservedAt: row.previous_observed_at,
+      detectedAt: row.detected_at
+    }));
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+// Singleton instance
+let historyInstance = null;
+
+function getFlightHistory() {
+  if (!historyInstance) {
+    historyInstance = new FlightHistory();
+  }
+  return historyInstance;
+}
+
+module.exports = { FlightHistory, getFlightHistory };
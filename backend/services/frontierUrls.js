@@ -0,0 +1,27 @@
+/**
+ * Frontier URLs
+ * The booking site URLs every scraper method navigates to, in one place so they
+ * can all be pointed elsewhere: FRONTIER_BASE_URL=http://localhost:4030 runs the
+ * whole pipeline against the local mock server (tests/mock-frontier-server.js)
+ */
+
+const DEFAULT_BASE_URL = 'https://booking.flyfrontier.com';
+const FRONTIER_BASE_URL = (process.env.FRONTIER_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+
+// Host of the booking site - its own stylesheets are the only ones the scrapers load
+const FRONTIER_BOOKING_HOST = new URL(FRONTIER_BASE_URL).host;
+
+/**
+ * Flight select page URL - one-way, or round-trip when a return date is given
+ */
+function buildSelectUrl(origin, destination, date, returnDate = null) {
+  const trip = returnDate ? `&dd2=${returnDate}&r=true` : '';
+  return `${FRONTIER_BASE_URL}/Flight/InternalSelect?o1=${origin}&d1=${destination}&dd1=${date}${trip}&adt=1&umnr=false&loy=false&mon=true&ftype=GW`;
+}
+
+module.exports = {
+  DEFAULT_BASE_URL,
+  FRONTIER_BASE_URL,
+  FRONTIER_BOOKING_HOST,
+  buildSelectUrl
+};
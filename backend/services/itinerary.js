@@ -0,0 +1,76 @@
+/**
+ * Itinerary
+ * Turns the legs of a FlightData flight into structured per-leg data - stations,
+ * times and flight number for each leg, the layover at each connection and the
+ * total trip duration in minutes
+ *
+ * FlightData times are local to each station, so layovers (same airport) are exact.
+ * Total duration comes from the flight's own duration text when it can be parsed,
+ * otherwise from first departure to last arrival (off by any time zone change).
+ */
+
+function minutesBetween(from, to) {
+  const start = new Date(from).getTime();
+  const end = new Date(to).getTime();
+
+  if (isNaN(start) || isNaN(end)) {
+    return null;
+  }
+  return Math.round((end - start) / 60000);
+}
+
+/**
+ * Parse a duration such as "4h 15m", "4 hrs 15 mins", "45m", "04:15" or a number of minutes
+ * Returns minutes, or null if the format isn't recognized
+ */
+function parseDurationMinutes(duration) {
+  if (typeof duration === 'number' && isFinite(duration)) {
+    return Math.round(duration);
+  }
+  if (typeof duration !== 'string') {
+    return null;
+  }
+
+  const clock = duration.trim().match(/^(\d{1,2}):(\d{2})(?::\d{2})?$/);
+  if (clock) {
+    return parseInt(clock[1]) * 60 + parseInt(clock[2]);
+  }
+
+  const hours = duration.match(/(\d+)\s*h/i);
+  const minutes = duration.match(/(\d+)\s*m/i);
+  if (!hours && !minutes) {
+    return null;
+  }
+  return (hours ? parseInt(hours[1]) * 60 : 0) + (minutes ? parseInt(minutes[1]) : 0);
+}
+
+/**
+ * Build { legs, layovers, totalDurationMinutes } from FlightData legs
+ * (each with departureStation, arrivalStation, departureDate, arrivalDate, flightNumber)
+ */
+function buildItinerary(rawLegs, duration) {
+  const legs = (rawLegs || []).map(leg => ({
+    flightNumber: `F9 ${leg.flightNumber}`,
+    origin: leg.departureStation || null,
+    destination: leg.arrivalStation || null,
+    departureDate: leg.departureDate || null,
+    arrivalDate: leg.arrivalDate || null
+  }));
+
+  const layovers = legs.slice(1).map((leg, index) => ({
+    airport: legs[index].destination,
+    arrivalDate: legs[index].arrivalDate,
+    departureDate: leg.departureDate,
+    durationMinutes: minutesBetween(legs[index].arrivalDate, leg.departureDate)
+  }));
+
+  const totalDurationMinutes = parseDurationMinutes(duration) ??
+    (legs.length > 0 ? minutesBetween(legs[0].departureDate, legs[legs.length - 1].arrivalDate) : null);
+
+  return { legs, layovers, totalDurationMinutes };
+}
+
+module.exports = {
+  buildItinerary,
+  parseDurationMinutes
+};
@@ -0,0 +1,618 @@
+/**
+ * Job Manager
+ * Every bulk operation (/bulk, /bulk-by-origin, /bulk-all) runs as a job with an ID,
+ * a status and progress counters, and each route result is written to disk as it
+ * completes - so results survive a page reload and can be paged through later
+ *
+ * Layout: cache/jobs/<id>.json holds the job record (replaced atomically on every change),
+ * <id>.routes.json the job's route list as it was when the job started, and
+ * <id>.results.jsonl one line per route result. Only the newest JOBS_MAX_STORED
+ * finished jobs are kept.
+ *
+ * Jobs still running (or paused) when the server stops are marked interrupted on the
+ * next start. An interrupted job with a route list can be restarted: it runs the
+ * routes that have no successful result yet, with its original params - failed routes
+ * are tried again and their failed results dropped.
+ *
+ * Running jobs can be paused, resumed and cancelled. Executors call handle.checkpoint()
+ * before starting each route: it waits while the job is paused and resolves false once
+ * it is cancelled. Routes already in flight always finish and keep their results.
+ */
+
+const fs = require('fs').promises;
+const { createReadStream, createWriteStream } = require('fs');
+const readline = require('readline');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+const JOBS_DIR = path.join(__dirname, '../../cache/jobs');
+const MAX_STORED_JOBS = parseInt(process.env.JOBS_MAX_STORED) || 50;
+
+const JOB_STATUS = {
+  RUNNING: 'running',
+  PAUSED: 'paused',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled',
+  FAILED: 'failed',
+  INTERRUPTED: 'interrupted'
+};
+
+const JOB_TYPES = ['bulk', 'bulk_by_origin', 'bulk_all'];
+
+function isFinished(job) {
+  return job.status !== JOB_STATUS.RUNNING && job.status !== JOB_STATUS.PAUSED;
+}
+
+// Start of a results line as recordResult() writes it - enough to filter and resume on
+// without parsing the flights that follow
+const RESULT_PREFIX = /^\{"index":(\d+),"origin":"([^"]*)","destination":"([^"]*)","date":"([^"]*)","success":(true|false),"cached":(true|false),/;
+
+/**
+ * { index, origin, destination, date, success, cached } of a results line, or null if
+ * it is partly written
+ */
+function readResultPrefix(line) {
+  const match = line.endsWith('}') && line.match(RESULT_PREFIX);
+  if (!match) {
+    return null;
+  }
+  const [, index, origin, destination, date, success, cached] = match;
+  return { index: Number(index), origin, destination, date, success: success === 'true', cached: cached === 'true' };
+}
+
+function parseResult(line) {
+  try {
+    return JSON.parse(line);
+  } catch (error) {
+    return null; // Partly written line
+  }
+}
+
+class JobManager {
+  constructor(dir = JOBS_DIR, maxStoredJobs = MAX_STORED_JOBS) {
+    this.dir = dir;
+    this.maxStoredJobs = maxStoredJobs;
+    this.jobs = new Map();
+    this.controls = new Map(); // id -> { paused, cancelled, waiters } for jobs running in this process
+    this.writes = Promise.resolve(); // File writes run one at a time, in order
+    this.ready = this.init();
+  }
+
+  async init() {
+    try {
+      await fs.mkdir(this.dir, { recursive: true });
+      await this.load();
+    } catch (error) {
+      logger.error(`Failed to initialize job manager: ${error.message}`);
+    }
+  }
+
+  async load() {
+    const files = (await fs.readdir(this.dir))
+      .filter(file => file.endsWith('.json') && !file.endsWith('.routes.json'));
+
+    for (const file of files) {
+      try {
+        const job = JSON.parse(await fs.readFile(path.join(this.dir, file), 'utf8'));
+        this.jobs.set(job.id, job);
+      } catch (error) {
+        logger.error(`Failed to load job ${file}: ${error.message}`);
+      }
+    }
+
+    // Nothing is running right after a start - these were cut off by a restart
+    for (const job of this.jobs.values()) {
+      if (!isFinished(job)) {
+        job.status = JOB_STATUS.INTERRUPTED;
+        job.error = 'Server restarted while the job was running';
+        job.finishedAt = new Date().toISOString();
+        await this.save(job);
+      }
+    }
+
+    logger.info(`Loaded ${this.jobs.size} jobs`);
+  }
+
+  jobFile(id) {
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  resultsFile(id) {
+    return path.join(this.dir, `${id}.results.jsonl`);
+  }
+
+  routesFile(id) {
+    return path.join(this.dir, `${id}.routes.json`);
+  }
+
+  /**
+   * Queue a file write behind the ones already pending
+   */
+  enqueue(write) {
+    this.writes = this.writes.then(write).catch(error => {
+      logger.error(`Failed to write job data: ${error.message}`);
+    });
+    return this.writes;
+  }
+
+  /**
+   * Write the job record to a temp file and rename it over the old one, so a crash
+   * mid-write never leaves a truncated record
+   */
+  save(job) {
+    const snapshot = JSON.stringify(job, null, 2);
+    const file = this.jobFile(job.id);
+    return this.enqueue(async () => {
+      await fs.writeFile(`${file}.tmp`, snapshot);
+      await fs.rename(`${file}.tmp`, file);
+    });
+  }
+
+  /**
+   * Create a job and run executor(handle) in the background
+   * options: { label, routes } - routes ({ origin, destination, date, ... }) are
+   *          checkpointed so the job can be restarted; without them pass { total }
+   * handle: { job, routes, recordResult(entry), checkpoint() } - routes are the ones
+   *         to run, recordResult is called once per route
+   * The executor's return value becomes job.summary; if it throws, the job fails.
+   * Returns the job record straight away.
+   */
+  async start(type, params, options, executor) {
+    await this.ready;
+
+    const routes = options.routes || null;
+
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      label: options.label || type,
+      params,
+      status: JOB_STATUS.RUNNING,
+      progress: { total: routes ? routes.length : options.total || 0, processed: 0, succeeded: 0, failed: 0, cached: 0 },
+      checkpointed: !!routes,
+      createdAt: now,
+      startedAt: now,
+      resumedAt: null,
+      finishedAt: null,
+      cancelRequestedAt: null,
+      error: null,
+      summary: null
+    };
+
+    this.jobs.set(job.id, job);
+    this.controls.set(job.id, { paused: false, cancelled: false, waiters: [] });
+    if (routes) {
+      await this.enqueue(() => fs.writeFile(this.routesFile(job.id), JSON.stringify(routes)));
+    }
+    await this.save(job);
+    await this.prune();
+
+    logger.info(`Job ${job.id} started: ${job.label}`);
+    this.broadcast('job_started', job);
+
+    this.run(job, executor, routes || []);
+    return job;
+  }
+
+  /**
+   * Restart an interrupted job with executor(handle), running only the routes
+   * without a successful result - returns null, { error } or { job } like pause()
+   */
+  async restart(id, executor) {
+    await this.ready;
+
+    const job = this.jobs.get(id);
+    if (!job) {
+      return null;
+    }
+    if (job.status !== JOB_STATUS.INTERRUPTED) {
+      return { error: `Cannot restart a job that is ${job.status}` };
+    }
+    if (!job.checkpointed) {
+      return { error: 'Job has no saved route list to resume from' };
+    }
+
+    const routes = await this.getPendingRoutes(job);
+    await this.dropFailedResults(job);
+
+    job.status = JOB_STATUS.RUNNING;
+    job.error = null;
+    job.finishedAt = null;
+    job.resumedAt = new Date().toISOString();
+    this.controls.set(job.id, { paused: false, cancelled: false, waiters: [] });
+    this.save(job);
+
+    logger.info(`Job ${id} resumed after restart: ${routes.length} of ${job.progress.total} routes left`);
+    this.broadcast('job_resumed', job);
+
+    if (routes.length === 0) {
+      // Every route finished before the restart - only the final save was lost
+      this.controls.delete(job.id);
+      this.finish(job, JOB_STATUS.COMPLETED, { summary: job.summary });
+    } else {
+      this.run(job, executor, routes);
+    }
+    return { job };
+  }
+
+  /**
+   * The checkpointed routes that have no successful result yet, in their original order
+   */
+  async getPendingRoutes(job) {
+    const routes = JSON.parse(await fs.readFile(this.routesFile(job.id), 'utf8'));
+    const routeKey = route => `${route.origin}-${route.destination}-${route.date}`;
+    const done = new Set();
+
+    await this.writes;
+    await this.eachResultLine(job.id, line => {
+      const result = readResultPrefix(line);
+      if (result && result.success) {
+        done.add(routeKey(result));
+      }
+    });
+
+    return routes.filter(route => !done.has(routeKey(route)));
+  }
+
+  /**
+   * Drop the failed results of a job about to run its failed routes again, so every
+   * route ends up with one result and is counted once in the progress
+   */
+  async dropFailedResults(job) {
+    if (job.progress.failed === 0) {
+      return;
+    }
+
+    const file = this.resultsFile(job.id);
+    let kept = 0;
+    let cached = 0;
+    let replaced = false;
+
+    // Copied line by line, renumbered, into a temp file that replaces the old one
+    await this.enqueue(async () => {
+      const output = createWriteStream(`${file}.tmp`);
+      await this.eachResultLine(job.id, async line => {
+        const result = readResultPrefix(line);
+        if (result && result.success) {
+          kept++;
+          cached += result.cached ? 1 : 0;
+          if (!output.write(`${line.replace(/^\{"index":\d+,/, `{"index":${kept},`)}\n`)) {
+            await new Promise(resolve => output.once('drain', resolve));
+          }
+        }
+      });
+      await new Promise((resolve, reject) => output.end(error => (error ? reject(error) : resolve())));
+      await fs.rename(`${file}.tmp`, file);
+      replaced = true;
+    });
+
+    if (!replaced) {
+      return;
+    }
+    logger.info(`Job ${job.id}: ${job.progress.processed - kept} failed routes will be tried again`);
+    job.progress = { ...job.progress, processed: kept, succeeded: kept, failed: 0, cached };
+  }
+
+  async run(job, executor, routes) {
+    const control = this.controls.get(job.id);
+    const handle = {
+      job,
+      routes,
+      recordResult: entry => this.recordResult(job, entry),
+      checkpoint: () => this.checkpoint(job.id)
+    };
+
+    try {
+      const summary = await executor(handle);
+      this.finish(job, control.cancelled ? JOB_STATUS.CANCELLED : JOB_STATUS.COMPLETED, { summary: summary || null });
+    } catch (error) {
+      logger.error(`Job ${job.id} failed: ${error.message}`);
+      this.finish(job, JOB_STATUS.FAILED, { error: error.message });
+    } finally {
+      this.controls.delete(job.id);
+    }
+  }
+
+  /**
+   * Resolves true when the next route may start, false once the job is cancelled -
+   * waits while the job is paused
+   */
+  checkpoint(id) {
+    const control = this.controls.get(id);
+
+    if (!control || control.cancelled) {
+      return Promise.resolve(false);
+    }
+    if (!control.paused) {
+      return Promise.resolve(true);
+    }
+
+    return new Promise(resolve => control.waiters.push(resolve));
+  }
+
+  /**
+   * Wake every executor waiting in checkpoint()
+   */
+  wake(control, canContinue) {
+    control.waiters.splice(0).forEach(resolve => resolve(canContinue));
+  }
+
+  /**
+   * Look up a job for pause/resume/cancel - { job: null } if there is no such job,
+   * { job, error } unless its status is one of fromStatuses (and it isn't being cancelled)
+   */
+  getControl(id, action, fromStatuses) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      return { job: null };
+    }
+
+    const control = this.controls.get(id);
+    if (!control || control.cancelled || !fromStatuses.includes(job.status)) {
+      const state = control && control.cancelled ? 'being cancelled' : job.status;
+      return { job, error: `Cannot ${action} a job that is ${state}` };
+    }
+
+    return { job, control };
+  }
+
+  /**
+   * pause, resume and cancel return null if there is no such job, { error } if the
+   * job can't make that change in its current state, otherwise { job }
+   */
+  async pause(id) {
+    await this.ready;
+
+    const { job, control, error } = this.getControl(id, 'pause', [JOB_STATUS.RUNNING]);
+    if (!job) return null;
+    if (error) return { error };
+
+    control.paused = true;
+    job.status = JOB_STATUS.PAUSED;
+    this.save(job);
+
+    logger.info(`Job ${id} paused (routes in flight will finish)`);
+    this.broadcast('job_paused', job);
+    return { job };
+  }
+
+  async resume(id) {
+    await this.ready;
+
+    const { job, control, error } = this.getControl(id, 'resume', [JOB_STATUS.PAUSED]);
+    if (!job) return null;
+    if (error) return { error };
+
+    control.paused = false;
+    job.status = JOB_STATUS.RUNNING;
+    this.save(job);
+    this.wake(control, true);
+
+    logger.info(`Job ${id} resumed`);
+    this.broadcast('job_resumed', job);
+    return { job };
+  }
+
+  /**
+   * Stop starting routes - the job ends as cancelled once routes in flight finish.
+   * An interrupted job is cancelled straight away (its restart offer is declined)
+   */
+  async cancel(id) {
+    await this.ready;
+
+    const interrupted = this.jobs.get(id);
+    if (interrupted && interrupted.status === JOB_STATUS.INTERRUPTED) {
+      interrupted.cancelRequestedAt = new Date().toISOString();
+      this.finish(interrupted, JOB_STATUS.CANCELLED, { summary: interrupted.summary });
+      return { job: interrupted };
+    }
+
+    const { job, control, error } = this.getControl(id, 'cancel', [JOB_STATUS.RUNNING, JOB_STATUS.PAUSED]);
+    if (!job) return null;
+    if (error) return { error };
+
+    control.cancelled = true;
+    control.paused = false;
+    job.status = JOB_STATUS.RUNNING;
+    job.cancelRequestedAt = new Date().toISOString();
+    this.save(job);
+    this.wake(control, false);
+
+    logger.info(`Job ${id} cancelling (routes in flight will finish)`);
+    this.broadcast('job_cancelling', job);
+    return { job };
+  }
+
+  /**
+   * Persist one route result and update the progress counters
+   * entry: { origin, destination, date, success, cached, flights, error, errorInfo }
+   */
+  recordResult(job, entry) {
+    const { progress } = job;
+    progress.processed++;
+    if (entry.success) {
+      progress.succeeded++;
+    } else {
+      progress.failed++;
+    }
+    if (entry.cached) {
+      progress.cached++;
+    }
+
+    const flights = entry.flights || [];
+    // Keep the leading keys in this order - RESULT_PREFIX reads them
+    const line = JSON.stringify({
+      index: progress.processed,
+      origin: entry.origin,
+      destination: entry.destination,
+      date: entry.date,
+      success: !!entry.success,
+      cached: !!entry.cached,
+      flightCount: flights.length,
+      flights,
+      error: entry.error || null,
+      errorInfo: entry.errorInfo || null,
+      completedAt: new Date().toISOString()
+    });
+
+    this.enqueue(() => fs.appendFile(this.resultsFile(job.id), `${line}\n`));
+    this.save(job);
+    this.broadcast('job_progress', job);
+  }
+
+  finish(job, status, { summary = null, error = null } = {}) {
+    job.status = status;
+    job.summary = summary;
+    job.error = error;
+    job.finishedAt = new Date().toISOString();
+
+    this.save(job);
+    logger.info(`Job ${job.id} ${status}: ${job.progress.succeeded}/${job.progress.total} succeeded`);
+    this.broadcast('job_complete', job);
+  }
+
+  broadcast(type, job) {
+    if (global.broadcast) {
+      global.broadcast({
+        type,
+        jobId: job.id,
+        jobType: job.type,
+        label: job.label,
+        status: job.status,
+        cancelling: !!job.cancelRequestedAt && !isFinished(job),
+        progress: { ...job.progress },
+        error: job.error || undefined,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Drop the oldest finished jobs beyond maxStoredJobs, with their result files
+   */
+  async prune() {
+    const finished = Array.from(this.jobs.values())
+      .filter(isFinished)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    for (const job of finished.slice(this.maxStoredJobs)) {
+      this.jobs.delete(job.id);
+      await this.enqueue(async () => {
+        await fs.unlink(this.jobFile(job.id)).catch(() => {});
+        await fs.unlink(this.resultsFile(job.id)).catch(() => {});
+        await fs.unlink(this.routesFile(job.id)).catch(() => {});
+      });
+      logger.debug(`Pruned job ${job.id}`);
+    }
+  }
+
+  /**
+   * Jobs newest first, optionally filtered by status and type
+   */
+  async list(filters = {}) {
+    await this.ready;
+
+    return Array.from(this.jobs.values())
+      .filter(job => !filters.status || job.status === filters.status)
+      .filter(job => !filters.type || job.type === filters.type)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  async get(id) {
+    await this.ready;
+    return this.jobs.get(id) || null;
+  }
+
+  /**
+   * Call onLine(line) for each line of a job's results file, reading it line by line -
+   * stops early once onLine returns (or resolves) false. Doesn't wait for pending writes
+   */
+  async eachResultLine(id, onLine) {
+    const input = createReadStream(this.resultsFile(id), { encoding: 'utf8' });
+    const opened = new Promise((resolve, reject) => {
+      input.once('ready', resolve);
+      input.once('error', reject);
+    });
+
+    try {
+      await opened;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return;
+      }
+      throw error;
+    }
+
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    try {
+      for await (const line of lines) {
+        if (line && (await onLine(line)) === false) {
+          break;
+        }
+      }
+    } finally {
+      lines.close();
+      input.destroy();
+    }
+  }
+
+  /**
+   * A job's route results in completion order
+   * filters: { success (true|false) }
+   */
+  async getResults(id, filters = {}) {
+    return (await this.getResultsPage(id, filters)).results;
+  }
+
+  /**
+   * One page of a job's route results in completion order, read only as far as the page
+   * goes - { results, total }, total counted from the job's progress
+   * filters: { success (true|false), offset, limit }
+   */
+  async getResultsPage(id, filters = {}) {
+    await this.ready;
+    await this.writes;
+
+    const { success, offset = 0, limit = Infinity } = filters;
+    const results = [];
+    let skipped = 0;
+
+    await this.eachResultLine(id, line => {
+      const prefix = readResultPrefix(line);
+      if (!prefix || (success !== undefined && prefix.success !== success)) {
+        return true;
+      }
+      if (skipped < offset) {
+        skipped++;
+        return true;
+      }
+
+      const result = parseResult(line);
+      if (result) {
+        results.push(result);
+      }
+      return results.length < limit;
+    });
+
+    const job = this.jobs.get(id);
+    const total = !job ? results.length
+      : success === undefined ? job.progress.processed
+        : success ? job.progress.succeeded : job.progress.failed;
+
+    return { results, total };
+  }
+}
+
+// Singleton instance
+let jobManagerInstance = null;
+
+function getJobManager() {
+  if (!jobManagerInstance) {
+    jobManagerInstance = new JobManager();
+  }
+  return jobManagerInstance;
+}
+
+module.exports = { JobManager, getJobManager, JOB_STATUS, JOB_TYPES };
@@ -0,0 +1,47 @@
+/**
+ * Chat Webhook Notification Channels
+ * Slack and Discord incoming webhooks - same delivery, different payload shape
+ */
+
+const { postJson } = require('./webhookChannel');
+
+const DISCORD_MAX_LENGTH = 2000;
+
+class ChatWebhookChannel {
+  constructor(config, type) {
+    this.type = type;
+    this.config = config;
+  }
+
+  static validateConfig(config) {
+    if (!config.url || !/^https?:\/\//.test(config.url)) {
+      return 'url must be an http(s) URL';
+    }
+    return null;
+  }
+
+  buildPayload(notification) {
+    if (this.type === 'discord') {
+      return { content: `**${notification.title}**\n${notification.text}`.slice(0, DISCORD_MAX_LENGTH) };
+    }
+    return { text: `*${notification.title}*\n${notification.text}` };
+  }
+
+  async send(notification) {
+    await postJson(this.config.url, JSON.stringify(this.buildPayload(notification)));
+  }
+}
+
+class SlackChannel extends ChatWebhookChannel {
+  constructor(config) {
+    super(config, 'slack');
+  }
+}
+
+class DiscordChannel extends ChatWebhookChannel {
+  constructor(config) {
+    super(config, 'discord');
+  }
+}
+
+module.exports = { SlackChannel, DiscordChannel };
@@ -0,0 +1,62 @@
+/**
+ * Email Notification Channel
+ * Sends a plain-text email over SMTP
+ *
+ * Config: { host, port (587), secure (false - STARTTLS is still used if offered),
+ *           user, pass, from, to (comma-separated) }
+ */
+
+class EmailChannel {
+  constructor(config) {
+    this.type = 'email';
+    this.config = config;
+    this.transport = null;
+  }
+
+  static validateConfig(config) {
+    if (!config.host) {
+      return 'host is required';
+    }
+    if (!config.from || !config.to) {
+      return 'from and to are required';
+    }
+    if (config.port !== undefined && (isNaN(Number(config.port)) || Number(config.port) <= 0)) {
+      return 'port must be a positive number';
+    }
+    return null;
+  }
+
+  getTransport() {
+    if (!this.transport) {
+      // Required lazily so the rest of the notifier works without the module
+      const nodemailer = require('nodemailer');
+
+      this.transport = nodemailer.createTransport({
+        host: this.config.host,
+        port: Number(this.config.port) || 587,
+        secure: this.config.secure === true || this.config.secure === 'true',
+        auth: this.config.user ? { user: this.config.user, pass: this.config.pass } : undefined
+      });
+    }
+    return this.transport;
+  }
+
+  async send(notification) {
+    try {
+      await this.getTransport().sendMail({
+        from: this.config.from,
+        to: this.config.to,
+        subject: `[Frontier Scraper] ${notification.title}`,
+        text: `${notification.text}\n\nEvent: ${notification.event.type}\nDelivery: ${notification.deliveryId}`
+      });
+    } catch (error) {
+      // 5xx SMTP replies (bad credentials, rejected recipient) won't succeed on retry
+      if (error.responseCode >= 500) {
+        error.retryable = false;
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = { EmailChannel };
@@ -0,0 +1,45 @@
+/**
+ * Notification Channel Registry
+ * Outbound channels used by the notifier (webhook, email, slack, discord)
+ *
+ * Channel contract:
+ * - constructor(config)
+ * - static validateConfig(config)   returns an error message or null
+ * - send(notification)              async, throws on failure; set error.retryable = false
+ *                                   for failures a retry can't fix
+ *
+ * notification = { event, title, text, deliveryId }
+ */
+
+const { WebhookChannel } = require('./webhookChannel');
+const { EmailChannel } = require('./emailChannel');
+const { SlackChannel, DiscordChannel } = require('./chatWebhookChannel');
+
+const channelTypes = {
+  webhook: WebhookChannel,
+  email: EmailChannel,
+  slack: SlackChannel,
+  discord: DiscordChannel
+};
+
+// Config fields that are never returned by the API
+const SECRET_FIELDS = ['secret', 'pass'];
+
+function getChannelType(type) {
+  return channelTypes[type] || null;
+}
+
+function createChannel(type, config) {
+  const Channel = getChannelType(type);
+  if (!Channel) {
+    throw new Error(`Unknown notification channel: ${type} (expected one of: ${Object.keys(channelTypes).join(', ')})`);
+  }
+  return new Channel(config);
+}
+
+module.exports = {
+  CHANNEL_TYPES: Object.keys(channelTypes),
+  SECRET_FIELDS,
+  getChannelType,
+  createChannel
+};
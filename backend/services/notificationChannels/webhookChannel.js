@@ -0,0 +1,78 @@
+/**
+ * Webhook Notification Channel
+ * POSTs the raw event as JSON to any URL, optionally signed with HMAC-SHA256
+ *
+ * Headers sent with every delivery:
+ * - X-Frontier-Event       event type (e.g. bulk_all_complete)
+ * - X-Frontier-Delivery    unique delivery id (same across retries)
+ * - X-Frontier-Timestamp   unix seconds
+ * - X-Frontier-Signature   sha256=<hex HMAC of "<timestamp>.<body>"> (only with a secret)
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+class WebhookChannel {
+  constructor(config) {
+    this.type = 'webhook';
+    this.config = config;
+  }
+
+  static validateConfig(config) {
+    if (!config.url || !/^https?:\/\//.test(config.url)) {
+      return 'url must be an http(s) URL';
+    }
+    return null;
+  }
+
+  static sign(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+  }
+
+  async send(notification) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const body = JSON.stringify({
+      event: notification.event.type,
+      deliveryId: notification.deliveryId,
+      title: notification.title,
+      text: notification.text,
+      data: notification.event
+    });
+
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-Frontier-Event': notification.event.type,
+      'X-Frontier-Delivery': notification.deliveryId,
+      'X-Frontier-Timestamp': String(timestamp)
+    };
+
+    if (this.config.secret) {
+      headers['X-Frontier-Signature'] = WebhookChannel.sign(this.config.secret, timestamp, body);
+    }
+
+    await postJson(this.config.url, body, headers);
+  }
+}
+
+/**
+ * POST a JSON body - 4xx responses other than 408/429 are marked non-retryable
+ */
+async function postJson(url, body, headers = { 'Content-Type': 'application/json' }) {
+  try {
+    await axios.post(url, body, {
+      headers,
+      timeout: REQUEST_TIMEOUT_MS,
+      // Send the body exactly as signed
+      transformRequest: [data => data]
+    });
+  } catch (error) {
+    const status = error.response?.status;
+    const wrapped = new Error(status ? `HTTP ${status}` : error.message);
+    wrapped.retryable = !status || status >= 500 || status === 408 || status === 429;
+    throw wrapped;
+  }
+}
+
+module.exports = { WebhookChannel, postJson };
@@ -0,0 +1,406 @@
+/**
+ * Notifier Service
+ * Forwards server events (the same ones pushed over WebSocket) to outbound
+ * notification channels - webhooks, email, Slack and Discord - so events reach
+ * people who don't have the page open
+ *
+ * Each channel subscribes to a list of event types. Deliveries are retried with
+ * exponential backoff and the most recent attempts are kept per channel.
+ * Channels and delivery logs are persisted under cache/.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { CHANNEL_TYPES, SECRET_FIELDS, getChannelType, createChannel } = require('./notificationChannels');
+const logger = require('../utils/logger');
+
+const NOTIFY_DIR = path.join(__dirname, '../../cache');
+const CHANNELS_FILENAME = 'notification-channels.json';
+const DELIVERIES_FILENAME = 'notification-deliveries.json';
+
+const DEFAULT_MAX_RETRIES = parseInt(process.env.NOTIFY_MAX_RETRIES) || 3;
+const RETRY_BASE_MS = parseInt(process.env.NOTIFY_RETRY_BASE_MS) || 1000;
+const MAX_DELIVERIES_PER_CHANNEL = 50;
+const MASKED_VALUE = '********';
+
+// Events a channel can subscribe to
+const NOTIFIABLE_EVENTS = [
+  'scrape_complete',
+  'bulk_complete',
+  'bulk_by_origin_complete',
+  'bulk_all_complete',
+  'proxy_blacklisted',
+  'schema_drift',
+  'flights_changed',
+  'watch_alert'
+];
+
+// scrape_complete fires for every route of a bulk run, so it's opt-in
+const DEFAULT_EVENTS = NOTIFIABLE_EVENTS.filter(event => event !== 'scrape_complete');
+
+/**
+ * Human-readable title/text for an event (used by email and chat channels)
+ */
+function formatEvent(event) {
+  switch (event.type) {
+    case 'scrape_complete':
+      return {
+        title: `Scrape ${event.success ? 'complete' : 'failed'}: ${event.route}`,
+        text: event.success
+          ? `${event.flightCount} GoWild flight(s) found${event.date ? ` on ${event.date}` : ''}${event.cached ? ' (cached)' : ''}`
+          : `Error: ${event.error || 'unknown error'}`
+      };
+    case 'bulk_complete':
+      return {
+        title: 'Bulk scrape complete',
+        text: `${event.successful}/${event.totalRoutes} routes successful, ${event.failed} failed`
+      };
+    case 'bulk_by_origin_complete':
+    case 'bulk_all_complete': {
+      const stats = event.stats || {};
+      return {
+        title: event.type === 'bulk_all_complete'
+          ? `All routes scraped for ${event.date}`
+          : `All routes from ${event.origin} scraped for ${event.date}`,
+        text: `${stats.total || 0} routes: ${stats.scraped || 0} scraped, ${stats.cached || 0} cached, ${stats.failed || 0} failed`
+      };
+    }
+    case 'proxy_blacklisted':
+      return {
+        title: `Proxy blacklisted: ${event.proxyId}`,
+        text: `${event.host} was blacklisted after ${event.perimeterXBlocks} PerimeterX blocks. ${event.remainingProxies} usable proxies left.`
+      };
+    case 'schema_drift':
+      return event.status === 'recovered'
+        ? {
+          title: 'FlightData schema drift cleared',
+          text: `${event.route} parsed normally again (drift since ${event.driftSince})`
+        }
+        : {
+          title: 'FlightData schema drift detected',
+          text: `${event.consecutiveMismatches} scrapes in a row could not parse Frontier's FlightData. Missing: ${event.missingFields.join(', ') || 'unknown'}`
+        };
+    case 'flights_changed':
+      return {
+        title: `Flights changed: ${event.route} on ${event.date}`,
+        text: event.changes.map(change => {
+          switch (change.type) {
+            case 'appeared': return `+ ${change.flightNumber} now available ($${change.currentFare})`;
+            case 'disappeared': return `- ${change.flightNumber} no longer available`;
+            default: return `~ ${change.flightNumber} $${change.previousFare} -> $${change.currentFare}`;
+          }
+        }).join('\n')
+      };
+    case 'watch_alert':
+      return {
+        title: `Watch alert: ${event.name}`,
+        text: event.flights.map(flight => `${flight.origin}-${flight.destination} ${flight.flightNumber} ${flight.price} departing ${flight.departureDate}`).join('\n')
+      };
+    case 'test':
+      return {
+        title: 'Test notification',
+        text: event.message
+      };
+    default:
+      return { title: event.type, text: JSON.stringify(event) };
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+class Notifier {
+  constructor(dir = NOTIFY_DIR) {
+    this.dir = dir;
+    this.channelsFile = path.join(dir, CHANNELS_FILENAME);
+    this.deliveriesFile = path.join(dir, DELIVERIES_FILENAME);
+    this.channels = [];
+    this.deliveries = {}; // channelId -> most recent deliveries first
+    this.instances = new Map(); // channelId -> channel instance
+    this.writeQueue = Promise.resolve();
+    this.ready = this.init();
+  }
+
+  async init() {
+    try {
+      await fs.mkdir(this.dir, { recursive: true });
+      this.channels = (await this.readJson(this.channelsFile))?.channels || [];
+      this.deliveries = (await this.readJson(this.deliveriesFile)) || {};
+      logger.info(`Loaded ${this.channels.length} notification channels`);
+    } catch (error) {
+      logger.error(`Failed to initialize notifier: ${error.message}`);
+    }
+  }
+
+  async readJson(file) {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`Failed to load ${path.basename(file)}: ${error.message}`);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Serialize writes so concurrent deliveries never interleave file writes
+   */
+  writeJson(file, data) {
+    this.writeQueue = this.writeQueue
+      .then(() => fs.writeFile(file, JSON.stringify(data, null, 2)))
+      .catch(error => logger.error(`Failed to save ${path.basename(file)}: ${error.message}`));
+    return this.writeQueue;
+  }
+
+  saveChannels() {
+    return this.writeJson(this.channelsFile, { channels: this.channels });
+  }
+
+  saveDeliveries() {
+    return this.writeJson(this.deliveriesFile, this.deliveries);
+  }
+
+  /**
+   * Channel as returned by the API - secrets replaced with a mask
+   */
+  describeChannel(channel) {
+    const config = { ...channel.config };
+    SECRET_FIELDS.forEach(field => {
+      if (config[field]) {
+        config[field] = MASKED_VALUE;
+      }
+    });
+
+    const lastDelivery = (this.deliveries[channel.id] || [])[0] || null;
+    return { ...channel, config, lastDelivery };
+  }
+
+  /**
+   * Validate and normalize channel input
+   * Returns { channel } or { error }. With `existing`, only the provided fields change.
+   */
+  normalizeChannel(input, existing = null) {
+    const type = input.type || existing?.type;
+    const Channel = getChannelType(type);
+    if (!Channel) {
+      return { error: `type must be one of: ${CHANNEL_TYPES.join(', ')}` };
+    }
+
+    // A masked secret sent back unchanged keeps the stored value
+    const config = { ...existing?.config, ...input.config };
+    SECRET_FIELDS.forEach(field => {
+      if (config[field] === MASKED_VALUE) {
+        config[field] = existing?.config?.[field];
+      }
+    });
+
+    const configError = Channel.validateConfig(config);
+    if (configError) {
+      return { error: configError };
+    }
+
+    const events = input.events || existing?.events || DEFAULT_EVENTS;
+    if (!Array.isArray(events)) {
+      return { error: 'events must be an array' };
+    }
+    const unknown = events.filter(event => !NOTIFIABLE_EVENTS.includes(event));
+    if (unknown.length > 0) {
+      return { error: `Unknown events: ${unknown.join(', ')} (supported: ${NOTIFIABLE_EVENTS.join(', ')})` };
+    }
+
+    const maxRetries = input.maxRetries !== undefined ? Number(input.maxRetries) : (existing?.maxRetries ?? DEFAULT_MAX_RETRIES);
+    if (isNaN(maxRetries) || maxRetries < 0 || maxRetries > 10) {
+      return { error: 'maxRetries must be between 0 and 10' };
+    }
+
+    return {
+      channel: {
+        id: existing?.id || crypto.randomUUID(),
+        name: input.name || existing?.name || type,
+        type,
+        enabled: input.enabled !== undefined ? input.enabled !== false : existing?.enabled !== false,
+        events,
+        maxRetries,
+        config,
+        createdAt: existing?.createdAt || new Date().toISOString()
+      }
+    };
+  }
+
+  async list() {
+    await this.ready;
+    return this.channels.map(channel => this.describeChannel(channel));
+  }
+
+  async get(id) {
+    await this.ready;
+    const channel = this.channels.find(c => c.id === id);
+    return channel ? this.describeChannel(channel) : null;
+  }
+
+  async create(input) {
+    await this.ready;
+
+    const result = this.normalizeChannel(input);
+    if (result.error) {
+      return result;
+    }
+
+    this.channels.push(result.channel);
+    await this.saveChannels();
+    logger.info(`Notification channel created: ${result.channel.name} (${result.channel.type})`);
+    return { channel: this.describeChannel(result.channel) };
+  }
+
+  async update(id, input) {
+    await this.ready;
+
+    const index = this.channels.findIndex(c => c.id === id);
+    if (index === -1) {
+      return null;
+    }
+
+    const result = this.normalizeChannel(input, this.channels[index]);
+    if (result.error) {
+      return result;
+    }
+
+    this.channels[index] = result.channel;
+    this.instances.delete(id);
+    await this.saveChannels();
+    return { channel: this.describeChannel(result.channel) };
+  }
+
+  async remove(id) {
+    await this.ready;
+
+    const index = this.channels.findIndex(c => c.id === id);
+    if (index === -1) {
+      return false;
+    }
+
+    const [removed] = this.channels.splice(index, 1);
+    this.instances.delete(id);
+    delete this.deliveries[id];
+    await this.saveChannels();
+    await this.saveDeliveries();
+    logger.info(`Notification channel deleted: ${removed.name}`);
+    return true;
+  }
+
+  async getDeliveries(id) {
+    await this.ready;
+    return this.deliveries[id] || [];
+  }
+
+  getInstance(channel) {
+    if (!this.instances.has(channel.id)) {
+      this.instances.set(channel.id, createChannel(channel.type, channel.config));
+    }
+    return this.instances.get(channel.id);
+  }
+
+  /**
+   * Entry point for server events - called for everything sent via global.broadcast
+   */
+  handleEvent(event) {
+    if (!event || !NOTIFIABLE_EVENTS.includes(event.type)) {
+      return;
+    }
+
+    this.ready.then(() => {
+      this.channels
+        .filter(channel => channel.enabled && channel.events.includes(event.type))
+        .forEach(channel => {
+          this.deliver(channel, event).catch(error => {
+            logger.error(`Notification delivery error (${channel.name}): ${error.message}`);
+          });
+        });
+    });
+  }
+
+  /**
+   * Deliver one event to one channel, retrying with exponential backoff
+   * Returns the delivery log entry
+   */
+  async deliver(channel, event) {
+    const { title, text } = formatEvent(event);
+    const notification = { event, title, text, deliveryId: crypto.randomUUID() };
+    const startTime = Date.now();
+    const maxAttempts = channel.maxRetries + 1;
+    let attempts = 0;
+    let lastError = null;
+
+    while (attempts < maxAttempts) {
+      attempts++;
+      try {
+        await this.getInstance(channel).send(notification);
+        lastError = null;
+        break;
+      } catch (error) {
+        lastError = error;
+        logger.warn(`Notification to ${channel.name} failed (attempt ${attempts}/${maxAttempts}): ${error.message}`);
+
+        if (error.retryable === false || attempts >= maxAttempts) {
+          break;
+        }
+        await sleep(RETRY_BASE_MS * Math.pow(2, attempts - 1));
+      }
+    }
+
+    const delivery = {
+      id: notification.deliveryId,
+      event: event.type,
+      title,
+      status: lastError ? 'failed' : 'delivered',
+      attempts,
+      error: lastError ? lastError.message : null,
+      durationMs: Date.now() - startTime,
+      deliveredAt: new Date().toISOString()
+    };
+
+    this.deliveries[channel.id] = [delivery, ...(this.deliveries[channel.id] || [])].slice(0, MAX_DELIVERIES_PER_CHANNEL);
+    await this.saveDeliveries();
+
+    if (lastError) {
+      logger.error(`Notification to ${channel.name} failed after ${attempts} attempt(s): ${lastError.message}`);
+    } else {
+      logger.info(`Notification ${event.type} delivered to ${channel.name}`);
+    }
+
+    return delivery;
+  }
+
+  /**
+   * Send a test notification to a channel (even if disabled) and wait for the result
+   */
+  async sendTest(id) {
+    await this.ready;
+
+    const channel = this.channels.find(c => c.id === id);
+    if (!channel) {
+      return null;
+    }
+
+    return this.deliver(channel, {
+      type: 'test',
+      message: `Test notification from Frontier Scraper to ${channel.name}`,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+// Singleton instance
+let notifierInstance = null;
+
+function getNotifier() {
+  if (!notifierInstance) {
+    notifierInstance = new Notifier();
+  }
+  return notifierInstance;
+}
+
+module.exports = { Notifier, getNotifier, NOTIFIABLE_EVENTS };
@@ -0,0 +1,146 @@
+/**
+ * Payload Archive
+ * Keeps the raw FlightData payload of live scrapes, gzipped, so a scrape can be
+ * replayed offline (SCRAPER_METHOD=replay) and parser changes can be checked
+ * against what Frontier actually sent
+ *
+ * Layout: cache/payload-archive/<cache key>/<epoch ms>.json.gz, each file holding
+ * { origin, destination, date, returnDate, method, timestamp, payload } where payload is
+ * the FlightData string exactly as embedded in the page (still HTML-escaped).
+ * Only the newest PAYLOAD_ARCHIVE_MAX_PER_ROUTE payloads are kept per route/date.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { getCache } = require('./cache');
+const { findRawFlightData } = require('./flightDataParser');
+const logger = require('../utils/logger');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const ARCHIVE_DIR = path.join(__dirname, '../../cache/payload-archive');
+const FILE_SUFFIX = '.json.gz';
+const ARCHIVE_ENABLED = process.env.PAYLOAD_ARCHIVE_ENABLED === 'true';
+const MAX_PER_ROUTE = parseInt(process.env.PAYLOAD_ARCHIVE_MAX_PER_ROUTE) || 10;
+
+class PayloadArchive {
+  constructor(dir = ARCHIVE_DIR, maxPerRoute = MAX_PER_ROUTE) {
+    this.dir = dir;
+    this.maxPerRoute = maxPerRoute;
+  }
+
+  routeDir(origin, destination, date, returnDate = null) {
+    return path.join(this.dir, getCache().getCacheKey(origin, destination, date, returnDate));
+  }
+
+  /**
+   * Archive the FlightData payload found in page HTML
+   * context: { origin, destination, date, returnDate, method }
+   * Returns the archived file path, or null if the page had no FlightData
+   */
+  async save(html, { origin, destination, date, returnDate = null, method = null }) {
+    const payload = findRawFlightData(html);
+    if (!payload) {
+      return null;
+    }
+
+    const dir = this.routeDir(origin, destination, date, returnDate);
+    const timestamp = new Date();
+    const file = path.join(dir, `${timestamp.getTime()}${FILE_SUFFIX}`);
+    const record = { origin, destination, date, returnDate, method, timestamp: timestamp.toISOString(), payload };
+
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(file, await gzip(JSON.stringify(record)));
+    await this.prune(dir);
+
+    logger.debug(`Archived FlightData payload for ${path.basename(dir)} (${payload.length} chars)`);
+    return file;
+  }
+
+  /**
+   * Archived file names for a route/date, newest first
+   */
+  async listFiles(dir) {
+    try {
+      const files = await fs.readdir(dir);
+      return files
+        .filter(file => file.endsWith(FILE_SUFFIX))
+        .sort((a, b) => parseInt(b) - parseInt(a));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  async prune(dir) {
+    const files = await this.listFiles(dir);
+    await Promise.all(files.slice(this.maxPerRoute).map(file => fs.unlink(path.join(dir, file)).catch(() => {})));
+  }
+
+  /**
+   * Newest archived record for a route/date (and return date), or null
+   */
+  async latest(origin, destination, date, returnDate = null) {
+    const dir = this.routeDir(origin, destination, date, returnDate);
+    const [newest] = await this.listFiles(dir);
+
+    if (!newest) {
+      return null;
+    }
+    return JSON.parse((await gunzip(await fs.readFile(path.join(dir, newest)))).toString('utf8'));
+  }
+
+  /**
+   * Archived route/dates with payload count and newest timestamp
+   */
+  async list() {
+    let keys;
+    try {
+      keys = await fs.readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const entries = await Promise.all(keys.map(async key => {
+      const files = await this.listFiles(path.join(this.dir, key));
+      return files.length > 0
+        ? { key, ...getCache().parseCacheKey(key), payloads: files.length, newest: new Date(parseInt(files[0])).toISOString() }
+        : null;
+    }));
+
+    return entries.filter(Boolean).sort((a, b) => a.key.localeCompare(b.key));
+  }
+}
+
+// Singleton instance
+let archiveInstance = null;
+
+function getPayloadArchive() {
+  if (!archiveInstance) {
+    archiveInstance = new PayloadArchive();
+  }
+  return archiveInstance;
+}
+
+/**
+ * Archive a live scrape's payload if PAYLOAD_ARCHIVE_ENABLED - never fails the scrape
+ */
+function archivePayload(html, context) {
+  if (!ARCHIVE_ENABLED) {
+    return;
+  }
+
+  getPayloadArchive().save(html, context).catch(error => {
+    logger.warn(`Failed to archive FlightData payload for ${context.origin}-${context.destination}: ${error.message}`);
+  });
+}
+
+module.exports = { PayloadArchive, getPayloadArchive, archivePayload };
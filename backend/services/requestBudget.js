@@ -0,0 +1,237 @@
+/**
+ * Outbound Request Budget
+ * One politeness limiter for the whole process: a token bucket per target host that
+ * every page navigation and HTTP fetch to Frontier takes a token from, whichever
+ * scraper method (or the sitemap fetcher) makes it - on top of the per-proxy limits
+ *
+ * Each host refills at OUTBOUND_REQUESTS_PER_MINUTE (or its OUTBOUND_HOST_LIMITS
+ * override, "host:perMinute,...") up to OUTBOUND_BURST tokens. Callers that find the
+ * bucket empty wait their turn, first come first served.
+ *
+ * BULK_HOURS ("HH:MM-HH:MM", server local time, may wrap past midnight) limits bulk
+ * jobs to those hours: outside them a job waits before starting its next route.
+ */
+
+const logger = require('../utils/logger');
+
+const DEFAULT_REQUESTS_PER_MINUTE = 30;
+const DEFAULT_BURST = 5;
+
+/**
+ * Parse "host:perMinute,..." into Map(host -> perMinute) - throws on invalid input
+ */
+function parseHostLimits(value) {
+  const limits = new Map();
+
+  String(value || '').split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+    const separator = part.lastIndexOf(':');
+    const host = part.slice(0, separator).trim().toLowerCase();
+    const perMinute = parseFloat(part.slice(separator + 1));
+
+    if (separator <= 0 || !host || !(perMinute > 0)) {
+      throw new Error(`Invalid host limit "${part}" (expected <host>:<requests per minute>)`);
+    }
+    limits.set(host, perMinute);
+  });
+
+  return limits;
+}
+
+/**
+ * Parse "HH:MM-HH:MM" into { window, start, end } in minutes after midnight,
+ * or null when empty - throws on invalid input
+ */
+function parseBulkHours(value) {
+  if (!value || !String(value).trim()) {
+    return null;
+  }
+
+  const match = String(value).trim().match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+  const toMinutes = (hours, minutes) => parseInt(hours) * 60 + parseInt(minutes);
+
+  if (!match || parseInt(match[1]) > 23 || parseInt(match[3]) > 23 || parseInt(match[2]) > 59 || parseInt(match[4]) > 59) {
+    throw new Error(`Invalid bulk hours "${value}" (expected HH:MM-HH:MM, e.g. 01:00-06:00)`);
+  }
+
+  const start = toMinutes(match[1], match[2]);
+  const end = toMinutes(match[3], match[4]);
+  if (start === end) {
+    throw new Error(`Invalid bulk hours "${value}" (start and end are the same)`);
+  }
+
+  return { window: `${match[1].padStart(2, '0')}:${match[2]}-${match[3].padStart(2, '0')}:${match[4]}`, start, end };
+}
+
+/**
+ * Host of a URL (or the value itself when it is already a host)
+ */
+function hostOf(target) {
+  return String(target).includes('://') ? new URL(target).host.toLowerCase() : String(target).toLowerCase();
+}
+
+class RequestBudget {
+  /**
+   * options: { perMinute, burst, hostLimits (string or Map), bulkHours (string or parsed),
+   *            now (clock, for tests) }
+   */
+  constructor(options = {}) {
+    this.perMinute = options.perMinute || parseFloat(process.env.OUTBOUND_REQUESTS_PER_MINUTE) || DEFAULT_REQUESTS_PER_MINUTE;
+    this.burst = options.burst || parseInt(process.env.OUTBOUND_BURST) || DEFAULT_BURST;
+    this.now = options.now || Date.now;
+    this.hostLimits = this.loadSetting('OUTBOUND_HOST_LIMITS', parseHostLimits,
+      options.hostLimits !== undefined ? options.hostLimits : process.env.OUTBOUND_HOST_LIMITS, new Map());
+    this.bulkHours = this.loadSetting('BULK_HOURS', parseBulkHours,
+      options.bulkHours !== undefined ? options.bulkHours : process.env.BULK_HOURS, null);
+    this.buckets = new Map(); // host -> { perMinute, tokens, updatedAt, waiting, granted, throttled, waitedMs }
+  }
+
+  /**
+   * Parse a setting, falling back (with an error logged) when it is invalid
+   */
+  loadSetting(name, parse, value, fallback) {
+    if (value && typeof value !== 'string') {
+      return value;
+    }
+    try {
+      return parse(value) || fallback;
+    } catch (error) {
+      logger.error(`Invalid ${name} (${error.message}), ignoring it`);
+      return fallback;
+    }
+  }
+
+  getBucket(host) {
+    if (!this.buckets.has(host)) {
+      this.buckets.set(host, {
+        perMinute: this.hostLimits.get(host) || this.perMinute,
+        tokens: this.burst,
+        updatedAt: this.now(),
+        waiting: 0,
+        granted: 0,
+        throttled: 0,
+        waitedMs: 0
+      });
+    }
+
+    // Refill for the time since the last update
+    const bucket = this.buckets.get(host);
+    const now = this.now();
+    bucket.tokens = Math.min(this.burst, bucket.tokens + ((now - bucket.updatedAt) / 60000) * bucket.perMinute);
+    bucket.updatedAt = now;
+    return bucket;
+  }
+
+  /**
+   * Take a token for target (URL or host) - returns the milliseconds the caller must
+   * wait before sending. Tokens can go negative: each waiting caller holds a later slot.
+   */
+  reserve(target) {
+    const bucket = this.getBucket(hostOf(target));
+
+    bucket.tokens -= 1;
+    bucket.granted++;
+
+    if (bucket.tokens >= 0) {
+      return 0;
+    }
+
+    const waitMs = Math.ceil((-bucket.tokens / bucket.perMinute) * 60000);
+    bucket.throttled++;
+    bucket.waitedMs += waitMs;
+    return waitMs;
+  }
+
+  /**
+   * Wait for a token for target (URL or host) - call right before each request
+   * Resolves with the milliseconds waited
+   */
+  async acquire(target) {
+    const host = hostOf(target);
+    const waitMs = this.reserve(host);
+
+    if (waitMs > 0) {
+      const bucket = this.buckets.get(host);
+      logger.debug(`Request budget for ${host} used up, waiting ${waitMs}ms`);
+      bucket.waiting++;
+      try {
+        await new Promise(resolve => setTimeout(resolve, waitMs));
+      } finally {
+        bucket.waiting--;
+      }
+    }
+
+    return waitMs;
+  }
+
+  /**
+   * Whether bulk jobs may run now (always true without BULK_HOURS)
+   */
+  isBulkWindowOpen() {
+    if (!this.bulkHours) {
+      return true;
+    }
+
+    const date = new Date(this.now());
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    const { start, end } = this.bulkHours;
+
+    return start < end
+      ? minutes >= start && minutes < end
+      : minutes >= start || minutes < end; // wraps past midnight
+  }
+
+  /**
+   * When the bulk window next opens (null while it is open or without BULK_HOURS)
+   */
+  nextBulkWindowStart() {
+    if (this.isBulkWindowOpen()) {
+      return null;
+    }
+
+    const opens = new Date(this.now());
+    opens.setHours(Math.floor(this.bulkHours.start / 60), this.bulkHours.start % 60, 0, 0);
+    if (opens.getTime() <= this.now()) {
+      opens.setDate(opens.getDate() + 1);
+    }
+    return opens;
+  }
+
+  getStats() {
+    const hosts = new Set([...this.hostLimits.keys(), ...this.buckets.keys()]);
+    const nextOpen = this.nextBulkWindowStart();
+
+    return {
+      requestsPerMinute: this.perMinute,
+      burst: this.burst,
+      hosts: Array.from(hosts).sort().map(host => {
+        const bucket = this.buckets.has(host) ? this.getBucket(host) : null;
+        return {
+          host,
+          requestsPerMinute: bucket ? bucket.perMinute : this.hostLimits.get(host),
+          remaining: bucket ? Math.max(Math.floor(bucket.tokens), 0) : this.burst,
+          waiting: bucket ? bucket.waiting : 0,
+          requests: bucket ? bucket.granted : 0,
+          throttled: bucket ? bucket.throttled : 0,
+          waitedMs: bucket ? bucket.waitedMs : 0
+        };
+      }),
+      bulkHours: {
+        window: this.bulkHours ? this.bulkHours.window : null,
+        open: this.isBulkWindowOpen(),
+        opensAt: nextOpen ? nextOpen.toISOString() : null
+      }
+    };
+  }
+}
+
+// Singleton instance
+let budgetInstance = null;
+
+function getRequestBudget() {
+  if (!budgetInstance) {
+    budgetInstance = new RequestBudget();
+  }
+  return budgetInstance;
+}
+
+module.exports = { RequestBudget, getRequestBudget, parseHostLimits, parseBulkHours };
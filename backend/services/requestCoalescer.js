@@ -0,0 +1,64 @@
+/**
+ * Request Coalescer
+ * Shares one in-flight promise between concurrent callers asking for the same key,
+ * so the same route/date is never scraped live twice at the same time
+ */
+
+const logger = require('../utils/logger');
+
+class RequestCoalescer {
+  constructor() {
+    this.inFlight = new Map(); // key -> promise
+    this.started = 0;
+    this.hits = 0;
+  }
+
+  /**
+   * Run task for key, or join the task already running for key
+   * Resolves to { result, shared } - shared is true if this caller joined an existing task
+   */
+  async run(key, task) {
+    const existing = this.inFlight.get(key);
+
+    if (existing) {
+      this.hits++;
+      logger.info(`Joining in-flight scrape for ${key} (${this.hits} dedup hits)`);
+      return { result: await existing, shared: true };
+    }
+
+    this.started++;
+    const promise = Promise.resolve()
+      .then(task)
+      .finally(() => {
+        this.inFlight.delete(key);
+      });
+
+    this.inFlight.set(key, promise);
+    return { result: await promise, shared: false };
+  }
+
+  isInFlight(key) {
+    return this.inFlight.has(key);
+  }
+
+  getStats() {
+    return {
+      started: this.started,
+      hits: this.hits,
+      inFlight: this.inFlight.size,
+      inFlightKeys: Array.from(this.inFlight.keys())
+    };
+  }
+}
+
+// Singleton instance
+let coalescerInstance = null;
+
+function getRequestCoalescer() {
+  if (!coalescerInstance) {
+    coalescerInstance = new RequestCoalescer();
+  }
+  return coalescerInstance;
+}
+
+module.exports = { RequestCoalescer, getRequestCoalescer };
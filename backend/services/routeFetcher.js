@@ -7,6 +7,7 @@ const { chromium } = require('playwright-extra');
 const stealth = require('puppeteer-extra-plugin-stealth')();
 const cheerio = require('cheerio');
 const axios = require('axios');
+const { getRequestBudget } = require('./requestBudget');
 const logger = require('../utils/logger');
 const { cityToIata, extractCitiesFromText, extractCitiesFromUrl } = require('../utils/cityToIata');
 
@@ -23,6 +24,7 @@ async function fetchRoutesFromPage(pageNumber) {
     logger.info(`Fetching routes from page ${pageNumber}: ${url}`);
 
     // Use axios first (faster for simple HTML)
+    await getRequestBudget().acquire(url);
     const response = await axios.get(url, {
       headers: {
         'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36',
@@ -171,6 +173,7 @@ async function fetchRoutesFromPageWithPlaywright(pageNumber) {
     });
 
     const page = await context.newPage();
+    await getRequestBudget().acquire(url);
     await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
     await page.waitForTimeout(2000);
 
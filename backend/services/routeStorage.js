@@ -11,15 +11,16 @@ const ROUTES_DIR = path.join(__dirname, '../../cache');
 const ROUTES_FILE = path.join(ROUTES_DIR, 'routes.json');
 
 class RouteStorage {
-  constructor() {
+  constructor(routesFile = ROUTES_FILE) {
+    this.routesFile = routesFile;
     this.routes = [];
     this.routeMap = null;
-    this.init();
+    this.ready = this.init();
   }
 
   async init() {
     try {
-      await fs.mkdir(ROUTES_DIR, { recursive: true });
+      await fs.mkdir(path.dirname(this.routesFile), { recursive: true });
       await this.load();
     } catch (error) {
       logger.error(`Failed to initialize route storage: ${error.message}`);
@@ -28,7 +29,7 @@ class RouteStorage {
 
   async load() {
     try {
-      const data = await fs.readFile(ROUTES_FILE, 'utf8');
+      const data = await fs.readFile(this.routesFile, 'utf8');
       const parsed = JSON.parse(data);
       this.routes = parsed.routes || [];
       this.routeMap = this.buildRouteMap(this.routes);
@@ -53,7 +54,7 @@ class RouteStorage {
         count: this.routes.length
       };
 
-      await fs.writeFile(ROUTES_FILE, JSON.stringify(data, null, 2));
+      await fs.writeFile(this.routesFile, JSON.stringify(data, null, 2));
       logger.info(`Saved ${this.routes.length} routes to storage`);
     } catch (error) {
       logger.error(`Failed to save routes: ${error.message}`);
@@ -144,7 +145,7 @@ class RouteStorage {
 
   async getLastUpdated() {
     try {
-      const data = await fs.readFile(ROUTES_FILE, 'utf8');
+      const data = await fs.readFile(this.routesFile, 'utf8');
       const parsed = JSON.parse(data);
       return parsed.lastUpdated || null;
     } catch (error) {
@@ -163,5 +164,5 @@ function getRouteStorage() {
   return routeStorageInstance;
 }
 
-module.exports = { getRouteStorage };
+module.exports = { RouteStorage, getRouteStorage };
 
@@ -0,0 +1,158 @@
+/**
+ * Schema Monitor
+ * Tracks FlightData parse outcomes across live scrapes so a change on Frontier's side
+ * (renamed or dropped fields) is noticed instead of looking like days without GoWild
+ *
+ * SCHEMA_MISMATCH_THRESHOLD consecutive schema_mismatch outcomes put the monitor into
+ * drift: scrapes then fail with SCHEMA_DRIFT instead of SCHEMA_MISMATCH, a schema_drift
+ * event is broadcast and /api/health reports it. The next good parse clears it.
+ */
+
+const { PARSE_OUTCOMES } = require('./flightDataParser');
+const { toErrorInfo } = require('./scrapeErrors');
+const logger = require('../utils/logger');
+
+const MISMATCH_THRESHOLD = parseInt(process.env.SCHEMA_MISMATCH_THRESHOLD) || 3;
+const MAX_RECENT_MISMATCHES = 10;
+function isSchemaError(error) {
+  return !!error && toErrorInfo(error).errorClass === 'schema';
+}
+
+class SchemaMonitor {
+  constructor(threshold = MISMATCH_THRESHOLD) {
+    this.threshold = threshold;
+    this.outcomes = Object.fromEntries(Object.values(PARSE_OUTCOMES).map(outcome => [outcome, 0]));
+    this.consecutiveMismatches = 0;
+    this.driftSince = null;
+    this.lastOutcome = null;
+    this.lastValidAt = null;
+    this.lastMismatchAt = null;
+    this.missingFields = new Map(); // field -> { count, lastSeen }
+    this.unknownFields = new Map(); // field -> { count, firstSeen, lastSeen }
+    this.recentMismatches = []; // newest first
+  }
+
+  isDrifting() {
+    return this.driftSince !== null;
+  }
+
+  /**
+   * Record the outcome of one parse (an analyzeTrip/analyzeFlightData result)
+   * context: { route, date, method }
+   * Returns the error code to fail the scrape with, or null if the parse was usable
+   */
+  record(analysis, context = {}) {
+    const now = new Date().toISOString();
+    const { outcome, missingFields = [], unknownFields = [] } = analysis;
+
+    this.outcomes[outcome] = (this.outcomes[outcome] || 0) + 1;
+    this.lastOutcome = outcome;
+
+    unknownFields.forEach(field => {
+      const seen = this.unknownFields.get(field);
+      if (!seen) {
+        logger.info(`New FlightData field seen: ${field}`);
+        this.unknownFields.set(field, { count: 1, firstSeen: now, lastSeen: now });
+      } else {
+        seen.count++;
+        seen.lastSeen = now;
+      }
+    });
+
+    if (outcome !== PARSE_OUTCOMES.SCHEMA_MISMATCH) {
+      this.lastValidAt = now;
+      this.consecutiveMismatches = 0;
+
+      if (this.isDrifting()) {
+        logger.info(`FlightData schema drift cleared by ${context.route || 'a scrape'} (${outcome})`);
+        this.broadcast('recovered', context, []);
+        this.driftSince = null;
+      }
+      return null;
+    }
+
+    this.consecutiveMismatches++;
+    this.lastMismatchAt = now;
+
+    missingFields.forEach(field => {
+      const seen = this.missingFields.get(field) || { count: 0, lastSeen: null };
+      seen.count++;
+      seen.lastSeen = now;
+      this.missingFields.set(field, seen);
+    });
+
+    this.recentMismatches.unshift({ ...context, missingFields, timestamp: now });
+    this.recentMismatches.length = Math.min(this.recentMismatches.length, MAX_RECENT_MISMATCHES);
+
+    logger.warn(`FlightData schema mismatch for ${context.route || 'unknown route'} (${this.consecutiveMismatches} in a row): missing ${missingFields.join(', ')}`);
+
+    if (!this.isDrifting() && this.consecutiveMismatches >= this.threshold) {
+      this.driftSince = now;
+      logger.error(`FlightData schema drift detected after ${this.consecutiveMismatches} consecutive mismatches`);
+      this.broadcast('detected', context, missingFields);
+    }
+
+    return this.isDrifting() ? 'SCHEMA_DRIFT' : 'SCHEMA_MISMATCH';
+  }
+
+  broadcast(status, context, missingFields) {
+    if (!global.broadcast) {
+      return;
+    }
+
+    global.broadcast({
+      type: 'schema_drift',
+      status,
+      route: context.route,
+      date: context.date,
+      method: context.method,
+      consecutiveMismatches: this.consecutiveMismatches,
+      threshold: this.threshold,
+      missingFields,
+      driftSince: this.driftSince,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Health-check item: status is ok, drift or unknown (nothing parsed yet)
+   */
+  getHealth() {
+    let status = 'ok';
+    if (this.isDrifting()) {
+      status = 'drift';
+    } else if (!this.lastOutcome) {
+      status = 'unknown';
+    }
+
+    const byCount = map => Array.from(map.entries())
+      .map(([field, info]) => ({ field, ...info }))
+      .sort((a, b) => b.count - a.count);
+
+    return {
+      status,
+      threshold: this.threshold,
+      consecutiveMismatches: this.consecutiveMismatches,
+      driftSince: this.driftSince,
+      lastOutcome: this.lastOutcome,
+      lastValidAt: this.lastValidAt,
+      lastMismatchAt: this.lastMismatchAt,
+      outcomes: { ...this.outcomes },
+      missingFields: byCount(this.missingFields),
+      unknownFields: byCount(this.unknownFields),
+      recentMismatches: this.recentMismatches
+    };
+  }
+}
+
+// Singleton instance
+let monitorInstance = null;
+
+function getSchemaMonitor() {
+  if (!monitorInstance) {
+    monitorInstance = new SchemaMonitor();
+  }
+  return monitorInstance;
+}
+
+module.exports = { SchemaMonitor, getSchemaMonitor, isSchemaError };
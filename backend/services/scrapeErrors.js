@@ -0,0 +1,199 @@
+/**
+ * Scrape Errors
+ * One taxonomy for everything a scrape can fail with: a stable code, the class it
+ * belongs to and whether trying again can help. Adapters keep throwing (or returning)
+ * their usual errors - classifyError() is the one place that maps them to a code, so
+ * callers never compare message strings.
+ *
+ * Retryable classes are retried by the adapter registry (blocks inside the decodo adapter,
+ * which rotates proxies) per SCRAPER_RETRY_POLICY, "class:maxAttempts:backoff,...",
+ * where backoff (e.g. 2s, 500ms) doubles after each attempt. No class gets more than
+ * SCRAPER_MAX_RETRIES attempts in total.
+ */
+
+const logger = require('../utils/logger');
+
+// code -> { errorClass, retryable, description (shown in the UI) }
+const SCRAPE_ERRORS = {
+  BLOCKED_BY_PERIMETERX: { errorClass: 'blocked', retryable: true, description: 'Blocked by PerimeterX bot protection' },
+  NAVIGATION_TIMEOUT: { errorClass: 'timeout', retryable: true, description: 'The booking page took too long to load' },
+  NETWORK_ERROR: { errorClass: 'network', retryable: true, description: 'Could not reach Frontier (connection or proxy failure)' },
+  NO_FLIGHT_DATA: { errorClass: 'no_data', retryable: true, description: 'The page loaded without any flight data' },
+  NO_PROXY_AVAILABLE: { errorClass: 'capacity', retryable: true, description: 'No proxy was free to make the request' },
+  SCHEMA_MISMATCH: { errorClass: 'schema', retryable: false, description: 'The flight data was not in the format we parse' },
+  SCHEMA_DRIFT: { errorClass: 'schema', retryable: false, description: 'Frontier changed its flight data format' },
+  NO_ARCHIVED_PAYLOAD: { errorClass: 'not_found', retryable: false, description: 'No archived payload to replay for this search' },
+  UNKNOWN_METHOD: { errorClass: 'config', retryable: false, description: 'Unknown scraper method' },
+  PROXIES_NOT_CONFIGURED: { errorClass: 'config', retryable: false, description: 'Decodo proxies are not configured' },
+  ADAPTER_INIT_FAILED: { errorClass: 'config', retryable: false, description: 'The scraper failed to start (e.g. the browser would not launch)' },
+  SCRAPER_ERROR: { errorClass: 'internal', retryable: true, description: 'Unexpected scraper error' }
+};
+
+const DEFAULT_CODE = 'SCRAPER_ERROR';
+
+// Messages that aren't codes themselves, checked in order
+const MESSAGE_PATTERNS = [
+  [/PerimeterX|BLOCKED/, 'BLOCKED_BY_PERIMETERX'],
+  [/Navigation timeout|Timeout \d+ms exceeded|timed? ?out/i, 'NAVIGATION_TIMEOUT'],
+  [/net::ERR_|ECONNREFUSED|ECONNRESET|ENOTFOUND|EAI_AGAIN|ETIMEDOUT|socket hang up/, 'NETWORK_ERROR'],
+  [/^Unknown scraper method/, 'UNKNOWN_METHOD'],
+  [/^Decodo proxy manager not initialized/, 'PROXIES_NOT_CONFIGURED']
+];
+
+/**
+ * An error with a code from SCRAPE_ERRORS - the message defaults to the code, so
+ * code-as-message checks elsewhere keep working
+ */
+class ScrapeError extends Error {
+  constructor(code, message = code) {
+    super(message);
+    this.name = 'ScrapeError';
+    this.code = SCRAPE_ERRORS[code] ? code : DEFAULT_CODE;
+    this.errorClass = SCRAPE_ERRORS[this.code].errorClass;
+    this.retryable = SCRAPE_ERRORS[this.code].retryable;
+  }
+}
+
+/**
+ * Code for an error, error message or error info - SCRAPER_ERROR when nothing matches
+ */
+function classifyError(error) {
+  if (error && typeof error === 'object' && SCRAPE_ERRORS[error.code]) {
+    return error.code;
+  }
+
+  const message = String(error && typeof error === 'object' ? error.message : error || '');
+  if (SCRAPE_ERRORS[message]) {
+    return message;
+  }
+
+  const match = MESSAGE_PATTERNS.find(([pattern]) => pattern.test(message));
+  return match ? match[1] : DEFAULT_CODE;
+}
+
+/**
+ * The structured error for API and WebSocket payloads:
+ * { code, errorClass, retryable, description, message (the original message) }
+ */
+function toErrorInfo(error) {
+  const code = classifyError(error);
+  const { errorClass, retryable, description } = SCRAPE_ERRORS[code];
+  const message = error && typeof error === 'object' ? error.message : error;
+
+  return { code, errorClass, retryable, description, message: message || code };
+}
+
+const DEFAULT_POLICY = 'blocked:2:5s,timeout:3:2s,network:3:2s,no_data:2:2s,capacity:2:15s,internal:2:1s';
+
+/**
+ * Parse "2s", "500ms", "1m" or a bare number of milliseconds
+ */
+function parseDuration(value) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)(ms|s|m)?$/);
+  if (!match) {
+    return NaN;
+  }
+  const unit = { ms: 1, s: 1000, m: 60000 }[match[2] || 'ms'];
+  return Math.round(parseFloat(match[1]) * unit);
+}
+
+/**
+ * Parse "class:maxAttempts:backoff,..." into Map(class -> { maxAttempts, backoffMs })
+ * - throws on invalid input
+ */
+function parseRetryPolicy(value) {
+  const classes = new Set(Object.values(SCRAPE_ERRORS).map(({ errorClass }) => errorClass));
+  const policy = new Map();
+
+  String(value || '').split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+    const [errorClass, attempts, backoff = '0'] = part.split(':').map(piece => piece.trim());
+    const maxAttempts = parseInt(attempts);
+    const backoffMs = parseDuration(backoff);
+
+    if (!classes.has(errorClass)) {
+      throw new Error(`Invalid retry policy "${part}" (unknown error class, expected one of: ${Array.from(classes).join(', ')})`);
+    }
+    if (!(maxAttempts >= 1) || !(backoffMs >= 0)) {
+      throw new Error(`Invalid retry policy "${part}" (expected <class>:<max attempts>:<backoff, e.g. 2s>)`);
+    }
+    policy.set(errorClass, { maxAttempts, backoffMs });
+  });
+
+  return policy;
+}
+
+class RetryPolicy {
+  /**
+   * options: { policy (string or Map, merged over the defaults), maxRetries }
+   */
+  constructor(options = {}) {
+    this.maxRetries = options.maxRetries || parseInt(process.env.SCRAPER_MAX_RETRIES) || 3;
+    this.classes = parseRetryPolicy(DEFAULT_POLICY);
+
+    const configured = options.policy !== undefined ? options.policy : process.env.SCRAPER_RETRY_POLICY;
+    try {
+      const overrides = configured instanceof Map ? configured : parseRetryPolicy(configured);
+      overrides.forEach((rule, errorClass) => this.classes.set(errorClass, rule));
+    } catch (error) {
+      logger.error(`Invalid SCRAPER_RETRY_POLICY (${error.message}), using the defaults`);
+    }
+  }
+
+  /**
+   * Total attempts allowed for an error (1 when it isn't retryable)
+   */
+  maxAttempts(error) {
+    const { errorClass, retryable } = toErrorInfo(error);
+    const rule = this.classes.get(errorClass);
+
+    if (!retryable || !rule) {
+      return 1;
+    }
+    return Math.max(1, Math.min(rule.maxAttempts, this.maxRetries));
+  }
+
+  /**
+   * Milliseconds to wait after failed attempt number `attempt` (1-based) - doubles each time
+   */
+  backoffMs(error, attempt) {
+    const rule = this.classes.get(toErrorInfo(error).errorClass);
+    return rule ? rule.backoffMs * Math.pow(2, attempt - 1) : 0;
+  }
+
+  /**
+   * Whether to try again after failed attempt number `attempt`
+   */
+  shouldRetry(error, attempt) {
+    return attempt < this.maxAttempts(error);
+  }
+
+  getStats() {
+    return {
+      maxRetries: this.maxRetries,
+      classes: Object.fromEntries(Array.from(this.classes, ([errorClass, { maxAttempts, backoffMs }]) => [
+        errorClass,
+        { maxAttempts: Math.min(maxAttempts, this.maxRetries), backoffMs }
+      ]))
+    };
+  }
+}
+
+// Singleton instance
+let policyInstance = null;
+
+function getRetryPolicy() {
+  if (!policyInstance) {
+    policyInstance = new RetryPolicy();
+  }
+  return policyInstance;
+}
+
+module.exports = {
+  SCRAPE_ERRORS,
+  ScrapeError,
+  classifyError,
+  toErrorInfo,
+  parseRetryPolicy,
+  RetryPolicy,
+  getRetryPolicy
+};
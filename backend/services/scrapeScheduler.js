@@ -0,0 +1,173 @@
+/**
+ * Scrape Scheduler
+ * Every live scrape waits here for one of a fixed number of slots (by default the
+ * Bypass1 context pool size), so searches, watches and bulk jobs share the same
+ * contexts and proxies in priority order instead of first come, first served
+ *
+ * Priority classes, highest first:
+ * - interactive  searches from the UI/API - take the next free slot
+ * - watch        scheduled watch re-scrapes
+ * - bulk         bulk jobs
+ *
+ * Within a class, queued scrapes are grouped (e.g. one group per bulk job) and the
+ * groups take turns, so two bulk jobs running together each get half the bulk slots.
+ * Cache hits never reach the scheduler.
+ */
+
+const logger = require('../utils/logger');
+
+const PRIORITIES = ['interactive', 'watch', 'bulk'];
+const DEFAULT_PRIORITY = 'interactive';
+
+class ScrapeScheduler {
+  constructor(slots = parseInt(process.env.SCRAPER_SCHEDULER_SLOTS) || parseInt(process.env.SCRAPER_CONCURRENT_ROUTES) || 5) {
+    this.slots = slots;
+    // priority -> Map(group -> [entry]); Map order is the groups' turn order
+    this.queues = new Map(PRIORITIES.map(priority => [priority, new Map()]));
+    this.running = Object.fromEntries(PRIORITIES.map(priority => [priority, 0]));
+    this.started = Object.fromEntries(PRIORITIES.map(priority => [priority, 0]));
+    this.promoted = 0;
+  }
+
+  /**
+   * Run task() once a slot is free and no higher-priority scrape is waiting
+   * options: { priority (interactive|watch|bulk), group (shares the class fairly with
+   *            other groups), key (lets promote() find it) }
+   * Resolves or rejects with the task's result
+   */
+  run(task, options = {}) {
+    const { priority = DEFAULT_PRIORITY, group = null, key = null } = options;
+
+    if (!this.queues.has(priority)) {
+      return Promise.reject(new Error(`Unknown scrape priority: ${priority} (expected one of: ${PRIORITIES.join(', ')})`));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.enqueue({ task, priority, group, key, resolve, reject, queuedAt: Date.now() });
+      this.dispatch();
+    });
+  }
+
+  enqueue(entry) {
+    const groups = this.queues.get(entry.priority);
+    if (!groups.has(entry.group)) {
+      groups.set(entry.group, []);
+    }
+    groups.get(entry.group).push(entry);
+  }
+
+  /**
+   * Take the next entry of the highest non-empty class, rotating through its groups
+   */
+  next() {
+    for (const priority of PRIORITIES) {
+      const groups = this.queues.get(priority);
+      const first = groups.keys().next();
+      if (first.done) {
+        continue;
+      }
+
+      const group = first.value;
+      const entries = groups.get(group);
+      const entry = entries.shift();
+
+      // The group goes to the back of the line (or leaves it when empty)
+      groups.delete(group);
+      if (entries.length > 0) {
+        groups.set(group, entries);
+      }
+      return entry;
+    }
+    return null;
+  }
+
+  dispatch() {
+    while (this.activeCount() < this.slots) {
+      const entry = this.next();
+      if (!entry) {
+        return;
+      }
+
+      this.running[entry.priority]++;
+      this.started[entry.priority]++;
+
+      const waitMs = Date.now() - entry.queuedAt;
+      if (waitMs > 1000) {
+        logger.debug(`${entry.priority} scrape${entry.key ? ` ${entry.key}` : ''} waited ${waitMs}ms for a slot`);
+      }
+
+      Promise.resolve()
+        .then(entry.task)
+        .then(entry.resolve, entry.reject)
+        .finally(() => {
+          this.running[entry.priority]--;
+          this.dispatch();
+        });
+    }
+  }
+
+  /**
+   * Move a queued scrape up to priority (when a higher-priority caller joins it
+   * through the request coalescer) - returns true if one was moved
+   */
+  promote(key, priority) {
+    const rank = PRIORITIES.indexOf(priority);
+
+    for (const from of PRIORITIES.slice(rank + 1)) {
+      for (const [group, entries] of this.queues.get(from)) {
+        const index = entries.findIndex(entry => entry.key === key);
+        if (index === -1) {
+          continue;
+        }
+
+        const [entry] = entries.splice(index, 1);
+        if (entries.length === 0) {
+          this.queues.get(from).delete(group);
+        }
+
+        logger.info(`Promoting queued ${from} scrape ${key} to ${priority}`);
+        this.promoted++;
+        this.enqueue({ ...entry, priority, group: null });
+        this.dispatch();
+        return true;
+      }
+    }
+    return false;
+  }
+
+  activeCount() {
+    return PRIORITIES.reduce((sum, priority) => sum + this.running[priority], 0);
+  }
+
+  queuedCount(priority) {
+    let count = 0;
+    for (const entries of this.queues.get(priority).values()) {
+      count += entries.length;
+    }
+    return count;
+  }
+
+  getStats() {
+    return {
+      slots: this.slots,
+      active: this.activeCount(),
+      queued: Object.fromEntries(PRIORITIES.map(priority => [priority, this.queuedCount(priority)])),
+      running: { ...this.running },
+      started: { ...this.started },
+      queuedBulkGroups: this.queues.get('bulk').size,
+      promoted: this.promoted
+    };
+  }
+}
+
+// Singleton instance
+let schedulerInstance = null;
+
+function getScrapeScheduler() {
+  if (!schedulerInstance) {
+    schedulerInstance = new ScrapeScheduler();
+  }
+  return schedulerInstance;
+}
+
+module.exports = { ScrapeScheduler, getScrapeScheduler, PRIORITIES };
@@ -1,576 +1,188 @@
-/**
- * Flight Scraper Service
- * Handles scraping of Frontier Airlines flights with multiple methods
- */
-
-const { chromium } = require('playwright-extra');
-const stealth = require('puppeteer-extra-plugin-stealth')();
-const { getProxyManager } = require('./decodoProxyManager');
 const { getCache } = require('./cache');
-const { scrapeFlightsBypass1, getInstance: getBypass1Instance } = require('./scraperBypass1');
+const { getRequestCoalescer } = require('./requestCoalescer');
+const { getScrapeScheduler } = require('./scrapeScheduler');
+const { getFlightHistory } = require('./flightHistory');
+const { summarizeChanges } = require('./flightDiff');
+const { DEFAULT_METHOD, getAdapter, hasAdapter, isReplayMethod, runAdapter } = require('./scraperAdapters');
+const { ScrapeError, toErrorInfo } = require('./scrapeErrors');
 const logger = require('../utils/logger');
 
-chromium.use(stealth);
-
-const SCRAPER_METHOD = process.env.SCRAPER_METHOD || 'playwright';
-const TIMEOUT_SECONDS = parseInt(process.env.SCRAPER_TIMEOUT_SECONDS) || 90;
-const MAX_RETRIES = parseInt(process.env.SCRAPER_MAX_RETRIES) || 3;
-const BYPASS1_HEADLESS = process.env.BYPASS1_HEADLESS !== 'false'; // Default true, set to 'false' for visible windows
+const MAX_STALE_MINUTES = parseInt(process.env.CACHE_MAX_STALE_MINUTES) || 1440; // Oldest entry served by stale-while-revalidate
 
 /**
- * Scrape flights using Playwright with optional proxy
+ * Append scraped flights to the history and tell clients when GoWild seats
+ * opened/closed or fares moved since the last scrape
  */
-async function scrapeFlightsPlaywright(origin, destination, date, proxyConfig = null) {
-  let browser = null;
-
-  try {
-    const url = `https://booking.flyfrontier.com/Flight/InternalSelect?o1=${origin}&d1=${destination}&dd1=${date}&adt=1&umnr=false&loy=false&mon=true&ftype=GW`;
-
-    logger.info(`Scraping ${origin}->${destination} on ${date}${proxyConfig ? ` with proxy ${proxyConfig.server}` : ' (direct)'}`);
-
-    // Launch browser
-    const launchOptions = {
-      headless: true,
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-blink-features=AutomationControlled',
-        '--disable-dev-shm-usage'
-      ]
-    };
-
-    if (proxyConfig) {
-      launchOptions.proxy = proxyConfig;
-    }
-
-    browser = await chromium.launch(launchOptions);
-
-    const context = await browser.newContext({
-      userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36',
-      viewport: { width: 1920, height: 1080 },
-      locale: 'en-US',
-      timezoneId: 'America/Chicago',
-      geolocation: { latitude: 41.8781, longitude: -87.6298 },
-    });
-
-    await context.setExtraHTTPHeaders({
-      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-      'Accept-Language': 'en-US,en;q=0.9',
-      'DNT': '1',
-      'Connection': 'keep-alive',
-      // Don't request images, fonts, etc. to reduce bandwidth
-      'Accept-Encoding': 'gzip, deflate, br'
-    });
-
-    const page = await context.newPage();
-
-    // Track PerimeterX blocking
-    let perimeterXDetected = false;
-    let responseReceived = false;
-
-    // Intercept responses to detect PerimeterX early
-    page.on('response', async (response) => {
-      responseReceived = true;
-      const url = response.url();
-      const status = response.status();
-      
-      // Check for PerimeterX indicators in response URL
-      if (url.includes('perimeterx') || url.includes('px-captcha') || url.includes('px-block')) {
-        logger.warn(`PerimeterX detected in response: ${url}`);
-        perimeterXDetected = true;
-        return; // Flag is set, checker will catch it
-      }
-
-      // Check response headers
-      const headers = response.headers();
-      if (headers['x-px-block'] || headers['px-block'] || headers['server']?.includes('PerimeterX')) {
-        logger.warn(`PerimeterX detected in headers`);
-        perimeterXDetected = true;
-        return; // Flag is set, checker will catch it
-      }
-
-      // Check response body for PerimeterX (if it's HTML) - but don't wait for full body
-      if (status === 403 || status === 429) {
-        // For 403/429, immediately flag as PerimeterX without waiting for body
-        logger.warn(`PerimeterX likely (status ${status})`);
-        perimeterXDetected = true;
-        return; // Flag is set, checker will catch it
-      }
-    });
-
-    // Aggressive resource blocking to minimize bandwidth usage
-    await page.route('**/*', (route) => {
-      const request = route.request();
-      const resourceType = request.resourceType();
-      const url = request.url();
-
-      // Comprehensive block list for tracking, ads, and analytics
-      const blockedDomains = [
-        'google-analytics.com',
-        'googletagmanager.com',
-        'doubleclick.net',
-        'googleadservices.com',
-        'facebook.com',
-        'facebook.net',
-        'twitter.com',
-        'linkedin.com',
-        'pinterest.com',
-        'instagram.com',
-        'youtube.com',
-        'youtube-nocookie.com',
-        'gstatic.com',
-        'googleapis.com',
-        'cloudflare.com',
-        'cdnjs.cloudflare.com',
-        'jsdelivr.net',
-        'unpkg.com',
-        'bootstrapcdn.com',
-        'fontawesome.com',
-        'fonts.googleapis.com',
-        'fonts.gstatic.com',
-        'adservice',
-        'adsystem',
-        'advertising',
-        'tracking',
-        'analytics',
-        'pixel',
-        'beacon',
-        'collector'
-      ];
-
-      const isBlockedDomain = blockedDomains.some(domain => url.includes(domain));
-      
-      // Block resource types we don't need for flight data extraction
-      // Only allow Frontier's own stylesheets (needed for page structure)
-      const shouldBlock = 
-        isBlockedDomain ||
-        resourceType === 'image' ||
-        resourceType === 'media' ||
-        resourceType === 'font' ||
-        resourceType === 'websocket' ||
-        (resourceType === 'stylesheet' && !url.includes('booking.flyfrontier.com'));
-
-      shouldBlock ? route.abort() : route.continue();
+function recordHistory(origin, destination, date, flights) {
+  const recorded = getFlightHistory().record(origin, destination, date, flights);
+
+  if (recorded && recorded.changes.length > 0 && global.broadcast) {
+    global.broadcast({
+      type: 'flights_changed',
+      route: `${origin}-${destination}`,
+      date,
+      changes: recorded.changes,
+      summary: summarizeChanges(recorded.changes),
+      previousObservedAt: recorded.previousObservedAt,
+      timestamp: new Date().toISOString()
     });
+  }
+}
 
-    // Use a shorter timeout for navigation (30 seconds)
-    const NAVIGATION_TIMEOUT = 30000;
-    page.setDefaultTimeout(NAVIGATION_TIMEOUT);
-
-    logger.info(`Navigating to: ${url}`);
-    
-    let navigationCompleted = false;
-    let navigationError = null;
-    let timeoutReached = false;
-    
-    // Set up a hard timeout that will force failure after 30 seconds
-    const hardTimeout = setTimeout(() => {
-      if (!navigationCompleted) {
-        timeoutReached = true;
-        logger.warn('Hard timeout reached (30s) - navigation taking too long');
-      }
-    }, NAVIGATION_TIMEOUT);
-    
-    try {
-      // Set up a timeout that will reject if navigation takes too long
-      const navigationPromise = page.goto(url, { 
-        waitUntil: 'domcontentloaded', 
-        timeout: NAVIGATION_TIMEOUT 
-      }).then(() => {
-        navigationCompleted = true;
-        clearTimeout(hardTimeout);
-      }).catch((err) => {
-        navigationError = err;
-        clearTimeout(hardTimeout);
-        throw err;
-      });
-
-      // Set up PerimeterX checker that runs every 1 second for faster detection
-      const perimeterXChecker = new Promise((_, reject) => {
-        const checkInterval = setInterval(async () => {
-          if (perimeterXDetected) {
-            clearInterval(checkInterval);
-            clearTimeout(hardTimeout);
-            navigationCompleted = true;
-            reject(new Error('BLOCKED_BY_PERIMETERX'));
-            return;
-          }
-          
-          // Check if hard timeout was reached
-          if (timeoutReached) {
-            clearInterval(checkInterval);
-            clearTimeout(hardTimeout);
-            navigationCompleted = true;
-            reject(new Error('BLOCKED_BY_PERIMETERX'));
-            return;
-          }
-          
-          // Periodically check page state even if no response came in (faster checks)
-          try {
-            const pageTitle = await page.title().catch(() => '');
-            const url = page.url();
-            
-            // Check if we're stuck on a different page or blocked
-            if (pageTitle.includes('denied') || pageTitle.includes('blocked') || 
-                url.includes('perimeterx') || url.includes('px-captcha')) {
-              logger.warn(`PerimeterX detected via page state check: title="${pageTitle}", url="${url}"`);
-              perimeterXDetected = true;
-              clearInterval(checkInterval);
-              clearTimeout(hardTimeout);
-              navigationCompleted = true;
-              reject(new Error('BLOCKED_BY_PERIMETERX'));
-              return;
-            }
-          } catch (checkError) {
-            // Ignore errors from checking page state
-          }
-          
-          // If navigation completed, stop checking
-          if (navigationCompleted) {
-            clearInterval(checkInterval);
-            clearTimeout(hardTimeout);
-          }
-        }, 1000); // Check every 1 second instead of 2 for faster detection
-        
-        // Clear interval after timeout
-        setTimeout(() => {
-          clearInterval(checkInterval);
-        }, NAVIGATION_TIMEOUT + 1000);
-      });
-
-      // Race between navigation and PerimeterX detection
-      await Promise.race([navigationPromise, perimeterXChecker]);
-      
-      clearTimeout(hardTimeout);
-      logger.info('Navigation completed successfully');
-    } catch (error) {
-      clearTimeout(hardTimeout);
-      logger.error(`Navigation error: ${error.message}`);
-      
-      // Check if it's a timeout or if we detected PerimeterX
-      if (error.message === 'BLOCKED_BY_PERIMETERX' || perimeterXDetected || timeoutReached) {
-        logger.warn('Navigation failed - treating as PerimeterX block');
-        
-        // Try to get page content to check for PerimeterX
-        try {
-          const pageContent = await page.content().catch(() => '');
-          const pageTitle = await page.title().catch(() => '');
-          
-          logger.info(`Page state after failure: title="${pageTitle.substring(0, 100)}", content length=${pageContent.length}`);
-          
-          if (pageTitle.includes('denied') || pageContent.includes('PerimeterX') || 
-              pageContent.includes('px-captcha') || pageContent.includes('Access Denied')) {
-            logger.warn('PerimeterX confirmed in page content');
-          }
-        } catch (checkError) {
-          logger.warn(`Could not check page content: ${checkError.message}`);
-        }
-        
-        await browser.close();
-        throw new Error('BLOCKED_BY_PERIMETERX');
-      }
-      
-      // Check if it's a timeout error
-      if (error.message.includes('Timeout') || error.message.includes('timeout') || 
-          error.name === 'TimeoutError' || !navigationCompleted) {
-        logger.warn('Navigation timed out - likely blocked or slow connection');
-        await browser.close();
-        throw new Error('BLOCKED_BY_PERIMETERX');
-      }
-      
-      // Re-throw other errors
-      throw error;
-    }
-
-    // Final check for PerimeterX after navigation
-    if (perimeterXDetected) {
-      logger.warn('PerimeterX detected after navigation');
-      await browser.close();
-      throw new Error('BLOCKED_BY_PERIMETERX');
-    }
-
-    // Quick check for PerimeterX before waiting for FlightData
-    try {
-      const pageTitle = await page.title().catch(() => '');
-      const url = page.url();
-      
-      if (pageTitle.includes('denied') || pageTitle.includes('blocked') || 
-          url.includes('perimeterx') || url.includes('px-captcha')) {
-        logger.warn(`PerimeterX detected in page title/URL: title="${pageTitle}", url="${url}"`);
-        await browser.close();
-        throw new Error('BLOCKED_BY_PERIMETERX');
-      }
-    } catch (checkError) {
-      if (checkError.message === 'BLOCKED_BY_PERIMETERX') {
-        throw checkError;
-      }
-      // Continue if it's just a check error
-    }
-
-    logger.info(`Page loaded, waiting for flight data script...`);
-    
-    // Wait for the specific script that contains FlightData instead of fixed timeout
-    // But check for PerimeterX during the wait
-    try {
-      await Promise.race([
-        page.waitForFunction(() => {
-          const scripts = document.querySelectorAll('script');
-          for (const script of scripts) {
-            if (script.textContent && script.textContent.includes('FlightData')) {
-              return true;
-            }
-          }
-          return false;
-        }, { timeout: 10000 }),
-        // Also check for PerimeterX periodically during wait
-        new Promise((_, reject) => {
-          const checkInterval = setInterval(async () => {
-            try {
-              const pageTitle = await page.title().catch(() => '');
-              const url = page.url();
-              if (pageTitle.includes('denied') || pageTitle.includes('blocked') || 
-                  url.includes('perimeterx') || url.includes('px-captcha')) {
-                clearInterval(checkInterval);
-                reject(new Error('BLOCKED_BY_PERIMETERX'));
-              }
-            } catch (e) {
-              // Ignore
-            }
-          }, 500); // Check every 500ms
-          
-          setTimeout(() => clearInterval(checkInterval), 10000);
-        })
-      ]);
-      logger.info(`FlightData script found, extracting data...`);
-    } catch (e) {
-      if (e.message === 'BLOCKED_BY_PERIMETERX') {
-        logger.warn(`PerimeterX detected while waiting for FlightData`);
-        await browser.close();
-        throw new Error('BLOCKED_BY_PERIMETERX');
-      }
-      logger.warn(`FlightData script not found immediately, proceeding anyway...`);
-      await page.waitForTimeout(1000); // Small fallback delay
-    }
-
-    // Final check for bot detection in page content
-    const pageContent = await page.content();
-    const pageTitle = await page.title();
-
-    if (pageTitle.includes('denied') || pageContent.includes('PerimeterX') || 
-        pageContent.includes('px-captcha') || pageContent.includes('Access Denied')) {
-      await browser.close();
-      throw new Error('BLOCKED_BY_PERIMETERX');
-    }
-
-    // Extract flight data
-    const flightData = await page.evaluate(() => {
-      const scripts = document.querySelectorAll('script');
-      for (const script of scripts) {
-        const content = script.textContent || '';
-        if (content.includes('FlightData')) {
-          const match = content.match(/FlightData\s*=\s*'([^']+)'/);
-          if (match) {
-            try {
-              const decoded = match[1]
-                .replace(/&quot;/g, '"')
-                .replace(/&amp;/g, '&')
-                .replace(/&lt;/g, '<')
-                .replace(/&gt;/g, '>')
-                .replace(/&#39;/g, "'");
-              return JSON.parse(decoded);
-            } catch (e) {
-              return null;
-            }
-          }
-        }
-      }
-      return null;
-    });
+/**
+ * Key a live scrape is coalesced and scheduled under - per method, so a search never
+ * joins (or promotes) a scrape by another adapter, e.g. a replay
+ */
+function liveScrapeKey(cacheKey, method) {
+  return `${cacheKey}|${method}`;
+}
 
-    await browser.close();
+/**
+ * Run a live scrape with the given method (default SCRAPER_METHOD), then cache the
+ * result and append it to the flight history if successful
+ * With a returnDate the result also carries returnFlights (destination -> origin)
+ * Each attempt runs once the scrape scheduler gives it a slot - schedule: { priority, group }
+ */
+async function runLiveScrape(origin, destination, date, returnDate = null, method = DEFAULT_METHOD, schedule = {}) {
+  const cache = getCache();
+  const key = liveScrapeKey(cache.getCacheKey(origin, destination, date, returnDate), method);
+  let result = await runAdapter(method, { origin, destination, date, returnDate }, {
+    schedule: task => getScrapeScheduler().run(task, { ...schedule, key })
+  });
 
-    if (!flightData || !flightData.journeys || !flightData.journeys[0]) {
-      logger.warn(`No flight data found for ${origin}-${destination}. Page title: ${pageTitle}`);
-      logger.warn(`Page content preview: ${pageContent.substring(0, 500)}`);
-      throw new Error('NO_FLIGHT_DATA');
-    }
-    
-    logger.info(`Found flight data with ${flightData.journeys.length} journey(s)`);
-
-    const journey = flightData.journeys[0];
-    const flights = [];
-
-    if (journey.flights && Array.isArray(journey.flights)) {
-      journey.flights.forEach(flight => {
-        if (flight.legs && flight.legs.length > 0) {
-          const firstLeg = flight.legs[0];
-          const lastLeg = flight.legs[flight.legs.length - 1];
-          const flightNumbers = flight.legs.map(leg => `F9 ${leg.flightNumber}`);
-
-          flights.push({
-            origin: firstLeg.departureStation || origin,
-            destination: lastLeg.arrivalStation || destination,
-            departureDate: firstLeg.departureDate,
-            arrivalDate: lastLeg.arrivalDate,
-            flightNumber: flightNumbers.join(', '),
-            duration: flight.duration || flight.durationFormatted || 'N/A',
-            stops: flight.stopsText || 'Nonstop',
-            stopCount: flight.legs.length - 1,
-            price: `$${flight.goWildFare}`,
-            rawFare: flight.goWildFare
-          });
-        }
-      });
-    }
+  if (returnDate) {
+    result = { ...result, tripType: 'round_trip', returnDate };
+  }
+  if (isReplayMethod(method)) {
+    result = { ...result, replayed: true };
+  }
 
-    // Filter out flights that cost less than $3
-    const filteredFlights = flights.filter(flight => flight.rawFare >= 3);
+  // Save to cache and history if successful - each direction is recorded as its own route
+  if (result.success) {
+    await cache.set(origin, destination, date, result, returnDate);
+  }
 
-    return filteredFlights;
+  if (result.success && getAdapter(method).recordsHistory) {
+    recordHistory(origin, destination, date, result.flights);
 
-  } catch (error) {
-    if (browser) {
-      try {
-        await browser.close();
-      } catch (e) {
-        // Ignore
-      }
+    if (returnDate) {
+      recordHistory(destination, origin, returnDate, result.returnFlights);
     }
-    throw error;
   }
+
+  return result;
 }
 
+// Background refreshes started by stale-while-revalidate, keyed by cache key
+const revalidations = new Map();
+
 /**
- * Scrape flights with Decodo proxy rotation
- * For PerimeterX blocks, tries all available proxies while respecting rate limits
+ * Refresh a stale cache entry in the background (at most one refresh per key)
+ * Pushes a scrape_complete event with the fresh flights when it finishes
  */
-async function scrapeFlightsWithDecodo(origin, destination, date) {
-  const proxyManager = getProxyManager();
+function revalidateInBackground(origin, destination, date, returnDate = null, method = DEFAULT_METHOD, schedule = {}) {
+  const cache = getCache();
+  const key = cache.getCacheKey(origin, destination, date, returnDate);
 
-  if (!proxyManager) {
-    throw new Error('Decodo proxy manager not initialized');
+  if (revalidations.has(key)) {
+    logger.debug(`Background refresh already running for ${key}`);
+    return false;
   }
 
-  let attempt = 0;
-  let lastError = null;
-  let consecutiveBlocks = 0;
-  const triedProxies = new Set();
-  const perimeterXProxies = new Set(); // Track proxies that hit PerimeterX in this attempt
-  const totalProxies = proxyManager.proxies.length; // Get actual proxy count
-  const maxWaitTime = 120000; // Max 2 minutes total wait time
-
   const startTime = Date.now();
+  logger.info(`Starting background refresh for ${key}`);
 
-  while (attempt < MAX_RETRIES || (lastError && lastError.message === 'BLOCKED_BY_PERIMETERX' && triedProxies.size < totalProxies)) {
-    // Check if we've exceeded max wait time
-    if (Date.now() - startTime > maxWaitTime) {
-      logger.warn(`Max wait time exceeded for ${origin}-${destination}`);
-      break;
-    }
-
-    attempt++;
+  const refresh = getRequestCoalescer().run(liveScrapeKey(key, method), () => runLiveScrape(origin, destination, date, returnDate, method, schedule))
+    .then(({ result }) => {
+      logger.info(`Background refresh for ${key} ${result.success ? `found ${result.flights?.length || 0} flights` : `failed: ${result.error}`}`);
 
-    // Broadcast status update
-    if (global.broadcast) {
-      const maxAttempts = lastError && lastError.message === 'BLOCKED_BY_PERIMETERX' ? totalProxies : MAX_RETRIES;
-      global.broadcast({
-        type: 'scrape_attempt',
-        route: `${origin}-${destination}`,
-        attempt,
-        maxAttempts,
-        timestamp: new Date().toISOString()
-      });
-    }
-
-    // Get next proxy, excluding those that hit PerimeterX in this attempt
-    const proxy = proxyManager.getNextProxy(Array.from(perimeterXProxies));
-
-    if (!proxy) {
-      // No proxies available due to rate limiting
-      logger.info(`Waiting for available proxy (${triedProxies.size}/${totalProxies} tried)...`);
-
-      // Wait for a proxy to become available
-      const waitedProxy = await proxyManager.waitForAvailableProxy(30000);
-
-      if (!waitedProxy) {
-        // If all proxies have been tried and none are available, we're done
-        if (triedProxies.size >= totalProxies) {
-          logger.warn(`All ${totalProxies} proxies have been tried for ${origin}-${destination}`);
-          break;
-        }
-        logger.warn(`No proxies available after waiting`);
-        break;
+      if (global.broadcast) {
+        global.broadcast({
+          type: 'scrape_complete',
+          route: `${origin}-${destination}`,
+          date,
+          success: result.success,
+          flightCount: result.flights ? result.flights.length : 0,
+          flights: result.success ? result.flights : undefined,
+          ...(returnDate && {
+            returnDate,
+            returnFlightCount: result.returnFlights ? result.returnFlights.length : 0,
+            returnFlights: result.success ? result.returnFlights : undefined
+          }),
+          error: result.success ? undefined : result.error,
+          errorInfo: result.success ? undefined : result.errorInfo,
+          revalidated: true,
+          elapsed: Date.now() - startTime,
+          timestamp: new Date().toISOString()
+        });
       }
+    })
+    .catch((error) => {
+      logger.error(`Background refresh failed for ${key}: ${error.message}`);
 
-      continue;
-    }
-
-    triedProxies.add(proxy.proxyId);
-    logger.info(`Attempt ${attempt} using proxy ${proxy.proxyId} (${triedProxies.size}/${totalProxies} proxies tried)`);
-
-    try {
-      logger.info(`Starting scrape attempt ${attempt} for ${origin}-${destination} using ${proxy.proxyId}`);
-      const flights = await scrapeFlightsPlaywright(origin, destination, date, proxy.playwrightConfig);
-
-      proxyManager.releaseProxy(proxy.proxyId, true, false);
-
-      logger.info(`Successfully scraped ${flights.length} flights for ${origin}-${destination} using ${proxy.proxyId}`);
-
-      return {
-        success: true,
-        flights,
-        proxyUsed: proxy.proxyId,
-        attempts: attempt
-      };
-
-    } catch (error) {
-      logger.error(`Attempt ${attempt} with ${proxy.proxyId} failed: ${error.message}`);
-      logger.error(`Error stack: ${error.stack}`);
-      
-      const isPerimeterX = error.message === 'BLOCKED_BY_PERIMETERX';
-      
-      if (isPerimeterX) {
-        // Record PerimeterX hit immediately
-        proxyManager.releaseProxy(proxy.proxyId, false, true);
-        perimeterXProxies.add(proxy.proxyId); // Mark as PerimeterX hit - won't try again this attempt
-        consecutiveBlocks++;
-        logger.warn(`PerimeterX block detected on proxy ${proxy.proxyId} - marking for cooldown and skipping for rest of this attempt`);
-        lastError = error;
-        
-        // Immediately try next proxy (don't wait, don't retry this one)
-        continue;
-      } else {
-        // Non-PerimeterX error - release proxy normally
-        proxyManager.releaseProxy(proxy.proxyId, false, false);
-        lastError = error;
-
-        // For non-PerimeterX errors, respect MAX_RETRIES
-        if (attempt >= MAX_RETRIES) {
-          break;
-        }
+      if (global.broadcast) {
+        global.broadcast({
+          type: 'scrape_error',
+          route: `${origin}-${destination}`,
+          date,
+          error: error.message,
+          errorInfo: toErrorInfo(error),
+          revalidated: true,
+          timestamp: new Date().toISOString()
+        });
       }
-    }
-  }
+    })
+    .finally(() => {
+      revalidations.delete(key);
+    });
 
-  return {
-    success: false,
-    error: lastError ? lastError.message : 'Unknown error',
-    attempts: attempt,
-    proxiesTried: triedProxies.size
-  };
+  revalidations.set(key, refresh);
+  return true;
 }
 
 /**
  * Main scrape function
+ *
+ * Options:
+ * - staleWhileRevalidate: return an expired cache entry immediately (flagged stale)
+ *   and refresh it in the background instead of blocking on a live scrape
+ * - maxStaleMinutes: oldest entry that may be served stale (default CACHE_MAX_STALE_MINUTES)
+ * - returnDate: search a round trip; the result adds returnFlights (destination -> origin)
+ *   and is cached separately from the one-way search
+ * - method: scraper adapter for a live scrape (default SCRAPER_METHOD, see scraperAdapters/)
+ *   - cache hits are served whichever method produced them
+ * - priority: scrape scheduler class for a live scrape - interactive (default), watch or bulk
+ * - group: scheduler group sharing the class fairly with others (bulk jobs pass their job id)
  */
-async function scrapeFlights(origin, destination, date) {
+async function scrapeFlights(origin, destination, date, options = {}) {
   const startTime = Date.now();
   const cache = getCache();
+  const {
+    staleWhileRevalidate = false,
+    maxStaleMinutes = MAX_STALE_MINUTES,
+    returnDate = null,
+    method = DEFAULT_METHOD,
+    priority = 'interactive',
+    group = null
+  } = options;
+  const schedule = { priority, group };
+
+  if (!hasAdapter(method)) {
+    const error = new ScrapeError('UNKNOWN_METHOD', `Unknown scraper method: ${method}`);
+    return {
+      success: false,
+      error: error.message,
+      errorInfo: toErrorInfo(error),
+      elapsed: Date.now() - startTime,
+      timestamp: new Date().toISOString()
+    };
+  }
 
   try {
     // Check cache first
-    logger.debug(`Checking cache for ${origin}-${destination} on ${date} (method: ${SCRAPER_METHOD})`);
-    const cachedData = await cache.get(origin, destination, date);
+    logger.debug(`Checking cache for ${origin}-${destination} on ${date}${returnDate ? ` returning ${returnDate}` : ''} (method: ${method})`);
+    const cacheOptions = { replayed: isReplayMethod(method) };
+    const cachedData = await cache.get(origin, destination, date, returnDate, cacheOptions);
     if (cachedData) {
       logger.info(`Returning cached data for ${origin}-${destination} on ${date} (${cachedData.flights?.length || 0} flights)`);
 
@@ -580,6 +192,7 @@ async function scrapeFlights(origin, destination, date) {
           route: `${origin}-${destination}`,
           success: true,
           flightCount: cachedData.flights ? cachedData.flights.length : 0,
+          ...(returnDate && { returnDate, returnFlightCount: cachedData.returnFlights ? cachedData.returnFlights.length : 0 }),
           cached: true,
           elapsed: Date.now() - startTime,
           timestamp: new Date().toISOString()
@@ -594,60 +207,62 @@ async function scrapeFlights(origin, destination, date) {
       };
     }
 
-    // No cache, scrape live
-    logger.info(`No cache found for ${origin}-${destination} on ${date}, scraping live with ${SCRAPER_METHOD}`);
-    let result;
-
-    if (SCRAPER_METHOD === 'bypass1') {
-      // Use BYPASS1 scraper with context pooling
-      const bypass1Options = {
-        headless: BYPASS1_HEADLESS,
-        useProxy: true, // Use Decodo proxies
-        parallelContexts: parseInt(process.env.SCRAPER_CONCURRENT_ROUTES) || 5,
-        timeout: TIMEOUT_SECONDS * 1000,
-        waitAfterLoad: 5000
-      };
-      
-      try {
-        const flights = await scrapeFlightsBypass1(origin, destination, date, bypass1Options);
-        result = { success: true, flights, attempts: 1, method: 'bypass1' };
-      } catch (error) {
-        result = { 
-          success: false, 
-          error: error.message, 
-          attempts: 1,
-          method: 'bypass1' 
+    // Serve an expired entry straight away and refresh it in the background
+    if (staleWhileRevalidate) {
+      const stale = await cache.getStale(origin, destination, date, maxStaleMinutes * 60 * 1000, returnDate, cacheOptions);
+
+      if (stale) {
+        const ageMinutes = Math.round(stale.ageMs / (1000 * 60));
+        logger.info(`Returning stale data for ${origin}-${destination} on ${date} (age: ${ageMinutes} minutes), refreshing in background`);
+
+        revalidateInBackground(origin, destination, date, returnDate, method, schedule);
+
+        return {
+          ...stale.data,
+          cached: true,
+          stale: true,
+          ageMinutes,
+          cachedAt: stale.timestamp,
+          revalidating: true,
+          elapsed: Date.now() - startTime,
+          timestamp: new Date().toISOString()
         };
       }
-    } else if (SCRAPER_METHOD === 'decodo') {
-      result = await scrapeFlightsWithDecodo(origin, destination, date);
-    } else {
-      const flights = await scrapeFlightsPlaywright(origin, destination, date);
-      result = { success: true, flights, attempts: 1 };
     }
 
-    const elapsed = Date.now() - startTime;
-
-    // Save to cache if successful
-    if (result.success) {
-      await cache.set(origin, destination, date, result);
+    // No cache, scrape live - concurrent callers for the same route/date and method share one
+    // scrape, which moves up if it is still queued at a lower priority than this caller's
+    const cacheKey = cache.getCacheKey(origin, destination, date, returnDate);
+    const key = liveScrapeKey(cacheKey, method);
+    if (getRequestCoalescer().isInFlight(key)) {
+      getScrapeScheduler().promote(key, priority);
     }
 
-    // Broadcast success
-    if (global.broadcast) {
-      global.broadcast({
-        type: 'scrape_complete',
-        route: `${origin}-${destination}`,
-        success: result.success,
-        flightCount: result.flights ? result.flights.length : 0,
-        elapsed,
-        timestamp: new Date().toISOString()
-      });
-    }
+    const { result, shared } = await getRequestCoalescer().run(key, async () => {
+      logger.info(`No cache found for ${cacheKey}, scraping live with ${method} (${priority} priority)`);
+      const liveResult = await runLiveScrape(origin, destination, date, returnDate, method, schedule);
+
+      // Broadcast once per live scrape, not once per caller
+      if (global.broadcast) {
+        global.broadcast({
+          type: 'scrape_complete',
+          route: `${origin}-${destination}`,
+          success: liveResult.success,
+          flightCount: liveResult.flights ? liveResult.flights.length : 0,
+          ...(returnDate && { returnDate, returnFlightCount: liveResult.returnFlights ? liveResult.returnFlights.length : 0 }),
+          ...(!liveResult.success && { error: liveResult.error, errorInfo: liveResult.errorInfo }),
+          elapsed: Date.now() - startTime,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      return liveResult;
+    });
 
     return {
       ...result,
-      elapsed,
+      ...(shared && { deduplicated: true }),
+      elapsed: Date.now() - startTime,
       timestamp: new Date().toISOString()
     };
 
@@ -663,6 +278,7 @@ async function scrapeFlights(origin, destination, date) {
         type: 'scrape_error',
         route: `${origin}-${destination}`,
         error: error.message,
+        errorInfo: toErrorInfo(error),
         timestamp: new Date().toISOString()
       });
     }
@@ -670,6 +286,7 @@ async function scrapeFlights(origin, destination, date) {
     return {
       success: false,
       error: error.message,
+      errorInfo: toErrorInfo(error),
       elapsed: Date.now() - startTime,
       timestamp: new Date().toISOString()
     };
@@ -677,7 +294,5 @@ async function scrapeFlights(origin, destination, date) {
 }
 
 module.exports = {
-  scrapeFlights,
-  scrapeFlightsPlaywright,
-  scrapeFlightsWithDecodo
+  scrapeFlights
 };
@@ -0,0 +1,52 @@
+/**
+ * BYPASS1 Scraper Adapter (SCRAPER_METHOD=bypass1)
+ * Long-lived browser with a pool of contexts refreshed after every use - see scraperBypass1.js
+ */
+
+const { scrapeFlightsBypass1, cleanupBypass1, getInstance } = require('../scraperBypass1');
+
+const TIMEOUT_SECONDS = parseInt(process.env.SCRAPER_TIMEOUT_SECONDS) || 90;
+const BYPASS1_HEADLESS = process.env.BYPASS1_HEADLESS !== 'false'; // Default true, set to 'false' for visible windows
+
+class Bypass1Adapter {
+  constructor() {
+    this.name = 'bypass1';
+    this.description = 'Context pooling with fresh fingerprints per scrape, through Decodo proxies';
+    this.recordsHistory = true;
+    this.options = {
+      headless: BYPASS1_HEADLESS,
+      useProxy: true, // Use Decodo proxies
+      parallelContexts: parseInt(process.env.SCRAPER_CONCURRENT_ROUTES) || 5,
+      timeout: TIMEOUT_SECONDS * 1000,
+      waitAfterLoad: 5000
+    };
+  }
+
+  /**
+   * Launch the browser and context pool up front instead of on the first scrape
+   */
+  async init() {
+    await getInstance(this.options).initialize();
+  }
+
+  async scrape({ origin, destination, date, returnDate = null }) {
+    const scraped = await scrapeFlightsBypass1(origin, destination, date, this.options, returnDate);
+    return returnDate ? scraped : { flights: scraped };
+  }
+
+  async cleanup() {
+    await cleanupBypass1();
+  }
+
+  getStats() {
+    const instance = getInstance(this.options);
+    return {
+      initialized: instance.initialized,
+      contexts: instance.contexts.length,
+      contextsInUse: instance.contexts.filter(context => context.inUse).length,
+      headless: instance.headless
+    };
+  }
+}
+
+module.exports = { Bypass1Adapter };
@@ -0,0 +1,160 @@
+/**
+ * Decodo Scraper Adapter (SCRAPER_METHOD=decodo)
+ * Playwright scrapes through the Decodo proxy pool, rotating to the next proxy on
+ * PerimeterX blocks (so the registry doesn't retry blocks again). Other failures are
+ * returned to the registry, which retries them per the retry policy (see scrapeErrors.js)
+ * without holding a scheduler slot through the backoff
+ */
+
+const { getProxyManager } = require('../decodoProxyManager');
+const { ScrapeError, classifyError, getRetryPolicy } = require('../scrapeErrors');
+const { scrapeFlightsPlaywright } = require('./playwrightAdapter');
+const logger = require('../../utils/logger');
+
+/**
+ * Scrape flights with Decodo proxy rotation
+ * For PerimeterX blocks, tries all available proxies while respecting rate limits
+ */
+async function scrapeFlightsWithDecodo(origin, destination, date, returnDate = null) {
+  const proxyManager = getProxyManager();
+
+  if (!proxyManager) {
+    throw new ScrapeError('PROXIES_NOT_CONFIGURED', 'Decodo proxy manager not initialized');
+  }
+
+  const maxRetries = getRetryPolicy().maxRetries;
+  let attempt = 0;
+  let lastError = null;
+  let consecutiveBlocks = 0;
+  const triedProxies = new Set();
+  const perimeterXProxies = new Set(); // Track proxies that hit PerimeterX in this attempt
+  const totalProxies = proxyManager.proxies.length; // Get actual proxy count
+  const maxWaitTime = 120000; // Max 2 minutes total wait time
+
+  const startTime = Date.now();
+
+  const isBlock = error => !!error && classifyError(error) === 'BLOCKED_BY_PERIMETERX';
+
+  while (attempt < maxRetries || (isBlock(lastError) && triedProxies.size < totalProxies)) {
+    // Check if we've exceeded max wait time
+    if (Date.now() - startTime > maxWaitTime) {
+      logger.warn(`Max wait time exceeded for ${origin}-${destination}`);
+      break;
+    }
+
+    attempt++;
+
+    // Broadcast status update
+    if (global.broadcast) {
+      const maxAttempts = isBlock(lastError) ? totalProxies : maxRetries;
+      global.broadcast({
+        type: 'scrape_attempt',
+        route: `${origin}-${destination}`,
+        attempt,
+        maxAttempts,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Get next proxy, excluding those that hit PerimeterX in this attempt
+    const proxy = proxyManager.getNextProxy(Array.from(perimeterXProxies));
+
+    if (!proxy) {
+      // No proxies available due to rate limiting
+      logger.info(`Waiting for available proxy (${triedProxies.size}/${totalProxies} tried)...`);
+
+      // Wait for a proxy to become available
+      const waitedProxy = await proxyManager.waitForAvailableProxy(30000);
+
+      if (!waitedProxy) {
+        // If all proxies have been tried and none are available, we're done
+        if (triedProxies.size >= totalProxies) {
+          logger.warn(`All ${totalProxies} proxies have been tried for ${origin}-${destination}`);
+          break;
+        }
+        logger.warn(`No proxies available after waiting`);
+        break;
+      }
+
+      continue;
+    }
+
+    triedProxies.add(proxy.proxyId);
+    logger.info(`Attempt ${attempt} using proxy ${proxy.proxyId} (${triedProxies.size}/${totalProxies} proxies tried)`);
+
+    try {
+      logger.info(`Starting scrape attempt ${attempt} for ${origin}-${destination} using ${proxy.proxyId}`);
+      const scraped = await scrapeFlightsPlaywright(origin, destination, date, proxy.playwrightConfig, returnDate);
+      const trip = returnDate ? scraped : { flights: scraped };
+
+      proxyManager.releaseProxy(proxy.proxyId, true, false);
+
+      logger.info(`Successfully scraped ${trip.flights.length} flights${returnDate ? ` (+${trip.returnFlights.length} return)` : ''} for ${origin}-${destination} using ${proxy.proxyId}`);
+
+      return {
+        success: true,
+        ...trip,
+        proxyUsed: proxy.proxyId,
+        attempts: attempt
+      };
+
+    } catch (error) {
+      logger.error(`Attempt ${attempt} with ${proxy.proxyId} failed: ${error.message}`);
+      logger.error(`Error stack: ${error.stack}`);
+      
+      if (isBlock(error)) {
+        // Record PerimeterX hit immediately
+        proxyManager.releaseProxy(proxy.proxyId, false, true);
+        perimeterXProxies.add(proxy.proxyId); // Mark as PerimeterX hit - won't try again this attempt
+        consecutiveBlocks++;
+        logger.warn(`PerimeterX block detected on proxy ${proxy.proxyId} - marking for cooldown and skipping for rest of this attempt`);
+        lastError = error;
+        
+        // Immediately try next proxy (don't wait, don't retry this one)
+        continue;
+      } else {
+        // Non-PerimeterX error - release proxy normally and leave retrying it to the registry
+        proxyManager.releaseProxy(proxy.proxyId, false, false);
+        lastError = error;
+        break;
+      }
+    }
+  }
+
+  return {
+    success: false,
+    error: lastError || new ScrapeError('NO_PROXY_AVAILABLE', 'No proxy became available'),
+    attempts: attempt,
+    proxiesTried: triedProxies.size
+  };
+}
+
+class DecodoAdapter {
+  constructor() {
+    this.name = 'decodo';
+    this.description = 'Playwright through the Decodo proxy pool with rotation on blocks';
+    this.recordsHistory = true;
+    this.retriesInternally = ['blocked'];
+  }
+
+  async init() {}
+
+  async scrape({ origin, destination, date, returnDate = null }) {
+    const { proxyUsed, proxiesTried, ...result } = await scrapeFlightsWithDecodo(origin, destination, date, returnDate);
+    return { ...result, details: result.success ? { proxyUsed } : { proxiesTried } };
+  }
+
+  async cleanup() {}
+
+  getStats() {
+    const proxyManager = getProxyManager();
+    if (!proxyManager) {
+      return { initialized: false };
+    }
+
+    const { totalProxies, enabledProxies, cooldownProxies, blacklistedProxies, activeWorkers } = proxyManager.getStatistics();
+    return { initialized: true, totalProxies, enabledProxies, cooldownProxies, blacklistedProxies, activeWorkers };
+  }
+}
+
+module.exports = { DecodoAdapter, scrapeFlightsWithDecodo };
@@ -0,0 +1,241 @@
+/**
+ * Scraper Adapter Registry
+ * Every way of getting flights (SCRAPER_METHOD, or `method` per request) is an
+ * adapter registered here, so scraper.js never needs to know which one runs
+ *
+ * Adapter contract:
+ * - name                        method name used in SCRAPER_METHOD and requests
+ * - description                 one line for the status API and config UI
+ * - recordsHistory              false if results aren't new observations (replay)
+ * - replays                     true if results come from archived data (replay): they are cached
+ *                               flagged `replayed` and served only to replay searches
+ * - retriesInternally           error classes scrape() already retries itself (decodo: ['blocked'])
+ * - init()                      async, prepare (launch pools etc.) - run once before the first scrape
+ * - scrape(search)              async, search = { origin, destination, date, returnDate }
+ *                               resolves { flights, returnFlights?, attempts?, details? }
+ *                               or { success: false, error, attempts?, details? }, or throws
+ * - cleanup()                   async, release browsers/contexts - init() runs again on next use
+ * - getStats()                  sync, adapter-specific status
+ *
+ * runAdapter() retries retryable failures per the retry policy (see scrapeErrors.js), each
+ * attempt on its own scheduler slot when given options.schedule, then turns whatever the
+ * adapter returned (or threw) into one envelope:
+ *   { success, method, flights, returnFlights (round trips only), attempts, details,
+ *     error, errorInfo (failures only) }
+ * where details carries the adapter's extras (proxyUsed, proxiesTried, replayedFrom), error
+ * is the original message and errorInfo the classified error ({ code, errorClass, ... }).
+ */
+
+const { PlaywrightAdapter } = require('./playwrightAdapter');
+const { DecodoAdapter } = require('./decodoAdapter');
+const { Bypass1Adapter } = require('./bypass1Adapter');
+const { ReplayAdapter } = require('./replayAdapter');
+const { ScrapeError, toErrorInfo, getRetryPolicy } = require('../scrapeErrors');
+const logger = require('../../utils/logger');
+
+const DEFAULT_METHOD = process.env.SCRAPER_METHOD || 'playwright';
+
+// name -> { adapter, ready (init promise or null), stats }
+const registry = new Map();
+
+function registerAdapter(adapter) {
+  registry.set(adapter.name, {
+    adapter,
+    ready: null,
+    stats: { scrapes: 0, succeeded: 0, failed: 0, retries: 0, totalMs: 0, lastUsedAt: null, lastError: null, lastErrorCode: null }
+  });
+}
+
+function hasAdapter(name) {
+  return registry.has(name);
+}
+
+function getAdapter(name) {
+  const entry = registry.get(name);
+  if (!entry) {
+    throw new Error(`Unknown scraper method: ${name} (expected one of: ${listAdapters().join(', ')})`);
+  }
+  return entry.adapter;
+}
+
+function listAdapters() {
+  return Array.from(registry.keys());
+}
+
+/**
+ * Whether a method (default SCRAPER_METHOD) replays archived data - such searches may be
+ * served cache entries a replay stored, live ones never are
+ */
+function isReplayMethod(name) {
+  const entry = registry.get(name || DEFAULT_METHOD);
+  return !!(entry && entry.adapter.replays);
+}
+
+/**
+ * Run init() once per adapter - a failed init is retried on the next scrape
+ */
+function ensureReady(entry) {
+  if (!entry.ready) {
+    logger.info(`Initializing ${entry.adapter.name} scraper adapter`);
+    entry.ready = Promise.resolve(entry.adapter.init()).catch(error => {
+      entry.ready = null;
+      throw error;
+    });
+  }
+  return entry.ready;
+}
+
+/**
+ * Shape an adapter result into the common envelope
+ */
+function normalizeResult(method, raw, returnDate = null) {
+  const success = raw.success !== false;
+  const result = {
+    success,
+    method,
+    flights: raw.flights || [],
+    ...(returnDate && { returnFlights: raw.returnFlights || [] }),
+    attempts: raw.attempts !== undefined ? raw.attempts : 1,
+    details: raw.details || {}
+  };
+
+  if (!success) {
+    const error = raw.errorInfo || raw.error;
+    result.error = (error && typeof error === 'object' ? error.message : error) || 'Unknown error';
+    result.errorInfo = toErrorInfo(error || result.error);
+  }
+
+  return result;
+}
+
+/**
+ * One scrape() call - a thrown error becomes a failed result
+ */
+async function attemptScrape(entry, search) {
+  try {
+    return await entry.adapter.scrape(search);
+  } catch (error) {
+    logger.error(`${entry.adapter.name} scrape failed for ${search.origin}-${search.destination}: ${error.message}`);
+    return { success: false, error };
+  }
+}
+
+/**
+ * Scrape with the named adapter (default SCRAPER_METHOD) - always resolves to the envelope
+ * Retryable failures are tried again, with backoff, as the retry policy allows
+ * options.schedule(task) runs each attempt (e.g. on a scrape scheduler slot), so the
+ * backoff between attempts doesn't hold a slot
+ */
+async function runAdapter(name, search, options = {}) {
+  const { schedule = task => task() } = options;
+  const method = name || DEFAULT_METHOD;
+  const entry = registry.get(method);
+
+  if (!entry) {
+    return normalizeResult(method, {
+      success: false,
+      error: new ScrapeError('UNKNOWN_METHOD', `Unknown scraper method: ${method}`),
+      attempts: 0
+    }, search.returnDate);
+  }
+
+  const policy = getRetryPolicy();
+  const { stats } = entry;
+  const startTime = Date.now();
+  let raw;
+
+  try {
+    await ensureReady(entry);
+  } catch (error) {
+    logger.error(`${method} scraper adapter failed to initialize: ${error.message}`);
+    raw = { success: false, error: new ScrapeError('ADAPTER_INIT_FAILED', error.message), attempts: 0 };
+  }
+
+  const retriedByAdapter = entry.adapter.retriesInternally || [];
+  let attempts = 0;
+
+  for (let attempt = 1; !raw; attempt++) {
+    const outcome = await schedule(() => attemptScrape(entry, search));
+    const error = outcome.errorInfo || outcome.error;
+    attempts += outcome.attempts !== undefined ? outcome.attempts : 1;
+
+    if (outcome.success !== false || retriedByAdapter.includes(toErrorInfo(error).errorClass) || !policy.shouldRetry(error, attempt)) {
+      raw = { ...outcome, attempts };
+      continue;
+    }
+
+    const delay = policy.backoffMs(error, attempt);
+    logger.warn(`${method} scrape for ${search.origin}-${search.destination} failed with ${toErrorInfo(error).code} ` +
+      `(attempt ${attempt}/${policy.maxAttempts(error)}), retrying in ${delay}ms`);
+    stats.retries++;
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+
+  const result = normalizeResult(method, raw, search.returnDate);
+
+  stats.scrapes++;
+  stats.totalMs += Date.now() - startTime;
+  stats.lastUsedAt = new Date().toISOString();
+  if (result.success) {
+    stats.succeeded++;
+  } else {
+    stats.failed++;
+    stats.lastError = result.error;
+    stats.lastErrorCode = result.errorInfo.code;
+  }
+
+  return result;
+}
+
+/**
+ * Release every adapter's resources (on shutdown)
+ */
+async function cleanupAdapters() {
+  for (const entry of registry.values()) {
+    try {
+      await entry.adapter.cleanup();
+    } catch (error) {
+      logger.error(`Failed to clean up ${entry.adapter.name} scraper adapter: ${error.message}`);
+    }
+    entry.ready = null;
+  }
+}
+
+/**
+ * Per-adapter usage plus the adapter's own status
+ */
+function getAdapterStats() {
+  return Array.from(registry.values()).map(({ adapter, ready, stats }) => ({
+    name: adapter.name,
+    description: adapter.description,
+    default: adapter.name === DEFAULT_METHOD,
+    initialized: !!ready,
+    scrapes: stats.scrapes,
+    succeeded: stats.succeeded,
+    failed: stats.failed,
+    retries: stats.retries,
+    averageMs: stats.scrapes > 0 ? Math.round(stats.totalMs / stats.scrapes) : null,
+    lastUsedAt: stats.lastUsedAt,
+    lastError: stats.lastError,
+    lastErrorCode: stats.lastErrorCode,
+    status: adapter.getStats()
+  }));
+}
+
+registerAdapter(new PlaywrightAdapter());
+registerAdapter(new DecodoAdapter());
+registerAdapter(new Bypass1Adapter());
+registerAdapter(new ReplayAdapter());
+
+module.exports = {
+  DEFAULT_METHOD,
+  registerAdapter,
+  hasAdapter,
+  getAdapter,
+  listAdapters,
+  isReplayMethod,
+  normalizeResult,
+  runAdapter,
+  cleanupAdapters,
+  getAdapterStats
+};
@@ -0,0 +1,439 @@
+/**
+ * Playwright Scraper Adapter (SCRAPER_METHOD=playwright)
+ * Launches a fresh stealth Chromium per scrape and reads FlightData from the
+ * select page - direct, or through the proxy the decodo adapter hands it
+ */
+
+const { chromium } = require('playwright-extra');
+const stealth = require('puppeteer-extra-plugin-stealth')();
+const { analyzeTrip } = require('../flightDataParser');
+const { getSchemaMonitor } = require('../schemaMonitor');
+const { archivePayload } = require('../payloadArchive');
+const { FRONTIER_BOOKING_HOST, buildSelectUrl } = require('../frontierUrls');
+const { getRequestBudget } = require('../requestBudget');
+const logger = require('../../utils/logger');
+
+chromium.use(stealth);
+
+// Browsers launched by scrapes still in flight - closed by cleanup()
+const activeBrowsers = new Set();
+
+/**
+ * Scrape flights using Playwright with optional proxy
+ * Returns the flight list, or { flights, returnFlights } for a round trip (returnDate set)
+ */
+async function scrapeFlightsPlaywright(origin, destination, date, proxyConfig = null, returnDate = null) {
+  let browser = null;
+
+  try {
+    const url = buildSelectUrl(origin, destination, date, returnDate);
+
+    logger.info(`Scraping ${origin}->${destination} on ${date}${returnDate ? ` returning ${returnDate}` : ''}${proxyConfig ? ` with proxy ${proxyConfig.server}` : ' (direct)'}`);
+
+    // Launch browser
+    const launchOptions = {
+      headless: true,
+      args: [
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-blink-features=AutomationControlled',
+        '--disable-dev-shm-usage'
+      ]
+    };
+
+    if (proxyConfig) {
+      launchOptions.proxy = proxyConfig;
+    }
+
+    browser = await chromium.launch(launchOptions);
+    activeBrowsers.add(browser);
+    browser.on('disconnected', () => activeBrowsers.delete(browser));
+
+    const context = await browser.newContext({
+      userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36',
+      viewport: { width: 1920, height: 1080 },
+      locale: 'en-US',
+      timezoneId: 'America/Chicago',
+      geolocation: { latitude: 41.8781, longitude: -87.6298 },
+    });
+
+    await context.setExtraHTTPHeaders({
+      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+      'Accept-Language': 'en-US,en;q=0.9',
+      'DNT': '1',
+      'Connection': 'keep-alive',
+      // Don't request images, fonts, etc. to reduce bandwidth
+      'Accept-Encoding': 'gzip, deflate, br'
+    });
+
+    const page = await context.newPage();
+
+    // Track PerimeterX blocking
+    let perimeterXDetected = false;
+    let responseReceived = false;
+
+    // Intercept responses to detect PerimeterX early
+    page.on('response', async (response) => {
+      responseReceived = true;
+      const url = response.url();
+      const status = response.status();
+      
+      // Check for PerimeterX indicators in response URL
+      if (url.includes('perimeterx') || url.includes('px-captcha') || url.includes('px-block')) {
+        logger.warn(`PerimeterX detected in response: ${url}`);
+        perimeterXDetected = true;
+        return; // Flag is set, checker will catch it
+      }
+
+      // Check response headers
+      const headers = response.headers();
+      if (headers['x-px-block'] || headers['px-block'] || headers['server']?.includes('PerimeterX')) {
+        logger.warn(`PerimeterX detected in headers`);
+        perimeterXDetected = true;
+        return; // Flag is set, checker will catch it
+      }
+
+      // Check response body for PerimeterX (if it's HTML) - but don't wait for full body
+      if (status === 403 || status === 429) {
+        // For 403/429, immediately flag as PerimeterX without waiting for body
+        logger.warn(`PerimeterX likely (status ${status})`);
+        perimeterXDetected = true;
+        return; // Flag is set, checker will catch it
+      }
+    });
+
+    // Aggressive resource blocking to minimize bandwidth usage
+    await page.route('**/*', (route) => {
+      const request = route.request();
+      const resourceType = request.resourceType();
+      const url = request.url();
+
+      // Comprehensive block list for tracking, ads, and analytics
+      const blockedDomains = [
+        'google-analytics.com',
+        'googletagmanager.com',
+        'doubleclick.net',
+        'googleadservices.com',
+        'facebook.com',
+        'facebook.net',
+        'twitter.com',
+        'linkedin.com',
+        'pinterest.com',
+        'instagram.com',
+        'youtube.com',
+        'youtube-nocookie.com',
+        'gstatic.com',
+        'googleapis.com',
+        'cloudflare.com',
+        'cdnjs.cloudflare.com',
+        'jsdelivr.net',
+        'unpkg.com',
+        'bootstrapcdn.com',
+        'fontawesome.com',
+        'fonts.googleapis.com',
+        'fonts.gstatic.com',
+        'adservice',
+        'adsystem',
+        'advertising',
+        'tracking',
+        'analytics',
+        'pixel',
+        'beacon',
+        'collector'
+      ];
+
+      const isBlockedDomain = blockedDomains.some(domain => url.includes(domain));
+      
+      // Block resource types we don't need for flight data extraction
+      // Only allow Frontier's own stylesheets (needed for page structure)
+      const shouldBlock = 
+        isBlockedDomain ||
+        resourceType === 'image' ||
+        resourceType === 'media' ||
+        resourceType === 'font' ||
+        resourceType === 'websocket' ||
+        (resourceType === 'stylesheet' && !url.includes(FRONTIER_BOOKING_HOST));
+
+      shouldBlock ? route.abort() : route.continue();
+    });
+
+    // Use a shorter timeout for navigation (30 seconds)
+    const NAVIGATION_TIMEOUT = 30000;
+    page.setDefaultTimeout(NAVIGATION_TIMEOUT);
+
+    // Wait for the booking site's request budget before the clock starts
+    await getRequestBudget().acquire(url);
+
+    logger.info(`Navigating to: ${url}`);
+    
+    let navigationCompleted = false;
+    let navigationError = null;
+    let timeoutReached = false;
+    
+    // Set up a hard timeout that will force failure after 30 seconds
+    const hardTimeout = setTimeout(() => {
+      if (!navigationCompleted) {
+        timeoutReached = true;
+        logger.warn('Hard timeout reached (30s) - navigation taking too long');
+      }
+    }, NAVIGATION_TIMEOUT);
+    
+    try {
+      // Set up a timeout that will reject if navigation takes too long
+      const navigationPromise = page.goto(url, { 
+        waitUntil: 'domcontentloaded', 
+        timeout: NAVIGATION_TIMEOUT 
+      }).then(() => {
+        navigationCompleted = true;
+        clearTimeout(hardTimeout);
+      }).catch((err) => {
+        navigationError = err;
+        clearTimeout(hardTimeout);
+        throw err;
+      });
+
+      // Set up PerimeterX checker that runs every 1 second for faster detection
+      const perimeterXChecker = new Promise((_, reject) => {
+        const checkInterval = setInterval(async () => {
+          if (perimeterXDetected) {
+            clearInterval(checkInterval);
+            clearTimeout(hardTimeout);
+            navigationCompleted = true;
+            reject(new Error('BLOCKED_BY_PERIMETERX'));
+            return;
+          }
+          
+          // Check if hard timeout was reached
+          if (timeoutReached) {
+            clearInterval(checkInterval);
+            clearTimeout(hardTimeout);
+            navigationCompleted = true;
+            reject(new Error('BLOCKED_BY_PERIMETERX'));
+            return;
+          }
+          
+          // Periodically check page state even if no response came in (faster checks)
+          try {
+            const pageTitle = await page.title().catch(() => '');
+            const url = page.url();
+            
+            // Check if we're stuck on a different page or blocked
+            if (pageTitle.includes('denied') || pageTitle.includes('blocked') || 
+                url.includes('perimeterx') || url.includes('px-captcha')) {
+              logger.warn(`PerimeterX detected via page state check: title="${pageTitle}", url="${url}"`);
+              perimeterXDetected = true;
+              clearInterval(checkInterval);
+              clearTimeout(hardTimeout);
+              navigationCompleted = true;
+              reject(new Error('BLOCKED_BY_PERIMETERX'));
+              return;
+            }
+          } catch (checkError) {
+            // Ignore errors from checking page state
+          }
+          
+          // If navigation completed, stop checking
+          if (navigationCompleted) {
+            clearInterval(checkInterval);
+            clearTimeout(hardTimeout);
+          }
+        }, 1000); // Check every 1 second instead of 2 for faster detection
+        
+        // Clear interval after timeout
+        setTimeout(() => {
+          clearInterval(checkInterval);
+        }, NAVIGATION_TIMEOUT + 1000);
+      });
+
+      // Race between navigation and PerimeterX detection
+      await Promise.race([navigationPromise, perimeterXChecker]);
+      
+      clearTimeout(hardTimeout);
+      logger.info('Navigation completed successfully');
+    } catch (error) {
+      clearTimeout(hardTimeout);
+      logger.error(`Navigation error: ${error.message}`);
+      
+      // Check if it's a timeout or if we detected PerimeterX
+      if (error.message === 'BLOCKED_BY_PERIMETERX' || perimeterXDetected || timeoutReached) {
+        logger.warn('Navigation failed - treating as PerimeterX block');
+        
+        // Try to get page content to check for PerimeterX
+        try {
+          const pageContent = await page.content().catch(() => '');
+          const pageTitle = await page.title().catch(() => '');
+          
+          logger.info(`Page state after failure: title="${pageTitle.substring(0, 100)}", content length=${pageContent.length}`);
+          
+          if (pageTitle.includes('denied') || pageContent.includes('PerimeterX') || 
+              pageContent.includes('px-captcha') || pageContent.includes('Access Denied')) {
+            logger.warn('PerimeterX confirmed in page content');
+          }
+        } catch (checkError) {
+          logger.warn(`Could not check page content: ${checkError.message}`);
+        }
+        
+        await browser.close();
+        throw new Error('BLOCKED_BY_PERIMETERX');
+      }
+      
+      // Check if it's a timeout error
+      if (error.message.includes('Timeout') || error.message.includes('timeout') || 
+          error.name === 'TimeoutError' || !navigationCompleted) {
+        logger.warn('Navigation timed out - likely blocked or slow connection');
+        await browser.close();
+        throw new Error('BLOCKED_BY_PERIMETERX');
+      }
+      
+      // Re-throw other errors
+      throw error;
+    }
+
+    // Final check for PerimeterX after navigation
+    if (perimeterXDetected) {
+      logger.warn('PerimeterX detected after navigation');
+      await browser.close();
+      throw new Error('BLOCKED_BY_PERIMETERX');
+    }
+
+    // Quick check for PerimeterX before waiting for FlightData
+    try {
+      const pageTitle = await page.title().catch(() => '');
+      const url = page.url();
+      
+      if (pageTitle.includes('denied') || pageTitle.includes('blocked') || 
+          url.includes('perimeterx') || url.includes('px-captcha')) {
+        logger.warn(`PerimeterX detected in page title/URL: title="${pageTitle}", url="${url}"`);
+        await browser.close();
+        throw new Error('BLOCKED_BY_PERIMETERX');
+      }
+    } catch (checkError) {
+      if (checkError.message === 'BLOCKED_BY_PERIMETERX') {
+        throw checkError;
+      }
+      // Continue if it's just a check error
+    }
+
+    logger.info(`Page loaded, waiting for flight data script...`);
+    
+    // Wait for the specific script that contains FlightData instead of fixed timeout
+    // But check for PerimeterX during the wait
+    try {
+      await Promise.race([
+        page.waitForFunction(() => {
+          const scripts = document.querySelectorAll('script');
+          for (const script of scripts) {
+            if (script.textContent && script.textContent.includes('FlightData')) {
+              return true;
+            }
+          }
+          return false;
+        }, { timeout: 10000 }),
+        // Also check for PerimeterX periodically during wait
+        new Promise((_, reject) => {
+          const checkInterval = setInterval(async () => {
+            try {
+              const pageTitle = await page.title().catch(() => '');
+              const url = page.url();
+              if (pageTitle.includes('denied') || pageTitle.includes('blocked') || 
+                  url.includes('perimeterx') || url.includes('px-captcha')) {
+                clearInterval(checkInterval);
+                reject(new Error('BLOCKED_BY_PERIMETERX'));
+              }
+            } catch (e) {
+              // Ignore
+            }
+          }, 500); // Check every 500ms
+          
+          setTimeout(() => clearInterval(checkInterval), 10000);
+        })
+      ]);
+      logger.info(`FlightData script found, extracting data...`);
+    } catch (e) {
+      if (e.message === 'BLOCKED_BY_PERIMETERX') {
+        logger.warn(`PerimeterX detected while waiting for FlightData`);
+        await browser.close();
+        throw new Error('BLOCKED_BY_PERIMETERX');
+      }
+      logger.warn(`FlightData script not found immediately, proceeding anyway...`);
+      await page.waitForTimeout(1000); // Small fallback delay
+    }
+
+    // Final check for bot detection in page content
+    const pageContent = await page.content();
+    const pageTitle = await page.title();
+
+    if (pageTitle.includes('denied') || pageContent.includes('PerimeterX') || 
+        pageContent.includes('px-captcha') || pageContent.includes('Access Denied')) {
+      await browser.close();
+      throw new Error('BLOCKED_BY_PERIMETERX');
+    }
+
+    await browser.close();
+
+    archivePayload(pageContent, { origin, destination, date, returnDate, method: proxyConfig ? 'decodo' : 'playwright' });
+
+    // Parse and classify the payload - a round-trip page carries the return journey second
+    let trip;
+    try {
+      trip = analyzeTrip(pageContent, { origin, destination, roundTrip: !!returnDate });
+    } catch (parseError) {
+      logger.warn(`No flight data found for ${origin}-${destination}. Page title: ${pageTitle}`);
+      logger.warn(`Page content preview: ${pageContent.substring(0, 500)}`);
+      throw parseError;
+    }
+
+    const schemaError = getSchemaMonitor().record(trip, {
+      route: `${origin}-${destination}`,
+      date,
+      method: proxyConfig ? 'decodo' : 'playwright'
+    });
+    if (schemaError) {
+      throw new Error(schemaError);
+    }
+
+    logger.info(`Parsed flight data (${trip.outcome}): ${trip.flights.length} flight(s)${returnDate ? ` + ${trip.returnFlights.length} return` : ''}`);
+
+    if (returnDate) {
+      return { flights: trip.flights, returnFlights: trip.returnFlights };
+    }
+
+    return trip.flights;
+
+  } catch (error) {
+    if (browser) {
+      try {
+        await browser.close();
+      } catch (e) {
+        // Ignore
+      }
+    }
+    throw error;
+  }
+}
+
+class PlaywrightAdapter {
+  constructor() {
+    this.name = 'playwright';
+    this.description = 'Stealth Chromium per scrape, no proxy';
+    this.recordsHistory = true;
+  }
+
+  async init() {}
+
+  async scrape({ origin, destination, date, returnDate = null }) {
+    const scraped = await scrapeFlightsPlaywright(origin, destination, date, null, returnDate);
+    return returnDate ? scraped : { flights: scraped };
+  }
+
+  async cleanup() {
+    await Promise.all(Array.from(activeBrowsers).map(browser => browser.close().catch(() => {})));
+    activeBrowsers.clear();
+  }
+
+  getStats() {
+    return { activeBrowsers: activeBrowsers.size };
+  }
+}
+
+module.exports = { PlaywrightAdapter, scrapeFlightsPlaywright };
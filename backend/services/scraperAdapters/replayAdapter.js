@@ -0,0 +1,61 @@
+/**
+ * Replay Scraper Adapter (SCRAPER_METHOD=replay)
+ * Parses the newest archived payload instead of visiting Frontier - see payloadArchive.js
+ */
+
+const { PARSE_OUTCOMES, analyzeTrip, decodeFlightData } = require('../flightDataParser');
+const { getPayloadArchive } = require('../payloadArchive');
+const logger = require('../../utils/logger');
+
+/**
+ * Parse the newest archived payload for the route/date with the current parser,
+ * so no browser, proxy or network is needed
+ */
+async function scrapeFlightsReplay(origin, destination, date, returnDate = null) {
+  const record = await getPayloadArchive().latest(origin, destination, date, returnDate);
+
+  if (!record) {
+    logger.warn(`No archived payload for ${origin}-${destination} on ${date}${returnDate ? ` returning ${returnDate}` : ''}`);
+    return { success: false, error: 'NO_ARCHIVED_PAYLOAD', attempts: 0 };
+  }
+
+  const trip = analyzeTrip(decodeFlightData(record.payload), { origin, destination, roundTrip: !!returnDate });
+  logger.info(`Replayed ${origin}-${destination} on ${date} from payload archived at ${record.timestamp} (${trip.outcome})`);
+
+  if (trip.outcome === PARSE_OUTCOMES.SCHEMA_MISMATCH) {
+    return { success: false, error: 'SCHEMA_MISMATCH', attempts: 0, details: { replayedFrom: record.timestamp } };
+  }
+
+  return {
+    success: true,
+    flights: trip.flights,
+    ...(returnDate && { returnFlights: trip.returnFlights }),
+    attempts: 0,
+    details: { replayedFrom: record.timestamp }
+  };
+}
+
+class ReplayAdapter {
+  constructor() {
+    this.name = 'replay';
+    this.description = 'Offline, from archived FlightData payloads';
+    // A replay isn't a new observation - its results are cached flagged replayed, and
+    // only served from the cache to other replay searches
+    this.recordsHistory = false;
+    this.replays = true;
+  }
+
+  async init() {}
+
+  scrape({ origin, destination, date, returnDate = null }) {
+    return scrapeFlightsReplay(origin, destination, date, returnDate);
+  }
+
+  async cleanup() {}
+
+  getStats() {
+    return { archiveEnabled: process.env.PAYLOAD_ARCHIVE_ENABLED === 'true' };
+  }
+}
+
+module.exports = { ReplayAdapter, scrapeFlightsReplay };
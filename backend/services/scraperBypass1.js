@@ -15,6 +15,12 @@
 const { chromium } = require('playwright-extra');
 const stealth = require('puppeteer-extra-plugin-stealth')();
 const { getProxyManager } = require('./decodoProxyManager');
+const { analyzeTrip } = require('./flightDataParser');
+const { getSchemaMonitor } = require('./schemaMonitor');
+const { archivePayload } = require('./payloadArchive');
+const { FRONTIER_BOOKING_HOST, buildSelectUrl } = require('./frontierUrls');
+const { getRequestBudget } = require('./requestBudget');
+const { classifyError } = require('./scrapeErrors');
 const logger = require('../utils/logger');
 
 chromium.use(stealth);
@@ -124,8 +130,8 @@ class Bypass1Scraper {
         return route.abort();
       }
 
-      // Block stylesheets except from booking.flyfrontier.com
-      if (resourceType === 'stylesheet' && !url.includes('booking.flyfrontier.com')) {
+      // Block stylesheets except from the booking site
+      if (resourceType === 'stylesheet' && !url.includes(FRONTIER_BOOKING_HOST)) {
         return route.abort();
       }
 
@@ -273,7 +279,7 @@ class Bypass1Scraper {
           return route.abort();
         }
 
-        if (resourceType === 'stylesheet' && !url.includes('booking.flyfrontier.com')) {
+        if (resourceType === 'stylesheet' && !url.includes(FRONTIER_BOOKING_HOST)) {
           return route.abort();
         }
 
@@ -292,8 +298,9 @@ class Bypass1Scraper {
 
   /**
    * Scrape a single route with optional proxy
+   * Returns the flight list, or { flights, returnFlights } for a round trip (returnDate set)
    */
-  async scrapeRoute(origin, destination, date, proxyConfig = null) {
+  async scrapeRoute(origin, destination, date, proxyConfig = null, returnDate = null) {
     // If using proxy manager, get a proxy
     let proxy = null;
     let proxyId = null;
@@ -311,28 +318,49 @@ class Bypass1Scraper {
     }
 
     // Get context from pool
-    const contextInfo = await this.acquireContext();
-    const { id } = contextInfo;
-    
-    // If proxy is needed, refresh context with proxy (contexts are refreshed after each use anyway)
-    if (proxyConfig) {
-      await this.refreshContext(contextInfo, proxyConfig);
+    let contextInfo;
+    try {
+      contextInfo = await this.acquireContext();
+    } catch (error) {
+      if (this.proxyManager && proxyId) {
+        this.proxyManager.releaseProxy(proxyId, false, false);
+      }
+      throw error;
     }
+    const { id } = contextInfo;
 
-    // Get the page reference AFTER refresh (in case context was refreshed)
-    let page = contextInfo.page;
-    
-    // Verify page is still valid
-    if (!page || page.isClosed()) {
-      logger.warn(`[BYPASS1-${id}] Page was closed, refreshing context...`);
-      await this.refreshContext(contextInfo, proxyConfig);
-      page = contextInfo.page;
-    }
+    // The proxy and context go back exactly once, however the scrape ends
+    let released = false;
+    const release = (success, isPerimeterX) => {
+      if (released) {
+        return Promise.resolve();
+      }
+      released = true;
+      if (this.proxyManager && proxyId) {
+        this.proxyManager.releaseProxy(proxyId, success, isPerimeterX);
+      }
+      return this.releaseContext(contextInfo);
+    };
 
     try {
-      const url = `https://booking.flyfrontier.com/Flight/InternalSelect?o1=${origin}&d1=${destination}&dd1=${date}&adt=1&umnr=false&loy=false&mon=true&ftype=GW`;
+      // If proxy is needed, refresh context with proxy (contexts are refreshed after each use anyway)
+      if (proxyConfig) {
+        await this.refreshContext(contextInfo, proxyConfig);
+      }
+
+      // Get the page reference AFTER refresh (in case context was refreshed)
+      let page = contextInfo.page;
+
+      // Verify page is still valid
+      if (!page || page.isClosed()) {
+        logger.warn(`[BYPASS1-${id}] Page was closed, refreshing context...`);
+        await this.refreshContext(contextInfo, proxyConfig);
+        page = contextInfo.page;
+      }
 
-      logger.info(`[BYPASS1-${id}] Scraping ${origin} -> ${destination} on ${date}`);
+      const url = buildSelectUrl(origin, destination, date, returnDate);
+
+      logger.info(`[BYPASS1-${id}] Scraping ${origin} -> ${destination} on ${date}${returnDate ? ` returning ${returnDate}` : ''}`);
 
       // Random human-like delay before navigating (1-3 seconds)
       const randomDelay = 1000 + Math.random() * 2000;
@@ -348,7 +376,8 @@ class Bypass1Scraper {
         }
       }
 
-      // Navigate with timeout
+      // Wait for the booking site's request budget, then navigate with timeout
+      await getRequestBudget().acquire(url);
       let navigationError = null;
       try {
         await Promise.race([
@@ -422,147 +451,62 @@ class Bypass1Scraper {
         throw e;
       }
 
-      // Extract flight data - verify page is still valid
+      // Grab the page HTML - verify page is still valid
       if (page.isClosed()) {
         throw new Error('Navigation timeout');
       }
-      
-      const result = await page.evaluate(({ origin, destination }) => {
-        // Check for PerimeterX blocking
-        const html = document.documentElement.innerHTML;
-        if (html.includes('PerimeterX') || html.includes('Access Denied') || 
-            html.includes('px-captcha') || html.includes('px-block')) {
-          return { error: 'Blocked by PerimeterX', blocked: true };
-        }
 
-        // Extract FlightData from script tags (same approach as working scraper)
-        let flightDataJson = null;
-        const scripts = document.querySelectorAll('script');
-        
-        for (const script of scripts) {
-          const content = script.textContent || '';
-          if (content.includes('FlightData')) {
-            const match = content.match(/FlightData\s*=\s*'([^']+)'/);
-            if (match) {
-              try {
-                const decoded = match[1]
-                  .replace(/&quot;/g, '"')
-                  .replace(/&amp;/g, '&')
-                  .replace(/&lt;/g, '<')
-                  .replace(/&gt;/g, '>')
-                  .replace(/&#39;/g, "'");
-                flightDataJson = JSON.parse(decoded);
-                break;
-              } catch (e) {
-                // Continue searching
-              }
-            }
-          }
-        }
-
-        if (!flightDataJson) {
-          return { 
-            error: 'FlightData not found', 
-            blocked: false,
-            debug: {
-              title: document.title,
-              bodyPreview: document.body ? document.body.innerText.substring(0, 200) : 'No body'
-            }
-          };
-        }
-
-        try {
-
-          // Extract flights
-          const flights = [];
-          if (flightDataJson.journeys && flightDataJson.journeys[0]) {
-            const journey = flightDataJson.journeys[0];
-            if (journey.flights && Array.isArray(journey.flights)) {
-              const flightMap = new Map();
-
-              journey.flights.forEach(flight => {
-                if (flight.legs && flight.legs.length > 0) {
-                  const firstLeg = flight.legs[0];
-                  const lastLeg = flight.legs[flight.legs.length - 1];
-                  const flightNumbers = flight.legs.map(leg => `F9 ${leg.flightNumber}`).join(', ');
-                  
-                  const key = `${firstLeg.departureDate}_${lastLeg.arrivalDate}_${flightNumbers}`;
-
-                  if (!flightMap.has(key)) {
-                    flightMap.set(key, {
-                      origin: firstLeg.departureStation || origin,
-                      destination: lastLeg.arrivalStation || destination,
-                      departureDate: firstLeg.departureDate,
-                      arrivalDate: lastLeg.arrivalDate,
-                      flightNumber: flightNumbers,
-                      duration: flight.duration || flight.durationFormatted || 'N/A',
-                      stops: flight.stopsText || (flight.legs.length === 1 ? 'Nonstop' : `${flight.legs.length - 1} stop(s)`),
-                      stopCount: flight.legs.length - 1,
-                      price: `$${flight.goWildFare}`,
-                      rawFare: flight.goWildFare
-                    });
-                  }
-                }
-              });
-
-              flights.push(...flightMap.values());
-            }
-          }
-
-          return { flights, blocked: false };
-        } catch (parseError) {
-          return { error: parseError.message, blocked: false };
-        }
-      }, { origin, destination }).catch(e => {
-        // If page evaluation fails due to closed page, return error
+      const html = await page.content().catch(e => {
+        // If the page closed under us, treat it like a timeout
         if (e.message.includes('closed') || e.message.includes('Target')) {
           throw new Error('Navigation timeout');
         }
         throw e;
       });
 
-      if (result.blocked) {
+      // Check for PerimeterX blocking
+      const blocked = html.includes('PerimeterX') || html.includes('Access Denied') ||
+        html.includes('px-captcha') || html.includes('px-block');
+
+      if (blocked) {
         logger.warn(`[BYPASS1-${id}] BLOCKED by PerimeterX`);
-        // Release proxy with PerimeterX flag
-        if (this.proxyManager && proxyId) {
-          this.proxyManager.releaseProxy(proxyId, false, true);
-        }
-        await this.releaseContext(contextInfo);
-        throw new Error('BLOCKED_BY_PERIMETERX');
+        throw new Error('BLOCKED_BY_PERIMETERX'); // Proxy released with the PerimeterX flag below
       }
 
-      // Release proxy if we used one (success case)
-      if (this.proxyManager && proxyId) {
-        this.proxyManager.releaseProxy(proxyId, true, false);
-      }
+      // Page loaded - release the proxy as a success
+      await release(true, false);
 
-      await this.releaseContext(contextInfo);
+      archivePayload(html, { origin, destination, date, returnDate, method: 'bypass1' });
 
-      if (result.error) {
-        logger.warn(`[BYPASS1-${id}] Error: ${result.error}`);
-        if (result.debug) {
-          logger.debug(`[BYPASS1-${id}] Page title: "${result.debug.title}"`);
-        }
-        throw new Error('NO_FLIGHT_DATA');
+      // Parse and classify the payload (same parser as the other scraper methods)
+      let parsed;
+      try {
+        parsed = analyzeTrip(html, { origin, destination, roundTrip: !!returnDate });
+      } catch (parseError) {
+        logger.warn(`[BYPASS1-${id}] Error: FlightData not found`);
+        logger.debug(`[BYPASS1-${id}] Page title: "${pageTitle}"`);
+        throw parseError;
+      }
+
+      const schemaError = getSchemaMonitor().record(parsed, { route: `${origin}-${destination}`, date, method: 'bypass1' });
+      if (schemaError) {
+        throw new Error(schemaError);
       }
 
-      // Filter out flights that cost less than $3
-      const filteredFlights = result.flights.filter(flight => flight.rawFare >= 3);
+      if (returnDate) {
+        logger.info(`[BYPASS1-${id}] Found ${parsed.flights.length} outbound and ${parsed.returnFlights.length} return flights`);
+        return { flights: parsed.flights, returnFlights: parsed.returnFlights };
+      }
 
-      logger.info(`[BYPASS1-${id}] Found ${filteredFlights.length} flights`);
-      return filteredFlights;
+      logger.info(`[BYPASS1-${id}] Found ${parsed.flights.length} flights`);
+      return parsed.flights;
 
     } catch (error) {
-      // Release proxy on error
-      if (this.proxyManager && proxyId) {
-        const isPerimeterX = error.message === 'BLOCKED_BY_PERIMETERX' || 
-                            error.message.includes('PerimeterX') ||
-                            error.message.includes('BLOCKED');
-        this.proxyManager.releaseProxy(proxyId, false, isPerimeterX);
-      }
-      
-      // Release context (don't await to avoid hanging if context is already closed)
-      this.releaseContext(contextInfo).catch(e => {
+      // Release proxy and context on error (unless the page already loaded and they went back)
+      const isPerimeterX = classifyError(error) === 'BLOCKED_BY_PERIMETERX';
+
+      // Don't await the context refresh to avoid hanging if the context is already closed
+      release(false, isPerimeterX).catch(e => {
         logger.debug(`[BYPASS1-${contextInfo.id}] Error releasing context: ${e.message}`);
       });
       
@@ -613,8 +557,9 @@ function getInstance(options = {}) {
 
 /**
  * Scrape flights using BYPASS1 method
+ * Pass a returnDate for a round trip - returns { flights, returnFlights } instead of a list
  */
-async function scrapeFlightsBypass1(origin, destination, date, options = {}) {
+async function scrapeFlightsBypass1(origin, destination, date, options = {}, returnDate = null) {
   // Get or create instance with options
   // Note: Options are applied on first call, subsequent calls use the same instance
   if (!scraperInstance) {
@@ -630,7 +575,7 @@ async function scrapeFlightsBypass1(origin, destination, date, options = {}) {
     }
   }
   
-  return await scraperInstance.scrapeRoute(origin, destination, date);
+  return await scraperInstance.scrapeRoute(origin, destination, date, null, returnDate);
 }
 
 /**
@@ -0,0 +1,476 @@
+/**
+ * Watchlist Service
+ * Saved route/origin watches that are re-scraped on a schedule and raise an
+ * alert when a matching GoWild flight appears
+ *
+ * A watch targets one route (origin + destination) or every route from an origin
+ * (destination omitted), for one date or a date range, with optional filters:
+ * - maxFare        only flights at or below this GoWild fare
+ * - nonstopOnly    skip connecting flights
+ * - departAfter    earliest departure time (HH:MM, local to the departure airport)
+ * - departBefore   latest departure time (HH:MM)
+ *
+ * Watches are persisted to cache/watches.json. The scheduler runs due watches one
+ * at a time and waits for proxy capacity before each scrape so it never competes
+ * with interactive searches for the proxy pool.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { scrapeFlights } = require('./scraper');
+const { scrapeRoutesByOrigin, datesInRange, isCalendarDate, countDaysInRange } = require('./bulkScraper');
+const { getProxyManager } = require('./decodoProxyManager');
+const logger = require('../utils/logger');
+
+const WATCHES_DIR = path.join(__dirname, '../../cache');
+const WATCHES_FILE = path.join(WATCHES_DIR, 'watches.json');
+
+const DEFAULT_INTERVAL_MINUTES = parseInt(process.env.WATCH_INTERVAL_MINUTES) || 60;
+const MIN_INTERVAL_MINUTES = 5;
+const MAX_RANGE_DAYS = 31;
+const MAX_NAME_LENGTH = 80;
+const SCHEDULER_TICK_MS = 60 * 1000;
+const CAPACITY_WAIT_MS = 2 * 60 * 1000;
+const MAX_STORED_ALERTS = 20;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const IATA_PATTERN = /^[A-Z]{3}$/;
+const NAME_PATTERN = /^[\p{L}\p{N} .,:()/#+_-]+$/u;
+
+function today() {
+  return new Date().toISOString().split('T')[0];
+}
+
+/**
+ * Validate and normalize watch input
+ * Returns { watch } or { error }. With `existing`, only the provided fields change.
+ */
+function normalizeWatch(input, existing = null) {
+  const merged = { ...existing, ...input, filters: { ...existing?.filters, ...input.filters } };
+
+  const origin = String(merged.origin || '').toUpperCase();
+  const destination = merged.destination ? String(merged.destination).toUpperCase() : null;
+  // Dates in the input win over the stored ones - a single `date` replaces a stored range
+  const dateFrom = input.dateFrom || input.date || merged.dateFrom;
+  const dateTo = input.dateTo || (input.date && !input.dateFrom ? input.date : merged.dateTo) || dateFrom;
+  const name = input.name !== undefined && input.name !== null ? String(input.name).trim() : merged.name;
+  const intervalMinutes = merged.intervalMinutes !== undefined ? Number(merged.intervalMinutes) : DEFAULT_INTERVAL_MINUTES;
+  const { maxFare, nonstopOnly, departAfter, departBefore } = merged.filters;
+
+  if (!IATA_PATTERN.test(origin)) {
+    return { error: 'origin must be a 3-letter airport code' };
+  }
+  if (destination && !IATA_PATTERN.test(destination)) {
+    return { error: 'destination must be a 3-letter airport code' };
+  }
+  if (!isCalendarDate(dateFrom) || !isCalendarDate(dateTo)) {
+    return { error: 'date (or dateFrom/dateTo) must be a YYYY-MM-DD calendar date' };
+  }
+  if (dateTo < dateFrom) {
+    return { error: 'dateTo must not be before dateFrom' };
+  }
+  if (countDaysInRange(dateFrom, dateTo) > MAX_RANGE_DAYS) {
+    return { error: `Date range cannot exceed ${MAX_RANGE_DAYS} days` };
+  }
+  // Names are shown in the UI and in notifications - keep them to plain text
+  if (input.name !== undefined && input.name !== null && name !== '' &&
+      (name.length > MAX_NAME_LENGTH || !NAME_PATTERN.test(name))) {
+    return { error: `name must be at most ${MAX_NAME_LENGTH} letters, numbers, spaces or . , : ( ) / # + _ -` };
+  }
+  if (isNaN(intervalMinutes) || intervalMinutes < MIN_INTERVAL_MINUTES) {
+    return { error: `intervalMinutes must be at least ${MIN_INTERVAL_MINUTES}` };
+  }
+  if (maxFare !== undefined && maxFare !== null && maxFare !== '' && (isNaN(Number(maxFare)) || Number(maxFare) <= 0)) {
+    return { error: 'maxFare must be a positive number' };
+  }
+  if ((departAfter && !TIME_PATTERN.test(departAfter)) || (departBefore && !TIME_PATTERN.test(departBefore))) {
+    return { error: 'departAfter and departBefore must be HH:MM' };
+  }
+
+  return {
+    watch: {
+      id: existing?.id || crypto.randomUUID(),
+      name: name || `${origin}${destination ? `-${destination}` : ' (all)'} ${dateFrom}${dateTo !== dateFrom ? ` to ${dateTo}` : ''}`,
+      origin,
+      destination,
+      dateFrom,
+      dateTo,
+      filters: {
+        maxFare: maxFare !== undefined && maxFare !== null && maxFare !== '' ? Number(maxFare) : null,
+        nonstopOnly: nonstopOnly === true || nonstopOnly === 'true',
+        departAfter: departAfter || null,
+        departBefore: departBefore || null
+      },
+      intervalMinutes,
+      enabled: merged.enabled !== false,
+      createdAt: existing?.createdAt || new Date().toISOString(),
+      lastRunAt: existing?.lastRunAt || null,
+      lastRun: existing?.lastRun || null,
+      // Due immediately when created or when the schedule changes
+      nextRunAt: existing && existing.intervalMinutes === intervalMinutes ? existing.nextRunAt : new Date().toISOString(),
+      matchingFlights: existing?.matchingFlights || [],
+      alerts: existing?.alerts || []
+    }
+  };
+}
+
+/**
+ * Does a flight pass the watch filters?
+ */
+function matchesFilters(flight, filters) {
+  if (filters.maxFare !== null && !(flight.rawFare <= filters.maxFare)) {
+    return false;
+  }
+
+  if (filters.nonstopOnly) {
+    const nonstop = flight.stopCount !== undefined ? flight.stopCount === 0 : flight.stops === 'Nonstop';
+    if (!nonstop) {
+      return false;
+    }
+  }
+
+  if (filters.departAfter || filters.departBefore) {
+    const departureTime = String(flight.departureDate || '').substring(11, 16);
+    if (!TIME_PATTERN.test(departureTime)) {
+      return false;
+    }
+    if (filters.departAfter && departureTime < filters.departAfter) {
+      return false;
+    }
+    if (filters.departBefore && departureTime > filters.departBefore) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+function flightAlertKey(date, flight) {
+  return `${date}|${flight.origin}-${flight.destination}|${flight.flightNumber}|${flight.departureDate}`;
+}
+
+class Watchlist {
+  constructor() {
+    this.watches = [];
+    this.timer = null;
+    this.running = null; // id of the watch currently running
+    this.ready = this.init();
+  }
+
+  async init() {
+    try {
+      await fs.mkdir(WATCHES_DIR, { recursive: true });
+      await this.load();
+    } catch (error) {
+      logger.error(`Failed to initialize watchlist: ${error.message}`);
+    }
+  }
+
+  async load() {
+    try {
+      const data = await fs.readFile(WATCHES_FILE, 'utf8');
+      this.watches = JSON.parse(data).watches || [];
+      logger.info(`Loaded ${this.watches.length} watches`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`Failed to load watches: ${error.message}`);
+      }
+      this.watches = [];
+    }
+  }
+
+  async save() {
+    try {
+      await fs.writeFile(WATCHES_FILE, JSON.stringify({ watches: this.watches }, null, 2));
+    } catch (error) {
+      logger.error(`Failed to save watches: ${error.message}`);
+    }
+  }
+
+  async list() {
+    await this.ready;
+    return this.watches;
+  }
+
+  async get(id) {
+    await this.ready;
+    return this.watches.find(watch => watch.id === id) || null;
+  }
+
+  /**
+   * Create a watch - returns { watch } or { error }
+   */
+  async create(input) {
+    await this.ready;
+
+    const result = normalizeWatch(input);
+    if (result.error) {
+      return result;
+    }
+
+    this.watches.push(result.watch);
+    await this.save();
+    logger.info(`Watch created: ${result.watch.name}`);
+    return result;
+  }
+
+  /**
+   * Update a watch - returns { watch }, { error } or null if not found
+   */
+  async update(id, input) {
+    await this.ready;
+
+    const index = this.watches.findIndex(watch => watch.id === id);
+    if (index === -1) {
+      return null;
+    }
+
+    const result = normalizeWatch(input, this.watches[index]);
+    if (result.error) {
+      return result;
+    }
+
+    this.watches[index] = result.watch;
+    await this.save();
+    return result;
+  }
+
+  async remove(id) {
+    await this.ready;
+
+    const index = this.watches.findIndex(watch => watch.id === id);
+    if (index === -1) {
+      return false;
+    }
+
+    const [removed] = this.watches.splice(index, 1);
+    await this.save();
+    logger.info(`Watch deleted: ${removed.name}`);
+    return true;
+  }
+
+  /**
+   * True if the proxy pool has a free worker and a proxy under its per-minute limit
+   * Always true when no proxy manager is configured
+   */
+  hasScrapeCapacity() {
+    const proxyManager = getProxyManager();
+    if (!proxyManager) {
+      return true;
+    }
+
+    const stats = proxyManager.getStatistics();
+    return stats.activeWorkers < stats.maxWorkers && stats.proxies.some(proxy => proxy.canUseNow);
+  }
+
+  async waitForScrapeCapacity(timeoutMs = CAPACITY_WAIT_MS) {
+    const startTime = Date.now();
+    while (Date.now() - startTime < timeoutMs) {
+      if (this.hasScrapeCapacity()) {
+        return true;
+      }
+      await new Promise(resolve => setTimeout(resolve, 5000));
+    }
+    return false;
+  }
+
+  /**
+   * Scrape one date for a watch - returns { success, flights, error }
+   */
+  async scrapeWatchDate(watch, date) {
+    if (watch.destination) {
+      const result = await scrapeFlights(watch.origin, watch.destination, date, { priority: 'watch' });
+      return { success: result.success, flights: result.flights || [], error: result.error };
+    }
+
+    const result = await scrapeRoutesByOrigin(watch.origin, date, true, { scrapeOptions: { priority: 'watch' } });
+    return {
+      success: result.success,
+      flights: Object.values(result.destinations || {}).flat(),
+      error: result.error
+    };
+  }
+
+  /**
+   * Run a watch now: scrape every remaining date, compare matches with the last
+   * run and alert on flights that weren't matching before
+   */
+  async runWatch(id) {
+    await this.ready;
+
+    const watch = this.watches.find(w => w.id === id);
+    if (!watch) {
+      return null;
+    }
+
+    if (this.running) {
+      return { success: false, error: 'Another watch is running, try again shortly' };
+    }
+
+    this.running = watch.id;
+    const startTime = Date.now();
+    const dates = datesInRange(watch.dateFrom, watch.dateTo).filter(date => date >= today());
+    const matching = [];
+    const newMatches = [];
+    const previousKeys = new Set(watch.matchingFlights);
+    let scraped = 0;
+    let failed = 0;
+    let deferred = false;
+
+    logger.info(`Running watch ${watch.name} (${dates.length} date(s))`);
+
+    try {
+      for (const date of dates) {
+        if (!(await this.waitForScrapeCapacity())) {
+          logger.warn(`Watch ${watch.name}: no proxy capacity, deferring remaining dates`);
+          deferred = true;
+          break;
+        }
+
+        const result = await this.scrapeWatchDate(watch, date);
+        if (!result.success) {
+          failed++;
+          logger.warn(`Watch ${watch.name}: ${date} failed (${result.error})`);
+          continue;
+        }
+        scraped++;
+
+        const dateMatches = result.flights.filter(flight => matchesFilters(flight, watch.filters));
+        const dateNew = [];
+
+        for (const flight of dateMatches) {
+          const key = flightAlertKey(date, flight);
+          matching.push(key);
+          if (!previousKeys.has(key)) {
+            dateNew.push(flight);
+          }
+        }
+
+        if (dateNew.length > 0) {
+          newMatches.push(...dateNew);
+          this.raiseAlert(watch, date, dateNew);
+        }
+      }
+    } finally {
+      this.running = null;
+    }
+
+    // Keep last-known matches for dates that weren't scraped (deferred or failed)
+    // so a flight isn't re-alerted just because one run missed it
+    const scrapedAll = !deferred && failed === 0;
+    watch.matchingFlights = scrapedAll ? matching : Array.from(new Set([...watch.matchingFlights, ...matching]));
+    watch.lastRunAt = new Date().toISOString();
+    watch.lastRun = {
+      dates: dates.length,
+      scraped,
+      failed,
+      deferred,
+      matches: matching.length,
+      newMatches: newMatches.length,
+      elapsed: Date.now() - startTime
+    };
+    watch.nextRunAt = new Date(Date.now() + (deferred ? SCHEDULER_TICK_MS : watch.intervalMinutes * 60 * 1000)).toISOString();
+
+    // Nothing left to watch once the whole range is in the past
+    if (dates.length === 0) {
+      watch.enabled = false;
+      logger.info(`Watch ${watch.name} expired (all dates are in the past), disabling`);
+    }
+
+    await this.save();
+
+    if (global.broadcast) {
+      global.broadcast({
+        type: 'watch_run_complete',
+        watchId: watch.id,
+        name: watch.name,
+        ...watch.lastRun,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    return { success: true, watch };
+  }
+
+  raiseAlert(watch, date, flights) {
+    const alert = {
+      date,
+      route: watch.destination ? `${watch.origin}-${watch.destination}` : `${watch.origin}-*`,
+      flights,
+      alertedAt: new Date().toISOString()
+    };
+
+    watch.alerts = [alert, ...watch.alerts].slice(0, MAX_STORED_ALERTS);
+    logger.info(`Watch alert (${watch.name}): ${flights.length} matching GoWild flight(s) on ${date}`);
+
+    if (global.broadcast) {
+      global.broadcast({
+        type: 'watch_alert',
+        watchId: watch.id,
+        name: watch.name,
+        ...alert,
+        timestamp: alert.alertedAt
+      });
+    }
+  }
+
+  /**
+   * Run every enabled watch that is due, one at a time
+   */
+  async tick() {
+    await this.ready;
+
+    if (this.running) {
+      return;
+    }
+
+    const now = Date.now();
+    const due = this.watches.filter(watch => watch.enabled && new Date(watch.nextRunAt).getTime() <= now);
+
+    for (const watch of due) {
+      try {
+        await this.runWatch(watch.id);
+      } catch (error) {
+        logger.error(`Watch ${watch.name} failed: ${error.message}`);
+      }
+    }
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.tick(), SCHEDULER_TICK_MS);
+    logger.info(`Watch scheduler started (checks every ${SCHEDULER_TICK_MS / 1000}s)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  getStatus() {
+    return {
+      schedulerRunning: !!this.timer,
+      running: this.running,
+      watches: this.watches.length,
+      enabled: this.watches.filter(watch => watch.enabled).length
+    };
+  }
+}
+
+// Singleton instance
+let watchlistInstance = null;
+
+function getWatchlist() {
+  if (!watchlistInstance) {
+    watchlistInstance = new Watchlist();
+  }
+  return watchlistInstance;
+}
+
+module.exports = { getWatchlist, normalizeWatch };
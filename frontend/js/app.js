@@ -10,6 +10,10 @@ class FrontierScraperApp {
     this.wsConnected = false;
     this.routeManager = new RouteManager(this.apiBase);
     this.bulkResults = null; // Store hierarchical bulk results
+    this.cachePage = 1;
+    this.jobResultsJobId = null;
+    this.activeBulkJob = null; // { id, paused } for the Bulk tab's pause/cancel buttons
+    this.jobResultsPage = 1;
 
     this.init();
   }
@@ -79,15 +83,69 @@ class FrontierScraperApp {
         break;
 
       case 'scrape_complete':
-        if (data.success) {
+        if (data.revalidated) {
+          this.handleScrapeRevalidated(data);
+        } else if (data.success) {
           this.addActivity(data.route, `✓ Found ${data.flightCount} flights (${data.elapsed}ms)`);
         } else {
-          this.addActivity(data.route, `✗ Failed`);
+          this.addActivity(data.route, `✗ Failed${data.error ? `: ${this.formatScrapeError(data.error, data.errorInfo)}` : ''}`);
         }
         break;
 
       case 'scrape_error':
-        this.addActivity(data.route, `✗ Error: ${data.error}`);
+        this.addActivity(data.route, `✗ Error: ${this.formatScrapeError(data.error, data.errorInfo)}`);
+        break;
+
+      case 'flights_changed':
+        this.handleFlightsChanged(data);
+        break;
+
+      case 'schema_drift':
+        if (data.status === 'recovered') {
+          this.addActivity('FlightData', `✓ Schema drift cleared (${data.route} parsed normally)`);
+        } else {
+          this.addActivity('FlightData', `⚠️ Schema drift: ${data.consecutiveMismatches} scrapes in a row could not be parsed (missing ${data.missingFields.join(', ') || 'unknown fields'})`);
+        }
+        break;
+
+      case 'watch_alert':
+        this.addActivity(`Watch: ${this.escapeHTML(data.name)}`, `🔔 ${data.flights.length} GoWild flight(s) on ${data.date}: ${data.flights.map(f => `${f.origin}-${f.destination} ${f.flightNumber} ${f.price}`).join(', ')}`);
+        this.refreshWatchesIfActive();
+        break;
+
+      case 'watch_run_complete':
+        this.addActivity(`Watch: ${this.escapeHTML(data.name)}`, `Checked ${data.scraped}/${data.dates} date(s), ${data.matches} matching${data.deferred ? ' (deferred, proxies busy)' : ''}`);
+        this.refreshWatchesIfActive();
+        break;
+
+      case 'job_started':
+        this.refreshJobsIfActive();
+        break;
+
+      case 'job_progress':
+        this.updateJobProgress(data);
+        break;
+
+      case 'job_paused':
+      case 'job_resumed':
+      case 'job_cancelling':
+        this.addActivity(`Job: ${data.label}`, data.type === 'job_paused' ? 'Paused (routes in flight will finish)'
+          : data.type === 'job_resumed' ? 'Resumed' : 'Cancelling (routes in flight will finish)');
+        this.updateBulkJobControls(data);
+        this.refreshJobsIfActive();
+        break;
+
+      case 'job_complete':
+        this.addActivity(`Job: ${data.label}`, `${data.status === 'completed' ? '✓' : '✗'} ${data.status} (${data.progress.succeeded}/${data.progress.total} succeeded)${data.error ? `: ${data.error}` : ''}`);
+        this.updateBulkJobControls(data);
+        this.refreshJobsIfActive();
+        break;
+
+      case 'bulk_waiting':
+        this.addActivity(`Job: ${data.label}`, `Waiting for bulk hours (${data.bulkHours}), starts ${this.formatDate(data.opensAt)}`);
+        if (this.activeBulkJob && this.activeBulkJob.id === data.jobId) {
+          document.getElementById('bulkJobStatus').textContent = `Waiting for bulk hours (${data.bulkHours})`;
+        }
         break;
 
       case 'bulk_progress':
@@ -210,6 +268,15 @@ class FrontierScraperApp {
       case 'proxy':
         this.loadProxyStats();
         break;
+      case 'cache':
+        this.loadCacheEntries();
+        break;
+      case 'watches':
+        this.loadWatches();
+        break;
+      case 'jobs':
+        this.loadJobs();
+        break;
       case 'config':
         this.loadConfig();
         break;
@@ -230,6 +297,16 @@ class FrontierScraperApp {
     // Bulk scrape button
     const bulkButton = document.getElementById('bulkScrapeButton');
     bulkButton.addEventListener('click', () => this.handleBulkScrape());
+
+    // Pause/resume and cancel the running bulk job
+    document.getElementById('bulkPauseButton').addEventListener('click', () => {
+      this.controlBulkJob(this.activeBulkJob && this.activeBulkJob.paused ? 'resume' : 'pause');
+    });
+    document.getElementById('bulkCancelButton').addEventListener('click', () => {
+      if (confirm('Cancel this bulk scrape? Routes already running will finish and their results are kept.')) {
+        this.controlBulkJob('cancel');
+      }
+    });
   }
 
   setupEventListeners() {
@@ -278,6 +355,55 @@ class FrontierScraperApp {
       // Check initial state on page load
       updateButtonState();
     }
+
+    // Cache browser
+    const cacheFilterForm = document.getElementById('cacheFilterForm');
+    if (cacheFilterForm) {
+      cacheFilterForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.loadCacheEntries(1);
+      });
+    }
+
+    const refreshCacheBtn = document.getElementById('refreshCacheEntries');
+    if (refreshCacheBtn) {
+      refreshCacheBtn.addEventListener('click', () => this.loadCacheEntries());
+    }
+
+    const deleteMatchingBtn = document.getElementById('deleteMatchingCache');
+    if (deleteMatchingBtn) {
+      deleteMatchingBtn.addEventListener('click', () => this.deleteMatchingCache());
+    }
+
+    // Watches
+    const watchForm = document.getElementById('watchForm');
+    if (watchForm) {
+      watchForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.createWatch();
+      });
+    }
+
+    const refreshWatchesBtn = document.getElementById('refreshWatches');
+    if (refreshWatchesBtn) {
+      refreshWatchesBtn.addEventListener('click', () => this.loadWatches());
+    }
+
+    // Jobs
+    const refreshJobsBtn = document.getElementById('refreshJobs');
+    if (refreshJobsBtn) {
+      refreshJobsBtn.addEventListener('click', () => this.loadJobs());
+    }
+
+    const jobStatusFilter = document.getElementById('jobStatusFilter');
+    if (jobStatusFilter) {
+      jobStatusFilter.addEventListener('change', () => this.loadJobs());
+    }
+
+    const jobResultsFilter = document.getElementById('jobResultsFilter');
+    if (jobResultsFilter) {
+      jobResultsFilter.addEventListener('change', () => this.loadJobResults(this.jobResultsJobId, 1));
+    }
   }
 
   async testAllProxies() {
@@ -323,7 +449,7 @@ class FrontierScraperApp {
     const minDate = new Date().toISOString().split('T')[0];
 
     // Set default date for all date inputs
-    const dateInputs = ['date', 'bulkDate', 'bulkAllDate'];
+    const dateInputs = ['date', 'bulkDate', 'bulkAllDate', 'watchDateFrom'];
     dateInputs.forEach(id => {
       const input = document.getElementById(id);
       if (input) {
@@ -331,6 +457,12 @@ class FrontierScraperApp {
         input.min = minDate;
       }
     });
+
+    // Return date is optional (empty = one-way)
+    const returnInput = document.getElementById('returnDate');
+    if (returnInput) {
+      returnInput.min = minDate;
+    }
   }
 
   /**
@@ -340,6 +472,24 @@ class FrontierScraperApp {
     const origin = document.getElementById('origin').value.toUpperCase();
     const destination = document.getElementById('destination').value.toUpperCase();
     const date = document.getElementById('date').value;
+    const returnDate = document.getElementById('returnDate').value || null;
+    const staleWhileRevalidate = document.getElementById('staleWhileRevalidate').checked;
+
+    if (returnDate && returnDate < date) {
+      alert('Return date must be on or after the travel date');
+      return;
+    }
+
+    const flexWindow = parseInt(document.getElementById('flexWindow').value) || 0;
+    if (flexWindow > 0) {
+      if (returnDate) {
+        alert('Flexible dates only work for one-way searches - clear the return date or pick "Exact date"');
+        return;
+      }
+      return this.handleRangeScrape(origin, destination, date, flexWindow);
+    }
+
+    this.currentScrape = { origin, destination, date, returnDate };
 
     const button = document.getElementById('scrapeButton');
     const progress = document.getElementById('scrapeProgress');
@@ -350,19 +500,25 @@ class FrontierScraperApp {
     progress.style.display = 'block';
     results.style.display = 'none';
     results.innerHTML = '';
+    document.getElementById('scrapeHistory').style.display = 'none';
 
-    this.updateProgressText(`Scraping ${origin} → ${destination}...`);
+    this.updateProgressText(`Scraping ${origin} ${returnDate ? '⇄' : '→'} ${destination}...`);
 
     try {
       const response = await fetch(`${this.apiBase}/api/scraper/scrape`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ origin, destination, date })
+        body: JSON.stringify({ origin, destination, date, staleWhileRevalidate, ...(returnDate && { returnDate }) })
       });
 
       const data = await response.json();
 
       this.displayScrapeResults(data);
+      this.loadRouteHistory(origin, destination, date);
+
+      if (data.stale) {
+        this.addActivity(`${origin}-${destination}`, `Showing cached results from ${data.ageMinutes} minutes ago, refreshing...`);
+      }
 
     } catch (error) {
       this.displayError('Scraping failed: ' + error.message);
@@ -372,30 +528,264 @@ class FrontierScraperApp {
     }
   }
 
+  /**
+   * Flexible-date search - scrape date ± window days and show a calendar strip
+   */
+  async handleRangeScrape(origin, destination, date, window) {
+    const button = document.getElementById('scrapeButton');
+    const progress = document.getElementById('scrapeProgress');
+    const results = document.getElementById('scrapeResults');
+
+    this.currentScrape = null;
+    button.disabled = true;
+    progress.style.display = 'block';
+    results.style.display = 'none';
+    results.innerHTML = '';
+    document.getElementById('scrapeHistory').style.display = 'none';
+
+    this.updateProgressText(`Scraping ${origin} → ${destination} for ${window * 2 + 1} days around ${date}...`);
+
+    try {
+      const response = await fetch(`${this.apiBase}/api/scraper/scrape-range`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ origin, destination, date, window })
+      });
+
+      const data = await response.json();
+
+      results.style.display = 'block';
+      if (!response.ok || !data.days) {
+        results.innerHTML = this.createErrorHTML(data.error || 'Flexible date search failed');
+        return;
+      }
+
+      results.innerHTML = this.createCalendarStripHTML(data);
+      results.classList.add('fade-in');
+
+      // Clicking a day runs the exact-date search for it (served from cache when fresh)
+      results.querySelectorAll('.calendar-day').forEach(cell => {
+        cell.addEventListener('click', () => {
+          document.getElementById('date').value = cell.dataset.date;
+          document.getElementById('flexWindow').value = '0';
+          this.handleSingleScrape();
+        });
+      });
+
+      this.addActivity(`${origin}-${destination}`, `Flexible search: GoWild on ${data.days.filter(d => d.flightCount > 0).length}/${data.days.length} days${data.cheapest ? `, cheapest $${data.cheapest.fare} on ${data.cheapest.date}` : ''}`);
+
+    } catch (error) {
+      this.displayError('Flexible date search failed: ' + error.message);
+    } finally {
+      button.disabled = false;
+      progress.style.display = 'none';
+    }
+  }
+
+  createCalendarStripHTML(data) {
+    const cells = data.days.map(day => {
+      const weekday = new Date(`${day.date}T00:00:00`).toLocaleDateString('en-US', { weekday: 'short' });
+      const [, month, dayOfMonth] = day.date.split('-');
+      const isCenter = day.date === data.centerDate;
+      const isCheapest = data.cheapest && day.date === data.cheapest.date;
+
+      let color = 'var(--text-secondary)';
+      let body = 'No GoWild';
+      if (!day.success) {
+        color = 'var(--error)';
+        body = 'Failed';
+      } else if (day.flightCount > 0) {
+        color = 'var(--success)';
+        body = `$${day.cheapestFare}<br><small>${day.flightCount} flight${day.flightCount === 1 ? '' : 's'}</small>`;
+      }
+
+      return `
+        <div class="calendar-day" data-date="${day.date}" title="${day.error ? this.formatScrapeError(day.error, day.errorInfo) : (day.cached ? 'Cached' : 'Scraped')}" style="flex: 1; min-width: 80px; cursor: pointer; text-align: center; padding: 10px 6px; border-radius: 6px; background: var(--bg); border: 2px solid ${isCenter ? 'var(--primary)' : 'transparent'};">
+          <div style="font-size: 0.8em; color: var(--text-secondary);">${weekday}</div>
+          <div style="font-weight: 600;">${parseInt(month)}/${parseInt(dayOfMonth)}</div>
+          <div style="margin-top: 6px; color: ${color}; font-weight: ${isCheapest ? '700' : '500'};">${body}</div>
+          ${day.hasNonstop ? '<div style="font-size: 0.75em; margin-top: 4px; color: var(--primary);">Nonstop</div>' : ''}
+        </div>
+      `;
+    }).join('');
+
+    const daysWithFlights = data.days.filter(day => day.flightCount > 0).length;
+
+    return `
+      <div class="result-card ${daysWithFlights > 0 ? 'success' : ''}">
+        <div class="result-header">
+          <div class="result-title">${data.origin} → ${data.destination} • ${data.startDate} to ${data.endDate}</div>
+          <div class="result-meta">GoWild on ${daysWithFlights}/${data.days.length} days${data.cheapest ? ` • Cheapest $${data.cheapest.fare} on ${data.cheapest.date}` : ''} • ${data.stats.cached} cached, ${data.stats.scraped} scraped${data.stats.failed ? `, ${data.stats.failed} failed` : ''} • ${data.elapsed}ms</div>
+        </div>
+        <div style="display: flex; gap: 8px; overflow-x: auto; margin-top: 10px;">${cells}</div>
+        <p class="form-hint" style="margin-top: 10px;">Click a day to see its flights</p>
+      </div>
+    `;
+  }
+
   displayScrapeResults(data) {
     const results = document.getElementById('scrapeResults');
     results.style.display = 'block';
 
-    if (data.success && data.flights && data.flights.length > 0) {
+    if (data.success && data.tripType === 'round_trip') {
+      const { origin, destination, date } = this.currentScrape;
+      results.innerHTML = this.createRoundTripHTML(data, origin, destination, date);
+    } else if (data.success && data.flights && data.flights.length > 0) {
       results.innerHTML = this.createFlightsHTML(data);
     } else if (data.success && (!data.flights || data.flights.length === 0)) {
       // Successful scrape but no flights found
       results.innerHTML = this.createNoFlightsHTML(data);
     } else {
       // Actual error occurred
-      results.innerHTML = this.createErrorHTML(data.error || 'Scraping failed');
+      results.innerHTML = this.createErrorHTML(this.formatScrapeError(data.error, data.errorInfo));
     }
 
     results.classList.add('fade-in');
   }
 
-  createNoFlightsHTML(data) {
-    const meta = `${data.elapsed}ms${data.proxyUsed ? ` • Proxy: ${data.proxyUsed}` : ''}${data.cached ? ' • Cached' : ''}`;
+  /**
+   * Fresh data arrived for a stale result - update the results if it's still the current search
+   */
+  handleScrapeRevalidated(data) {
+    if (!data.success) {
+      this.addActivity(data.route, `✗ Background refresh failed${data.error ? `: ${this.formatScrapeError(data.error, data.errorInfo)}` : ''}`);
+      return;
+    }
+
+    this.addActivity(data.route, `✓ Refreshed: ${data.flightCount} flights (${data.elapsed}ms)`);
+
+    const current = this.currentScrape;
+    if (current && `${current.origin}-${current.destination}` === data.route && current.date === data.date &&
+        (current.returnDate || null) === (data.returnDate || null)) {
+      this.displayScrapeResults({
+        success: true,
+        flights: data.flights || [],
+        ...(data.returnDate && { tripType: 'round_trip', returnDate: data.returnDate, returnFlights: data.returnFlights || [] }),
+        elapsed: data.elapsed,
+        refreshed: true
+      });
+      this.loadRouteHistory(current.origin, current.destination, current.date);
+    }
+  }
+
+  /**
+   * A re-scrape found flights opening/closing or fares moving since the last observation
+   */
+  handleFlightsChanged(data) {
+    const labels = {
+      appeared: change => `🟢 ${change.flightNumber} opened ($${change.currentFare})`,
+      disappeared: change => `🔴 ${change.flightNumber} gone`,
+      fare_increase: change => `▲ ${change.flightNumber} $${change.previousFare} → $${change.currentFare}`,
+      fare_decrease: change => `▼ ${change.flightNumber} $${change.previousFare} → $${change.currentFare}`
+    };
+
+    const message = data.changes.map(change => labels[change.type](change)).join(', ');
+    this.addActivity(`${data.route} ${data.date}`, message);
+
+    const current = this.currentScrape;
+    if (current && `${current.origin}-${current.destination}` === data.route && current.date === data.date) {
+      this.loadRouteHistory(current.origin, current.destination, current.date);
+    }
+  }
+
+  /**
+   * Availability/fare timeline for the searched route and date
+   */
+  async loadRouteHistory(origin, destination, date) {
+    const historyDiv = document.getElementById('scrapeHistory');
+
+    try {
+      const response = await fetch(`${this.apiBase}/api/history/${origin}/${destination}?from=${date}&to=${date}&limit=50`);
+      const result = await response.json();
+      const dateHistory = result.success && result.dates.find(d => d.date === date);
+
+      if (!dateHistory || dateHistory.observations.length === 0) {
+        historyDiv.style.display = 'none';
+        return;
+      }
+
+      historyDiv.style.display = 'block';
+      historyDiv.innerHTML = this.createHistoryHTML(dateHistory.observations);
+
+    } catch (error) {
+      console.error('Failed to load flight history:', error);
+    }
+  }
+
+  createHistoryChartSVG(observations) {
+    const width = 600;
+    const height = 120;
+    const pad = 20;
+    const maxCount = Math.max(...observations.map(o => o.flightCount), 1);
+    const maxFare = Math.max(...observations.map(o => o.minFare || 0), 1);
+    const step = (width - pad * 2) / Math.max(observations.length - 1, 1);
+    const barWidth = Math.min(step * 0.6, 20);
+    const x = i => pad + i * step;
+
+    // Bars: GoWild flights available, line: lowest GoWild fare
+    const bars = observations.map((o, i) => {
+      const barHeight = (o.flightCount / maxCount) * (height - pad * 2);
+      return `<rect x="${x(i) - barWidth / 2}" y="${height - pad - barHeight}" width="${barWidth}" height="${barHeight}" fill="var(--primary)" opacity="0.35"><title>${o.flightCount} flights</title></rect>`;
+    }).join('');
+
+    const farePoints = observations
+      .map((o, i) => (o.minFare !== null ? `${x(i)},${height - pad - (o.minFare / maxFare) * (height - pad * 2)}` : null))
+      .filter(Boolean)
+      .join(' ');
+
+    return `
+      <svg viewBox="0 0 ${width} ${height}" width="100%" height="${height}" preserveAspectRatio="none" style="background: var(--bg); border-radius: 4px;">
+        ${bars}
+        <polyline points="${farePoints}" fill="none" stroke="var(--success)" stroke-width="2"/>
+      </svg>
+    `;
+  }
+
+  createHistoryHTML(observations) {
+    const rows = observations.slice().reverse().map(o => `
+      <div class="config-field">
+        <span class="config-key">${this.formatDate(o.observedAt)}</span>
+        <span class="config-value">
+          ${o.flightCount} flight${o.flightCount === 1 ? '' : 's'}${o.minFare !== null ? ` • from $${o.minFare}` : ''}
+          ${o.flights.length > 0 ? `<small style="color: var(--text-secondary);"> (${o.flights.map(f => `${f.flightNumber} $${f.rawFare}`).join(', ')})</small>` : ''}
+        </span>
+      </div>
+    `).join('');
+
+    return `
+      <div class="result-card">
+        <div class="result-header">
+          <div class="result-title">Availability History</div>
+          <div class="result-meta">${observations.length} observation${observations.length === 1 ? '' : 's'} • bars: flights, line: lowest fare</div>
+        </div>
+        ${this.createHistoryChartSVG(observations)}
+        <div class="config-fields" style="margin-top: 10px;">${rows}</div>
+      </div>
+    `;
+  }
+
+  getResultMeta(data) {
+    const proxyUsed = data.details?.proxyUsed;
+    let meta = `${data.elapsed}ms${data.method ? ` • ${data.method}` : ''}${proxyUsed ? ` • Proxy: ${proxyUsed}` : ''}`;
+
+    if (data.stale) {
+      meta += ` • Stale (${data.ageMinutes} min old)${data.revalidating ? ', refreshing...' : ''}`;
+    } else if (data.cached) {
+      meta += ' • Cached';
+    } else if (data.refreshed) {
+      meta += ' • Refreshed';
+    }
+
+    return meta;
+  }
+
+  createNoFlightsHTML(data, title = 'ℹ️ No Available GoWild Flights') {
+    const meta = this.getResultMeta(data);
 
     return `
       <div class="result-card" style="border-left-color: var(--warning);">
         <div class="result-header">
-          <div class="result-title">ℹ️ No Available GoWild Flights</div>
+          <div class="result-title">${title}</div>
           <div class="result-meta">${meta}</div>
         </div>
         <p style="color: var(--text-secondary); margin-top: 15px;">
@@ -410,13 +800,13 @@ class FrontierScraperApp {
     `;
   }
 
-  createFlightsHTML(data) {
-    const meta = `Found ${data.flights.length} flights • ${data.elapsed}ms${data.proxyUsed ? ` • Proxy: ${data.proxyUsed}` : ''}${data.cached ? ' • Cached' : ''}`;
+  createFlightsHTML(data, title = '✓ Scraping Successful') {
+    const meta = `Found ${data.flights.length} flights • ${this.getResultMeta(data)}`;
 
     const flightsHTML = data.flights.map(flight => `
       <div class="flight-card">
         <div class="flight-header">
-          <div class="flight-route">${flight.origin} → ${flight.destination}</div>
+          <div class="flight-route">${flight.legs && flight.legs.length > 1 ? [flight.legs[0].origin, ...flight.legs.map(leg => leg.destination)].join(' → ') : `${flight.origin} → ${flight.destination}`}</div>
           <div class="flight-price">${flight.price}</div>
         </div>
         <div class="flight-details">
@@ -434,20 +824,22 @@ class FrontierScraperApp {
           </div>
           <div class="flight-detail">
             <div class="flight-detail-label">Duration</div>
-            <div class="flight-detail-value">${flight.duration}</div>
+            <div class="flight-detail-value">${flight.totalDurationMinutes ? this.formatMinutes(flight.totalDurationMinutes) : flight.duration}</div>
           </div>
           <div class="flight-detail">
             <div class="flight-detail-label">Stops</div>
             <div class="flight-detail-value">${flight.stops}</div>
           </div>
         </div>
+        ${this.createFaresHTML(flight)}
+        ${flight.legs && flight.legs.length > 1 ? this.createLegsHTML(flight) : ''}
       </div>
     `).join('');
 
     return `
       <div class="result-card success">
         <div class="result-header">
-          <div class="result-title">✓ Scraping Successful</div>
+          <div class="result-title">${title}</div>
           <div class="result-meta">${meta}</div>
         </div>
         <div class="flights-grid">${flightsHTML}</div>
@@ -455,6 +847,69 @@ class FrontierScraperApp {
     `;
   }
 
+  /**
+   * Fare products side by side (GoWild first) plus what GoWild saves over the cheapest paid fare
+   * Flights cached before fares were captured have no fares map and render nothing
+   */
+  createFaresHTML(flight) {
+    if (!flight.fares || Object.keys(flight.fares).length === 0) {
+      return '';
+    }
+
+    const labels = { goWild: 'GoWild', discountDen: 'Discount Den', standard: 'Standard' };
+    const label = product => labels[product] || product.replace(/([A-Z])/g, ' $1').replace(/^./, c => c.toUpperCase());
+    const products = Object.keys(flight.fares).sort((a, b) => (a === 'goWild' ? -1 : b === 'goWild' ? 1 : flight.fares[a] - flight.fares[b]));
+
+    const columns = products.map(product => `
+      <div class="flight-detail">
+        <div class="flight-detail-label">${label(product)}</div>
+        <div class="flight-detail-value">$${flight.fares[product]}</div>
+      </div>
+    `).join('');
+
+    const savings = flight.goWildSavings !== null && flight.goWildSavings !== undefined ? `
+      <div class="flight-detail">
+        <div class="flight-detail-label">GoWild Saves</div>
+        <div class="flight-detail-value" style="color: ${flight.goWildSavings > 0 ? 'var(--success)' : 'var(--warning)'};">$${flight.goWildSavings}</div>
+      </div>
+    ` : '';
+
+    return `<div class="flight-details" style="margin-top: 10px; padding-top: 10px; border-top: 1px solid var(--border);">${columns}${savings}</div>`;
+  }
+
+  /**
+   * Per-leg breakdown of a connecting flight, with the layover before each connection
+   */
+  createLegsHTML(flight) {
+    const rows = flight.legs.map((leg, index) => {
+      const layover = index > 0 ? flight.layovers[index - 1] : null;
+
+      return `
+        ${layover ? `<div style="padding: 4px 0 4px 12px; font-size: 0.85em; color: var(--warning);">⏱ ${layover.durationMinutes !== null ? this.formatMinutes(layover.durationMinutes) : '?'} layover in ${layover.airport}</div>` : ''}
+        <div style="display: flex; gap: 12px; font-size: 0.9em;">
+          <span style="font-weight: 600; min-width: 70px;">${leg.flightNumber}</span>
+          <span>${leg.origin} ${this.formatDate(leg.departureDate)}</span>
+          <span>→</span>
+          <span>${leg.destination} ${this.formatDate(leg.arrivalDate)}</span>
+        </div>
+      `;
+    }).join('');
+
+    return `<div style="margin-top: 10px; padding-top: 10px; border-top: 1px solid var(--border);">${rows}</div>`;
+  }
+
+  /**
+   * Outbound and return flights of a round-trip search, one card each
+   */
+  createRoundTripHTML(data, origin, destination, date) {
+    const section = (flights, label, day) => (flights.length > 0
+      ? this.createFlightsHTML({ ...data, flights }, `✓ ${label} • ${day}`)
+      : this.createNoFlightsHTML({ ...data, flights }, `ℹ️ No ${label} GoWild Flights • ${day}`));
+
+    return section(data.flights || [], `Outbound ${origin} → ${destination}`, date) +
+      section(data.returnFlights || [], `Return ${destination} → ${origin}`, data.returnDate);
+  }
+
   createErrorHTML(error) {
     return `
       <div class="result-card error">
@@ -499,12 +954,17 @@ class FrontierScraperApp {
     this.addActivity('Bulk', `Starting bulk scrape of ${routes.length} routes`);
 
     try {
-      await fetch(`${this.apiBase}/api/scraper/bulk`, {
+      const response = await fetch(`${this.apiBase}/api/scraper/bulk`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ routes })
       });
 
+      const result = await response.json();
+      if (result.jobId) {
+        this.setActiveBulkJob(result.jobId);
+      }
+
       // Results will come via WebSocket
     } catch (error) {
       alert('Bulk scraping failed: ' + error.message);
@@ -512,6 +972,137 @@ class FrontierScraperApp {
     }
   }
 
+  /**
+   * Show the pause/cancel buttons for the bulk job just started
+   */
+  setActiveBulkJob(jobId) {
+    this.activeBulkJob = { id: jobId, paused: false };
+    document.getElementById('bulkJobControls').style.display = 'flex';
+    document.getElementById('bulkPauseButton').textContent = 'Pause';
+    document.getElementById('bulkPauseButton').disabled = false;
+    document.getElementById('bulkCancelButton').disabled = false;
+    document.getElementById('bulkJobStatus').textContent = '';
+  }
+
+  async controlBulkJob(action) {
+    if (!this.activeBulkJob) {
+      return;
+    }
+
+    try {
+      const response = await fetch(`${this.apiBase}/api/jobs/${this.activeBulkJob.id}/${action}`, { method: 'POST' });
+      const result = await response.json();
+
+      if (!result.success) {
+        alert(`Failed to ${action} bulk scrape: ${result.error}`);
+      }
+    } catch (error) {
+      alert(`Failed to ${action} bulk scrape: ${error.message}`);
+    }
+  }
+
+  /**
+   * Reflect job_paused/job_resumed/job_cancelling/job_complete in the Bulk tab buttons
+   */
+  updateBulkJobControls(data) {
+    if (!this.activeBulkJob || this.activeBulkJob.id !== data.jobId) {
+      return;
+    }
+
+    const pauseButton = document.getElementById('bulkPauseButton');
+    const statusSpan = document.getElementById('bulkJobStatus');
+
+    if (data.type === 'job_complete') {
+      this.activeBulkJob = null;
+      document.getElementById('bulkJobControls').style.display = 'none';
+      return;
+    }
+
+    if (data.cancelling) {
+      pauseButton.disabled = true;
+      document.getElementById('bulkCancelButton').disabled = true;
+      statusSpan.textContent = 'Cancelling - waiting for routes in flight...';
+      return;
+    }
+
+    this.activeBulkJob.paused = data.status === 'paused';
+    pauseButton.textContent = this.activeBulkJob.paused ? 'Resume' : 'Pause';
+    statusSpan.textContent = this.activeBulkJob.paused ? 'Paused - routes in flight will finish' : '';
+  }
+
+  /**
+   * Bulk jobs interrupted by a server restart that can pick up where they left off
+   */
+  async loadResumableJobs() {
+    const offersDiv = document.getElementById('bulkResumeOffers');
+
+    try {
+      const response = await fetch(`${this.apiBase}/api/jobs?status=interrupted`);
+      const result = await response.json();
+      const jobs = (result.jobs || []).filter(job => job.checkpointed);
+
+      offersDiv.style.display = jobs.length > 0 ? 'block' : 'none';
+      offersDiv.innerHTML = jobs.map(job => `
+        <div style="display: flex; justify-content: space-between; align-items: center; gap: 10px; margin-bottom: 8px;">
+          <span><strong>${job.label}</strong> was interrupted by a server restart at ${job.progress.processed}/${job.progress.total} routes</span>
+          <span style="display: flex; gap: 8px;">
+            <button class="btn btn-sm btn-primary resume-job-btn" data-job-id="${job.id}">Resume</button>
+            <button class="btn btn-sm btn-secondary discard-job-btn" data-job-id="${job.id}">Discard</button>
+          </span>
+        </div>
+      `).join('');
+
+      offersDiv.querySelectorAll('.resume-job-btn').forEach(btn => {
+        btn.addEventListener('click', () => this.resumeInterruptedJob(btn.dataset.jobId));
+      });
+      offersDiv.querySelectorAll('.discard-job-btn').forEach(btn => {
+        btn.addEventListener('click', () => this.discardInterruptedJob(btn.dataset.jobId));
+      });
+
+    } catch (error) {
+      console.error('Failed to load interrupted jobs:', error);
+    }
+  }
+
+  /**
+   * Restart an interrupted job - only its unfinished and failed routes run, with the original date and cache setting
+   */
+  async resumeInterruptedJob(jobId) {
+    try {
+      const response = await fetch(`${this.apiBase}/api/jobs/${jobId}/resume`, { method: 'POST' });
+      const result = await response.json();
+
+      if (!result.success) {
+        alert(`Failed to resume job: ${result.error}`);
+        return;
+      }
+
+      this.setActiveBulkJob(jobId);
+      this.addActivity(`Job: ${result.job.label}`, `Resuming at ${result.job.progress.processed}/${result.job.progress.total} routes`);
+    } catch (error) {
+      alert(`Failed to resume job: ${error.message}`);
+    }
+
+    this.loadResumableJobs();
+    this.refreshJobsIfActive();
+  }
+
+  async discardInterruptedJob(jobId) {
+    try {
+      const response = await fetch(`${this.apiBase}/api/jobs/${jobId}/cancel`, { method: 'POST' });
+      const result = await response.json();
+
+      if (!result.success) {
+        alert(`Failed to discard job: ${result.error}`);
+      }
+    } catch (error) {
+      alert(`Failed to discard job: ${error.message}`);
+    }
+
+    this.loadResumableJobs();
+    this.refreshJobsIfActive();
+  }
+
   parseRoutes(input) {
     const lines = input.split('\n').map(line => line.trim()).filter(line => line);
     const routes = [];
@@ -1122,6 +1713,480 @@ class FrontierScraperApp {
     }
   }
 
+  /**
+   * Cache Browser
+   */
+  getCacheFilterParams() {
+    const params = new URLSearchParams();
+    const filters = {
+      origin: document.getElementById('cacheOrigin').value.trim().toUpperCase(),
+      destination: document.getElementById('cacheDestination').value.trim().toUpperCase(),
+      from: document.getElementById('cacheDateFrom').value,
+      to: document.getElementById('cacheDateTo').value,
+      freshness: document.getElementById('cacheFreshness').value
+    };
+
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value && !(key === 'freshness' && value === 'all')) {
+        params.set(key, value);
+      }
+    });
+
+    return params;
+  }
+
+  async loadCacheEntries(page = this.cachePage) {
+    const params = this.getCacheFilterParams();
+    params.set('page', page);
+
+    try {
+      const response = await fetch(`${this.apiBase}/api/cache?${params}`);
+      const result = await response.json();
+
+      if (!result.success) {
+        document.getElementById('cacheSummary').textContent = result.error;
+        return;
+      }
+
+      this.cachePage = result.page;
+      this.displayCacheEntries(result);
+
+    } catch (error) {
+      console.error('Failed to load cache entries:', error);
+      document.getElementById('cacheSummary').textContent = `Failed to load cache entries: ${error.message}`;
+    }
+  }
+
+  displayCacheEntries(result) {
+    document.getElementById('cacheSummary').textContent =
+      `${result.total} entries (${result.fresh} fresh, ${result.total - result.fresh} expired)`;
+
+    const entriesDiv = document.getElementById('cacheEntries');
+    const html = result.entries.map(entry => `
+      <div class="proxy-item ${entry.valid ? 'available' : 'cooldown'}">
+        <div class="proxy-info">
+          <div class="proxy-header" style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 8px;">
+            <div class="proxy-id">${entry.origin} ${entry.returnDate ? '⇄' : '→'} ${entry.destination} • ${entry.date}${entry.returnDate ? ` / ${entry.returnDate}` : ''}</div>
+            <div class="proxy-actions" style="display: flex; gap: 8px;">
+              <button class="btn btn-sm btn-secondary view-cache-btn" data-origin="${entry.origin}" data-destination="${entry.destination}" data-date="${entry.date}" data-return-date="${entry.returnDate || ''}">View</button>
+              <button class="btn btn-sm btn-danger delete-cache-btn" data-origin="${entry.origin}" data-destination="${entry.destination}" data-date="${entry.date}" data-return-date="${entry.returnDate || ''}">Delete</button>
+            </div>
+          </div>
+          <div class="proxy-meta" style="display: flex; flex-wrap: wrap; gap: 12px; font-size: 0.9em; color: var(--text-secondary);">
+            <span>Flights: ${entry.flightCount}${entry.returnDate ? ` out, ${entry.returnFlightCount} return` : ''}</span>
+            <span>Cached: ${this.formatDate(entry.cachedAt)} (${entry.ageMinutes} min ago)</span>
+            <span>TTL: ${entry.ttlMinutes} min</span>
+            <span style="color: ${entry.valid ? 'var(--success)' : 'var(--warning)'};">${entry.valid ? `Fresh until ${this.formatDate(entry.expiresAt)}` : 'Expired'}</span>
+          </div>
+        </div>
+      </div>
+    `).join('');
+
+    entriesDiv.innerHTML = html || '<p style="color: var(--text-secondary);">No cache entries match these filters</p>';
+
+    entriesDiv.querySelectorAll('.view-cache-btn').forEach(btn => {
+      btn.addEventListener('click', () => this.viewCacheEntry(btn.dataset.origin, btn.dataset.destination, btn.dataset.date, btn.dataset.returnDate || null));
+    });
+    entriesDiv.querySelectorAll('.delete-cache-btn').forEach(btn => {
+      btn.addEventListener('click', () => this.deleteCacheEntry(btn.dataset.origin, btn.dataset.destination, btn.dataset.date, btn.dataset.returnDate || null));
+    });
+
+    const pager = document.getElementById('cachePager');
+    pager.innerHTML = result.totalPages > 1 ? `
+      <button class="btn btn-sm btn-secondary" id="cachePrevPage" ${result.page <= 1 ? 'disabled' : ''}>Previous</button>
+      <span style="color: var(--text-secondary);">Page ${result.page} of ${result.totalPages}</span>
+      <button class="btn btn-sm btn-secondary" id="cacheNextPage" ${result.page >= result.totalPages ? 'disabled' : ''}>Next</button>
+    ` : '';
+
+    if (result.totalPages > 1) {
+      document.getElementById('cachePrevPage').addEventListener('click', () => this.loadCacheEntries(result.page - 1));
+      document.getElementById('cacheNextPage').addEventListener('click', () => this.loadCacheEntries(result.page + 1));
+    }
+  }
+
+  async viewCacheEntry(origin, destination, date, returnDate = null) {
+    try {
+      const query = returnDate ? `?returnDate=${returnDate}` : '';
+      const response = await fetch(`${this.apiBase}/api/cache/${origin}/${destination}/${date}${query}`);
+      const result = await response.json();
+
+      const card = document.getElementById('cacheEntryCard');
+      const details = document.getElementById('cacheEntryDetails');
+      card.style.display = 'block';
+      document.getElementById('cacheEntryTitle').textContent = returnDate
+        ? `${origin} ⇄ ${destination} • ${date} / ${returnDate}`
+        : `${origin} → ${destination} • ${date}`;
+
+      if (!result.success) {
+        details.innerHTML = this.createErrorHTML(result.error);
+        return;
+      }
+
+      const { entry } = result;
+      const data = {
+        ...entry.data,
+        cached: entry.valid,
+        stale: !entry.valid,
+        ageMinutes: entry.ageMinutes
+      };
+
+      if (returnDate) {
+        details.innerHTML = this.createRoundTripHTML(data, origin, destination, date);
+      } else {
+        details.innerHTML = data.flights && data.flights.length > 0
+          ? this.createFlightsHTML(data)
+          : this.createNoFlightsHTML(data);
+      }
+      card.scrollIntoView({ behavior: 'smooth' });
+
+    } catch (error) {
+      alert('Failed to load cache entry: ' + error.message);
+    }
+  }
+
+  async deleteCacheEntry(origin, destination, date, returnDate = null) {
+    if (!confirm(`Delete cached results for ${origin} → ${destination} on ${date}${returnDate ? ` returning ${returnDate}` : ''}?`)) {
+      return;
+    }
+
+    try {
+      const query = returnDate ? `?returnDate=${returnDate}` : '';
+      const response = await fetch(`${this.apiBase}/api/cache/${origin}/${destination}/${date}${query}`, {
+        method: 'DELETE'
+      });
+      const result = await response.json();
+
+      this.addActivity('Cache', result.success ? result.message : `Delete failed: ${result.error}`);
+      document.getElementById('cacheEntryCard').style.display = 'none';
+      this.loadCacheEntries();
+
+    } catch (error) {
+      alert('Failed to delete cache entry: ' + error.message);
+    }
+  }
+
+  async deleteMatchingCache() {
+    const params = this.getCacheFilterParams();
+
+    if ([...params.keys()].length === 0) {
+      alert('Set at least one filter first. Use "Clear Cache" on the Configuration tab to wipe everything.');
+      return;
+    }
+
+    if (!confirm('Delete all cache entries matching the current filters?')) {
+      return;
+    }
+
+    try {
+      const response = await fetch(`${this.apiBase}/api/cache?${params}`, { method: 'DELETE' });
+      const result = await response.json();
+
+      this.addActivity('Cache', result.success ? result.message : `Delete failed: ${result.error}`);
+      document.getElementById('cacheEntryCard').style.display = 'none';
+      this.loadCacheEntries(1);
+
+    } catch (error) {
+      alert('Failed to delete cache entries: ' + error.message);
+    }
+  }
+
+  /**
+   * Watches
+   */
+  async loadWatches() {
+    try {
+      const response = await fetch(`${this.apiBase}/api/watches`);
+      const result = await response.json();
+
+      this.displayWatches(result.watches || []);
+
+    } catch (error) {
+      console.error('Failed to load watches:', error);
+    }
+  }
+
+  refreshWatchesIfActive() {
+    const activeTab = document.querySelector('.tab-button.active');
+    if (activeTab && activeTab.dataset.tab === 'watches') {
+      this.loadWatches();
+    }
+  }
+
+  async createWatch() {
+    const value = id => document.getElementById(id).value.trim();
+    const watch = {
+      origin: value('watchOrigin').toUpperCase(),
+      destination: value('watchDestination').toUpperCase() || undefined,
+      dateFrom: value('watchDateFrom'),
+      dateTo: value('watchDateTo') || undefined,
+      intervalMinutes: parseInt(value('watchInterval')) || undefined,
+      filters: {
+        maxFare: value('watchMaxFare') || undefined,
+        nonstopOnly: document.getElementById('watchNonstop').checked,
+        departAfter: value('watchDepartAfter') || undefined,
+        departBefore: value('watchDepartBefore') || undefined
+      }
+    };
+
+    try {
+      const response = await fetch(`${this.apiBase}/api/watches`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(watch)
+      });
+      const result = await response.json();
+
+      const messageDiv = document.getElementById('watchMessage');
+      messageDiv.style.display = 'block';
+      messageDiv.style.color = result.success ? 'var(--success)' : 'var(--error)';
+      messageDiv.textContent = result.success ? `✓ Watching ${result.watch.name}` : result.error;
+
+      setTimeout(() => {
+        messageDiv.style.display = 'none';
+      }, 5000);
+
+      if (result.success) {
+        this.loadWatches();
+      }
+
+    } catch (error) {
+      alert('Failed to create watch: ' + error.message);
+    }
+  }
+
+  describeWatchFilters(filters) {
+    const parts = [];
+    if (filters.maxFare !== null) parts.push(`≤ $${filters.maxFare}`);
+    if (filters.nonstopOnly) parts.push('nonstop');
+    if (filters.departAfter) parts.push(`after ${filters.departAfter}`);
+    if (filters.departBefore) parts.push(`before ${filters.departBefore}`);
+    return parts.length > 0 ? parts.join(', ') : 'any GoWild flight';
+  }
+
+  displayWatches(watches) {
+    const listDiv = document.getElementById('watchList');
+
+    const html = watches.map(watch => {
+      const alertsHTML = watch.alerts.slice(0, 3).map(alert => `
+        <div style="font-size: 0.85em; color: var(--success);">
+          🔔 ${this.formatDate(alert.alertedAt)}: ${alert.date} • ${alert.flights.map(f => `${f.origin}-${f.destination} ${f.flightNumber} ${f.price}`).join(', ')}
+        </div>
+      `).join('');
+
+      return `
+        <div class="proxy-item ${watch.enabled ? 'available' : 'disabled'}">
+          <div class="proxy-info">
+            <div class="proxy-header" style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 8px;">
+              <div class="proxy-id">${this.escapeHTML(watch.name)} ${watch.enabled ? '' : '<span style="color: var(--text-secondary);">(PAUSED)</span>'}</div>
+              <div class="proxy-actions" style="display: flex; gap: 8px;">
+                <button class="btn btn-sm btn-secondary run-watch-btn" data-watch-id="${watch.id}">Run Now</button>
+                <button class="btn btn-sm btn-secondary toggle-watch-btn" data-watch-id="${watch.id}" data-enabled="${watch.enabled}">${watch.enabled ? 'Pause' : 'Resume'}</button>
+                <button class="btn btn-sm btn-danger delete-watch-btn" data-watch-id="${watch.id}">Delete</button>
+              </div>
+            </div>
+            <div class="proxy-meta" style="display: flex; flex-wrap: wrap; gap: 12px; font-size: 0.9em; color: var(--text-secondary);">
+              <span>Filters: ${this.describeWatchFilters(watch.filters)}</span>
+              <span>Every ${watch.intervalMinutes} min</span>
+              <span>Last run: ${watch.lastRunAt ? `${this.formatDate(watch.lastRunAt)} (${watch.lastRun.matches} matching)` : 'never'}</span>
+              ${watch.enabled ? `<span>Next run: ${this.formatDate(watch.nextRunAt)}</span>` : ''}
+            </div>
+            ${alertsHTML ? `<div style="margin-top: 8px;">${alertsHTML}</div>` : ''}
+          </div>
+        </div>
+      `;
+    }).join('');
+
+    listDiv.innerHTML = html || '<p style="color: var(--text-secondary);">No watches yet</p>';
+
+    listDiv.querySelectorAll('.run-watch-btn').forEach(btn => {
+      btn.addEventListener('click', () => this.runWatch(btn.dataset.watchId));
+    });
+    listDiv.querySelectorAll('.toggle-watch-btn').forEach(btn => {
+      btn.addEventListener('click', () => this.updateWatch(btn.dataset.watchId, { enabled: btn.dataset.enabled !== 'true' }));
+    });
+    listDiv.querySelectorAll('.delete-watch-btn').forEach(btn => {
+      btn.addEventListener('click', () => this.deleteWatch(btn.dataset.watchId));
+    });
+  }
+
+  async runWatch(id) {
+    try {
+      const response = await fetch(`${this.apiBase}/api/watches/${id}/run`, { method: 'POST' });
+      const result = await response.json();
+      this.addActivity('Watch', result.success ? result.message : `✗ ${result.error}`);
+    } catch (error) {
+      alert('Failed to run watch: ' + error.message);
+    }
+  }
+
+  async updateWatch(id, updates) {
+    try {
+      await fetch(`${this.apiBase}/api/watches/${id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(updates)
+      });
+      this.loadWatches();
+    } catch (error) {
+      alert('Failed to update watch: ' + error.message);
+    }
+  }
+
+  async deleteWatch(id) {
+    if (!confirm('Delete this watch?')) {
+      return;
+    }
+
+    try {
+      await fetch(`${this.apiBase}/api/watches/${id}`, { method: 'DELETE' });
+      this.loadWatches();
+    } catch (error) {
+      alert('Failed to delete watch: ' + error.message);
+    }
+  }
+
+  /**
+   * Jobs
+   */
+  async loadJobs() {
+    const status = document.getElementById('jobStatusFilter').value;
+
+    try {
+      const response = await fetch(`${this.apiBase}/api/jobs${status ? `?status=${status}` : ''}`);
+      const result = await response.json();
+
+      this.displayJobs(result.jobs || []);
+
+    } catch (error) {
+      console.error('Failed to load jobs:', error);
+    }
+  }
+
+  refreshJobsIfActive() {
+    const activeTab = document.querySelector('.tab-button.active');
+    if (activeTab && activeTab.dataset.tab === 'jobs') {
+      this.loadJobs();
+    }
+  }
+
+  describeJobProgress(progress) {
+    const percent = progress.total > 0 ? Math.round((progress.processed / progress.total) * 100) : 0;
+    return `${progress.processed}/${progress.total} routes (${percent}%) • ${progress.succeeded} succeeded, ${progress.failed} failed, ${progress.cached} cached`;
+  }
+
+  /**
+   * Update a listed job's progress in place (job_progress fires once per route)
+   */
+  updateJobProgress(data) {
+    const progressSpan = document.querySelector(`#jobList [data-job-progress="${data.jobId}"]`);
+    if (progressSpan) {
+      progressSpan.textContent = this.describeJobProgress(data.progress);
+    }
+  }
+
+  displayJobs(jobs) {
+    const listDiv = document.getElementById('jobList');
+    const statusClasses = { running: 'cooldown', paused: 'rate-limited', completed: 'available', cancelled: 'disabled', failed: 'blacklisted', interrupted: 'disabled' };
+
+    const html = jobs.map(job => `
+      <div class="proxy-item ${statusClasses[job.status] || ''}">
+        <div class="proxy-info">
+          <div class="proxy-header" style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 8px;">
+            <div class="proxy-id">${job.label} <span style="color: var(--text-secondary);">(${job.cancelRequestedAt && job.status === 'running' ? 'CANCELLING' : job.status.toUpperCase()})</span></div>
+            <div class="proxy-actions" style="display: flex; gap: 8px;">
+              ${job.status === 'interrupted' && job.checkpointed ? `<button class="btn btn-sm btn-primary resume-job-btn" data-job-id="${job.id}">Resume</button>` : ''}
+              <button class="btn btn-sm btn-secondary view-job-btn" data-job-id="${job.id}" data-label="${job.label}">Results</button>
+            </div>
+          </div>
+          <div class="proxy-meta" style="display: flex; flex-wrap: wrap; gap: 12px; font-size: 0.9em; color: var(--text-secondary);">
+            <span data-job-progress="${job.id}">${this.describeJobProgress(job.progress)}</span>
+            <span>Started: ${this.formatDate(job.startedAt)}</span>
+            ${job.finishedAt ? `<span>Finished: ${this.formatDate(job.finishedAt)}</span>` : ''}
+            ${job.error ? `<span style="color: var(--error);">${job.error}</span>` : ''}
+          </div>
+        </div>
+      </div>
+    `).join('');
+
+    listDiv.innerHTML = html || '<p style="color: var(--text-secondary);">No jobs yet - start one from Bulk Search</p>';
+
+    listDiv.querySelectorAll('.resume-job-btn').forEach(btn => {
+      btn.addEventListener('click', () => this.resumeInterruptedJob(btn.dataset.jobId));
+    });
+
+    listDiv.querySelectorAll('.view-job-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        document.getElementById('jobResultsTitle').textContent = btn.dataset.label;
+        document.getElementById('jobResultsFilter').value = '';
+        this.loadJobResults(btn.dataset.jobId, 1);
+      });
+    });
+  }
+
+  async loadJobResults(jobId, page = this.jobResultsPage) {
+    if (!jobId) {
+      return;
+    }
+
+    const params = new URLSearchParams({ page });
+    const success = document.getElementById('jobResultsFilter').value;
+    if (success) {
+      params.set('success', success);
+    }
+
+    try {
+      const response = await fetch(`${this.apiBase}/api/jobs/${jobId}/results?${params}`);
+      const result = await response.json();
+
+      document.getElementById('jobResultsCard').style.display = 'block';
+
+      if (!result.success) {
+        document.getElementById('jobResultsSummary').textContent = result.error;
+        return;
+      }
+
+      this.jobResultsJobId = jobId;
+      this.jobResultsPage = result.page;
+      this.displayJobResults(result);
+
+    } catch (error) {
+      console.error('Failed to load job results:', error);
+      document.getElementById('jobResultsSummary').textContent = `Failed to load job results: ${error.message}`;
+    }
+  }
+
+  displayJobResults(result) {
+    document.getElementById('jobResultsSummary').textContent =
+      `${result.total} route results${result.status === 'running' ? ' so far (job still running)' : ''}`;
+
+    const resultsDiv = document.getElementById('jobResults');
+    const html = result.results.map(entry => `
+      <div class="proxy-item ${entry.success ? 'available' : 'blacklisted'}">
+        <div class="proxy-info">
+          <div class="proxy-id">${entry.origin} → ${entry.destination} • ${entry.date}</div>
+          <div class="proxy-meta" style="display: flex; flex-wrap: wrap; gap: 12px; font-size: 0.9em; color: var(--text-secondary);">
+            <span>${entry.success ? `${entry.flightCount} flights${entry.cached ? ' (cached)' : ''}` : `Failed: ${this.formatScrapeError(entry.error, entry.errorInfo)}`}</span>
+            <span>Completed: ${this.formatDate(entry.completedAt)}</span>
+          </div>
+        </div>
+      </div>
+    `).join('');
+
+    resultsDiv.innerHTML = html || '<p style="color: var(--text-secondary);">No results yet</p>';
+
+    const pager = document.getElementById('jobResultsPager');
+    pager.innerHTML = result.totalPages > 1 ? `
+      <button class="btn btn-sm btn-secondary" id="jobResultsPrevPage" ${result.page <= 1 ? 'disabled' : ''}>Previous</button>
+      <span style="color: var(--text-secondary);">Page ${result.page} of ${result.totalPages}</span>
+      <button class="btn btn-sm btn-secondary" id="jobResultsNextPage" ${result.page >= result.totalPages ? 'disabled' : ''}>Next</button>
+    ` : '';
+
+    if (result.totalPages > 1) {
+      document.getElementById('jobResultsPrevPage').addEventListener('click', () => this.loadJobResults(this.jobResultsJobId, result.page - 1));
+      document.getElementById('jobResultsNextPage').addEventListener('click', () => this.loadJobResults(this.jobResultsJobId, result.page + 1));
+    }
+  }
+
   /**
    * Configuration
    */
@@ -1148,7 +2213,7 @@ class FrontierScraperApp {
 
     // Define editable fields with their types
     const editableFields = {
-      'scraper.method': { type: 'select', options: ['playwright', 'decodo', 'bypass1'], env: 'SCRAPER_METHOD', description: 'Scraper method: playwright (basic), decodo (with proxy rotation), bypass1 (context pooling with visible browser)' },
+      'scraper.method': { type: 'select', options: ['playwright', 'decodo', 'bypass1', 'replay'], env: 'SCRAPER_METHOD', description: 'Scraper method: playwright (basic), decodo (with proxy rotation), bypass1 (context pooling with visible browser), replay (offline, from archived payloads)' },
       'scraper.bypass1Headless': { type: 'checkbox', env: 'BYPASS1_HEADLESS', description: 'Run BYPASS1 in headless mode (uncheck to see browser windows)' },
       'scraper.timeoutSeconds': { type: 'number', min: 30, max: 300, env: 'SCRAPER_TIMEOUT_SECONDS' },
       'scraper.maxRetries': { type: 'number', min: 1, max: 10, env: 'SCRAPER_MAX_RETRIES' },
@@ -1156,6 +2221,8 @@ class FrontierScraperApp {
       'decodo.maxUsesPerMinute': { type: 'number', min: 1, max: 5, env: 'DECODO_MAX_USES_PER_MINUTE' },
       'decodo.maxWorkers': { type: 'number', min: 1, max: 10, env: 'DECODO_MAX_WORKERS', syncWith: 'scraper.concurrentRoutes' },
       'cache.enabled': { type: 'boolean', env: 'CACHE_ENABLED' },
+      'cache.backend': { type: 'select', options: ['sqlite', 'json'], env: 'CACHE_BACKEND', restartRequired: true },
+      'cache.ttlPolicy': { type: 'text', env: 'CACHE_TTL_POLICY', description: 'Departure within:TTL tiers, e.g. 48h:20m,7d:2h,14d:6h,*:12h' },
       'logging.level': { type: 'select', options: ['error', 'warn', 'info', 'debug'], env: 'LOG_LEVEL' }
     };
 
@@ -1197,6 +2264,10 @@ class FrontierScraperApp {
           <input type="checkbox" class="config-input" data-env="${editable.env}" ${isHeadless ? 'checked' : ''} />
           <label style="margin-left: 8px; font-size: 0.9em; color: var(--text-secondary);">${editable.description || 'Enable'}</label>
         `;
+      } else if (editable.type === 'text') {
+        inputHTML = `
+          <input type="text" class="config-input" data-env="${editable.env}" value="${value}" title="${editable.description || ''}">
+        `;
       } else if (editable.type === 'number') {
         const syncNote = editable.syncWith ? ` <small style="color: #666; font-style: italic;">(syncs with ${editable.syncWith.split('.')[1]})</small>` : '';
         inputHTML = `
@@ -1205,10 +2276,12 @@ class FrontierScraperApp {
         `;
       }
 
+      const restartNote = editable.restartRequired ? ` <small style="color: #666; font-style: italic;">(takes effect after a server restart)</small>` : '';
+
       return `
         <div class="config-field">
           <span class="config-key">${key}</span>
-          ${inputHTML}
+          ${inputHTML}${restartNote}
         </div>
       `;
     };
@@ -1285,7 +2358,7 @@ class FrontierScraperApp {
       const messageDiv = document.getElementById('configMessage');
       messageDiv.style.display = 'block';
       messageDiv.style.color = result.success ? 'var(--success)' : 'var(--error)';
-      messageDiv.textContent = result.message;
+      messageDiv.textContent = result.message || result.error;
 
       setTimeout(() => {
         messageDiv.style.display = 'none';
@@ -1368,6 +2441,15 @@ class FrontierScraperApp {
     }
   }
 
+  /**
+   * Text from the API or a WebSocket message, safe to put into an HTML template
+   */
+  escapeHTML(value) {
+    const div = document.createElement('div');
+    div.textContent = value === undefined || value === null ? '' : String(value);
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+  }
+
   addActivity(source, message) {
     const feed = document.getElementById('activityFeed');
     const time = new Date().toLocaleTimeString();
@@ -1387,12 +2469,30 @@ class FrontierScraperApp {
     }
   }
 
+  /**
+   * Readable reason for a failed scrape - errorInfo is the structured error the API
+   * and WebSocket events carry ({ code, description, retryable, ... })
+   */
+  formatScrapeError(error, errorInfo = null) {
+    if (!errorInfo) {
+      return error || 'Scraping failed';
+    }
+
+    const hint = errorInfo.code === 'SCHEMA_DRIFT' ? ' See /api/health for details.' : '';
+    return `${errorInfo.description} (${errorInfo.code}).${hint}`;
+  }
+
   displayError(message) {
     const results = document.getElementById('scrapeResults');
     results.style.display = 'block';
     results.innerHTML = this.createErrorHTML(message);
   }
 
+  formatMinutes(minutes) {
+    const hours = Math.floor(minutes / 60);
+    return hours > 0 ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+  }
+
   formatDate(dateString) {
     const date = new Date(dateString);
     return date.toLocaleString('en-US', {
@@ -1409,6 +2509,9 @@ class FrontierScraperApp {
     if (activeTab && activeTab.dataset.tab === 'proxy') {
       this.loadProxyStats();
     }
+
+    // Offer to resume bulk jobs cut off by a server restart
+    this.loadResumableJobs();
   }
 
   /**
@@ -1614,6 +2717,7 @@ class FrontierScraperApp {
       
       if (result.status === 'started') {
         this.addActivity('Bulk Scrape', `Started scraping all routes from ${origin}`);
+        this.setActiveBulkJob(result.jobId);
       }
     } catch (error) {
       alert('Failed to start bulk scraping: ' + error.message);
@@ -1647,6 +2751,7 @@ class FrontierScraperApp {
       
       if (result.status === 'started') {
         this.addActivity('Bulk Scrape', `Started scraping all ${result.totalRoutes} routes`);
+        this.setActiveBulkJob(result.jobId);
       }
     } catch (error) {
       alert('Failed to start bulk scraping: ' + error.message);
@@ -1760,7 +2865,8 @@ class FrontierScraperApp {
         <span style="color: var(--text-secondary); margin-left: 8px;">
           ${status === 'cached' ? `(${data.flightCount || 0} flights from cache)` : ''}
           ${status === 'complete' && data.success ? `(${data.flightCount || 0} flights)` : ''}
-          ${status === 'error' ? `(${data.error})` : ''}
+          ${status === 'complete' && !data.success && data.error ? `(${this.formatScrapeError(data.error, data.errorInfo)})` : ''}
+          ${status === 'error' ? `(${this.formatScrapeError(data.error, data.errorInfo)})` : ''}
         </span>
       `;
       
@@ -1995,6 +3101,7 @@ class FrontierScraperApp {
                 <div class="flight-detail-value">${flight.duration}</div>
               </div>
             </div>
+            ${this.createFaresHTML(flight)}
           </div>
         `;
       });
@@ -2085,6 +3192,7 @@ class FrontierScraperApp {
                 <div class="flight-detail-value">${flight.duration}</div>
               </div>
             </div>
+            ${this.createFaresHTML(flight)}
           </div>
         `;
       });
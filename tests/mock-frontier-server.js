@@ -0,0 +1,320 @@
+/**
+ * Mock Frontier booking server
+ * Local stand-in for booking.flyfrontier.com that serves /Flight/InternalSelect pages,
+ * so every scraper method and the scrape -> cache -> bulk -> WebSocket pipeline can be
+ * run offline
+ *
+ * Usage:
+ *   node tests/mock-frontier-server.js
+ *   FRONTIER_BASE_URL=http://localhost:4030 npm start
+ *
+ * Select pages carry FlightData generated for the requested route and dates (one-way
+ * or round trip) unless a scenario says otherwise. Scenarios are set at startup
+ * (MOCK_SCENARIOS) or at runtime:
+ *
+ *   POST   /__mock/scenarios   add one: { match, fixture, status, delayMs, malformed, times }
+ *   GET    /__mock/scenarios   list them
+ *   DELETE /__mock/scenarios   clear them
+ *   GET    /__mock/requests    recent select page requests, newest first
+ *
+ *   match      "*" (default), "DEN-LAS" or "DEN-LAS-2031-03-10" - first match wins
+ *   fixture    a page in tests/fixtures/flightdata (served as saved), or "generated"
+ *   status     403 serves a PerimeterX block page, 429 a rate-limit page, others as is
+ *   delayMs    wait this long before responding
+ *   malformed  serve a truncated FlightData script
+ *   times      apply to this many requests, then drop the scenario (default: forever)
+ *
+ * Environment:
+ *   MOCK_PORT        port (default 4030)
+ *   MOCK_DELAY_MS    delay every response (default 0)
+ *   MOCK_SCENARIOS   JSON array of scenarios to start with
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = parseInt(process.env.MOCK_PORT) || 4030;
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'flightdata');
+const MAX_LOGGED_REQUESTS = 100;
+
+function encodeFlightData(flightData) {
+  return JSON.stringify(flightData)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+function page(title, script, body = '') {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${title}</title>
+</head>
+<body>
+<div id="app">${body}</div>
+<script type="text/javascript">
+${script}
+</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * A day of flights for origin -> destination: two nonstops, a connection and a sold-out
+ * nonstop. Fares vary by route and date but are the same on every request.
+ */
+function generateJourney(origin, destination, date) {
+  const seed = Array.from(`${origin}${destination}${date}`).reduce((sum, char) => sum + char.charCodeAt(0), 0);
+  const hub = origin === 'DEN' || destination === 'DEN' ? 'LAS' : 'DEN';
+  const flightNumber = offset => String(1000 + (seed * 7 + offset) % 8000);
+  const leg = (offset, from, to, departs, arrives) => ({
+    flightNumber: flightNumber(offset),
+    departureStation: from,
+    arrivalStation: to,
+    departureDate: `${date}T${departs}:00`,
+    arrivalDate: `${date}T${arrives}:00`,
+    equipmentType: '32N'
+  });
+  const goWildFare = 19 + seed % 60;
+
+  return {
+    origin,
+    destination,
+    flights: [
+      {
+        legs: [leg(0, origin, destination, '07:15', '09:20')],
+        duration: '2h 5m',
+        stopsText: 'Nonstop',
+        goWildFare,
+        discountDenFare: goWildFare + 40.98,
+        standardFare: goWildFare + 70.98,
+        isSoldOut: false
+      },
+      {
+        legs: [leg(1, origin, hub, '10:05', '11:30'), leg(2, hub, destination, '13:00', '14:45')],
+        duration: '4h 40m',
+        stopsText: '1 Stop',
+        goWildFare: goWildFare + 20,
+        standardFare: goWildFare + 110.98,
+        isSoldOut: false
+      },
+      {
+        legs: [leg(3, origin, destination, '18:40', '20:45')],
+        duration: '2h 5m',
+        stopsText: 'Nonstop',
+        goWildFare: goWildFare - 10,
+        discountDenFare: goWildFare + 20.98,
+        standardFare: goWildFare + 50.98,
+        isSoldOut: false
+      },
+      {
+        legs: [leg(4, origin, destination, '21:30', '23:35')],
+        duration: '2h 5m',
+        stopsText: 'Nonstop',
+        goWildFare: null,
+        standardFare: goWildFare + 150.98,
+        isSoldOut: true
+      }
+    ]
+  };
+}
+
+function generatedPage(query) {
+  const journeys = [generateJourney(query.o1, query.d1, query.dd1)];
+  if (query.r === 'true' && query.dd2) {
+    journeys.push(generateJourney(query.d1, query.o1, query.dd2));
+  }
+
+  return page('Select Flights | Frontier Airlines', `    var FlightData = '${encodeFlightData({ journeys })}';`);
+}
+
+function malformedPage(query) {
+  const encoded = encodeFlightData({ journeys: [generateJourney(query.o1, query.d1, query.dd1)] });
+  return page('Select Flights | Frontier Airlines', `    var FlightData = '${encoded.slice(0, Math.floor(encoded.length / 2))}';`);
+}
+
+function blockPage() {
+  return page(
+    'Access to this page has been denied',
+    "    window._pxAppId = 'PXmock0000';",
+    '<div id="px-captcha"></div><p>Access to this page has been denied because we believe you are using automation tools to browse the website.</p>'
+  );
+}
+
+function rateLimitPage() {
+  return page('Too Many Requests', '', '<p>Too many requests. Please try again later.</p>');
+}
+
+function fixturePage(name) {
+  const file = path.join(FIXTURES_DIR, `${path.basename(name)}.html`);
+  return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch (error) {
+        reject(error);
+      }
+    });
+  });
+}
+
+function sendJson(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+function sendHtml(res, status, html) {
+  res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' });
+  res.end(html);
+}
+
+/**
+ * Create the mock server (not yet listening)
+ * options: { scenarios, delayMs, quiet }
+ * server.mock exposes { scenarios, requests } for tests that drive it in-process
+ */
+function createMockFrontierServer(options = {}) {
+  const { delayMs = 0, quiet = false } = options;
+  const scenarios = [...(options.scenarios || [])];
+  const requests = [];
+  const log = quiet ? () => {} : console.log;
+
+  function findScenario(query) {
+    const route = `${query.o1}-${query.d1}`;
+    const index = scenarios.findIndex(({ match = '*' }) => match === '*' || match === route || match === `${route}-${query.dd1}`);
+    if (index === -1) {
+      return null;
+    }
+
+    const scenario = scenarios[index];
+    if (scenario.times !== undefined && --scenario.times <= 0) {
+      scenarios.splice(index, 1);
+    }
+    return scenario;
+  }
+
+  async function handleSelect(req, res, query) {
+    if (!query.o1 || !query.d1 || !query.dd1) {
+      return sendHtml(res, 400, page('Bad Request', '', '<p>o1, d1 and dd1 are required</p>'));
+    }
+
+    const scenario = findScenario(query) || {};
+    const label = scenario.status || (scenario.malformed && 'malformed') || scenario.fixture || 'generated';
+
+    requests.unshift({
+      route: `${query.o1}-${query.d1}`,
+      date: query.dd1,
+      returnDate: query.r === 'true' ? query.dd2 || null : null,
+      response: String(label),
+      timestamp: new Date().toISOString()
+    });
+    requests.length = Math.min(requests.length, MAX_LOGGED_REQUESTS);
+    log(`[SELECT] ${query.o1}-${query.d1} ${query.dd1}${query.r === 'true' ? ` / ${query.dd2}` : ''} -> ${label}`);
+
+    const delay = (scenario.delayMs || 0) + delayMs;
+    if (delay > 0) {
+      await sleep(delay);
+    }
+
+    if (scenario.status === 403) {
+      return sendHtml(res, 403, blockPage());
+    }
+    if (scenario.status === 429) {
+      res.setHeader('Retry-After', '60');
+      return sendHtml(res, 429, rateLimitPage());
+    }
+    if (scenario.status) {
+      return sendHtml(res, scenario.status, page(`Error ${scenario.status}`, ''));
+    }
+    if (scenario.malformed) {
+      return sendHtml(res, 200, malformedPage(query));
+    }
+    if (scenario.fixture && scenario.fixture !== 'generated') {
+      const html = fixturePage(scenario.fixture);
+      return html
+        ? sendHtml(res, 200, html)
+        : sendHtml(res, 500, page('Mock error', '', `<p>Unknown fixture ${scenario.fixture}</p>`));
+    }
+
+    sendHtml(res, 200, generatedPage(query));
+  }
+
+  async function handleControl(req, res, pathname) {
+    if (pathname === '/__mock/requests' && req.method === 'GET') {
+      return sendJson(res, 200, { requests });
+    }
+
+    if (pathname !== '/__mock/scenarios') {
+      return sendJson(res, 404, { error: 'Not found' });
+    }
+
+    if (req.method === 'GET') {
+      return sendJson(res, 200, { scenarios });
+    }
+    if (req.method === 'DELETE') {
+      scenarios.length = 0;
+      return sendJson(res, 200, { scenarios });
+    }
+    if (req.method === 'POST') {
+      try {
+        const scenario = await readJson(req);
+        scenarios.push(scenario);
+        log(`[MOCK] Scenario added: ${JSON.stringify(scenario)}`);
+        return sendJson(res, 201, { scenarios });
+      } catch (error) {
+        return sendJson(res, 400, { error: 'Invalid JSON' });
+      }
+    }
+
+    sendJson(res, 405, { error: 'Method not allowed' });
+  }
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (url.pathname.startsWith('/__mock/')) {
+      return handleControl(req, res, url.pathname);
+    }
+    if (url.pathname === '/Flight/InternalSelect') {
+      return handleSelect(req, res, Object.fromEntries(url.searchParams));
+    }
+
+    sendHtml(res, 404, page('Not Found', ''));
+  });
+
+  server.mock = { scenarios, requests };
+  return server;
+}
+
+if (require.main === module) {
+  let scenarios = [];
+  try {
+    scenarios = JSON.parse(process.env.MOCK_SCENARIOS || '[]');
+  } catch (error) {
+    console.error(`MOCK_SCENARIOS is not valid JSON: ${error.message}`);
+    process.exit(1);
+  }
+
+  createMockFrontierServer({ scenarios, delayMs: parseInt(process.env.MOCK_DELAY_MS) || 0 })
+    .listen(PORT, () => {
+      console.log(`Mock Frontier server listening on http://localhost:${PORT}`);
+      console.log(`Point the scraper at it with FRONTIER_BASE_URL=http://localhost:${PORT}`);
+    });
+}
+
+module.exports = { createMockFrontierServer, generateJourney };
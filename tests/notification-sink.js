@@ -0,0 +1,102 @@
+/**
+ * Local notification stand-in
+ * Minimal HTTP + SMTP servers that print everything the notifier sends, so
+ * webhook/Slack/Discord/email channels can be tested without real services
+ *
+ * Usage:
+ *   node tests/notification-sink.js
+ *
+ * Then create channels pointing at it:
+ *   webhook/slack/discord  url: http://localhost:4025/hook
+ *   email                  host: localhost, port: 2525, secure: false
+ *
+ * Environment:
+ *   SINK_HTTP_PORT    HTTP port (default 4025)
+ *   SINK_SMTP_PORT    SMTP port (default 2525)
+ *   SINK_SECRET       verify X-Frontier-Signature with this webhook secret
+ *   SINK_FAIL_FIRST   answer the first N HTTP requests with 503 to exercise retries
+ */
+
+const http = require('http');
+const net = require('net');
+const { WebhookChannel } = require('../backend/services/notificationChannels/webhookChannel');
+
+const HTTP_PORT = parseInt(process.env.SINK_HTTP_PORT) || 4025;
+const SMTP_PORT = parseInt(process.env.SINK_SMTP_PORT) || 2525;
+const SECRET = process.env.SINK_SECRET || null;
+let failRemaining = parseInt(process.env.SINK_FAIL_FIRST) || 0;
+
+// HTTP: webhook, Slack and Discord payloads
+http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    console.log(`\n[HTTP] ${req.method} ${req.url}`);
+    ['x-frontier-event', 'x-frontier-delivery', 'x-frontier-timestamp', 'x-frontier-signature'].forEach(header => {
+      if (req.headers[header]) console.log(`  ${header}: ${req.headers[header]}`);
+    });
+
+    if (SECRET && req.headers['x-frontier-signature']) {
+      const expected = WebhookChannel.sign(SECRET, req.headers['x-frontier-timestamp'], body);
+      console.log(`  signature: ${expected === req.headers['x-frontier-signature'] ? 'valid' : 'INVALID'}`);
+    }
+
+    console.log(`  body: ${body}`);
+
+    if (failRemaining > 0) {
+      failRemaining--;
+      console.log('  -> 503 (SINK_FAIL_FIRST)');
+      res.writeHead(503);
+      return res.end();
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end('{"ok":true}');
+  });
+}).listen(HTTP_PORT, () => console.log(`HTTP sink listening on http://localhost:${HTTP_PORT}`));
+
+// SMTP: just enough of the protocol to accept a message
+net.createServer(socket => {
+  let buffer = '';
+  let inData = false;
+  let message = '';
+
+  socket.write('220 localhost notification-sink\r\n');
+
+  socket.on('data', chunk => {
+    buffer += chunk.toString();
+    let index;
+
+    while ((index = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, index);
+      buffer = buffer.slice(index + 2);
+
+      if (inData) {
+        if (line === '.') {
+          inData = false;
+          console.log(`\n[SMTP] message:\n${message}`);
+          message = '';
+          socket.write('250 OK queued\r\n');
+        } else {
+          message += `${line.startsWith('..') ? line.slice(1) : line}\n`;
+        }
+        continue;
+      }
+
+      const command = line.split(' ')[0].toUpperCase();
+      if (command === 'EHLO' || command === 'HELO') {
+        socket.write('250 localhost\r\n');
+      } else if (command === 'DATA') {
+        inData = true;
+        socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+      } else if (command === 'QUIT') {
+        socket.end('221 Bye\r\n');
+      } else {
+        // MAIL, RCPT, RSET, NOOP, AUTH...
+        socket.write(command === 'AUTH' ? '235 Authenticated\r\n' : '250 OK\r\n');
+      }
+    }
+  });
+
+  socket.on('error', () => {});
+}).listen(SMTP_PORT, () => console.log(`SMTP sink listening on localhost:${SMTP_PORT}`));
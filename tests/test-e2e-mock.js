@@ -0,0 +1,192 @@
+/**
+ * End-to-end test against the mock Frontier server
+ * Starts tests/mock-frontier-server.js in-process and the backend as a child process
+ * pointed at it (FRONTIER_BASE_URL), then runs scrapes through the API and checks the
+ * responses, the cache and the WebSocket events - no network or proxies needed
+ *
+ * Usage:
+ *   node tests/test-e2e-mock.js
+ *
+ * Environment:
+ *   SCRAPER_METHOD   method under test (default playwright; bypass1 also works offline)
+ *   E2E_PORT         backend port (default 3999)
+ *   E2E_MOCK_PORT    mock server port (default 4030)
+ *   E2E_VERBOSE      set to true to print the backend's output
+ *
+ * Needs the Playwright browser (npm run install-browsers). Scrapes go into the
+ * local cache and flight history like any other; the cache entries it creates
+ * are deleted at the end.
+ */
+
+const { spawn } = require('child_process');
+const path = require('path');
+const WebSocket = require('ws');
+const { createMockFrontierServer } = require('./mock-frontier-server');
+
+const PORT = parseInt(process.env.E2E_PORT) || 3999;
+const MOCK_PORT = parseInt(process.env.E2E_MOCK_PORT) || 4030;
+const METHOD = process.env.SCRAPER_METHOD || 'playwright';
+const VERBOSE = process.env.E2E_VERBOSE === 'true';
+const API = `http://localhost:${PORT}/api`;
+
+function futureDate(days) {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+const DATE = futureDate(300);
+const RETURN_DATE = futureDate(305);
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, detail = '') {
+  if (condition) {
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } else {
+    failed++;
+    console.log(`  ✗ ${name}${detail ? ` - ${detail}` : ''}`);
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function api(method, pathname, body) {
+  const response = await fetch(`${API}${pathname}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return response.json();
+}
+
+function scrape(body) {
+  return api('POST', '/scraper/scrape', body);
+}
+
+async function waitForServer(timeoutMs = 30000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    try {
+      await api('GET', '/health');
+      return;
+    } catch (e) {
+      await sleep(250);
+    }
+  }
+  throw new Error(`Backend did not start on port ${PORT}`);
+}
+
+async function waitForEvent(events, predicate, timeoutMs = 120000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const event = events.find(predicate);
+    if (event) return event;
+    await sleep(250);
+  }
+  return null;
+}
+
+async function run() {
+  const mock = createMockFrontierServer({ quiet: !VERBOSE });
+  await new Promise(resolve => mock.listen(MOCK_PORT, resolve));
+  console.log(`Mock Frontier server on http://localhost:${MOCK_PORT}`);
+
+  const backend = spawn(process.execPath, [path.join(__dirname, '..', 'backend', 'server.js')], {
+    env: {
+      ...process.env,
+      PORT: String(PORT),
+      FRONTIER_BASE_URL: `http://localhost:${MOCK_PORT}`,
+      SCRAPER_METHOD: METHOD,
+      SCRAPER_MAX_RETRIES: '1',
+      CACHE_ENABLED: 'true',
+      DECODO_USERNAME: '',
+      DECODO_PASSWORD: ''
+    },
+    stdio: VERBOSE ? 'inherit' : 'ignore'
+  });
+
+  const events = [];
+  let ws = null;
+
+  try {
+    await waitForServer();
+    console.log(`Backend on port ${PORT} (method: ${METHOD})\n`);
+
+    ws = new WebSocket(`ws://localhost:${PORT}`);
+    ws.on('message', message => events.push(JSON.parse(message)));
+    await new Promise((resolve, reject) => {
+      ws.once('open', resolve);
+      ws.once('error', reject);
+    });
+
+    console.log('One-way scrape');
+    const oneWay = await scrape({ origin: 'DEN', destination: 'LAS', date: DATE });
+    check('succeeds', oneWay.success, oneWay.error);
+    check('returns the three bookable flights', oneWay.flights?.length === 3, `got ${oneWay.flights?.length}`);
+    check('parses the connection', oneWay.flights?.some(flight => flight.stopCount === 1 && flight.layovers.length === 1));
+    check('scrape_complete broadcast', !!await waitForEvent(events, event => event.type === 'scrape_complete' && event.route === 'DEN-LAS' && !event.cached, 5000));
+
+    console.log('\nCache');
+    const cached = await scrape({ origin: 'DEN', destination: 'LAS', date: DATE });
+    check('second scrape is served from cache', cached.cached === true);
+    check('same flights', JSON.stringify(cached.flights) === JSON.stringify(oneWay.flights));
+    const entry = await api('GET', `/cache/DEN/LAS/${DATE}`);
+    check('entry visible in the cache browser', entry.success, entry.error);
+
+    console.log('\nRound trip');
+    const roundTrip = await scrape({ origin: 'DEN', destination: 'MCO', date: DATE, returnDate: RETURN_DATE });
+    check('succeeds', roundTrip.success, roundTrip.error);
+    check('has outbound and return flights', roundTrip.flights?.length === 3 && roundTrip.returnFlights?.length === 3);
+    check('return flights fly MCO -> DEN', roundTrip.returnFlights?.every(flight => flight.origin === 'MCO'));
+
+    console.log('\nInjected faults');
+    mock.mock.scenarios.push({ match: 'DEN-PHX', status: 403 });
+    const blocked = await scrape({ origin: 'DEN', destination: 'PHX', date: DATE });
+    check('403 is reported as a PerimeterX block', blocked.error === 'BLOCKED_BY_PERIMETERX', blocked.error);
+
+    mock.mock.scenarios.push({ match: 'DEN-ATL', malformed: true });
+    const malformed = await scrape({ origin: 'DEN', destination: 'ATL', date: DATE });
+    check('malformed FlightData is a schema mismatch', malformed.error === 'SCHEMA_MISMATCH', malformed.error);
+
+    mock.mock.scenarios.push({ match: 'ORD-DEN', fixture: 'empty-day', delayMs: 3000 });
+    const slow = await scrape({ origin: 'ORD', destination: 'DEN', date: DATE });
+    check('slow empty day succeeds with no flights', slow.success && slow.flights.length === 0, slow.error);
+    check('slow response is waited for', slow.elapsed >= 3000, `${slow.elapsed}ms`);
+
+    console.log('\nBulk');
+    const routes = ['LAS', 'MCO', 'MIA'].map(destination => ({ origin: 'ORD', destination, date: DATE }));
+    const bulk = await api('POST', '/scraper/bulk', { routes });
+    check('bulk run starts', bulk.status === 'started', JSON.stringify(bulk));
+    const complete = await waitForEvent(events, event => event.type === 'bulk_complete');
+    check('bulk_complete broadcast', !!complete);
+    check('every bulk route succeeds', complete?.successful === routes.length, complete && `${complete.successful}/${complete.totalRoutes}`);
+
+    const health = await api('GET', '/health');
+    check('health reports the schema mismatch', health.checks?.flightDataSchema?.outcomes?.schema_mismatch >= 1);
+  } finally {
+    const created = [
+      ['DEN', 'LAS', DATE], ['DEN', 'MCO', DATE, RETURN_DATE], ['ORD', 'DEN', DATE],
+      ['ORD', 'LAS', DATE], ['ORD', 'MCO', DATE], ['ORD', 'MIA', DATE]
+    ];
+    for (const [origin, destination, date, returnDate] of created) {
+      await api('DELETE', `/cache/${origin}/${destination}/${date}${returnDate ? `?returnDate=${returnDate}` : ''}`).catch(() => {});
+    }
+
+    if (ws) ws.close();
+    backend.kill();
+    mock.close();
+  }
+
+  console.log(`\n${passed} passed, ${failed} failed`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+run().catch(error => {
+  console.error(`✗ ${error.message}`);
+  process.exit(1);
+});
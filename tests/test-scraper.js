@@ -37,7 +37,7 @@ async function testScraper() {
       if (result.cached) {
         logger.info('Data was retrieved from cache');
       } else {
-        logger.info(`Proxy used: ${result.proxyUsed || 'direct'}`);
+        logger.info(`Proxy used: ${result.details?.proxyUsed || 'direct'}`);
         logger.info(`Attempts: ${result.attempts || 1}`);
       }
       
@@ -50,7 +50,7 @@ async function testScraper() {
     } else {
       logger.error(`✗ Failed: ${result.error}`);
       logger.error(`Attempts: ${result.attempts || 1}`);
-      logger.error(`Proxies tried: ${result.proxiesTried || 0}`);
+      logger.error(`Proxies tried: ${result.details?.proxiesTried || 0}`);
     }
   } catch (error) {
     logger.error(`✗ Error: ${error.message}`);
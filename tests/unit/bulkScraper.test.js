@@ -0,0 +1,164 @@
+/**
+ * Bulk scraper tests
+ * processRoutesConcurrently() concurrency limit, scheduling and the canStart gate, with short start delays
+ */
+
+require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { processRoutesConcurrently, datesInRange, isCalendarDate, countDaysInRange } = require('../../backend/services/bulkScraper');
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function makeRoutes(count) {
+  return Array.from({ length: count }, (_, i) => ({ origin: 'DEN', destination: `D${String(i).padStart(2, '0')}` }));
+}
+
+/**
+ * processRoute stub that records how many routes run at once
+ * durationMs(index) decides how long each route takes
+ */
+function tracker(durationMs = () => 20) {
+  const state = { active: 0, maxActive: 0, started: [], calls: [] };
+
+  state.processRoute = async (route, index, total) => {
+    state.active++;
+    state.maxActive = Math.max(state.maxActive, state.active);
+    state.started.push(route.destination);
+    state.calls.push({ index, total });
+    try {
+      await sleep(durationMs(index));
+      return { route, success: true };
+    } finally {
+      state.active--;
+    }
+  };
+
+  return state;
+}
+
+test('never runs more than maxConcurrent routes at once', async () => {
+  const routes = makeRoutes(12);
+  const state = tracker(index => 10 + (index % 4) * 15);
+
+  await processRoutesConcurrently(routes, state.processRoute, 3, i => i * 5);
+
+  assert.strictEqual(state.maxActive, 3);
+  assert.strictEqual(state.active, 0);
+});
+
+test('processes every route exactly once, in order of scheduling', async () => {
+  const routes = makeRoutes(9);
+  const state = tracker();
+
+  await processRoutesConcurrently(routes, state.processRoute, 2, () => 0);
+
+  assert.deepStrictEqual(state.started, routes.map(route => route.destination));
+  assert.deepStrictEqual(state.calls.map(call => call.index), [1, 2, 3, 4, 5, 6, 7, 8, 9]);
+  assert.ok(state.calls.every(call => call.total === 9));
+});
+
+test('a limit of one runs routes strictly one after another', async () => {
+  const state = tracker();
+
+  await processRoutesConcurrently(makeRoutes(4), state.processRoute, 1, () => 0);
+
+  assert.strictEqual(state.maxActive, 1);
+  assert.strictEqual(state.started.length, 4);
+});
+
+test('fewer routes than the limit all start in the initial batch', async () => {
+  const state = tracker(() => 50);
+
+  await processRoutesConcurrently(makeRoutes(3), state.processRoute, 5, i => i * 5);
+
+  assert.strictEqual(state.maxActive, 3);
+  assert.strictEqual(state.started.length, 3);
+});
+
+test('waits for delayed initial routes when none starts immediately', async () => {
+  const state = tracker();
+
+  await processRoutesConcurrently(makeRoutes(4), state.processRoute, 2, () => 30);
+
+  assert.strictEqual(state.started.length, 4);
+  assert.strictEqual(state.active, 0);
+});
+
+test('initial routes still waiting out their delay count against the limit', async () => {
+  // The first route finishes before the delayed ones start: the free-looking slots
+  // must not go to later routes, and the call must not resolve before the delayed ones run
+  const state = tracker(index => (index === 1 ? 5 : 60));
+
+  await processRoutesConcurrently(makeRoutes(6), state.processRoute, 3, i => (i === 0 ? 0 : 40));
+
+  assert.strictEqual(state.maxActive, 3);
+  assert.strictEqual(state.started.length, 6);
+  assert.strictEqual(state.active, 0);
+});
+
+test('canStart holds new routes until it resolves, letting running ones finish', async () => {
+  const state = tracker(() => 20);
+  let release;
+  const held = new Promise(resolve => { release = resolve; });
+  let asked = 0;
+
+  const done = processRoutesConcurrently(makeRoutes(4), state.processRoute, 2, () => 0, () => {
+    asked++;
+    // Undelayed initial routes start without asking, so the first ask is for the 3rd route
+    return asked === 1 ? held.then(() => true) : Promise.resolve(true);
+  });
+
+  await sleep(80);
+  assert.deepStrictEqual(state.started, ['D00', 'D01']);
+  assert.strictEqual(state.active, 0);
+
+  release();
+  await done;
+  assert.strictEqual(state.started.length, 4);
+});
+
+test('canStart resolving false starts no more routes', async () => {
+  const state = tracker(() => 20);
+  let asked = 0;
+
+  await processRoutesConcurrently(makeRoutes(6), state.processRoute, 2, () => 0, async () => ++asked < 2);
+
+  assert.deepStrictEqual(state.started, ['D00', 'D01', 'D02']);
+  assert.strictEqual(state.active, 0);
+});
+
+test('canStart also gates delayed initial routes', async () => {
+  const state = tracker();
+
+  await processRoutesConcurrently(makeRoutes(4), state.processRoute, 3, i => i * 10, async () => false);
+
+  assert.deepStrictEqual(state.started, ['D00']);
+});
+
+test('an empty route list resolves immediately', async () => {
+  const state = tracker();
+  await processRoutesConcurrently([], state.processRoute, 3);
+  assert.strictEqual(state.started.length, 0);
+});
+
+test('datesInRange includes both ends', () => {
+  assert.deepStrictEqual(datesInRange('2031-02-27', '2031-03-02'), ['2031-02-27', '2031-02-28', '2031-03-01', '2031-03-02']);
+  assert.deepStrictEqual(datesInRange('2031-03-02', '2031-03-01'), []);
+});
+
+test('countDaysInRange matches datesInRange without building the list', () => {
+  assert.strictEqual(countDaysInRange('2031-02-27', '2031-03-02'), 4);
+  assert.strictEqual(countDaysInRange('2031-03-02', '2031-03-01'), 0);
+  assert.strictEqual(countDaysInRange('2031-01-01', '2031-12-31'), 365);
+});
+
+test('isCalendarDate rejects dates that don\'t exist', () => {
+  assert.strictEqual(isCalendarDate('2032-02-29'), true);
+  assert.strictEqual(isCalendarDate('2031-02-29'), false);
+  assert.strictEqual(isCalendarDate('2025-13-45'), false);
+  assert.strictEqual(isCalendarDate('2025-1-5'), false);
+  assert.strictEqual(isCalendarDate(20250105), false);
+});
@@ -0,0 +1,244 @@
+/**
+ * Flight cache tests
+ * TTL tiers by departure proximity, expiry, pruning, the enabled switch, round-trip keys
+ * and listing (json backend in a temporary directory, plus the SQLite listing)
+ */
+
+const { makeTempDir, removeTempDir, daysFromNow } = require('./helpers');
+const path = require('path');
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { FlightCache } = require('../../backend/services/cache');
+
+const HOUR = 60 * 60 * 1000;
+const FLIGHTS = { success: true, flights: [{ flightNumber: 'F9 1234', price: 49 }] };
+
+let dir;
+
+function createCache(options = {}) {
+  return new FlightCache({ dir, backend: 'json', enabled: true, ...options });
+}
+
+/**
+ * Write an entry that was cached ageMs ago
+ */
+async function seed(cache, origin, destination, date, ageMs, returnDate = null) {
+  await cache.ready;
+  const key = cache.getCacheKey(origin, destination, date, returnDate);
+  await cache.backend.set(key, {
+    timestamp: new Date(Date.now() - ageMs).toISOString(),
+    data: FLIGHTS
+  }, { origin, destination, date });
+}
+
+beforeEach(() => {
+  dir = makeTempDir();
+});
+
+afterEach(() => {
+  removeTempDir(dir);
+});
+
+test('TTL follows the default departure-proximity tiers', () => {
+  const cache = createCache();
+
+  assert.strictEqual(cache.getTtlPolicy(), '48h:20m,7d:2h,14d:6h,*:12h');
+  assert.strictEqual(cache.getTtlMinutes(daysFromNow(1)), 20);
+  assert.strictEqual(cache.getTtlMinutes(daysFromNow(5)), 120);
+  assert.strictEqual(cache.getTtlMinutes(daysFromNow(10)), 360);
+  assert.strictEqual(cache.getTtlMinutes(daysFromNow(60)), 720);
+});
+
+test('past and unparseable dates get the shortest tier', () => {
+  const cache = createCache();
+
+  assert.strictEqual(cache.getTtlMinutes(daysFromNow(-3)), 20);
+  assert.strictEqual(cache.getTtlMinutes('not-a-date'), 20);
+});
+
+test('invalid TTL policy falls back to the default', () => {
+  const cache = createCache({ ttlPolicy: '48h:20m' });
+  assert.strictEqual(cache.getTtlPolicy(), '48h:20m,7d:2h,14d:6h,*:12h');
+
+  assert.throws(() => cache.setTtlPolicy('banana'));
+  cache.setTtlPolicy('7d:1h,*:1d');
+  assert.strictEqual(cache.getTtlMinutes(daysFromNow(60)), 24 * 60);
+});
+
+test('fresh entries are returned', async () => {
+  const cache = createCache();
+  const date = daysFromNow(30);
+
+  await cache.set('DEN', 'LAS', date, FLIGHTS);
+
+  assert.deepStrictEqual(await cache.get('DEN', 'LAS', date), FLIGHTS);
+  assert.strictEqual(await cache.hasCache('DEN', 'LAS', date), true);
+});
+
+test('entries expire after the TTL of their departure tier', async () => {
+  const cache = createCache();
+  const soon = daysFromNow(5); // 2 hour TTL
+  const later = daysFromNow(60); // 12 hour TTL
+
+  await seed(cache, 'DEN', 'LAS', soon, 3 * HOUR);
+  await seed(cache, 'DEN', 'MCO', later, 3 * HOUR);
+
+  assert.strictEqual(await cache.get('DEN', 'LAS', soon), null);
+  assert.strictEqual(await cache.hasCache('DEN', 'LAS', soon), false);
+  assert.strictEqual(await cache.getUnchecked('DEN', 'LAS', soon), null);
+
+  assert.deepStrictEqual(await cache.get('DEN', 'MCO', later), FLIGHTS);
+  assert.strictEqual(await cache.hasCache('DEN', 'MCO', later), true);
+});
+
+test('expired entries are kept for stale-while-revalidate', async () => {
+  const cache = createCache();
+  const date = daysFromNow(5);
+
+  await seed(cache, 'DEN', 'LAS', date, 3 * HOUR);
+
+  const stale = await cache.getStale('DEN', 'LAS', date, 6 * HOUR);
+  assert.strictEqual(stale.fresh, false);
+  assert.deepStrictEqual(stale.data, FLIGHTS);
+  assert.ok(stale.ageMs >= 3 * HOUR);
+
+  assert.strictEqual(await cache.getStale('DEN', 'LAS', date, 1 * HOUR), null);
+});
+
+for (const backend of ['json', 'sqlite']) {
+  test(`entries past the max stale age are pruned on set (${backend})`, async () => {
+    // Pruned after max(maxStaleMinutes, the longest TTL) - 12 hours with the default policy
+    const cache = createCache({ backend, maxStaleMinutes: 60 });
+    const soon = daysFromNow(5);
+    const later = daysFromNow(60);
+
+    await seed(cache, 'DEN', 'LAS', soon, 3 * HOUR);
+    await seed(cache, 'DEN', 'MCO', later, 13 * HOUR);
+    await cache.set('ORD', 'MCO', later, FLIGHTS);
+
+    assert.deepStrictEqual((await cache.list()).map(entry => entry.key), [`DEN-LAS-${soon}`, `ORD-MCO-${later}`]);
+    assert.ok(await cache.getStale('DEN', 'LAS', soon, 6 * HOUR));
+    assert.strictEqual(await cache.getStale('DEN', 'MCO', later), null);
+  });
+}
+
+test('a disabled cache still saves but never serves', async () => {
+  const cache = createCache({ enabled: false });
+  const date = daysFromNow(30);
+
+  await cache.set('DEN', 'LAS', date, FLIGHTS);
+
+  assert.strictEqual(await cache.get('DEN', 'LAS', date), null);
+  assert.strictEqual(await cache.getStale('DEN', 'LAS', date), null);
+  assert.strictEqual(await cache.hasCache('DEN', 'LAS', date), true);
+  assert.deepStrictEqual(await cache.getUnchecked('DEN', 'LAS', date), FLIGHTS);
+});
+
+test('round trips are cached separately from the one-way search', async () => {
+  const cache = createCache();
+  const date = daysFromNow(30);
+  const returnDate = daysFromNow(35);
+  const roundTrip = { ...FLIGHTS, returnFlights: [{ flightNumber: 'F9 1235', price: 39 }] };
+
+  await cache.set('DEN', 'LAS', date, roundTrip, returnDate);
+
+  assert.strictEqual(await cache.get('DEN', 'LAS', date), null);
+  assert.deepStrictEqual(await cache.get('DEN', 'LAS', date, returnDate), roundTrip);
+
+  const key = cache.getCacheKey('DEN', 'LAS', date, returnDate);
+  assert.strictEqual(key, `DEN-LAS-${date}-RT-${returnDate}`);
+  assert.deepStrictEqual(cache.parseCacheKey(key), { origin: 'DEN', destination: 'LAS', date, returnDate });
+  assert.deepStrictEqual(cache.parseCacheKey(`DEN-LAS-${date}`), { origin: 'DEN', destination: 'LAS', date, returnDate: null });
+});
+
+test('list filters by freshness, route and key pattern', async () => {
+  const cache = createCache();
+  const soon = daysFromNow(5);
+  const later = daysFromNow(60);
+
+  await seed(cache, 'DEN', 'LAS', soon, 3 * HOUR);
+  await seed(cache, 'DEN', 'MCO', later, 1 * HOUR);
+  await seed(cache, 'ORD', 'MCO', later, 1 * HOUR);
+
+  const keys = async filters => (await cache.list(filters)).map(entry => entry.key);
+
+  assert.deepStrictEqual(await keys({ freshness: 'expired' }), [`DEN-LAS-${soon}`]);
+  assert.deepStrictEqual(await keys({ freshness: 'fresh' }), [`DEN-MCO-${later}`, `ORD-MCO-${later}`]);
+  assert.deepStrictEqual(await keys({ origin: 'den' }), [`DEN-LAS-${soon}`, `DEN-MCO-${later}`]);
+  assert.deepStrictEqual(await keys({ pattern: '*-MCO-*' }), [`DEN-MCO-${later}`, `ORD-MCO-${later}`]);
+
+  const stats = cache.getStats();
+  assert.strictEqual(stats.totalEntries, 3);
+  assert.strictEqual(stats.expiredEntries, 1);
+});
+
+test('getStats shows the effective TTL of each entry, capped', async () => {
+  const cache = createCache();
+  const tomorrow = daysFromNow(1);
+  const soon = daysFromNow(5);
+  const later = daysFromNow(60);
+
+  await seed(cache, 'DEN', 'LAS', tomorrow, 0);
+  await seed(cache, 'DEN', 'LAS', soon, 3 * HOUR);
+  await seed(cache, 'DEN', 'MCO', later, 1 * HOUR);
+
+  // Default policy 48h:20m,7d:2h,14d:6h,*:12h
+  const stats = cache.getStats();
+  assert.deepStrictEqual(stats.entries.map(entry => [entry.key, entry.ttlMinutes, entry.valid]), [
+    [`DEN-LAS-${tomorrow}`, 20, true],
+    [`DEN-LAS-${soon}`, 120, false],
+    [`DEN-MCO-${later}`, 720, true]
+  ]);
+  const cachedAt = new Date(cache.backend.get(`DEN-MCO-${later}`).timestamp).getTime();
+  assert.strictEqual(stats.entries[2].expiresAt, new Date(cachedAt + 720 * 60 * 1000).toISOString());
+  assert.strictEqual(stats.entriesTruncated, false);
+
+  const capped = cache.getStats(2);
+  assert.strictEqual(capped.totalEntries, 3);
+  assert.deepStrictEqual(capped.entries.map(entry => entry.date), [tomorrow, soon]);
+  assert.strictEqual(capped.entriesTruncated, true);
+});
+
+test('the sqlite backend lists metadata filtered by its indexed columns', async () => {
+  const cache = createCache({ backend: 'sqlite' });
+  const soon = daysFromNow(5);
+  const later = daysFromNow(60);
+
+  await seed(cache, 'DEN', 'LAS', soon, 3 * HOUR);
+  await seed(cache, 'DEN', 'MCO', later, 1 * HOUR);
+  await seed(cache, 'ORD', 'MCO', later, 1 * HOUR, daysFromNow(65));
+  assert.strictEqual(cache.backend.name, 'sqlite');
+
+  assert.deepStrictEqual(cache.backend.list({ destination: 'MCO', dateFrom: later }), [
+    { key: `DEN-MCO-${later}`, timestamp: cache.backend.get(`DEN-MCO-${later}`).timestamp, flightCount: 1, returnFlightCount: null },
+    { key: `ORD-MCO-${later}-RT-${daysFromNow(65)}`, timestamp: cache.backend.get(`ORD-MCO-${later}-RT-${daysFromNow(65)}`).timestamp, flightCount: 1, returnFlightCount: null }
+  ]);
+  assert.deepStrictEqual((await cache.list({ origin: 'den', dateTo: soon })).map(entry => entry.key), [`DEN-LAS-${soon}`]);
+  assert.deepStrictEqual(await cache.deleteMatching({ origin: 'ORD' }), [`ORD-MCO-${later}-RT-${daysFromNow(65)}`]);
+  cache.backend.close();
+});
+
+test('a sqlite store from before the flight count columns gets them filled in', async () => {
+  const Database = require('better-sqlite3');
+  const db = new Database(path.join(dir, 'flights-cache.db'));
+  db.exec(`
+    CREATE TABLE flight_cache (key TEXT PRIMARY KEY, origin TEXT, destination TEXT, date TEXT, timestamp TEXT NOT NULL, data TEXT NOT NULL);
+    INSERT INTO flight_cache VALUES ('DEN-LAS-2031-01-15', 'DEN', 'LAS', '2031-01-15', '2030-12-01T00:00:00.000Z', '${JSON.stringify(FLIGHTS)}');
+  `);
+  db.close();
+
+  const cache = createCache({ backend: 'sqlite' });
+  await cache.ready;
+
+  assert.deepStrictEqual(cache.backend.list(), [
+    { key: 'DEN-LAS-2031-01-15', timestamp: '2030-12-01T00:00:00.000Z', flightCount: 1, returnFlightCount: null }
+  ]);
+  cache.backend.close();
+});
+
+test('entries survive a restart', async () => {
+  const date = daysFromNow(30);
+  await createCache().set('DEN', 'LAS', date, FLIGHTS);
+
+  assert.deepStrictEqual(await createCache().get('DEN', 'LAS', date), FLIGHTS);
+});
@@ -0,0 +1,196 @@
+/**
+ * FlightData parser tests
+ * Run against saved select-page HTML in tests/fixtures/flightdata
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const {
+  PARSE_OUTCOMES,
+  decodeHtmlEntities,
+  extractFlightData,
+  validateFlightData,
+  parseFlights,
+  analyzeFlightData,
+  analyzeTrip
+} = require('../../backend/services/flightDataParser');
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures', 'flightdata');
+
+function fixture(name) {
+  return fs.readFileSync(path.join(FIXTURES, `${name}.html`), 'utf8');
+}
+
+test('decodes the HTML entities used in FlightData', () => {
+  assert.strictEqual(decodeHtmlEntities('&quot;a&quot; &amp; &lt;b&gt; &#39;c&#39;'), '"a" & <b> \'c\'');
+});
+
+test('one-way nonstop: normalizes every flight with all fare products', () => {
+  const flights = parseFlights(fixture('one-way-nonstop'), { origin: 'DEN', destination: 'LAS' });
+
+  assert.strictEqual(flights.length, 2);
+
+  const [first, second] = flights;
+  assert.strictEqual(first.origin, 'DEN');
+  assert.strictEqual(first.destination, 'LAS');
+  assert.strictEqual(first.flightNumber, 'F9 1234');
+  assert.strictEqual(first.departureDate, '2031-03-10T07:15:00');
+  assert.strictEqual(first.arrivalDate, '2031-03-10T08:20:00');
+  assert.strictEqual(first.stops, 'Nonstop');
+  assert.strictEqual(first.stopCount, 0);
+  assert.strictEqual(first.price, '$49');
+  assert.strictEqual(first.rawFare, 49);
+  assert.deepStrictEqual(first.fares, { goWild: 49, discountDen: 89.98, standard: 119.98 });
+  assert.strictEqual(first.cheapestPaidFare, 89.98);
+  assert.strictEqual(first.goWildSavings, 40.98);
+  assert.strictEqual(first.totalDurationMinutes, 125);
+  assert.deepStrictEqual(first.layovers, []);
+
+  assert.strictEqual(second.flightNumber, 'F9 1236');
+  assert.strictEqual(second.goWildSavings, 30.98);
+});
+
+test('empty day: returns no flights instead of failing', () => {
+  assert.deepStrictEqual(parseFlights(fixture('empty-day')), []);
+});
+
+test('multi-stop: builds legs and layovers and drops duplicate itineraries', () => {
+  const flights = parseFlights(fixture('multi-stop'), { origin: 'MDW', destination: 'SJU' });
+
+  assert.strictEqual(flights.length, 2);
+
+  const [oneStop, twoStop] = flights;
+  assert.strictEqual(oneStop.flightNumber, 'F9 2101, F9 2211');
+  assert.strictEqual(oneStop.stops, '1 Stop');
+  assert.strictEqual(oneStop.stopCount, 1);
+  assert.strictEqual(oneStop.legs.length, 2);
+  assert.deepStrictEqual(oneStop.layovers, [{
+    airport: 'ATL',
+    arrivalDate: '2031-04-02T09:05:00',
+    departureDate: '2031-04-02T10:30:00',
+    durationMinutes: 85
+  }]);
+  assert.strictEqual(oneStop.totalDurationMinutes, 490);
+
+  // No stopsText in the payload - falls back to the leg count
+  assert.strictEqual(twoStop.stops, '2 stop(s)');
+  assert.strictEqual(twoStop.stopCount, 2);
+  assert.strictEqual(twoStop.origin, 'MDW');
+  assert.strictEqual(twoStop.destination, 'SJU');
+  assert.deepStrictEqual(twoStop.layovers.map(layover => layover.airport), ['DEN', 'MCO']);
+  assert.deepStrictEqual(twoStop.fares, { goWild: 99 });
+  assert.strictEqual(twoStop.cheapestPaidFare, null);
+  assert.strictEqual(twoStop.goWildSavings, null);
+});
+
+test('sold-out: keeps only flights with a bookable GoWild fare', () => {
+  const flights = parseFlights(fixture('sold-out'), { origin: 'ORD', destination: 'CUN' });
+
+  assert.deepStrictEqual(flights.map(flight => flight.flightNumber), ['F9 107']);
+  assert.strictEqual(flights[0].rawFare, 59);
+});
+
+test('round trip: parses each journey separately', () => {
+  const html = fixture('round-trip');
+  const outbound = parseFlights(html, { origin: 'DEN', destination: 'MCO' });
+  const inbound = parseFlights(html, { origin: 'MCO', destination: 'DEN', journeyIndex: 1 });
+
+  assert.deepStrictEqual(outbound.map(flight => flight.flightNumber), ['F9 500']);
+  assert.deepStrictEqual(inbound.map(flight => flight.flightNumber), ['F9 501']);
+  assert.strictEqual(inbound[0].origin, 'MCO');
+  assert.strictEqual(inbound[0].destination, 'DEN');
+});
+
+test('one-way page has no return journey', () => {
+  assert.throws(
+    () => parseFlights(fixture('one-way-nonstop'), { journeyIndex: 1 }),
+    { message: 'NO_FLIGHT_DATA' }
+  );
+});
+
+test('accepts the decoded FlightData object as well as HTML', () => {
+  const flightData = extractFlightData(fixture('one-way-nonstop'));
+
+  assert.ok(Array.isArray(flightData.journeys));
+  assert.deepStrictEqual(parseFlights(flightData), parseFlights(fixture('one-way-nonstop')));
+});
+
+test('malformed payload: no FlightData is extracted', () => {
+  assert.strictEqual(extractFlightData(fixture('malformed')), null);
+  assert.throws(() => parseFlights(fixture('malformed')), { message: 'NO_FLIGHT_DATA' });
+});
+
+test('blocked page: no FlightData is extracted', () => {
+  assert.strictEqual(extractFlightData(fixture('blocked')), null);
+  assert.throws(() => parseFlights(fixture('blocked')), { message: 'NO_FLIGHT_DATA' });
+});
+
+test('unexpected shape: FlightData without journeys is rejected', () => {
+  assert.ok(extractFlightData(fixture('no-journeys')));
+  assert.throws(() => parseFlights(fixture('no-journeys')), { message: 'NO_FLIGHT_DATA' });
+});
+
+test('non-string input is not parsed', () => {
+  assert.strictEqual(extractFlightData(undefined), null);
+  assert.throws(() => parseFlights(null), { message: 'NO_FLIGHT_DATA' });
+});
+
+test('analyze: classifies flights, empty days and unbookable days', () => {
+  assert.strictEqual(analyzeFlightData(fixture('one-way-nonstop')).outcome, PARSE_OUTCOMES.PARSED);
+  assert.strictEqual(analyzeFlightData(fixture('multi-stop')).outcome, PARSE_OUTCOMES.PARSED);
+  assert.strictEqual(analyzeFlightData(fixture('empty-day')).outcome, PARSE_OUTCOMES.EMPTY);
+
+  const soldOut = analyzeFlightData(fixture('sold-out'));
+  assert.strictEqual(soldOut.outcome, PARSE_OUTCOMES.PARSED);
+  assert.deepStrictEqual(soldOut.missingFields, []);
+});
+
+test('analyze: renamed fields are a schema mismatch, not an empty day', () => {
+  const result = analyzeFlightData(fixture('schema-drift'));
+
+  assert.strictEqual(result.outcome, PARSE_OUTCOMES.SCHEMA_MISMATCH);
+  assert.deepStrictEqual(result.flights, []);
+  assert.deepStrictEqual(result.missingFields, ['journeys[].flights[].goWildFare', 'journeys[].flights[].legs']);
+  assert.deepStrictEqual(result.unknownFields, [
+    'journeys[].flights[].bundleOffers',
+    'journeys[].flights[].goWildPrice',
+    'journeys[].flights[].segments'
+  ]);
+});
+
+test('analyze: undecodable or journey-less FlightData is a schema mismatch', () => {
+  const malformed = analyzeFlightData(fixture('malformed'));
+  assert.strictEqual(malformed.outcome, PARSE_OUTCOMES.SCHEMA_MISMATCH);
+  assert.deepStrictEqual(malformed.missingFields, ['FlightData (invalid JSON)']);
+
+  const noJourneys = analyzeFlightData(fixture('no-journeys'));
+  assert.strictEqual(noJourneys.outcome, PARSE_OUTCOMES.SCHEMA_MISMATCH);
+  assert.deepStrictEqual(noJourneys.missingFields, ['journeys']);
+});
+
+test('analyze: a page without FlightData is not a schema question', () => {
+  assert.throws(() => analyzeFlightData(fixture('blocked')), { message: 'NO_FLIGHT_DATA' });
+});
+
+test('analyze: new fields alongside the expected ones are recorded but still parse', () => {
+  const flightData = extractFlightData(fixture('one-way-nonstop'));
+  flightData.journeys[0].flights[0].legs[0].operatingCarrier = 'F9';
+
+  const result = analyzeFlightData(flightData);
+  assert.strictEqual(result.outcome, PARSE_OUTCOMES.PARSED);
+  assert.deepStrictEqual(result.unknownFields, ['journeys[].flights[].legs[].operatingCarrier']);
+  assert.deepStrictEqual(validateFlightData(flightData).missingFields, []);
+});
+
+test('analyze trip: round trip needs both journeys', () => {
+  const roundTrip = analyzeTrip(fixture('round-trip'), { origin: 'DEN', destination: 'MCO', roundTrip: true });
+  assert.strictEqual(roundTrip.outcome, PARSE_OUTCOMES.PARSED);
+  assert.strictEqual(roundTrip.flights.length, 1);
+  assert.strictEqual(roundTrip.returnFlights.length, 1);
+
+  const oneWayPage = analyzeTrip(fixture('one-way-nonstop'), { roundTrip: true });
+  assert.strictEqual(oneWayPage.outcome, PARSE_OUTCOMES.SCHEMA_MISMATCH);
+  assert.deepStrictEqual(oneWayPage.missingFields, ['journeys[1]']);
+});
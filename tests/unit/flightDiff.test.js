@@ -0,0 +1,85 @@
+/**
+ * Flight diff tests
+ * The changes between two scrapes of a route/date that drive flights_changed events
+ */
+
+require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { diffFlights, summarizeChanges } = require('../../backend/services/flightDiff');
+
+const DEPARTURE = '2031-03-10T08:00:00';
+
+function flight(flightNumber, rawFare, departureDate = DEPARTURE) {
+  return { flightNumber, departureDate, rawFare };
+}
+
+const CASES = [
+  {
+    name: 'a flight that is new opened',
+    previous: [],
+    current: [flight('F9 1234', 49)],
+    changes: [{ type: 'appeared', flightNumber: 'F9 1234', departureDate: DEPARTURE, previousFare: null, currentFare: 49 }]
+  },
+  {
+    name: 'a flight that is gone closed',
+    previous: [flight('F9 1234', 49)],
+    current: [],
+    changes: [{ type: 'disappeared', flightNumber: 'F9 1234', departureDate: DEPARTURE, previousFare: 49, currentFare: null }]
+  },
+  {
+    name: 'a higher fare is an increase',
+    previous: [flight('F9 1234', 49)],
+    current: [flight('F9 1234', 69)],
+    changes: [{ type: 'fare_increase', flightNumber: 'F9 1234', departureDate: DEPARTURE, previousFare: 49, currentFare: 69 }]
+  },
+  {
+    name: 'a lower fare is a decrease',
+    previous: [flight('F9 1234', 69)],
+    current: [flight('F9 1234', 49)],
+    changes: [{ type: 'fare_decrease', flightNumber: 'F9 1234', departureDate: DEPARTURE, previousFare: 69, currentFare: 49 }]
+  },
+  {
+    name: 'the same flights at the same fares are no change',
+    previous: [flight('F9 1234', 49), flight('F9 1236', 59)],
+    current: [flight('F9 1236', 59), flight('F9 1234', 49)],
+    changes: []
+  },
+  {
+    name: 'a missing fare on either side is no fare change',
+    previous: [flight('F9 1234', null)],
+    current: [flight('F9 1234', 49)],
+    changes: []
+  },
+  {
+    name: 'the same flight number at another time is another flight',
+    previous: [flight('F9 1234', 49)],
+    current: [flight('F9 1234', 49, '2031-03-10T18:00:00')],
+    changes: [
+      { type: 'appeared', flightNumber: 'F9 1234', departureDate: '2031-03-10T18:00:00', previousFare: null, currentFare: 49 },
+      { type: 'disappeared', flightNumber: 'F9 1234', departureDate: DEPARTURE, previousFare: 49, currentFare: null }
+    ]
+  },
+  {
+    name: 'multi-leg flight numbers are matched joined',
+    previous: [flight('F9 1, F9 2', 89)],
+    current: [flight(['F9 1', 'F9 2'], 99)],
+    changes: [{ type: 'fare_increase', flightNumber: 'F9 1, F9 2', departureDate: DEPARTURE, previousFare: 89, currentFare: 99 }]
+  }
+];
+
+for (const { name, previous, current, changes } of CASES) {
+  test(`diffFlights: ${name}`, () => {
+    assert.deepStrictEqual(diffFlights(previous, current), changes);
+  });
+}
+
+test('summarizeChanges counts every change type, zero included', () => {
+  const changes = diffFlights(
+    [flight('F9 1', 49), flight('F9 2', 59), flight('F9 3', 69)],
+    [flight('F9 1', 39), flight('F9 2', 49), flight('F9 4', 29)]
+  );
+
+  assert.deepStrictEqual(summarizeChanges(changes), { appeared: 1, disappeared: 1, fare_increase: 0, fare_decrease: 2 });
+  assert.deepStrictEqual(summarizeChanges([]), { appeared: 0, disappeared: 0, fare_increase: 0, fare_decrease: 0 });
+});
@@ -0,0 +1,104 @@
+/**
+ * Flight history tests
+ * Recording scrapes and their flights, the timeline per departure date and the changes
+ * stored between successive scrapes (SQLite store in a temporary directory)
+ */
+
+const { makeTempDir, removeTempDir } = require('./helpers');
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { FlightHistory } = require('../../backend/services/flightHistory');
+
+const DATE = '2031-03-10';
+const LATER_DATE = '2031-03-12';
+
+let dir;
+let history;
+
+function createHistory() {
+  dir = makeTempDir();
+  history = new FlightHistory(dir);
+  return history;
+}
+
+afterEach(() => {
+  history.close();
+  removeTempDir(dir);
+});
+
+function flight(flightNumber, rawFare, departureDate = `${DATE}T08:00:00`) {
+  return { flightNumber, departureDate, arrivalDate: `${DATE}T10:00:00`, stops: 'Nonstop', rawFare };
+}
+
+test('the first scrape is recorded with its flights and no changes', () => {
+  createHistory();
+
+  const recorded = history.record('DEN', 'LAS', DATE, [flight('F9 1234', 49), flight('F9 1236', 59)], '2031-03-01T10:00:00.000Z');
+
+  assert.strictEqual(typeof recorded.scrapeId, 'number');
+  assert.strictEqual(recorded.previousObservedAt, null);
+  assert.deepStrictEqual(recorded.changes, []);
+
+  const scrape = history.db.prepare('SELECT flight_count, min_fare FROM flight_scrapes WHERE id = ?').get(recorded.scrapeId);
+  assert.deepStrictEqual({ ...scrape }, { flight_count: 2, min_fare: 49 });
+
+  const observations = history.db.prepare('SELECT flight_number, raw_fare FROM flight_observations WHERE scrape_id = ? ORDER BY flight_number').all(recorded.scrapeId);
+  assert.deepStrictEqual(observations.map(row => [row.flight_number, row.raw_fare]), [['F9 1234', 49], ['F9 1236', 59]]);
+});
+
+test('multi-leg flight numbers are stored joined', () => {
+  createHistory();
+
+  const { scrapeId } = history.record('DEN', 'MIA', DATE, [flight(['F9 1', 'F9 2'], 89)]);
+
+  assert.strictEqual(history.db.prepare('SELECT flight_number FROM flight_observations WHERE scrape_id = ?').get(scrapeId).flight_number, 'F9 1, F9 2');
+});
+
+test('the timeline groups scrapes by departure date, oldest observation first', () => {
+  createHistory();
+
+  history.record('DEN', 'LAS', LATER_DATE, [flight('F9 1500', 79, `${LATER_DATE}T09:00:00`)], '2031-03-01T09:00:00.000Z');
+  history.record('DEN', 'LAS', DATE, [flight('F9 1234', 49)], '2031-03-01T10:00:00.000Z');
+  history.record('DEN', 'LAS', DATE, [], '2031-03-01T12:00:00.000Z');
+  history.record('DEN', 'MCO', DATE, [flight('F9 2000', 39)], '2031-03-01T11:00:00.000Z');
+
+  const timeline = history.getTimeline('DEN', 'LAS');
+
+  assert.deepStrictEqual(timeline.map(day => day.date), [DATE, LATER_DATE]);
+  assert.deepStrictEqual(timeline[0].observations.map(obs => [obs.observedAt, obs.flightCount, obs.minFare]), [
+    ['2031-03-01T10:00:00.000Z', 1, 49],
+    ['2031-03-01T12:00:00.000Z', 0, null]
+  ]);
+  assert.deepStrictEqual(timeline[0].observations[0].flights.map(f => [f.flightNumber, f.rawFare, f.stops]), [['F9 1234', 49, 'Nonstop']]);
+
+  assert.deepStrictEqual(history.getTimeline('DEN', 'LAS', { dateFrom: LATER_DATE }).map(day => day.date), [LATER_DATE]);
+  assert.deepStrictEqual(history.getTimeline('DEN', 'LAS', { limit: 1 })[0].observations.map(obs => obs.observedAt), ['2031-03-01T12:00:00.000Z']);
+  assert.deepStrictEqual(history.getTimeline('DEN', 'SFO'), []);
+});
+
+test('a second scrape stores the changes against the previous one', () => {
+  createHistory();
+
+  history.record('DEN', 'LAS', DATE, [flight('F9 1234', 49), flight('F9 1236', 59)], '2031-03-01T10:00:00.000Z');
+  const recorded = history.record('DEN', 'LAS', DATE, [flight('F9 1234', 69), flight('F9 1300', 39)], '2031-03-01T12:00:00.000Z');
+
+  assert.strictEqual(recorded.previousObservedAt, '2031-03-01T10:00:00.000Z');
+  assert.deepStrictEqual(recorded.changes.map(change => [change.type, change.flightNumber]), [
+    ['fare_increase', 'F9 1234'],
+    ['appeared', 'F9 1300'],
+    ['disappeared', 'F9 1236']
+  ]);
+
+  const changes = history.getChanges('DEN', 'LAS');
+  assert.strictEqual(changes.length, 3);
+  assert.ok(changes.every(change => change.detectedAt === '2031-03-01T12:00:00.000Z' && change.previousObservedAt === '2031-03-01T10:00:00.000Z'));
+  assert.deepStrictEqual(history.getChanges('DEN', 'LAS', { type: 'fare_increase' }).map(change => [change.previousFare, change.currentFare]), [[49, 69]]);
+});
+
+test('history that cannot be opened never throws', () => {
+  createHistory();
+  history.unavailable = true;
+
+  assert.strictEqual(history.record('DEN', 'LAS', DATE, [flight('F9 1234', 49)]), null);
+  assert.deepStrictEqual(history.getTimeline('DEN', 'LAS'), []);
+});
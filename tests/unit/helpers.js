@@ -0,0 +1,45 @@
+/**
+ * Unit test helpers
+ * Require this before any backend module: it keeps the logger to errors only so
+ * test output stays readable (LOG_LEVEL is read when the logger loads), and takes
+ * the backoff out of scrape retries so failing fake adapters don't sleep
+ */
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.SCRAPER_RETRY_POLICY = process.env.SCRAPER_RETRY_POLICY ||
+  'blocked:2:0ms,timeout:3:0ms,network:3:0ms,no_data:2:0ms,capacity:2:0ms,internal:2:0ms';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+/**
+ * Fresh temporary directory, removed again by removeTempDir
+ */
+function makeTempDir(prefix = 'frontier-test-') {
+  return fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+}
+
+function removeTempDir(dir) {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+/**
+ * Express app with a single router mounted the way server.js mounts it
+ */
+function createApp(mountPath, router) {
+  const app = express();
+  app.use(express.json());
+  app.use(mountPath, router);
+  return app;
+}
+
+/**
+ * YYYY-MM-DD the given number of days from now (UTC)
+ */
+function daysFromNow(days) {
+  return new Date(Date.now() + days * 86400000).toISOString().split('T')[0];
+}
+
+module.exports = { makeTempDir, removeTempDir, createApp, daysFromNow };
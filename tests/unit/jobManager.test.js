@@ -0,0 +1,416 @@
+/**
+ * Job manager tests
+ * Job lifecycle, pause/resume/cancel, persisted results, restart handling, resuming from a
+ * checkpoint and pruning - each test works in its own temporary jobs directory
+ */
+
+const { makeTempDir, removeTempDir } = require('./helpers');
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { JobManager, JOB_STATUS } = require('../../backend/services/jobManager');
+
+let dir;
+
+afterEach(() => {
+  removeTempDir(dir);
+});
+
+function createManager(maxStoredJobs) {
+  dir = makeTempDir();
+  return new JobManager(dir, maxStoredJobs);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * A promise the test resolves with open()
+ */
+function gate() {
+  let open;
+  const promise = new Promise(resolve => { open = resolve; });
+  return { promise, open };
+}
+
+/**
+ * Resolve once the job has finished (neither running nor paused)
+ */
+async function waitForJob(manager, id) {
+  for (let i = 0; i < 100; i++) {
+    const job = await manager.get(id);
+    if (job.status !== JOB_STATUS.RUNNING && job.status !== JOB_STATUS.PAUSED) {
+      await manager.writes;
+      return job;
+    }
+    await sleep(5);
+  }
+  throw new Error(`Job ${id} did not finish`);
+}
+
+function route(destination, success = true) {
+  return {
+    origin: 'DEN',
+    destination,
+    date: '2030-01-15',
+    success,
+    cached: false,
+    flights: success ? [{ flightNumber: 'F9 1' }] : [],
+    error: success ? undefined : 'Timed out'
+  };
+}
+
+test('start returns a running job and the executor result becomes its summary', async () => {
+  const manager = createManager();
+  const release = gate();
+
+  const job = await manager.start('bulk', { routes: [] }, { label: '2 routes', total: 2 }, async ({ recordResult }) => {
+    await release.promise;
+    recordResult(route('LAS'));
+    recordResult(route('MCO', false));
+    return { successful: 1 };
+  });
+
+  assert.strictEqual(job.status, JOB_STATUS.RUNNING);
+  assert.strictEqual(job.label, '2 routes');
+  assert.strictEqual((await manager.get(job.id)).progress.total, 2);
+
+  release.open();
+  const finished = await waitForJob(manager, job.id);
+
+  assert.strictEqual(finished.status, JOB_STATUS.COMPLETED);
+  assert.deepStrictEqual(finished.summary, { successful: 1 });
+  assert.deepStrictEqual(finished.progress, { total: 2, processed: 2, succeeded: 1, failed: 1, cached: 0 });
+  assert.ok(finished.finishedAt);
+});
+
+test('a throwing executor fails the job with its error', async () => {
+  const manager = createManager();
+
+  const job = await manager.start('bulk_all', { date: '2030-01-15' }, { total: 0 }, async () => {
+    throw new Error('No routes available');
+  });
+  const finished = await waitForJob(manager, job.id);
+
+  assert.strictEqual(finished.status, JOB_STATUS.FAILED);
+  assert.strictEqual(finished.error, 'No routes available');
+});
+
+test('results are stored in completion order and can be filtered by success', async () => {
+  const manager = createManager();
+
+  const job = await manager.start('bulk_by_origin', { origin: 'DEN' }, { total: 3 }, async ({ recordResult }) => {
+    recordResult(route('LAS'));
+    recordResult(route('MCO', false));
+    recordResult({ ...route('ATL'), cached: true });
+  });
+  await waitForJob(manager, job.id);
+
+  const results = await manager.getResults(job.id);
+  assert.deepStrictEqual(results.map(result => result.destination), ['LAS', 'MCO', 'ATL']);
+  assert.deepStrictEqual(results.map(result => result.index), [1, 2, 3]);
+  assert.strictEqual(results[0].flightCount, 1);
+  assert.strictEqual(results[1].error, 'Timed out');
+  assert.strictEqual(results[2].cached, true);
+
+  const failed = await manager.getResults(job.id, { success: false });
+  assert.deepStrictEqual(failed.map(result => result.destination), ['MCO']);
+
+  assert.deepStrictEqual(await manager.getResults('missing'), []);
+});
+
+test('a page of results is read only as far as it goes', async (t) => {
+  const manager = createManager();
+  const destinations = ['LAS', 'MCO', 'ATL', 'PHX', 'SFO', 'ORD'];
+
+  const job = await manager.start('bulk', {}, { total: destinations.length }, async ({ recordResult }) => {
+    destinations.forEach((destination, i) => recordResult(route(destination, i !== 1)));
+  });
+  await waitForJob(manager, job.id);
+  fs.appendFileSync(manager.resultsFile(job.id), '{"index":7,"origin":"DEN","destination":"MIA","date":"2030-01-15","success":true,"cached":false,"flig');
+
+  const parse = t.mock.method(JSON, 'parse');
+  const page = await manager.getResultsPage(job.id, { offset: 2, limit: 2 });
+
+  assert.deepStrictEqual(page.results.map(result => result.destination), ['ATL', 'PHX']);
+  assert.strictEqual(page.total, 6);
+  assert.strictEqual(parse.mock.calls.filter(call => String(call.arguments[0]).startsWith('{"index"')).length, 2);
+
+  const succeeded = await manager.getResultsPage(job.id, { success: true, offset: 4, limit: 10 });
+  assert.deepStrictEqual(succeeded.results.map(result => result.destination), ['ORD']);
+  assert.strictEqual(succeeded.total, 5);
+  assert.deepStrictEqual((await manager.getResultsPage(job.id, { success: false })).results.map(result => result.destination), ['MCO']);
+});
+
+test('jobs and results are reloaded from disk, running ones as interrupted', async () => {
+  const manager = createManager();
+  const release = gate();
+
+  const done = await manager.start('bulk', {}, { total: 1 }, async ({ recordResult }) => {
+    recordResult(route('LAS'));
+  });
+  await waitForJob(manager, done.id);
+
+  const running = await manager.start('bulk', {}, { total: 2 }, async ({ recordResult }) => {
+    recordResult(route('MCO'));
+    await release.promise;
+  });
+  await manager.writes;
+
+  // A second manager on the same directory stands in for a restarted server
+  const restarted = new JobManager(dir);
+
+  assert.strictEqual((await restarted.get(done.id)).status, JOB_STATUS.COMPLETED);
+  const interrupted = await restarted.get(running.id);
+  assert.strictEqual(interrupted.status, JOB_STATUS.INTERRUPTED);
+  assert.strictEqual(interrupted.progress.processed, 1);
+  assert.strictEqual((await restarted.getResults(running.id)).length, 1);
+
+  release.open();
+  await waitForJob(manager, running.id);
+});
+
+test('an interrupted job restarts with its params and only the routes without a successful result', async () => {
+  const manager = createManager();
+  const release = gate();
+  const routes = ['LAS', 'MCO', 'ATL'].map(destination => ({ origin: 'DEN', destination, date: '2030-01-15' }));
+
+  const running = await manager.start('bulk_by_origin', { origin: 'DEN', date: '2030-01-15', useCache: false }, { routes }, async ({ recordResult }) => {
+    recordResult(route('LAS'));
+    await release.promise;
+  });
+  await manager.writes;
+
+  assert.ok(running.checkpointed);
+  assert.strictEqual(running.progress.total, 3);
+  assert.ok(!fs.readdirSync(dir).some(file => file.endsWith('.tmp')));
+
+  const restarted = new JobManager(dir);
+  let handle;
+  const result = await restarted.restart(running.id, async (current) => {
+    handle = current;
+    current.routes.forEach(pending => current.recordResult(route(pending.destination)));
+    return { successful: current.routes.length };
+  });
+
+  assert.ok(result.job.resumedAt);
+  const finished = await waitForJob(restarted, running.id);
+
+  assert.deepStrictEqual(handle.routes.map(pending => pending.destination), ['MCO', 'ATL']);
+  assert.deepStrictEqual(handle.job.params, { origin: 'DEN', date: '2030-01-15', useCache: false });
+  assert.strictEqual(finished.status, JOB_STATUS.COMPLETED);
+  assert.deepStrictEqual(finished.progress, { total: 3, processed: 3, succeeded: 3, failed: 0, cached: 0 });
+  assert.deepStrictEqual((await restarted.getResults(running.id)).map(entry => entry.destination), ['LAS', 'MCO', 'ATL']);
+
+  assert.match((await restarted.restart(running.id, async () => {})).error, /Cannot restart a job that is completed/);
+
+  release.open();
+  await waitForJob(manager, running.id);
+});
+
+test('a restarted job runs its failed routes again and counts them once', async () => {
+  const manager = createManager();
+  const release = gate();
+  const routes = ['LAS', 'MCO', 'ATL'].map(destination => ({ origin: 'DEN', destination, date: '2030-01-15' }));
+
+  const running = await manager.start('bulk', {}, { routes }, async ({ recordResult }) => {
+    recordResult(route('LAS', false));
+    recordResult(route('MCO'));
+    await release.promise;
+  });
+  await manager.writes;
+
+  const restarted = new JobManager(dir);
+  let pending;
+  await restarted.restart(running.id, async (current) => {
+    pending = current.routes.map(entry => entry.destination);
+    current.routes.forEach(entry => current.recordResult(route(entry.destination)));
+  });
+  const finished = await waitForJob(restarted, running.id);
+
+  assert.deepStrictEqual(pending, ['LAS', 'ATL']);
+  assert.deepStrictEqual(finished.progress, { total: 3, processed: 3, succeeded: 3, failed: 0, cached: 0 });
+  const results = await restarted.getResults(running.id);
+  assert.deepStrictEqual(results.map(entry => [entry.index, entry.destination, entry.success]), [
+    [1, 'MCO', true],
+    [2, 'LAS', true],
+    [3, 'ATL', true]
+  ]);
+  assert.ok(!fs.readdirSync(dir).some(file => file.endsWith('.tmp')));
+
+  release.open();
+  await waitForJob(manager, running.id);
+});
+
+test('restart completes a job with nothing left and rejects jobs without a route list', async () => {
+  const manager = createManager();
+  const release = gate();
+
+  const allDone = await manager.start('bulk', {}, { routes: [{ origin: 'DEN', destination: 'LAS', date: '2030-01-15' }] }, async ({ recordResult }) => {
+    recordResult(route('LAS'));
+    await release.promise;
+  });
+  const unchecked = await manager.start('bulk', {}, { total: 1 }, async () => {
+    await release.promise;
+  });
+  await manager.writes;
+
+  const restarted = new JobManager(dir);
+  let ran = false;
+
+  await restarted.restart(allDone.id, async () => { ran = true; });
+  const finished = await waitForJob(restarted, allDone.id);
+  assert.strictEqual(finished.status, JOB_STATUS.COMPLETED);
+  assert.strictEqual(ran, false);
+
+  assert.match((await restarted.restart(unchecked.id, async () => {})).error, /no saved route list/);
+  assert.strictEqual(await restarted.restart('missing', async () => {}), null);
+
+  release.open();
+  await waitForJob(manager, allDone.id);
+  await waitForJob(manager, unchecked.id);
+});
+
+test('cancelling an interrupted job declines its restart', async () => {
+  const manager = createManager();
+  const release = gate();
+
+  const running = await manager.start('bulk', {}, { routes: [{ origin: 'DEN', destination: 'LAS', date: '2030-01-15' }] }, async () => {
+    await release.promise;
+  });
+  await manager.writes;
+
+  const restarted = new JobManager(dir);
+  const { job } = await restarted.cancel(running.id);
+
+  assert.strictEqual(job.status, JOB_STATUS.CANCELLED);
+  assert.ok(job.finishedAt);
+  assert.match((await restarted.restart(running.id, async () => {})).error, /Cannot restart a job that is cancelled/);
+  await restarted.writes;
+
+  release.open();
+  await waitForJob(manager, running.id);
+});
+
+test('checkpoint waits while paused and resolves false once cancelled', async () => {
+  const manager = createManager();
+  const checks = [];
+  const steps = [gate(), gate(), gate()];
+
+  const job = await manager.start('bulk', {}, { total: 3 }, async ({ recordResult, checkpoint }) => {
+    for (const [i, destination] of ['LAS', 'MCO', 'ATL'].entries()) {
+      await steps[i].promise;
+      const canContinue = await checkpoint();
+      checks.push(canContinue);
+      if (!canContinue) {
+        return { stopped: true };
+      }
+      recordResult(route(destination));
+    }
+  });
+
+  assert.strictEqual((await manager.pause(job.id)).job.status, JOB_STATUS.PAUSED);
+  assert.match((await manager.pause(job.id)).error, /Cannot pause a job that is paused/);
+
+  // The executor reaches its first checkpoint and waits there
+  steps[0].open();
+  await sleep(20);
+  assert.deepStrictEqual(checks, []);
+
+  assert.strictEqual((await manager.resume(job.id)).job.status, JOB_STATUS.RUNNING);
+  await sleep(20);
+  assert.deepStrictEqual(checks, [true]);
+
+  await manager.cancel(job.id);
+  assert.match((await manager.resume(job.id)).error, /Cannot resume a job that is being cancelled/);
+
+  steps[1].open();
+  const finished = await waitForJob(manager, job.id);
+
+  assert.strictEqual(finished.status, JOB_STATUS.CANCELLED);
+  assert.ok(finished.cancelRequestedAt);
+  assert.deepStrictEqual(finished.summary, { stopped: true });
+  assert.deepStrictEqual(checks, [true, false]);
+  assert.deepStrictEqual((await manager.getResults(job.id)).map(result => result.destination), ['LAS']);
+});
+
+test('cancelling a paused job wakes its executor', async () => {
+  const manager = createManager();
+  const reached = gate();
+
+  const job = await manager.start('bulk', {}, { total: 1 }, async ({ job: current, checkpoint }) => {
+    await manager.pause(current.id);
+    const waiting = checkpoint();
+    reached.open();
+    return { canContinue: await waiting };
+  });
+
+  await reached.promise;
+  assert.strictEqual((await manager.get(job.id)).status, JOB_STATUS.PAUSED);
+
+  await manager.cancel(job.id);
+  const finished = await waitForJob(manager, job.id);
+
+  assert.strictEqual(finished.status, JOB_STATUS.CANCELLED);
+  assert.deepStrictEqual(finished.summary, { canContinue: false });
+});
+
+test('pause, resume and cancel reject unknown and finished jobs', async () => {
+  const manager = createManager();
+
+  assert.strictEqual(await manager.pause('missing'), null);
+  assert.strictEqual(await manager.cancel('missing'), null);
+
+  const job = await manager.start('bulk', {}, { total: 0 }, async () => {});
+  await waitForJob(manager, job.id);
+
+  assert.match((await manager.pause(job.id)).error, /Cannot pause a job that is completed/);
+  assert.match((await manager.resume(job.id)).error, /Cannot resume a job that is completed/);
+  assert.match((await manager.cancel(job.id)).error, /Cannot cancel a job that is completed/);
+});
+
+test('list returns jobs newest first and filters by status and type', async () => {
+  const manager = createManager();
+
+  const first = await manager.start('bulk', {}, { total: 0 }, async () => {});
+  await waitForJob(manager, first.id);
+  const second = await manager.start('bulk_all', {}, { total: 0 }, async () => {
+    throw new Error('boom');
+  });
+  await waitForJob(manager, second.id);
+
+  // Same millisecond is possible - make the order explicit
+  (await manager.get(first.id)).createdAt = '2030-01-01T00:00:00.000Z';
+  (await manager.get(second.id)).createdAt = '2030-01-02T00:00:00.000Z';
+
+  assert.deepStrictEqual((await manager.list()).map(job => job.id), [second.id, first.id]);
+  assert.deepStrictEqual((await manager.list({ status: 'failed' })).map(job => job.id), [second.id]);
+  assert.deepStrictEqual((await manager.list({ type: 'bulk' })).map(job => job.id), [first.id]);
+});
+
+test('only the newest finished jobs are kept', async () => {
+  const manager = createManager(2);
+  const ids = [];
+
+  for (let i = 0; i < 3; i++) {
+    const job = await manager.start('bulk', {}, { routes: [{ origin: 'DEN', destination: 'LAS', date: '2030-01-15' }] }, async ({ recordResult }) => {
+      recordResult(route('LAS'));
+    });
+    await waitForJob(manager, job.id);
+    job.createdAt = `2030-01-0${i + 1}T00:00:00.000Z`;
+    ids.push(job.id);
+  }
+
+  // Pruning runs when the next job starts
+  const latest = await manager.start('bulk', {}, { total: 0 }, async () => {});
+  await waitForJob(manager, latest.id);
+
+  assert.strictEqual(await manager.get(ids[0]), null);
+  assert.ok(!fs.existsSync(path.join(dir, `${ids[0]}.json`)));
+  assert.ok(!fs.existsSync(path.join(dir, `${ids[0]}.results.jsonl`)));
+  assert.ok(!fs.existsSync(path.join(dir, `${ids[0]}.routes.json`)));
+  assert.ok(await manager.get(ids[1]));
+  assert.ok(await manager.get(ids[2]));
+});
@@ -0,0 +1,136 @@
+/**
+ * Notifier tests
+ * Webhook deliveries against a local HTTP stand-in: HMAC signature, retries on 5xx,
+ * no retry on 4xx and the persisted delivery log (each test in its own temporary directory)
+ */
+
+const { makeTempDir, removeTempDir } = require('./helpers');
+process.env.NOTIFY_RETRY_BASE_MS = '1'; // Read when the notifier loads
+
+const { test, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const crypto = require('crypto');
+const { Notifier } = require('../../backend/services/notifier');
+
+const EVENT = { type: 'watch_alert', name: 'Denver weekends', flights: [] };
+
+let server;
+let url;
+let requests; // { headers, body } per request received
+let statuses; // status codes to answer with, in order - 200 once they run out
+let dir;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      res.writeHead(statuses.shift() || 200);
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  url = `http://127.0.0.1:${server.address().port}/hook`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  requests = [];
+  statuses = [];
+  dir = makeTempDir();
+});
+
+afterEach(() => {
+  removeTempDir(dir);
+});
+
+async function createWebhook(notifier, config = {}, maxRetries = 3) {
+  const { channel, error } = await notifier.create({ type: 'webhook', name: 'Test hook', maxRetries, config: { url, ...config } });
+  assert.strictEqual(error, undefined);
+  return notifier.channels.find(c => c.id === channel.id);
+}
+
+test('webhook deliveries are signed with the channel secret', async () => {
+  const notifier = new Notifier(dir);
+  const channel = await createWebhook(notifier, { secret: 's3cret' });
+
+  const delivery = await notifier.deliver(channel, EVENT);
+
+  assert.strictEqual(delivery.status, 'delivered');
+  assert.strictEqual(requests.length, 1);
+  const { headers, body } = requests[0];
+  const expected = crypto.createHmac('sha256', 's3cret').update(`${headers['x-frontier-timestamp']}.${body}`).digest('hex');
+  assert.strictEqual(headers['x-frontier-signature'], `sha256=${expected}`);
+  assert.strictEqual(headers['x-frontier-event'], 'watch_alert');
+  assert.strictEqual(headers['x-frontier-delivery'], delivery.id);
+  assert.strictEqual(JSON.parse(body).data.name, 'Denver weekends');
+});
+
+test('without a secret no signature is sent', async () => {
+  const notifier = new Notifier(dir);
+  const channel = await createWebhook(notifier);
+
+  await notifier.deliver(channel, EVENT);
+
+  assert.strictEqual(requests[0].headers['x-frontier-signature'], undefined);
+});
+
+test('5xx responses are retried with the same delivery id', async () => {
+  const notifier = new Notifier(dir);
+  const channel = await createWebhook(notifier);
+  statuses = [500, 503];
+
+  const delivery = await notifier.deliver(channel, EVENT);
+
+  assert.deepStrictEqual([delivery.status, delivery.attempts, delivery.error], ['delivered', 3, null]);
+  assert.strictEqual(requests.length, 3);
+  assert.ok(requests.every(request => request.headers['x-frontier-delivery'] === delivery.id));
+});
+
+test('retries stop at maxRetries', async () => {
+  const notifier = new Notifier(dir);
+  const channel = await createWebhook(notifier, {}, 1);
+  statuses = [500, 500, 500];
+
+  const delivery = await notifier.deliver(channel, EVENT);
+
+  assert.deepStrictEqual([delivery.status, delivery.attempts, delivery.error], ['failed', 2, 'HTTP 500']);
+  assert.strictEqual(requests.length, 2);
+});
+
+test('4xx responses are not retried, except 408 and 429', async () => {
+  const notifier = new Notifier(dir);
+  const channel = await createWebhook(notifier);
+  statuses = [404];
+
+  const rejected = await notifier.deliver(channel, EVENT);
+  assert.deepStrictEqual([rejected.status, rejected.attempts, rejected.error], ['failed', 1, 'HTTP 404']);
+  assert.strictEqual(requests.length, 1);
+
+  statuses = [429];
+  const limited = await notifier.deliver(channel, EVENT);
+  assert.deepStrictEqual([limited.status, limited.attempts], ['delivered', 2]);
+});
+
+test('the delivery log keeps the latest deliveries first and survives a restart', async () => {
+  const notifier = new Notifier(dir);
+  const channel = await createWebhook(notifier);
+
+  statuses = [400];
+  const failed = await notifier.deliver(channel, EVENT);
+  const delivered = await notifier.deliver(channel, { type: 'test', message: 'hello' });
+
+  const log = await notifier.getDeliveries(channel.id);
+  assert.deepStrictEqual(log.map(entry => [entry.id, entry.event, entry.status]), [
+    [delivered.id, 'test', 'delivered'],
+    [failed.id, 'watch_alert', 'failed']
+  ]);
+  assert.strictEqual(log[1].title, 'Watch alert: Denver weekends');
+  assert.strictEqual((await notifier.get(channel.id)).lastDelivery.id, delivered.id);
+
+  const restarted = new Notifier(dir);
+  assert.deepStrictEqual(await restarted.getDeliveries(channel.id), log);
+});
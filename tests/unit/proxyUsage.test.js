@@ -0,0 +1,126 @@
+/**
+ * Proxy usage tests
+ * PerimeterX cooldown escalation and per-minute rate limiting, on an injected clock
+ */
+
+require('./helpers');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { ProxyUsage } = require('../../backend/services/decodoProxyManager');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+let now;
+let proxy;
+
+function advance(ms) {
+  now += ms;
+}
+
+beforeEach(() => {
+  now = Date.parse('2031-03-10T12:00:00Z');
+  proxy = new ProxyUsage('proxy-1', 'gate.example.com', 10001, null, null, () => now);
+});
+
+test('first block is a warning only', () => {
+  proxy.recordPerimeterXBlock();
+
+  assert.strictEqual(proxy.cooldownLevel, 0);
+  assert.strictEqual(proxy.cooldownUntil, null);
+  assert.strictEqual(proxy.canUse(), true);
+});
+
+test('repeated blocks within 20 minutes escalate 20m -> 2h -> 24h -> blacklist', () => {
+  const expected = [
+    { level: 1, cooldown: 20 * MINUTE },
+    { level: 2, cooldown: 2 * HOUR },
+    { level: 3, cooldown: 24 * HOUR }
+  ];
+
+  proxy.recordPerimeterXBlock();
+  for (const { level, cooldown } of expected) {
+    advance(MINUTE);
+    proxy.recordPerimeterXBlock();
+
+    assert.strictEqual(proxy.cooldownLevel, level);
+    assert.strictEqual(proxy.cooldownUntil, now + cooldown);
+    assert.strictEqual(proxy.blacklisted, false);
+  }
+
+  advance(MINUTE);
+  proxy.recordPerimeterXBlock();
+  assert.strictEqual(proxy.cooldownLevel, 4);
+  assert.strictEqual(proxy.blacklisted, true);
+  assert.strictEqual(proxy.canUse(), false);
+  assert.strictEqual(proxy.getCooldownStatus().status, 'blacklisted');
+});
+
+test('the proxy is unusable during its cooldown and usable after it', () => {
+  proxy.recordPerimeterXBlock();
+  advance(MINUTE);
+  proxy.recordPerimeterXBlock();
+
+  assert.strictEqual(proxy.canUse(), false);
+  assert.strictEqual(proxy.getCooldownStatus().status, 'cooldown');
+
+  advance(20 * MINUTE - 1);
+  assert.strictEqual(proxy.canUse(), false);
+
+  advance(1);
+  assert.strictEqual(proxy.canUse(), true);
+  assert.strictEqual(proxy.getCooldownStatus().status, 'active');
+});
+
+test('blocks older than 20 minutes no longer count', () => {
+  proxy.recordPerimeterXBlock();
+  advance(21 * MINUTE);
+  proxy.recordPerimeterXBlock();
+
+  assert.strictEqual(proxy.perimeterXBlocks.length, 1);
+  assert.strictEqual(proxy.cooldownLevel, 0);
+  assert.strictEqual(proxy.canUse(), true);
+
+  advance(10 * MINUTE);
+  proxy.recordPerimeterXBlock();
+  assert.strictEqual(proxy.cooldownLevel, 1);
+});
+
+test('a success clears the block history and cooldown', () => {
+  proxy.recordPerimeterXBlock();
+  advance(MINUTE);
+  proxy.recordPerimeterXBlock();
+  advance(20 * MINUTE);
+
+  proxy.recordSuccess();
+  assert.strictEqual(proxy.perimeterXBlocks.length, 0);
+  assert.strictEqual(proxy.cooldownLevel, 0);
+  assert.strictEqual(proxy.cooldownUntil, null);
+
+  // Escalation starts over
+  proxy.recordPerimeterXBlock();
+  assert.strictEqual(proxy.cooldownLevel, 0);
+});
+
+test('a success does not lift a blacklist', () => {
+  for (let i = 0; i < 5; i++) {
+    proxy.recordPerimeterXBlock();
+    advance(MINUTE);
+  }
+
+  proxy.recordSuccess();
+  assert.strictEqual(proxy.blacklisted, true);
+  assert.strictEqual(proxy.canUse(), false);
+});
+
+test('uses are rate limited per rolling minute', () => {
+  proxy.markUsed();
+  advance(10 * 1000);
+  proxy.markUsed();
+
+  assert.strictEqual(proxy.canUse(2), false);
+  assert.strictEqual(proxy.canUse(3), true);
+
+  advance(50 * 1000 + 1);
+  assert.strictEqual(proxy.canUse(2), true);
+});
@@ -0,0 +1,122 @@
+/**
+ * Request budget tests
+ * Per-host token buckets, host overrides and the bulk hours window, on an injected clock
+ */
+
+require('./helpers');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { RequestBudget, parseHostLimits, parseBulkHours } = require('../../backend/services/requestBudget');
+
+const BOOKING_URL = 'https://booking.flyfrontier.com/Flight/InternalSelect?o1=DEN&d1=LAS';
+const SITEMAP_URL = 'https://flights.flyfrontier.com/en/sitemap/city-to-city-flights/page-1';
+
+let now;
+
+function advance(ms) {
+  now += ms;
+}
+
+function createBudget(options = {}) {
+  return new RequestBudget({ perMinute: 6, burst: 2, hostLimits: '', bulkHours: '', now: () => now, ...options });
+}
+
+beforeEach(() => {
+  // Local time, so the bulk hours checks don't depend on the machine's timezone
+  now = new Date(2031, 2, 10, 12, 0, 0).getTime();
+});
+
+test('a full bucket lets a burst through, then callers wait their turn', () => {
+  const budget = createBudget();
+
+  assert.strictEqual(budget.reserve(BOOKING_URL), 0);
+  assert.strictEqual(budget.reserve(BOOKING_URL), 0);
+
+  // 6 per minute = one token every 10 seconds, handed out in order
+  assert.strictEqual(budget.reserve(BOOKING_URL), 10000);
+  assert.strictEqual(budget.reserve(BOOKING_URL), 20000);
+
+  const [host] = budget.getStats().hosts;
+  assert.strictEqual(host.host, 'booking.flyfrontier.com');
+  assert.strictEqual(host.remaining, 0);
+  assert.strictEqual(host.requests, 4);
+  assert.strictEqual(host.throttled, 2);
+});
+
+test('the bucket refills over time, up to the burst size', () => {
+  const budget = createBudget();
+
+  budget.reserve(BOOKING_URL);
+  budget.reserve(BOOKING_URL);
+  advance(10000);
+  assert.strictEqual(budget.reserve(BOOKING_URL), 0);
+
+  advance(10 * 60 * 1000);
+  assert.strictEqual(budget.getStats().hosts[0].remaining, 2);
+});
+
+test('each host has its own bucket and limit', () => {
+  const budget = createBudget({ hostLimits: 'flights.flyfrontier.com:2' });
+
+  budget.reserve(BOOKING_URL);
+  budget.reserve(BOOKING_URL);
+  assert.strictEqual(budget.reserve(SITEMAP_URL), 0);
+  assert.strictEqual(budget.reserve(SITEMAP_URL), 0);
+  assert.strictEqual(budget.reserve(SITEMAP_URL), 30000);
+
+  const hosts = budget.getStats().hosts;
+  assert.deepStrictEqual(hosts.map(host => [host.host, host.requestsPerMinute]), [
+    ['booking.flyfrontier.com', 6],
+    ['flights.flyfrontier.com', 2]
+  ]);
+});
+
+test('acquire resolves at once while the bucket has tokens', async () => {
+  const budget = createBudget();
+  assert.strictEqual(await budget.acquire(BOOKING_URL), 0);
+});
+
+test('host limits and bulk hours are validated', () => {
+  assert.deepStrictEqual(Array.from(parseHostLimits('Flights.FlyFrontier.com:2, localhost:4030:60')), [
+    ['flights.flyfrontier.com', 2],
+    ['localhost:4030', 60]
+  ]);
+  assert.throws(() => parseHostLimits('booking.flyfrontier.com'), /Invalid host limit/);
+  assert.throws(() => parseHostLimits('booking.flyfrontier.com:0'), /Invalid host limit/);
+
+  assert.deepStrictEqual(parseBulkHours('1:00-6:30'), { window: '01:00-06:30', start: 60, end: 390 });
+  assert.strictEqual(parseBulkHours(''), null);
+  assert.throws(() => parseBulkHours('25:00-06:00'), /Invalid bulk hours/);
+  assert.throws(() => parseBulkHours('02:00-02:00'), /same/);
+
+  // An invalid setting is ignored rather than stopping the server
+  assert.strictEqual(createBudget({ bulkHours: 'nights' }).bulkHours, null);
+});
+
+test('the bulk window is always open without BULK_HOURS', () => {
+  const budget = createBudget();
+
+  assert.strictEqual(budget.isBulkWindowOpen(), true);
+  assert.deepStrictEqual(budget.getStats().bulkHours, { window: null, open: true, opensAt: null });
+});
+
+test('bulk hours can wrap past midnight', () => {
+  const budget = createBudget({ bulkHours: '22:00-06:00' });
+
+  assert.strictEqual(budget.isBulkWindowOpen(), false);
+  assert.strictEqual(budget.getStats().bulkHours.opensAt, new Date(2031, 2, 10, 22, 0, 0).toISOString());
+
+  now = new Date(2031, 2, 10, 23, 30).getTime();
+  assert.strictEqual(budget.isBulkWindowOpen(), true);
+  now = new Date(2031, 2, 11, 5, 59).getTime();
+  assert.strictEqual(budget.isBulkWindowOpen(), true);
+  now = new Date(2031, 2, 11, 6, 0).getTime();
+  assert.strictEqual(budget.isBulkWindowOpen(), false);
+});
+
+test('a window that already passed today opens tomorrow', () => {
+  const budget = createBudget({ bulkHours: '01:00-06:00' });
+
+  assert.strictEqual(budget.isBulkWindowOpen(), false);
+  assert.strictEqual(budget.nextBulkWindowStart().getTime(), new Date(2031, 2, 11, 1, 0, 0).getTime());
+});
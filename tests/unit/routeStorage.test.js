@@ -0,0 +1,100 @@
+/**
+ * Route storage tests
+ * Route map building and lookups, persisted to a temporary routes file
+ */
+
+const { makeTempDir, removeTempDir } = require('./helpers');
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { RouteStorage } = require('../../backend/services/routeStorage');
+
+const ROUTES = [
+  { origin: 'DEN', destination: 'LAS', originCity: 'denver', destinationCity: 'las vegas' },
+  { origin: 'DEN', destination: 'MCO' },
+  { origin: 'DEN', destination: 'ATL' },
+  { origin: 'MCO', destination: 'DEN' },
+  { origin: 'ORD', destination: 'MCO' },
+  { origin: 'DEN', destination: 'LAS' } // duplicate
+];
+
+let dir;
+let routesFile;
+
+beforeEach(() => {
+  dir = makeTempDir();
+  routesFile = path.join(dir, 'nested', 'routes.json');
+});
+
+afterEach(() => {
+  removeTempDir(dir);
+});
+
+async function createStorage() {
+  const storage = new RouteStorage(routesFile);
+  await storage.ready;
+  return storage;
+}
+
+test('starts empty when there is no routes file', async () => {
+  const storage = await createStorage();
+
+  assert.deepStrictEqual(storage.getRoutes(), []);
+  assert.deepStrictEqual(storage.getOrigins(), []);
+  assert.deepStrictEqual(storage.getDestinations('DEN'), []);
+  assert.strictEqual(storage.isValidRoute('DEN', 'LAS'), false);
+  assert.strictEqual(storage.getStats().totalOrigins, 0);
+});
+
+test('buildRouteMap groups destinations by origin without duplicates', async () => {
+  const storage = await createStorage();
+  const routeMap = storage.buildRouteMap(ROUTES);
+
+  assert.deepStrictEqual([...routeMap.origins].sort(), ['DEN', 'MCO', 'ORD']);
+  assert.deepStrictEqual([...routeMap.destinations.get('DEN')].sort(), ['ATL', 'LAS', 'MCO']);
+  assert.deepStrictEqual([...routeMap.destinations.get('MCO')], ['DEN']);
+  assert.strictEqual(routeMap.destinations.has('LAS'), false);
+});
+
+test('lookups answer from the route map', async () => {
+  const storage = await createStorage();
+  await storage.save(ROUTES);
+
+  assert.deepStrictEqual(storage.getOrigins(), ['DEN', 'MCO', 'ORD']);
+  assert.deepStrictEqual(storage.getDestinations('DEN'), ['ATL', 'LAS', 'MCO']);
+  assert.deepStrictEqual(storage.getDestinations('LAS'), []);
+  assert.deepStrictEqual(storage.getDestinations(null), []);
+
+  assert.strictEqual(storage.isValidRoute('DEN', 'LAS'), true);
+  assert.strictEqual(storage.isValidRoute('LAS', 'DEN'), false);
+
+  assert.deepStrictEqual(storage.getAllRoutesForOrigin('MCO'), [{ origin: 'MCO', destination: 'DEN' }]);
+  assert.deepStrictEqual(storage.getAllRoutesForOrigin('SJU'), []);
+});
+
+test('saved routes are reloaded with their map', async () => {
+  await (await createStorage()).save(ROUTES);
+
+  const saved = JSON.parse(fs.readFileSync(routesFile, 'utf8'));
+  assert.strictEqual(saved.count, ROUTES.length);
+  assert.ok(saved.lastUpdated);
+
+  const storage = await createStorage();
+  assert.strictEqual(storage.getRoutes().length, ROUTES.length);
+  assert.deepStrictEqual(storage.getDestinations('ORD'), ['MCO']);
+
+  const stats = await storage.getStatsAsync();
+  assert.strictEqual(stats.totalRoutes, ROUTES.length);
+  assert.strictEqual(stats.totalOrigins, 3);
+  assert.strictEqual(stats.lastUpdated, saved.lastUpdated);
+});
+
+test('a corrupt routes file loads as empty', async () => {
+  fs.mkdirSync(path.dirname(routesFile), { recursive: true });
+  fs.writeFileSync(routesFile, '{ not json');
+
+  const storage = await createStorage();
+  assert.deepStrictEqual(storage.getRoutes(), []);
+  assert.deepStrictEqual(storage.getOrigins(), []);
+});
@@ -0,0 +1,97 @@
+/**
+ * Cache browsing API tests (/api/cache)
+ * The router runs against a json-backed FlightCache in a temporary directory
+ */
+
+const { makeTempDir, removeTempDir, createApp, daysFromNow } = require('../helpers');
+const { test, mock, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const cacheModule = require('../../../backend/services/cache');
+
+const dir = makeTempDir();
+const cache = new cacheModule.FlightCache({ dir, backend: 'json', enabled: true });
+mock.method(cacheModule, 'getCache', () => cache);
+
+const app = createApp('/api/cache', require('../../../backend/routes/cache'));
+
+const DATE = daysFromNow(30);
+const RETURN_DATE = daysFromNow(35);
+const FLIGHTS = { success: true, flights: [{ flightNumber: 'F9 1234', price: 49 }] };
+
+beforeEach(async () => {
+  await cache.clear();
+  await cache.set('DEN', 'LAS', DATE, FLIGHTS);
+  await cache.set('DEN', 'MCO', DATE, FLIGHTS);
+  await cache.set('DEN', 'MCO', DATE, { ...FLIGHTS, returnFlights: [] }, RETURN_DATE);
+  await cache.set('ORD', 'MCO', daysFromNow(40), FLIGHTS);
+});
+
+after(() => {
+  removeTempDir(dir);
+});
+
+test('GET /api/cache lists entries with paging', async () => {
+  const res = await request(app).get('/api/cache').query({ pageSize: 2, page: 2 }).expect(200);
+
+  assert.strictEqual(res.body.success, true);
+  assert.strictEqual(res.body.total, 4);
+  assert.strictEqual(res.body.fresh, 4);
+  assert.strictEqual(res.body.totalPages, 2);
+  assert.strictEqual(res.body.entries.length, 2);
+  assert.strictEqual(res.body.entries[0].data, undefined);
+});
+
+test('GET /api/cache filters by origin and pattern', async () => {
+  const byOrigin = await request(app).get('/api/cache').query({ origin: 'ord' }).expect(200);
+  assert.deepStrictEqual(byOrigin.body.entries.map(entry => entry.destination), ['MCO']);
+
+  const byPattern = await request(app).get('/api/cache').query({ pattern: '*-RT-*' }).expect(200);
+  assert.deepStrictEqual(byPattern.body.entries.map(entry => entry.returnDate), [RETURN_DATE]);
+});
+
+test('GET /api/cache rejects invalid filters', async () => {
+  const badDate = await request(app).get('/api/cache').query({ from: 'tomorrow' }).expect(400);
+  assert.deepStrictEqual(badDate.body, { success: false, error: 'from must be a date (YYYY-MM-DD)' });
+
+  const badFreshness = await request(app).get('/api/cache').query({ freshness: 'stale' }).expect(400);
+  assert.strictEqual(badFreshness.body.success, false);
+});
+
+test('GET /api/cache/:origin/:destination/:date returns the entry with its flights', async () => {
+  const res = await request(app).get(`/api/cache/den/las/${DATE}`).expect(200);
+
+  assert.strictEqual(res.body.entry.key, `DEN-LAS-${DATE}`);
+  assert.strictEqual(res.body.entry.valid, true);
+  assert.deepStrictEqual(res.body.entry.data, FLIGHTS);
+});
+
+test('GET a round-trip entry needs its returnDate', async () => {
+  const roundTrip = await request(app).get(`/api/cache/DEN/MCO/${DATE}`).query({ returnDate: RETURN_DATE }).expect(200);
+  assert.strictEqual(roundTrip.body.entry.returnDate, RETURN_DATE);
+  assert.strictEqual(roundTrip.body.entry.returnFlightCount, 0);
+
+  await request(app).get(`/api/cache/DEN/MCO/${DATE}`).query({ returnDate: 'soon' }).expect(400);
+});
+
+test('GET a missing entry is a 404', async () => {
+  const res = await request(app).get(`/api/cache/DEN/SJU/${DATE}`).expect(404);
+  assert.deepStrictEqual(res.body, { success: false, error: `No cache entry for DEN-SJU-${DATE}` });
+});
+
+test('DELETE /api/cache/:origin/:destination/:date removes one entry', async () => {
+  await request(app).delete(`/api/cache/DEN/MCO/${DATE}`).query({ returnDate: RETURN_DATE }).expect(200);
+
+  assert.strictEqual(await cache.getEntry('DEN', 'MCO', DATE, RETURN_DATE), null);
+  assert.ok(await cache.getEntry('DEN', 'MCO', DATE));
+
+  await request(app).delete(`/api/cache/DEN/MCO/${DATE}`).query({ returnDate: RETURN_DATE }).expect(404);
+});
+
+test('DELETE /api/cache requires a filter and deletes the matches', async () => {
+  await request(app).delete('/api/cache').expect(400);
+
+  const res = await request(app).delete('/api/cache').query({ destination: 'MCO' }).expect(200);
+  assert.strictEqual(res.body.deleted, 3);
+  assert.strictEqual((await cache.list()).length, 1);
+});
@@ -0,0 +1,163 @@
+/**
+ * Jobs API tests (/api/jobs)
+ * The router runs against a JobManager in a temporary directory; scrapeFlights is
+ * mocked for the jobs resumed after a restart
+ */
+
+const { makeTempDir, removeTempDir, createApp } = require('../helpers');
+const { test, mock, before, after } = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const scraper = require('../../../backend/services/scraper');
+const jobManagerModule = require('../../../backend/services/jobManager');
+
+const dir = makeTempDir();
+let manager = new jobManagerModule.JobManager(dir);
+mock.method(jobManagerModule, 'getJobManager', () => manager);
+const scrapeFlights = mock.method(scraper, 'scrapeFlights', async () => ({ success: true, flights: [] }));
+
+const app = createApp('/api/jobs', require('../../../backend/routes/jobs'));
+
+const DESTINATIONS = ['LAS', 'MCO', 'ATL', 'MIA', 'PHX'];
+let completed;
+let failed;
+
+async function runJob(type, executor) {
+  const job = await manager.start(type, {}, { total: DESTINATIONS.length }, executor);
+  while (job.status === 'running') {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  await manager.writes;
+  return job;
+}
+
+before(async () => {
+  completed = await runJob('bulk_by_origin', async ({ recordResult }) => {
+    DESTINATIONS.forEach((destination, i) => recordResult({
+      origin: 'DEN',
+      destination,
+      date: '2030-01-15',
+      success: i !== 1,
+      flights: [],
+      error: i === 1 ? 'Timed out' : undefined
+    }));
+  });
+  failed = await runJob('bulk_all', async () => {
+    throw new Error('No routes available');
+  });
+});
+
+after(() => {
+  removeTempDir(dir);
+});
+
+test('GET /api/jobs lists jobs and filters by status and type', async () => {
+  const all = await request(app).get('/api/jobs').expect(200);
+  assert.strictEqual(all.body.success, true);
+  assert.strictEqual(all.body.total, 2);
+
+  const failedOnly = await request(app).get('/api/jobs').query({ status: 'failed' }).expect(200);
+  assert.deepStrictEqual(failedOnly.body.jobs.map(job => job.id), [failed.id]);
+
+  const byOrigin = await request(app).get('/api/jobs').query({ type: 'bulk_by_origin' }).expect(200);
+  assert.deepStrictEqual(byOrigin.body.jobs.map(job => job.id), [completed.id]);
+});
+
+test('GET /api/jobs rejects unknown filters', async () => {
+  await request(app).get('/api/jobs').query({ status: 'stuck' }).expect(400);
+  await request(app).get('/api/jobs').query({ type: 'single' }).expect(400);
+});
+
+test('GET /api/jobs/:id returns the job or 404', async () => {
+  const res = await request(app).get(`/api/jobs/${completed.id}`).expect(200);
+  assert.strictEqual(res.body.job.status, 'completed');
+  assert.deepStrictEqual(res.body.job.progress, { total: 5, processed: 5, succeeded: 4, failed: 1, cached: 0 });
+
+  const missing = await request(app).get('/api/jobs/nope').expect(404);
+  assert.deepStrictEqual(missing.body, { success: false, error: 'Job not found' });
+});
+
+test('GET /api/jobs/:id/results pages through the stored results', async () => {
+  const res = await request(app).get(`/api/jobs/${completed.id}/results`).query({ pageSize: 2, page: 3 }).expect(200);
+
+  assert.strictEqual(res.body.total, 5);
+  assert.strictEqual(res.body.totalPages, 3);
+  assert.strictEqual(res.body.page, 3);
+  assert.deepStrictEqual(res.body.results.map(result => result.destination), ['PHX']);
+});
+
+test('GET /api/jobs/:id/results filters by success', async () => {
+  const res = await request(app).get(`/api/jobs/${completed.id}/results`).query({ success: 'false' }).expect(200);
+  assert.deepStrictEqual(res.body.results.map(result => result.destination), ['MCO']);
+
+  await request(app).get(`/api/jobs/${completed.id}/results`).query({ success: 'maybe' }).expect(400);
+  await request(app).get('/api/jobs/nope/results').expect(404);
+});
+
+test('POST /api/jobs/:id/pause, /resume and /cancel control a running job', async () => {
+  let release;
+  const routeDone = new Promise(resolve => { release = resolve; });
+  const job = await manager.start('bulk', {}, { total: 2 }, async ({ checkpoint }) => {
+    await routeDone;
+    return { continued: await checkpoint() };
+  });
+
+  const paused = await request(app).post(`/api/jobs/${job.id}/pause`).expect(200);
+  assert.strictEqual(paused.body.job.status, 'paused');
+  await request(app).post(`/api/jobs/${job.id}/pause`).expect(409);
+
+  const resumed = await request(app).post(`/api/jobs/${job.id}/resume`).expect(200);
+  assert.strictEqual(resumed.body.job.status, 'running');
+
+  const cancelled = await request(app).post(`/api/jobs/${job.id}/cancel`).expect(200);
+  assert.ok(cancelled.body.job.cancelRequestedAt);
+
+  release();
+  while (job.status === 'running') {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  assert.strictEqual(job.status, 'cancelled');
+  assert.deepStrictEqual(job.summary, { continued: false });
+
+  const finished = await request(app).post(`/api/jobs/${job.id}/cancel`).expect(409);
+  assert.deepStrictEqual(finished.body, { success: false, error: 'Cannot cancel a job that is cancelled' });
+  await request(app).post('/api/jobs/nope/resume').expect(404);
+});
+
+test('POST /api/jobs/:id/resume restarts an interrupted job from its checkpoint', async () => {
+  let release;
+  const blocked = new Promise(resolve => { release = resolve; });
+  const routes = ['LAS', 'MCO', 'ATL'].map(destination => ({ origin: 'DEN', destination, date: '2030-01-15' }));
+  const job = await manager.start('bulk', { routes, method: 'replay' }, { routes }, async ({ recordResult }) => {
+    recordResult({ ...routes[0], success: true, flights: [] });
+    await blocked;
+  });
+  await manager.writes;
+
+  // A second manager on the same directory stands in for a restarted server
+  const previous = manager;
+  manager = new jobManagerModule.JobManager(dir);
+
+  const res = await request(app).post(`/api/jobs/${job.id}/resume`).expect(200);
+  assert.ok(res.body.job.resumedAt);
+
+  while ((await manager.get(job.id)).status === 'running') {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  await manager.writes;
+
+  const resumed = await manager.get(job.id);
+  assert.strictEqual(resumed.status, 'completed');
+  assert.strictEqual(resumed.progress.processed, 3);
+  assert.deepStrictEqual(scrapeFlights.mock.calls.map(call => call.arguments),
+    ['MCO', 'ATL'].map(destination => ['DEN', destination, '2030-01-15', { method: 'replay', priority: 'bulk', group: job.id }]));
+
+  await request(app).post(`/api/jobs/${job.id}/resume`).expect(409);
+
+  manager = previous;
+  release();
+  while (job.status === 'running') {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  await manager.writes;
+});
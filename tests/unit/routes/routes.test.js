@@ -0,0 +1,83 @@
+/**
+ * Route API tests (/api/routes)
+ * The router runs against a RouteStorage backed by a temporary routes file
+ */
+
+const { makeTempDir, removeTempDir, createApp } = require('../helpers');
+const { test, mock, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const request = require('supertest');
+const routeStorageModule = require('../../../backend/services/routeStorage');
+
+const dir = makeTempDir();
+const storage = new routeStorageModule.RouteStorage(path.join(dir, 'routes.json'));
+mock.method(routeStorageModule, 'getRouteStorage', () => storage);
+
+const app = createApp('/api/routes', require('../../../backend/routes/routes'));
+
+const ROUTES = [
+  { origin: 'DEN', destination: 'LAS', originCity: 'denver', destinationCity: 'las vegas' },
+  { origin: 'DEN', destination: 'ATL' },
+  { origin: 'MCO', destination: 'DEN', originCity: 'orlando' }
+];
+
+before(async () => {
+  await storage.ready;
+  await storage.save(ROUTES);
+});
+
+after(() => {
+  removeTempDir(dir);
+});
+
+test('GET /api/routes returns the routes and stats', async () => {
+  const res = await request(app).get('/api/routes').expect(200);
+
+  assert.strictEqual(res.body.success, true);
+  assert.strictEqual(res.body.routes.length, 3);
+  assert.strictEqual(res.body.stats.totalRoutes, 3);
+  assert.strictEqual(res.body.stats.totalOrigins, 2);
+  assert.ok(res.body.stats.lastUpdated);
+});
+
+test('GET /api/routes/origins sorts by city name', async () => {
+  const res = await request(app).get('/api/routes/origins').expect(200);
+
+  assert.deepStrictEqual(res.body.origins, ['DEN', 'MCO']);
+  assert.strictEqual(res.body.originsWithCities[0].display, 'Denver (DEN)');
+  assert.strictEqual(res.body.originsWithCities[1].display, 'Orlando (MCO)');
+});
+
+test('GET /api/routes/destinations/:origin lists destinations', async () => {
+  const res = await request(app).get('/api/routes/destinations/DEN').expect(200);
+
+  assert.strictEqual(res.body.origin, 'DEN');
+  assert.deepStrictEqual(res.body.destinations.sort(), ['ATL', 'LAS']);
+  assert.ok(res.body.destinationsWithCities.some(d => d.display === 'Las Vegas (LAS)'));
+
+  const unknown = await request(app).get('/api/routes/destinations/SJU').expect(200);
+  assert.deepStrictEqual(unknown.body.destinations, []);
+});
+
+test('GET /api/routes/destinations/:origin rejects invalid codes', async () => {
+  const res = await request(app).get('/api/routes/destinations/denver').expect(400);
+  assert.deepStrictEqual(res.body, { success: false, error: 'Invalid origin IATA code' });
+});
+
+test('GET /api/routes/validate/:origin/:destination', async () => {
+  const valid = await request(app).get('/api/routes/validate/DEN/LAS').expect(200);
+  assert.strictEqual(valid.body.valid, true);
+
+  const invalid = await request(app).get('/api/routes/validate/LAS/DEN').expect(200);
+  assert.strictEqual(invalid.body.valid, false);
+
+  await request(app).get('/api/routes/validate/DEN/L4S').expect(400);
+});
+
+test('GET /api/routes/stats', async () => {
+  const res = await request(app).get('/api/routes/stats').expect(200);
+
+  assert.strictEqual(res.body.success, true);
+  assert.strictEqual(res.body.totalRoutes, 3);
+});
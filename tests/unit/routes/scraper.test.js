@@ -0,0 +1,212 @@
+/**
+ * Scraper API tests (/api/scraper)
+ * Request validation and how requests reach the scraper - scrapeFlights and
+ * scrapeDateRange are mocked, so nothing is launched
+ */
+
+const { makeTempDir, removeTempDir, createApp, daysFromNow } = require('../helpers');
+const { test, mock, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const request = require('supertest');
+const scraper = require('../../../backend/services/scraper');
+const bulkScraper = require('../../../backend/services/bulkScraper');
+const routeStorageModule = require('../../../backend/services/routeStorage');
+const cacheModule = require('../../../backend/services/cache');
+const jobManagerModule = require('../../../backend/services/jobManager');
+
+const dir = makeTempDir();
+const storage = new routeStorageModule.RouteStorage(path.join(dir, 'routes.json'));
+const cache = new cacheModule.FlightCache({ dir, backend: 'json', enabled: true });
+const jobManager = new jobManagerModule.JobManager(path.join(dir, 'jobs'));
+
+const scrapeFlights = mock.method(scraper, 'scrapeFlights', async (origin, destination, date, options) => ({
+  success: true,
+  flights: [],
+  origin,
+  destination,
+  date,
+  returnFlights: options.returnDate ? [] : undefined
+}));
+const scrapeDateRange = mock.method(bulkScraper, 'scrapeDateRange', async (origin, destination, dates) => ({
+  origin,
+  destination,
+  days: dates.map(date => ({ date, flightCount: 0 }))
+}));
+mock.method(routeStorageModule, 'getRouteStorage', () => storage);
+mock.method(cacheModule, 'getCache', () => cache);
+mock.method(jobManagerModule, 'getJobManager', () => jobManager);
+
+const app = createApp('/api/scraper', require('../../../backend/routes/scraper'));
+
+const DATE = daysFromNow(30);
+
+// More than 10 routes, so requests are validated against the list
+const ROUTES = ['LAS', 'MCO', 'ATL', 'MIA', 'PHX', 'SJU', 'CUN', 'ORD', 'SFO', 'LAX', 'SEA']
+  .map(destination => ({ origin: 'DEN', destination }));
+
+beforeEach(async () => {
+  scrapeFlights.mock.resetCalls();
+  scrapeDateRange.mock.resetCalls();
+  await storage.ready;
+  await storage.save([]);
+});
+
+after(() => {
+  removeTempDir(dir);
+});
+
+function scrape(body) {
+  return request(app).post('/api/scraper/scrape').send(body);
+}
+
+test('POST /scrape passes the search to the scraper', async () => {
+  const res = await scrape({ origin: 'DEN', destination: 'LAS', date: DATE }).expect(200);
+
+  assert.strictEqual(res.body.success, true);
+  assert.strictEqual(scrapeFlights.mock.callCount(), 1);
+  assert.deepStrictEqual(scrapeFlights.mock.calls[0].arguments, ['DEN', 'LAS', DATE, { staleWhileRevalidate: false }]);
+});
+
+test('POST /scrape passes round-trip and stale-while-revalidate options', async () => {
+  const returnDate = daysFromNow(35);
+  await scrape({ origin: 'DEN', destination: 'LAS', date: DATE, returnDate, staleWhileRevalidate: 'true', maxStaleMinutes: '90' }).expect(200);
+
+  assert.deepStrictEqual(scrapeFlights.mock.calls[0].arguments[3], { staleWhileRevalidate: true, maxStaleMinutes: 90, returnDate });
+});
+
+test('POST /scrape validates the request', async () => {
+  const cases = [
+    [{ origin: 'DEN', destination: 'LAS' }, 'Missing required fields: origin, destination, date'],
+    [{ origin: 'den', destination: 'LAS', date: DATE }, 'Invalid IATA codes (must be 3 uppercase letters)'],
+    [{ origin: 'DEN', destination: 'LAS', date: '03/10/2031' }, 'Invalid date format (must be YYYY-MM-DD)'],
+    [{ origin: 'DEN', destination: 'LAS', date: DATE, returnDate: 'next week' }, 'Invalid returnDate format (must be YYYY-MM-DD)'],
+    [{ origin: 'DEN', destination: 'LAS', date: DATE, returnDate: daysFromNow(20) }, 'returnDate must be on or after date'],
+    [{ origin: 'DEN', destination: 'LAS', date: DATE, maxStaleMinutes: 0 }, 'Invalid maxStaleMinutes (must be a positive number)']
+  ];
+
+  for (const [body, error] of cases) {
+    const res = await scrape(body).expect(400);
+    assert.deepStrictEqual(res.body, { error }, JSON.stringify(body));
+  }
+  assert.strictEqual(scrapeFlights.mock.callCount(), 0);
+});
+
+test('POST /scrape passes a per-request method and rejects unknown ones', async () => {
+  await scrape({ origin: 'DEN', destination: 'LAS', date: DATE, method: 'replay' }).expect(200);
+  assert.strictEqual(scrapeFlights.mock.calls[0].arguments[3].method, 'replay');
+
+  const res = await scrape({ origin: 'DEN', destination: 'LAS', date: DATE, method: 'carrier-pigeon' }).expect(400);
+  assert.match(res.body.error, /^Unknown scraper method: carrier-pigeon \(expected one of: playwright, decodo, bypass1, replay\)$/);
+  assert.strictEqual(scrapeFlights.mock.callCount(), 1);
+});
+
+test('POST /scrape checks the route list once it is loaded', async () => {
+  await storage.save(ROUTES);
+
+  const res = await scrape({ origin: 'LAS', destination: 'DEN', date: DATE }).expect(400);
+  assert.match(res.body.error, /Route LAS-DEN is not available/);
+
+  await scrape({ origin: 'DEN', destination: 'SEA', date: DATE }).expect(200);
+  assert.strictEqual(scrapeFlights.mock.callCount(), 1);
+});
+
+test('POST /scrape reports scraper failures as 500', async () => {
+  scrapeFlights.mock.mockImplementationOnce(async () => {
+    throw new Error('Browser crashed');
+  });
+
+  const res = await scrape({ origin: 'DEN', destination: 'LAS', date: DATE }).expect(500);
+  assert.deepStrictEqual(res.body, { error: 'Browser crashed' });
+});
+
+test('POST /scrape-range scrapes date ± window', async () => {
+  const res = await request(app).post('/api/scraper/scrape-range')
+    .send({ origin: 'DEN', destination: 'LAS', date: DATE, window: 1 })
+    .expect(200);
+
+  assert.deepStrictEqual(scrapeDateRange.mock.calls[0].arguments, ['DEN', 'LAS', [daysFromNow(29), DATE, daysFromNow(31)], true]);
+  assert.strictEqual(res.body.centerDate, DATE);
+  assert.strictEqual(res.body.skippedPastDates, 0);
+});
+
+test('POST /scrape-range skips past dates', async () => {
+  const res = await request(app).post('/api/scraper/scrape-range')
+    .send({ origin: 'DEN', destination: 'LAS', startDate: daysFromNow(-2), endDate: daysFromNow(1), useCache: false })
+    .expect(200);
+
+  assert.deepStrictEqual(scrapeDateRange.mock.calls[0].arguments[2], [daysFromNow(0), daysFromNow(1)]);
+  assert.strictEqual(scrapeDateRange.mock.calls[0].arguments[3], false);
+  assert.strictEqual(res.body.skippedPastDates, 2);
+});
+
+test('POST /scrape-range validates the range', async () => {
+  const cases = [
+    [{ origin: 'DEN', date: DATE }, 'Missing required fields: origin, destination'],
+    [{ origin: 'DEN', destination: 'LAS' }, 'Provide either date (with optional window) or startDate and endDate'],
+    [{ origin: 'DEN', destination: 'LAS', date: DATE, window: 8 }, 'window must be a whole number of days between 0 and 7'],
+    [{ origin: 'DEN', destination: 'LAS', startDate: DATE, endDate: daysFromNow(20) }, 'endDate must be on or after startDate'],
+    [{ origin: 'DEN', destination: 'LAS', startDate: DATE, endDate: daysFromNow(70) }, 'Date range cannot exceed 31 days'],
+    [{ origin: 'DEN', destination: 'LAS', startDate: '2025-01-01', endDate: '9999-12-31' }, 'Date range cannot exceed 31 days'],
+    [{ origin: 'DEN', destination: 'LAS', date: '2025-13-45' }, 'Invalid date (must be a YYYY-MM-DD calendar date)'],
+    [{ origin: 'DEN', destination: 'LAS', startDate: '2025-02-01', endDate: '2025-02-31' }, 'Invalid startDate/endDate (must be YYYY-MM-DD calendar dates)'],
+    [{ origin: 'DEN', destination: 'LAS', startDate: daysFromNow(-5), endDate: daysFromNow(-1) }, 'All dates in the range are in the past']
+  ];
+
+  for (const [body, error] of cases) {
+    const res = await request(app).post('/api/scraper/scrape-range').send(body).expect(400);
+    assert.deepStrictEqual(res.body, { error }, JSON.stringify(body));
+  }
+  assert.strictEqual(scrapeDateRange.mock.callCount(), 0);
+});
+
+test('POST /bulk validates the route list', async () => {
+  await request(app).post('/api/scraper/bulk').send({}).expect(400);
+  await request(app).post('/api/scraper/bulk').send({ routes: [] }).expect(400);
+
+  const badMethod = await request(app).post('/api/scraper/bulk')
+    .send({ routes: [{ origin: 'DEN', destination: 'LAS', date: DATE, method: 'carrier-pigeon' }] })
+    .expect(400);
+  assert.match(badMethod.body.error, /Unknown scraper method: carrier-pigeon/);
+
+  const routes = Array.from({ length: 51 }, () => ({ origin: 'DEN', destination: 'LAS', date: DATE }));
+  const res = await request(app).post('/api/scraper/bulk').send({ routes }).expect(400);
+  assert.deepStrictEqual(res.body, { error: 'Maximum 50 routes per bulk request' });
+});
+
+test('POST /bulk runs the routes as a job and stores each result', async () => {
+  const routes = [
+    { origin: 'DEN', destination: 'LAS', date: DATE },
+    { origin: 'DEN', destination: 'MCO', date: DATE, method: 'replay' }
+  ];
+
+  const res = await request(app).post('/api/scraper/bulk').send({ routes }).expect(200);
+  assert.strictEqual(res.body.status, 'started');
+  assert.ok(res.body.jobId);
+
+  const job = await jobManager.get(res.body.jobId);
+  while (job.status === 'running') {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+
+  assert.strictEqual(job.status, 'completed');
+  assert.deepStrictEqual(job.progress, { total: 2, processed: 2, succeeded: 2, failed: 0, cached: 0 });
+  assert.deepStrictEqual((await jobManager.getResults(job.id)).map(result => result.destination), ['LAS', 'MCO']);
+  assert.deepStrictEqual(scrapeFlights.mock.calls.map(call => call.arguments[3]), [
+    { priority: 'bulk', group: job.id },
+    { method: 'replay', priority: 'bulk', group: job.id }
+  ]);
+});
+
+test('GET /status reports configuration and cache state', async () => {
+  await storage.save(ROUTES);
+
+  const res = await request(app).get('/api/scraper/status').expect(200);
+
+  assert.strictEqual(res.body.routesAvailable, ROUTES.length);
+  assert.strictEqual(res.body.cacheEnabled, true);
+  assert.strictEqual(res.body.cacheStats.backend, 'json');
+  assert.deepStrictEqual(res.body.scraperMethods.map(method => method.name), ['playwright', 'decodo', 'bypass1', 'replay']);
+  assert.ok(res.body.dedupStats);
+  assert.deepStrictEqual(res.body.schedulerStats.queued, { interactive: 0, watch: 0, bulk: 0 });
+});
@@ -0,0 +1,80 @@
+/**
+ * Schema monitor tests
+ * Drift detection from consecutive schema_mismatch outcomes
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { SchemaMonitor, isSchemaError } = require('../../backend/services/schemaMonitor');
+
+const MISMATCH = { outcome: 'schema_mismatch', missingFields: ['journeys[].flights[].legs'], unknownFields: ['journeys[].flights[].segments'] };
+const PARSED = { outcome: 'parsed', missingFields: [], unknownFields: [] };
+const EMPTY = { outcome: 'empty', missingFields: [], unknownFields: [] };
+
+let events;
+
+beforeEach(() => {
+  events = [];
+  global.broadcast = event => events.push(event);
+});
+
+afterEach(() => {
+  delete global.broadcast;
+});
+
+test('nothing recorded yet reports unknown', () => {
+  assert.strictEqual(new SchemaMonitor(3).getHealth().status, 'unknown');
+});
+
+test('single mismatches fail with SCHEMA_MISMATCH until the threshold', () => {
+  const monitor = new SchemaMonitor(3);
+
+  assert.strictEqual(monitor.record(MISMATCH, { route: 'DEN-LAS' }), 'SCHEMA_MISMATCH');
+  assert.strictEqual(monitor.record(MISMATCH, { route: 'DEN-MCO' }), 'SCHEMA_MISMATCH');
+  assert.strictEqual(monitor.isDrifting(), false);
+  assert.strictEqual(events.length, 0);
+
+  assert.strictEqual(monitor.record(MISMATCH, { route: 'DEN-SFO' }), 'SCHEMA_DRIFT');
+  assert.strictEqual(monitor.isDrifting(), true);
+  assert.strictEqual(events.length, 1);
+  assert.strictEqual(events[0].type, 'schema_drift');
+  assert.strictEqual(events[0].status, 'detected');
+  assert.strictEqual(events[0].consecutiveMismatches, 3);
+
+  // Already drifting - no repeat event
+  assert.strictEqual(monitor.record(MISMATCH, { route: 'DEN-LAX' }), 'SCHEMA_DRIFT');
+  assert.strictEqual(events.length, 1);
+
+  const health = monitor.getHealth();
+  assert.strictEqual(health.status, 'drift');
+  assert.strictEqual(health.outcomes.schema_mismatch, 4);
+  assert.deepStrictEqual(health.missingFields.map(({ field, count }) => ({ field, count })), [{ field: 'journeys[].flights[].legs', count: 4 }]);
+  assert.strictEqual(health.unknownFields[0].field, 'journeys[].flights[].segments');
+  assert.strictEqual(health.recentMismatches[0].route, 'DEN-LAX');
+});
+
+test('an empty or parsed day breaks the mismatch streak', () => {
+  const monitor = new SchemaMonitor(2);
+
+  monitor.record(MISMATCH);
+  assert.strictEqual(monitor.record(EMPTY), null);
+  assert.strictEqual(monitor.record(MISMATCH), 'SCHEMA_MISMATCH');
+  assert.strictEqual(monitor.getHealth().status, 'ok');
+});
+
+test('a good parse clears drift and says so', () => {
+  const monitor = new SchemaMonitor(1);
+
+  monitor.record(MISMATCH, { route: 'DEN-LAS' });
+  assert.strictEqual(monitor.record(PARSED, { route: 'DEN-LAS' }), null);
+  assert.strictEqual(monitor.isDrifting(), false);
+  assert.deepStrictEqual(events.map(event => event.status), ['detected', 'recovered']);
+  assert.strictEqual(monitor.getHealth().consecutiveMismatches, 0);
+});
+
+test('recognizes schema error codes', () => {
+  assert.strictEqual(isSchemaError(new Error('SCHEMA_DRIFT')), true);
+  assert.strictEqual(isSchemaError(new Error('SCHEMA_MISMATCH')), true);
+  assert.strictEqual(isSchemaError(new Error('NO_FLIGHT_DATA')), false);
+  assert.strictEqual(isSchemaError(null), false);
+});
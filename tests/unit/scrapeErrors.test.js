@@ -0,0 +1,84 @@
+/**
+ * Scrape error tests
+ * Classifying adapter errors into stable codes and the per-class retry policy
+ */
+
+require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ScrapeError, classifyError, toErrorInfo, parseRetryPolicy, RetryPolicy } = require('../../backend/services/scrapeErrors');
+
+test('codes are kept, and known messages are mapped to one', () => {
+  assert.strictEqual(classifyError(new Error('BLOCKED_BY_PERIMETERX')), 'BLOCKED_BY_PERIMETERX');
+  assert.strictEqual(classifyError('NO_FLIGHT_DATA'), 'NO_FLIGHT_DATA');
+  assert.strictEqual(classifyError(new Error('Navigation timeout')), 'NAVIGATION_TIMEOUT');
+  assert.strictEqual(classifyError(new Error('page.goto: Timeout 30000ms exceeded.')), 'NAVIGATION_TIMEOUT');
+  assert.strictEqual(classifyError(new Error('Request blocked by PerimeterX')), 'BLOCKED_BY_PERIMETERX');
+  assert.strictEqual(classifyError(new Error('page.goto: net::ERR_PROXY_CONNECTION_FAILED')), 'NETWORK_ERROR');
+  assert.strictEqual(classifyError(new Error('connect ECONNREFUSED 127.0.0.1:443')), 'NETWORK_ERROR');
+  assert.strictEqual(classifyError('Unknown scraper method: carrier-pigeon'), 'UNKNOWN_METHOD');
+  assert.strictEqual(classifyError(new Error('Cannot read properties of undefined')), 'SCRAPER_ERROR');
+  assert.strictEqual(classifyError(null), 'SCRAPER_ERROR');
+});
+
+test('a ScrapeError carries its code, class and retryable flag', () => {
+  const error = new ScrapeError('NO_ARCHIVED_PAYLOAD');
+
+  assert.strictEqual(error.message, 'NO_ARCHIVED_PAYLOAD');
+  assert.deepStrictEqual([error.code, error.errorClass, error.retryable], ['NO_ARCHIVED_PAYLOAD', 'not_found', false]);
+  assert.strictEqual(classifyError(new ScrapeError('NO_PROXY_AVAILABLE', 'No proxy became available')), 'NO_PROXY_AVAILABLE');
+  assert.strictEqual(new ScrapeError('NOT_A_CODE').code, 'SCRAPER_ERROR');
+});
+
+test('toErrorInfo keeps the original message next to the description', () => {
+  assert.deepStrictEqual(toErrorInfo(new Error('Navigation timeout')), {
+    code: 'NAVIGATION_TIMEOUT',
+    errorClass: 'timeout',
+    retryable: true,
+    description: 'The booking page took too long to load',
+    message: 'Navigation timeout'
+  });
+
+  // An error info classifies as itself
+  const info = toErrorInfo('SCHEMA_DRIFT');
+  assert.deepStrictEqual(toErrorInfo(info), info);
+});
+
+test('the policy caps each class at SCRAPER_MAX_RETRIES and never retries the rest', () => {
+  const policy = new RetryPolicy({ policy: 'timeout:5:1s,blocked:2:10s', maxRetries: 3 });
+
+  assert.strictEqual(policy.maxAttempts('NAVIGATION_TIMEOUT'), 3);
+  assert.strictEqual(policy.maxAttempts('BLOCKED_BY_PERIMETERX'), 2);
+  assert.strictEqual(policy.maxAttempts('SCHEMA_MISMATCH'), 1);
+  assert.strictEqual(policy.maxAttempts('NO_ARCHIVED_PAYLOAD'), 1);
+
+  assert.strictEqual(policy.shouldRetry('BLOCKED_BY_PERIMETERX', 1), true);
+  assert.strictEqual(policy.shouldRetry('BLOCKED_BY_PERIMETERX', 2), false);
+  assert.strictEqual(policy.getStats().classes.timeout.maxAttempts, 3);
+});
+
+test('backoff doubles after each attempt', () => {
+  const policy = new RetryPolicy({ policy: 'timeout:3:500ms', maxRetries: 3 });
+
+  assert.strictEqual(policy.backoffMs('Navigation timeout', 1), 500);
+  assert.strictEqual(policy.backoffMs('Navigation timeout', 2), 1000);
+});
+
+test('the defaults apply to classes the setting leaves out, and a bad setting is ignored', () => {
+  const policy = new RetryPolicy({ policy: 'timeout:2:0s', maxRetries: 10 });
+  assert.deepStrictEqual(policy.getStats().classes.timeout, { maxAttempts: 2, backoffMs: 0 });
+  assert.deepStrictEqual(policy.getStats().classes.blocked, { maxAttempts: 2, backoffMs: 5000 });
+
+  assert.deepStrictEqual(new RetryPolicy({ policy: 'timeout:lots', maxRetries: 10 }).getStats().classes.timeout, { maxAttempts: 3, backoffMs: 2000 });
+});
+
+test('retry policy settings are validated', () => {
+  assert.deepStrictEqual(Array.from(parseRetryPolicy('timeout:3:2s, network:2:250ms, no_data:1')), [
+    ['timeout', { maxAttempts: 3, backoffMs: 2000 }],
+    ['network', { maxAttempts: 2, backoffMs: 250 }],
+    ['no_data', { maxAttempts: 1, backoffMs: 0 }]
+  ]);
+  assert.throws(() => parseRetryPolicy('weather:3:1s'), /unknown error class/);
+  assert.throws(() => parseRetryPolicy('timeout:0:1s'), /Invalid retry policy/);
+  assert.throws(() => parseRetryPolicy('timeout:3:soon'), /Invalid retry policy/);
+});
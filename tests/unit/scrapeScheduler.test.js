@@ -0,0 +1,127 @@
+/**
+ * Scrape scheduler tests
+ * Slot limit, priority order between classes, turn-taking between groups and promotion,
+ * with tasks the test finishes by hand
+ */
+
+require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ScrapeScheduler } = require('../../backend/services/scrapeScheduler');
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Schedules named tasks and records the order they start in; finish(name) resolves one
+ */
+function harness(slots) {
+  const scheduler = new ScrapeScheduler(slots);
+  const started = [];
+  const finishers = new Map();
+
+  const add = (name, options) => scheduler.run(() => {
+    started.push(name);
+    return new Promise(resolve => finishers.set(name, resolve));
+  }, options);
+
+  const finish = async (name) => {
+    finishers.get(name)(name);
+    await sleep(0);
+  };
+
+  return { scheduler, started, add, finish };
+}
+
+test('never runs more scrapes than there are slots', async () => {
+  const { scheduler, started, add, finish } = harness(2);
+
+  const results = ['a', 'b', 'c'].map(name => add(name, { priority: 'bulk' }));
+  await sleep(0);
+
+  assert.deepStrictEqual(started, ['a', 'b']);
+  assert.strictEqual(scheduler.getStats().active, 2);
+  assert.strictEqual(scheduler.getStats().queued.bulk, 1);
+
+  await finish('a');
+  assert.deepStrictEqual(started, ['a', 'b', 'c']);
+
+  await finish('b');
+  await finish('c');
+  assert.deepStrictEqual(await Promise.all(results), ['a', 'b', 'c']);
+  assert.strictEqual(scheduler.getStats().active, 0);
+});
+
+test('a free slot goes to interactive, then watch, then bulk', async () => {
+  const { scheduler, started, add, finish } = harness(1);
+
+  add('running', { priority: 'bulk' });
+  add('bulk', { priority: 'bulk' });
+  add('watch', { priority: 'watch' });
+  add('search');
+  await sleep(0);
+
+  assert.deepStrictEqual(scheduler.getStats().queued, { interactive: 1, watch: 1, bulk: 1 });
+
+  await finish('running');
+  await finish('search');
+  await finish('watch');
+  assert.deepStrictEqual(started, ['running', 'search', 'watch', 'bulk']);
+});
+
+test('groups in the same class take turns', async () => {
+  const { started, add, finish } = harness(1);
+
+  add('first', { priority: 'bulk', group: 'job-a' });
+  for (const name of ['a1', 'a2', 'a3']) {
+    add(name, { priority: 'bulk', group: 'job-a' });
+  }
+  for (const name of ['b1', 'b2']) {
+    add(name, { priority: 'bulk', group: 'job-b' });
+  }
+  await sleep(0);
+
+  for (const name of ['first', 'a1', 'b1', 'a2', 'b2']) {
+    await finish(name);
+  }
+  assert.deepStrictEqual(started, ['first', 'a1', 'b1', 'a2', 'b2', 'a3']);
+});
+
+test('promote moves a queued scrape up to the caller\'s priority', async () => {
+  const { scheduler, started, add, finish } = harness(1);
+
+  add('running', { priority: 'bulk' });
+  add('watch', { priority: 'watch' });
+  add('bulk', { priority: 'bulk', key: 'DEN-LAS-2030-01-15' });
+  await sleep(0);
+
+  assert.strictEqual(scheduler.promote('DEN-LAS-2030-01-15', 'interactive'), true);
+  assert.strictEqual(scheduler.promote('DEN-LAS-2030-01-15', 'interactive'), false);
+  assert.strictEqual(scheduler.getStats().queued.interactive, 1);
+
+  await finish('running');
+  await finish('bulk');
+  assert.deepStrictEqual(started, ['running', 'bulk', 'watch']);
+  assert.strictEqual(scheduler.getStats().promoted, 1);
+});
+
+test('a failing task rejects its caller and frees its slot', async () => {
+  const scheduler = new ScrapeScheduler(1);
+
+  const failing = scheduler.run(async () => {
+    throw new Error('Browser crashed');
+  }, { priority: 'bulk' });
+  const next = scheduler.run(async () => 'ok');
+
+  await assert.rejects(failing, /Browser crashed/);
+  assert.strictEqual(await next, 'ok');
+  await sleep(0);
+  assert.strictEqual(scheduler.getStats().active, 0);
+  assert.deepStrictEqual(scheduler.getStats().started, { interactive: 1, watch: 0, bulk: 1 });
+});
+
+test('an unknown priority is rejected', async () => {
+  const scheduler = new ScrapeScheduler(1);
+  await assert.rejects(scheduler.run(async () => {}, { priority: 'urgent' }), /Unknown scrape priority: urgent/);
+});
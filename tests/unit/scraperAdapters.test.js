@@ -0,0 +1,284 @@
+/**
+ * Scraper adapter registry tests
+ * Result envelope, init/cleanup lifecycle, retries, stats and per-request method
+ * selection (fake adapters only - nothing is launched)
+ */
+
+const { makeTempDir, removeTempDir, daysFromNow } = require('./helpers');
+const { test, mock, after } = require('node:test');
+const assert = require('node:assert');
+const cacheModule = require('../../backend/services/cache');
+const adapters = require('../../backend/services/scraperAdapters');
+const { ScrapeScheduler } = require('../../backend/services/scrapeScheduler');
+
+const dir = makeTempDir();
+const cache = new cacheModule.FlightCache({ dir, backend: 'json', enabled: true });
+mock.method(cacheModule, 'getCache', () => cache);
+
+const { scrapeFlights } = require('../../backend/services/scraper');
+
+const SEARCH = { origin: 'DEN', destination: 'LAS', date: daysFromNow(30), returnDate: null };
+const FLIGHT = { flightNumber: 'F9 1234', price: 49 };
+
+/**
+ * Register a fake adapter whose scrape() is given by the test
+ */
+function fakeAdapter(name, scrape, extra = {}) {
+  const adapter = {
+    name,
+    description: `Fake ${name}`,
+    recordsHistory: false,
+    init: mock.fn(async () => {}),
+    scrape: mock.fn(scrape),
+    cleanup: mock.fn(async () => {}),
+    getStats: () => ({ fake: true }),
+    ...extra
+  };
+  adapters.registerAdapter(adapter);
+  return adapter;
+}
+
+function statsFor(name) {
+  return adapters.getAdapterStats().find(stats => stats.name === name);
+}
+
+after(() => {
+  removeTempDir(dir);
+});
+
+test('the built-in methods are registered', () => {
+  assert.deepStrictEqual(
+    ['playwright', 'decodo', 'bypass1', 'replay'].filter(name => adapters.hasAdapter(name)),
+    ['playwright', 'decodo', 'bypass1', 'replay']
+  );
+  assert.strictEqual(adapters.getAdapter('replay').recordsHistory, false);
+  assert.throws(() => adapters.getAdapter('carrier-pigeon'), /Unknown scraper method: carrier-pigeon/);
+});
+
+test('normalizeResult fills in the envelope', () => {
+  assert.deepStrictEqual(adapters.normalizeResult('fake', { flights: [FLIGHT] }), {
+    success: true,
+    method: 'fake',
+    flights: [FLIGHT],
+    attempts: 1,
+    details: {}
+  });
+
+  assert.deepStrictEqual(adapters.normalizeResult('fake', { success: false, error: 'BLOCKED_BY_PERIMETERX', attempts: 3, details: { proxiesTried: 3 } }, daysFromNow(35)), {
+    success: false,
+    method: 'fake',
+    flights: [],
+    returnFlights: [],
+    attempts: 3,
+    details: { proxiesTried: 3 },
+    error: 'BLOCKED_BY_PERIMETERX',
+    errorInfo: {
+      code: 'BLOCKED_BY_PERIMETERX',
+      errorClass: 'blocked',
+      retryable: true,
+      description: 'Blocked by PerimeterX bot protection',
+      message: 'BLOCKED_BY_PERIMETERX'
+    }
+  });
+});
+
+test('runAdapter returns the envelope and passes the search through', async () => {
+  const adapter = fakeAdapter('fake-ok', async () => ({ flights: [FLIGHT], details: { proxyUsed: 'proxy-1' } }));
+
+  const result = await adapters.runAdapter('fake-ok', SEARCH);
+
+  assert.deepStrictEqual(result, { success: true, method: 'fake-ok', flights: [FLIGHT], attempts: 1, details: { proxyUsed: 'proxy-1' } });
+  assert.deepStrictEqual(adapter.scrape.mock.calls[0].arguments, [SEARCH]);
+});
+
+test('a thrown error becomes a failed envelope and is counted', async () => {
+  const adapter = fakeAdapter('fake-throws', async () => {
+    throw new Error('BLOCKED_BY_PERIMETERX');
+  });
+
+  const result = await adapters.runAdapter('fake-throws', { ...SEARCH, returnDate: daysFromNow(35) });
+
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.error, 'BLOCKED_BY_PERIMETERX');
+  assert.strictEqual(result.errorInfo.code, 'BLOCKED_BY_PERIMETERX');
+  assert.deepStrictEqual(result.returnFlights, []);
+
+  // Blocks are retryable - the test policy (see helpers.js) allows 2 attempts
+  assert.strictEqual(adapter.scrape.mock.callCount(), 2);
+  assert.strictEqual(result.attempts, 2);
+
+  const stats = statsFor('fake-throws');
+  assert.strictEqual(stats.scrapes, 1);
+  assert.strictEqual(stats.failed, 1);
+  assert.strictEqual(stats.retries, 1);
+  assert.strictEqual(stats.lastError, 'BLOCKED_BY_PERIMETERX');
+  assert.strictEqual(stats.lastErrorCode, 'BLOCKED_BY_PERIMETERX');
+  assert.deepStrictEqual(stats.status, { fake: true });
+});
+
+test('a retryable failure that then succeeds returns the flights', async () => {
+  let calls = 0;
+  const adapter = fakeAdapter('fake-flaky', async () => {
+    calls++;
+    if (calls === 1) {
+      throw new Error('Navigation timeout');
+    }
+    return { flights: [FLIGHT] };
+  });
+
+  const result = await adapters.runAdapter('fake-flaky', SEARCH);
+
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(result.flights, [FLIGHT]);
+  assert.strictEqual(result.attempts, 2);
+  assert.strictEqual(adapter.scrape.mock.callCount(), 2);
+});
+
+test('errors that retrying can\'t fix are not retried', async () => {
+  const adapter = fakeAdapter('fake-schema', async () => ({ success: false, error: 'SCHEMA_MISMATCH' }));
+
+  const result = await adapters.runAdapter('fake-schema', SEARCH);
+
+  assert.strictEqual(adapter.scrape.mock.callCount(), 1);
+  assert.deepStrictEqual([result.errorInfo.code, result.errorInfo.errorClass, result.errorInfo.retryable], ['SCHEMA_MISMATCH', 'schema', false]);
+});
+
+test('adapters that retry internally are only called once', async () => {
+  const adapter = fakeAdapter('fake-internal', async () => ({ success: false, error: 'BLOCKED_BY_PERIMETERX', attempts: 4 }), {
+    retriesInternally: ['blocked']
+  });
+
+  const result = await adapters.runAdapter('fake-internal', SEARCH);
+
+  assert.strictEqual(adapter.scrape.mock.callCount(), 1);
+  assert.strictEqual(result.attempts, 4);
+});
+
+test('each attempt is scheduled on its own, so the backoff holds no slot', async () => {
+  const scheduler = new ScrapeScheduler(1);
+  fakeAdapter('fake-scheduled', async () => {
+    assert.strictEqual(scheduler.getStats().active, 1);
+    throw new Error('Navigation timeout');
+  });
+
+  const result = await adapters.runAdapter('fake-scheduled', SEARCH, {
+    schedule: task => scheduler.run(task, { priority: 'bulk' })
+  });
+
+  assert.strictEqual(result.attempts, 3);
+  assert.strictEqual(scheduler.getStats().started.bulk, 3);
+});
+
+test('init runs once, and again after a failure or cleanup', async () => {
+  let failInit = true;
+  const adapter = fakeAdapter('fake-init', async () => ({ flights: [] }), {
+    init: mock.fn(async () => {
+      if (failInit) {
+        throw new Error('Browser failed to launch');
+      }
+    })
+  });
+
+  const failed = await adapters.runAdapter('fake-init', SEARCH);
+  assert.strictEqual(failed.error, 'Browser failed to launch');
+  assert.strictEqual(failed.errorInfo.code, 'ADAPTER_INIT_FAILED');
+  assert.strictEqual(adapter.scrape.mock.callCount(), 0);
+  assert.strictEqual(statsFor('fake-init').initialized, false);
+
+  failInit = false;
+  await adapters.runAdapter('fake-init', SEARCH);
+  await adapters.runAdapter('fake-init', SEARCH);
+  assert.strictEqual(adapter.init.mock.callCount(), 2);
+  assert.strictEqual(statsFor('fake-init').initialized, true);
+
+  await adapters.cleanupAdapters();
+  assert.strictEqual(adapter.cleanup.mock.callCount(), 1);
+  assert.strictEqual(statsFor('fake-init').initialized, false);
+
+  await adapters.runAdapter('fake-init', SEARCH);
+  assert.strictEqual(adapter.init.mock.callCount(), 3);
+});
+
+test('an unknown method fails without throwing', async () => {
+  const result = await adapters.runAdapter('carrier-pigeon', SEARCH);
+
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.error, 'Unknown scraper method: carrier-pigeon');
+  assert.strictEqual(result.errorInfo.code, 'UNKNOWN_METHOD');
+  assert.strictEqual(result.attempts, 0);
+});
+
+test('scrapeFlights uses the method given per request and caches the envelope', async () => {
+  const adapter = fakeAdapter('fake-live', async () => ({ flights: [FLIGHT] }));
+  const date = daysFromNow(31);
+
+  const live = await scrapeFlights('DEN', 'MCO', date, { method: 'fake-live' });
+  assert.strictEqual(live.success, true);
+  assert.strictEqual(live.method, 'fake-live');
+  assert.deepStrictEqual(live.flights, [FLIGHT]);
+
+  const cached = await scrapeFlights('DEN', 'MCO', date, { method: 'fake-live' });
+  assert.strictEqual(cached.cached, true);
+  assert.strictEqual(cached.method, 'fake-live');
+  assert.strictEqual(adapter.scrape.mock.callCount(), 1);
+});
+
+test('a replayed result is cached flagged, and served from the cache to replay searches only', async (t) => {
+  const replay = adapters.getAdapter('replay');
+  t.mock.method(replay, 'scrape', async () => ({
+    flights: [FLIGHT],
+    attempts: 0,
+    details: { replayedFrom: '2020-01-01T00:00:00.000Z' }
+  }));
+  const live = fakeAdapter('fake-after-replay', async () => ({ flights: [{ ...FLIGHT, price: 59 }] }));
+  const date = daysFromNow(33);
+
+  const result = await scrapeFlights('DEN', 'ORD', date, { method: 'replay' });
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.replayed, true);
+  assert.strictEqual(await cache.get('DEN', 'ORD', date), null);
+  assert.strictEqual((await cache.get('DEN', 'ORD', date, null, { replayed: true })).replayed, true);
+
+  // Another replay search is a cache hit
+  const again = await scrapeFlights('DEN', 'ORD', date, { method: 'replay' });
+  assert.deepStrictEqual([again.cached, again.replayed], [true, true]);
+  assert.strictEqual(replay.scrape.mock.callCount(), 1);
+
+  // A live search never takes the replay for live data, and its result replaces it
+  const fresh = await scrapeFlights('DEN', 'ORD', date, { method: 'fake-after-replay' });
+  assert.strictEqual(fresh.cached, undefined);
+  assert.strictEqual(fresh.replayed, undefined);
+  assert.strictEqual(live.scrape.mock.callCount(), 1);
+  assert.strictEqual((await cache.get('DEN', 'ORD', date)).method, 'fake-after-replay');
+});
+
+test('concurrent searches share a live scrape only when they use the same method', async () => {
+  const slow = async () => {
+    await new Promise(resolve => setTimeout(resolve, 20));
+    return { flights: [FLIGHT] };
+  };
+  const first = fakeAdapter('fake-first', slow);
+  const second = fakeAdapter('fake-second', slow);
+  const date = daysFromNow(34);
+
+  const results = await Promise.all([
+    scrapeFlights('DEN', 'SFO', date, { method: 'fake-first' }),
+    scrapeFlights('DEN', 'SFO', date, { method: 'fake-first' }),
+    scrapeFlights('DEN', 'SFO', date, { method: 'fake-second' })
+  ]);
+
+  assert.strictEqual(first.scrape.mock.callCount(), 1);
+  assert.strictEqual(second.scrape.mock.callCount(), 1);
+  assert.deepStrictEqual(results.map(result => [result.method, !!result.deduplicated]), [
+    ['fake-first', false],
+    ['fake-first', true],
+    ['fake-second', false]
+  ]);
+});
+
+test('scrapeFlights rejects an unknown method', async () => {
+  const result = await scrapeFlights('DEN', 'MCO', daysFromNow(32), { method: 'carrier-pigeon' });
+
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.error, 'Unknown scraper method: carrier-pigeon');
+});
@@ -0,0 +1,49 @@
+/**
+ * Watchlist tests
+ * Validation of watch input: dates, range size, names and updates
+ */
+
+const { daysFromNow } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { normalizeWatch } = require('../../backend/services/watchlist');
+
+const WATCH = { origin: 'den', destination: 'las', dateFrom: daysFromNow(30), dateTo: daysFromNow(32) };
+
+test('a valid watch is normalized', () => {
+  const { watch } = normalizeWatch({ ...WATCH, name: 'Vegas trip (spring)' });
+
+  assert.strictEqual(watch.origin, 'DEN');
+  assert.strictEqual(watch.destination, 'LAS');
+  assert.strictEqual(watch.name, 'Vegas trip (spring)');
+  assert.match(normalizeWatch(WATCH).watch.name, /^DEN-LAS /);
+});
+
+test('dates must exist and the range is checked without listing it', () => {
+  assert.deepStrictEqual(normalizeWatch({ ...WATCH, dateFrom: '2031-02-31', dateTo: '2031-03-02' }), {
+    error: 'date (or dateFrom/dateTo) must be a YYYY-MM-DD calendar date'
+  });
+  assert.deepStrictEqual(normalizeWatch({ ...WATCH, dateFrom: '2031-01-01', dateTo: '9999-12-31' }), {
+    error: 'Date range cannot exceed 31 days'
+  });
+});
+
+test('names are limited to plain text', () => {
+  const error = { error: 'name must be at most 80 letters, numbers, spaces or . , : ( ) / # + _ -' };
+
+  assert.deepStrictEqual(normalizeWatch({ ...WATCH, name: '<img src=x onerror=alert(1)>' }), error);
+  assert.deepStrictEqual(normalizeWatch({ ...WATCH, name: 'x'.repeat(81) }), error);
+});
+
+test('an update with a single date replaces a stored date range', () => {
+  const { watch: existing } = normalizeWatch(WATCH);
+  const date = daysFromNow(40);
+
+  const { watch } = normalizeWatch({ date }, existing);
+  assert.deepStrictEqual([watch.dateFrom, watch.dateTo], [date, date]);
+  assert.strictEqual(watch.id, existing.id);
+
+  // Updating just one end keeps the other
+  const { watch: extended } = normalizeWatch({ dateTo: daysFromNow(35) }, existing);
+  assert.deepStrictEqual([extended.dateFrom, extended.dateTo], [WATCH.dateFrom, daysFromNow(35)]);
+});